@@ -5,6 +5,7 @@ import Header from './components/Header';
 import EnhancedUISystem from './ui/EnhancedUISystem';
 import LocalAIEngine from './ai/LocalAIEngine';
 import FeatureManager from './features/FeatureManager';
+import SpeechRecognizerFactory from './speech/SpeechRecognizerFactory';
 
 function App() {
   const [isSupported, setIsSupported] = useState(true);
@@ -22,8 +23,10 @@ function App() {
     try {
       setIsLoading(true);
 
-      // Check if Web Speech API is supported
-      if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+      // Check that at least one recognizer backend (browser or on-device) can run;
+      // the on-device one needs its model files deployed
+      await SpeechRecognizerFactory.detectBackends();
+      if (!SpeechRecognizerFactory.isSupported()) {
         setIsSupported(false);
         setIsLoading(false);
         return;
@@ -115,7 +118,7 @@ function App() {
         <div className="unsupported-message">
           <h1>🚫 Browser Not Supported</h1>
           <p>
-            LiterateAI requires a modern browser with Web Speech API support.
+            LiterateAI requires a modern browser with Web Speech API or WebAssembly support.
           </p>
           <div className="supported-browsers">
             <h3>Supported Browsers:</h3>
@@ -123,13 +126,13 @@ function App() {
               <li>🌐 Google Chrome (Recommended)</li>
               <li>🔷 Microsoft Edge</li>
               <li>🍎 Safari (macOS/iOS)</li>
-              <li>🦊 Firefox (Limited support)</li>
+              <li>🦊 Firefox (On-device recognition)</li>
             </ul>
           </div>
           <div className="browser-features">
             <h3>Required Features:</h3>
             <ul>
-              <li>Web Speech API (Speech Recognition)</li>
+              <li>Web Speech API or WebAssembly (Speech Recognition)</li>
               <li>Web Audio API</li>
               <li>IndexedDB</li>
               <li>Service Workers</li>
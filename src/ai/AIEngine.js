@@ -3,6 +3,8 @@
  * Provides intelligent pronunciation analysis, adaptive learning, and personalized recommendations
  */
 
+import GraphemeToPhoneme from './GraphemeToPhoneme';
+
 class AIEngine {
   constructor() {
     this.learningProfile = this.initializeLearningProfile();
@@ -90,7 +92,7 @@ class AIEngine {
     if (analysis.phonemeErrors.length > 0) {
       tips.push({
         type: 'pronunciation',
-        message: `Focus on the "${analysis.phonemeErrors[0].phoneme}" sound`,
+        message: `Focus on the "${analysis.phonemeErrors[0].ipa}" sound`,
         exercise: `Try saying "${analysis.phonemeErrors[0].examples.join(', ')}" slowly`
       });
     }
@@ -210,6 +212,10 @@ class AIEngine {
 
 // Pronunciation Analysis Engine
 class PronunciationAnalyzer {
+  constructor() {
+    this.g2p = new GraphemeToPhoneme();
+  }
+
   analyze(targetWord, spokenWord, audioData) {
     // Advanced phonetic analysis
     const phoneticTarget = this.getPhonetics(targetWord);
@@ -226,9 +232,9 @@ class PronunciationAnalyzer {
     };
   }
 
+  // ARPAbet phonemes without stress, so "cat" is K AE T rather than c-a-t
   getPhonetics(word) {
-    // Simplified phonetic conversion - in real implementation, use IPA
-    return word.toLowerCase().split('');
+    return this.g2p.toPhonemes(word, { stress: false });
   }
 
   calculatePhoneticSimilarity(target, spoken) {
@@ -264,12 +270,14 @@ class PronunciationAnalyzer {
     
     for (let i = 0; i < maxLength; i++) {
       if (target[i] !== spoken[i]) {
+        const phoneme = target[i] || spoken[i];
         errors.push({
           position: i,
           expected: target[i] || '',
           actual: spoken[i] || '',
-          phoneme: target[i] || spoken[i],
-          examples: this.getPhonemeExamples(target[i] || spoken[i])
+          phoneme,
+          ipa: `/${this.g2p.phonemeToIPA(phoneme)}/`,
+          examples: this.getPhonemeExamples(phoneme)
         });
       }
     }
@@ -278,19 +286,13 @@ class PronunciationAnalyzer {
   }
 
   getPhonemeExamples(phoneme) {
-    const examples = {
-      'a': ['cat', 'bat', 'hat'],
-      'e': ['bed', 'red', 'led'],
-      'i': ['bit', 'sit', 'hit'],
-      'o': ['hot', 'pot', 'lot'],
-      'u': ['but', 'cut', 'hut']
-    };
-    return examples[phoneme] || ['practice', 'more', 'words'];
+    const examples = this.g2p.getExamples(phoneme);
+    return examples.length > 0 ? examples : ['practice', 'more', 'words'];
   }
 
   generateSuggestions(errors) {
     return errors.map(error => ({
-      message: `Try emphasizing the "${error.expected}" sound`,
+      message: `Try emphasizing the "${error.ipa}" sound`,
       technique: `Place your tongue like saying "${error.examples[0]}"`,
       practice: error.examples
     }));
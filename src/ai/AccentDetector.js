@@ -0,0 +1,201 @@
+/**
+ * Accent Detector for LiterateAI
+ * Infers a learner's likely accent from evidence gathered over their sessions:
+ * the sound confusions in their PhonemeConfusionMatrix, and how well speech
+ * recognition understood them under each recognizer locale. The guess comes
+ * with a confidence; below the threshold the accent stays 'auto'. A learner or
+ * teacher can confirm or override it, and that choice is kept with the evidence.
+ */
+
+const STORAGE_KEY = 'literateai_accent_profile';
+
+// Confidence needed before a detected accent is used
+const CONFIDENCE_THRESHOLD = 0.5;
+
+// Fewest times a sound must have been read before its confusions say anything
+const MIN_FEATURE_ATTEMPTS = 5;
+
+// Reads of an accent's telltale sounds needed for full confidence in them
+const ENOUGH_FEATURE_ATTEMPTS = 40;
+
+// A telltale confusion this common is as strong as the evidence gets
+const STRONG_CONFUSION_RATE = 0.3;
+
+// Sessions needed under a locale, and under the others, to compare how well each understood the learner
+const MIN_LOCALE_SESSIONS = 2;
+
+// How much a difference in average recognizer confidence moves the locale evidence
+const LOCALE_CONFIDENCE_WEIGHT = 2.5;
+
+// Accents the recognizer has a locale for, with the sound confusions typical of each
+const ACCENTS = {
+  american: {
+    name: 'American',
+    language: 'en-US',
+    features: [{ expected: 'T', actual: 'D' }] // flapped t: "wader" for "water"
+  },
+  british: {
+    name: 'British',
+    language: 'en-GB',
+    features: [{ expected: 'R', actual: null }] // non-rhotic: r after a vowel not said
+  },
+  indian: {
+    name: 'Indian',
+    language: 'en-IN',
+    features: [
+      { expected: 'V', actual: 'W' },
+      { expected: 'W', actual: 'V' },
+      { expected: 'TH', actual: 'T' },
+      { expected: 'DH', actual: 'D' },
+      { expected: 'Z', actual: 'JH' }
+    ]
+  },
+  australian: {
+    name: 'Australian',
+    language: 'en-AU',
+    features: [{ expected: 'R', actual: null }]
+  }
+};
+
+class AccentDetector {
+  constructor(confusionMatrix, data = AccentDetector.load()) {
+    this.confusionMatrix = confusionMatrix;
+    this.locales = data?.locales || {};
+    this.confirmed = data?.confirmed || null;
+    this.targetAccent = 'auto';
+  }
+
+  static getAccents() {
+    return Object.entries(ACCENTS).map(([id, accent]) => ({ id, name: accent.name, language: accent.language }));
+  }
+
+  // The accent chosen for this session; 'auto' lets the detector decide
+  configureForAccent(accent) {
+    this.targetAccent = accent || 'auto';
+  }
+
+  // A chosen accent wins, then a confirmed one, then a confident detection
+  getAccent() {
+    if (this.targetAccent !== 'auto') return this.targetAccent;
+    if (this.confirmed) return this.confirmed.accent;
+    return this.detectAccent().accent;
+  }
+
+  // How well the recognizer understood a finished English session under its locale
+  recordSession(locale, averageConfidence) {
+    if (!locale || !(averageConfidence > 0)) return;
+
+    const entry = this.locales[locale] || (this.locales[locale] = { sessions: 0, confidenceSum: 0 });
+    entry.sessions++;
+    entry.confidenceSum += averageConfidence;
+    this.save();
+  }
+
+  // The likeliest accent, with a confidence from 0 to 1; 'auto' when not confident enough
+  detectAccent() {
+    const scores = Object.keys(ACCENTS)
+      .map(accent => ({ accent, ...this.scoreAccent(accent) }))
+      .sort((a, b) => b.score - a.score);
+    const [top, second] = scores;
+
+    // Accents with the same evidence (British and Australian r-dropping) cannot be told apart
+    const confidence = top.score > 0 ? top.coverage * (top.score - second.score) : 0;
+
+    return {
+      accent: confidence >= CONFIDENCE_THRESHOLD ? top.accent : 'auto',
+      likelyAccent: top.score > 0 ? top.accent : null,
+      confidence,
+      scores,
+      confirmed: this.confirmed
+    };
+  }
+
+  // Evidence for one accent from 0 to 1, and how much of it there is
+  scoreAccent(accent) {
+    const evidence = [];
+    let coverage = 0;
+
+    const features = ACCENTS[accent].features
+      .map(feature => this.measureFeature(feature))
+      .filter(Boolean);
+    if (features.length > 0) {
+      const attempts = features.reduce((sum, feature) => sum + feature.attempts, 0);
+      evidence.push(features.reduce((sum, feature) => sum + feature.strength, 0) / features.length);
+      coverage += Math.min(1, attempts / ENOUGH_FEATURE_ATTEMPTS);
+    }
+
+    const locale = this.measureLocale(ACCENTS[accent].language);
+    if (locale !== null) {
+      evidence.push(locale);
+      coverage += 0.5;
+    }
+
+    return {
+      score: evidence.length > 0 ? evidence.reduce((sum, value) => sum + value, 0) / evidence.length : 0,
+      coverage: Math.min(1, coverage)
+    };
+  }
+
+  measureFeature({ expected, actual }) {
+    const entry = this.confusionMatrix?.phonemes[expected];
+    if (!entry || entry.attempts < MIN_FEATURE_ATTEMPTS) return null;
+
+    const rate = this.confusionMatrix.getCount(expected, actual) / entry.attempts;
+    return { attempts: entry.attempts, strength: Math.min(1, rate / STRONG_CONFUSION_RATE) };
+  }
+
+  // Above 0.5 when the recognizer understood the learner better under this locale than under the others
+  measureLocale(language) {
+    const own = this.locales[language];
+    const others = Object.entries(this.locales).filter(([locale]) => locale !== language).map(([, entry]) => entry);
+    const otherSessions = others.reduce((sum, entry) => sum + entry.sessions, 0);
+    if (!own || own.sessions < MIN_LOCALE_SESSIONS || otherSessions < MIN_LOCALE_SESSIONS) return null;
+
+    const otherConfidence = others.reduce((sum, entry) => sum + entry.confidenceSum, 0) / otherSessions;
+    const difference = own.confidenceSum / own.sessions - otherConfidence;
+    return Math.max(0, Math.min(1, 0.5 + difference * LOCALE_CONFIDENCE_WEIGHT));
+  }
+
+  // The learner accepting a detected accent, or anyone choosing one; 'auto' goes back to detecting
+  confirmAccent(accent, source = 'confirmed') {
+    this.confirmed = accent && accent !== 'auto' ? { accent, source, confirmedAt: Date.now() } : null;
+    this.save();
+  }
+
+  getConfirmedAccent() {
+    return this.confirmed?.accent || null;
+  }
+
+  toJSON() {
+    return {
+      locales: this.locales,
+      confirmed: this.confirmed
+    };
+  }
+
+  reset() {
+    this.locales = {};
+    this.confirmed = null;
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch (error) {
+      console.warn('Failed to save accent profile:', error);
+    }
+  }
+
+  static load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn('Failed to load accent profile:', error);
+      return null;
+    }
+  }
+}
+
+export default AccentDetector;
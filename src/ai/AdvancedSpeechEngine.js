@@ -3,40 +3,167 @@
  * Comprehensive speech recognition, analysis, and feedback system
  */
 
+import ReadingAligner from './ReadingAligner';
+import TextNormalizer from './TextNormalizer';
+import PhoneticMatcher from './PhoneticMatcher';
+import DialectProfiles from './DialectProfiles';
+import AccentDetector from './AccentDetector';
+import GraphemeToPhoneme from './GraphemeToPhoneme';
+import PhonemeErrorClassifier from './PhonemeErrorClassifier';
+import PhonemeConfusionMatrix from './PhonemeConfusionMatrix';
+import MiscueAnalyzer from './MiscueAnalyzer';
+import HypothesisRescorer from './HypothesisRescorer';
+import AudioCaptureEngine from '../audio/AudioCaptureEngine';
+import AttemptRecorder from '../audio/AttemptRecorder';
+import PitchTracker from '../audio/PitchTracker';
+import MicCalibrator from '../audio/MicCalibrator';
+import SpeechRecognizerFactory from '../speech/SpeechRecognizerFactory';
+import RecognitionSessionManager from '../speech/RecognitionSessionManager';
+
 class AdvancedSpeechEngine {
-  constructor() {
-    this.speechRecognition = this.initializeSpeechRecognition();
+  constructor(options = {}) {
+    this.recognizerBackend = options.recognizerBackend || SpeechRecognizerFactory.getPreferredBackend();
+    this.speechRecognition = this.initializeSpeechRecognition(this.recognizerBackend);
     this.speechSynthesis = this.initializeSpeechSynthesis();
-    this.pronunciationAnalyzer = new PronunciationAnalyzer();
-    this.accentDetector = new AccentDetector();
+    this.g2p = new GraphemeToPhoneme();
+    this.dialectProfiles = new DialectProfiles({ g2p: this.g2p });
+    this.pronunciationAnalyzer = new PronunciationAnalyzer(this.g2p, this.dialectProfiles, DialectProfiles.loadSettings());
+    this.phonemeClassifier = new PhonemeErrorClassifier({ g2p: this.g2p });
+    this.confusionMatrix = new PhonemeConfusionMatrix();
+    this.accentDetector = new AccentDetector(this.confusionMatrix);
     this.fluencyAnalyzer = new FluencyAnalyzer();
     this.confidenceScorer = new ConfidenceScorer();
     this.speechPatternAnalyzer = new SpeechPatternAnalyzer();
+    this.textNormalizer = new TextNormalizer();
+    this.phoneticMatcher = new PhoneticMatcher();
+    this.readingAligner = new ReadingAligner({
+      normalizer: this.textNormalizer,
+      phoneticMatcher: this.phoneticMatcher,
+      dialectProfiles: this.dialectProfiles
+    });
+    this.miscueAnalyzer = new MiscueAnalyzer();
+    this.hypothesisRescorer = new HypothesisRescorer({ aligner: this.readingAligner });
+    this.audioCapture = new AudioCaptureEngine();
+    this.attemptRecorder = new AttemptRecorder();
+    this.pitchTracker = new PitchTracker();
+    this.pitchTracker.attach(this.audioCapture);
+    this.calibration = MicCalibrator.loadCalibration();
+    this.audioCapture.applyCalibration(this.calibration);
     
     this.isListening = false;
     this.currentSession = null;
     this.speechData = [];
     this.realTimeAnalysis = true;
+
+    // Silence longer than the timeout pauses the session until speech starts again
+    this.pauseDetection = {
+      enabled: options.pauseDetection !== false,
+      silenceTimeout: options.silenceTimeout || 4000 // milliseconds
+    };
+    this.isPaused = false;
+    this.pauses = [];
+    this.stopRequested = false;
+    this.fatalRecognitionError = false;
+    this.removeSilenceMonitor = null;
   }
 
-  initializeSpeechRecognition() {
-    if (!('webkitSpeechRecognition' in window) && !('SpeechRecognition' in window)) {
+  initializeSpeechRecognition(backend = 'auto') {
+    // Enhanced configuration
+    const options = {
+      continuous: true,
+      interimResults: true,
+      maxAlternatives: 5, // Get multiple alternatives for better analysis
+      lang: 'en-US' // Default, will be updated dynamically
+    };
+    // A saved backend that is no longer available, e.g. models taken off the server, falls back to auto
+    const recognition = SpeechRecognizerFactory.create(backend, options) ||
+      (backend !== 'auto' ? SpeechRecognizerFactory.create('auto', options) : null);
+
+    if (!recognition) {
       console.warn('Speech recognition not supported');
       return null;
     }
-
-    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const recognition = new SpeechRecognition();
     
-    // Enhanced configuration
-    recognition.continuous = true;
-    recognition.interimResults = true;
-    recognition.maxAlternatives = 5; // Get multiple alternatives for better analysis
-    recognition.lang = 'en-US'; // Default, will be updated dynamically
+    // Long readings outlast a single recognizer run; the manager restarts it underneath us
+    const session = new RecognitionSessionManager(recognition);
+    this.setupRecognitionEventHandlers(session);
     
-    this.setupRecognitionEventHandlers(recognition);
-    
-    return recognition;
+    return session;
+  }
+
+  // Switch to another recognizer backend (browser, local or scripted)
+  setRecognizerBackend(backend, options = {}) {
+    if (this.isListening) {
+      this.stopListening();
+    }
+    this.speechRecognition?.abort();
+
+    const recognition = SpeechRecognizerFactory.create(backend, {
+      continuous: true,
+      interimResults: true,
+      maxAlternatives: 5,
+      lang: this.speechRecognition?.lang || 'en-US',
+      ...options
+    });
+
+    if (!recognition) {
+      throw new Error(`Speech recognizer backend "${backend}" is not available`);
+    }
+
+    const session = new RecognitionSessionManager(recognition);
+    this.setupRecognitionEventHandlers(session);
+    this.speechRecognition = session;
+    this.recognizerBackend = backend;
+
+    return recognition.backend;
+  }
+
+  getRecognizerBackend() {
+    return this.speechRecognition?.backend || null;
+  }
+
+  // Keep a MicCalibrator result for this and future sessions
+  setCalibration(calibration) {
+    this.calibration = calibration;
+    this.audioCapture.applyCalibration(calibration);
+    MicCalibrator.saveCalibration(calibration);
+  }
+
+  getCalibration() {
+    return this.calibration;
+  }
+
+  // Keep a teacher's dialect profile choice ({ profile, disabledRules }) for this and future sessions
+  setDialectProfile(settings) {
+    this.pronunciationAnalyzer.setDialectSettings(settings);
+    DialectProfiles.saveSettings(this.pronunciationAnalyzer.dialectSettings);
+  }
+
+  getDialectProfile() {
+    return this.pronunciationAnalyzer.dialectSettings;
+  }
+
+  // Add a finished reading's phoneme comparisons to the learner's confusion matrix
+  recordPhonemeConfusions(phonemeAnalysis) {
+    // Phonemes come from English spelling rules, so other languages are not recorded
+    const language = this.currentSession?.language || 'en';
+    if (!phonemeAnalysis?.comparisons || !language.startsWith('en')) return 0;
+
+    return this.confusionMatrix.record(phonemeAnalysis.comparisons);
+  }
+
+  // How well the recognizer understood a finished reading under its locale, as accent evidence.
+  // Only the browser service has locales to compare, and only a reading with final results says anything;
+  // the on-device and scripted backends report no confidence or a made-up one
+  recordAccentEvidence(averageConfidence) {
+    const language = this.currentSession?.language || 'en';
+    if (!language.startsWith('en') || this.getRecognizerBackend() !== 'browser' || this.speechData.length === 0) return;
+
+    this.accentDetector.recordSession(this.speechRecognition?.lang || language, averageConfidence);
+  }
+
+  getPhonemeConfusions() {
+    return this.confusionMatrix.toJSON();
   }
 
   initializeSpeechSynthesis() {
@@ -58,20 +185,38 @@ class AdvancedSpeechEngine {
       this.onListeningStart?.();
     };
 
+    // Only called once the whole session is over; restarts in between are handled by the manager
     recognition.onend = () => {
       this.isListening = false;
-      this.onListeningEnd?.();
+      this.onListeningEnd?.({
+        pausedTime: this.getPausedTime(),
+        restarts: recognition.getDiagnostics().restarts
+      });
     };
 
     recognition.onerror = (event) => {
       this.handleRecognitionError(event);
     };
 
+    // No speech before the recognizer gave up: the reader has gone quiet, so the session pauses
+    recognition.ontransienterror = (event) => {
+      if (event.error === 'no-speech' && this.shouldKeepListening()) {
+        this.pauseSession(this.lastSpeechTime);
+      }
+    };
+
+    recognition.onrestart = (restart) => {
+      this.onRecognitionRestart?.(restart);
+    };
+
     recognition.onresult = (event) => {
       this.processRecognitionResults(event);
     };
 
     recognition.onspeechstart = () => {
+      if (this.isPaused) {
+        this.resumeSession(Date.now());
+      }
       this.onSpeechStart?.();
     };
 
@@ -98,13 +243,26 @@ class AdvancedSpeechEngine {
       id: this.generateSessionId(),
       startTime: Date.now(),
       targetText: options.targetText || '',
+      passageId: options.passageId ?? null,
       language: options.language || 'en-US',
       accent: options.accent || 'auto',
       difficulty: options.difficulty || 'medium',
-      realTimeAnalysis: options.realTimeAnalysis !== false
+      realTimeAnalysis: options.realTimeAnalysis !== false,
+      calibration: this.calibration
     };
 
+    this.readingAligner.setLanguage(this.currentSession.language);
+    this.currentSession.accent = this.detectAndAdaptToAccent();
     this.speechData = [];
+    this.lastSegmentEnd = this.currentSession.startTime;
+    this.pitchTracker.reset();
+    this.readingPosition = null;
+    this.settledReadIndex = -1;
+    this.configurePauseDetection(options);
+    this.resetPauseState(this.currentSession.startTime);
+    this.updateReadingPosition();
+    this.removeSilenceMonitor?.();
+    this.removeSilenceMonitor = this.audioCapture.addFrameListener(frame => this.monitorSilence(frame));
     
     try {
       this.speechRecognition.start();
@@ -112,12 +270,209 @@ class AdvancedSpeechEngine {
       console.error('Failed to start speech recognition:', error);
       throw error;
     }
+
+    // Timing is measured from the raw microphone stream; recognition still works without it
+    this.audioCapture.start()
+      .then(stream => this.startRecording(stream))
+      .catch(error => {
+        console.warn('Audio capture unavailable, falling back to result timestamps:', error);
+      });
   }
 
   stopListening() {
+    this.stopRequested = true;
+
+    if (this.isPaused) {
+      this.closePause(Date.now());
+    }
+    this.removeSilenceMonitor?.();
+    this.removeSilenceMonitor = null;
+
     if (this.speechRecognition && this.isListening) {
       this.speechRecognition.stop();
     }
+
+    const recording = this.attemptRecorder.stop();
+    this.audioCapture.stop();
+    this.finishRecording(recording);
+  }
+
+  configurePauseDetection(options = {}) {
+    if (options.pauseDetection !== undefined) {
+      this.pauseDetection.enabled = options.pauseDetection !== false;
+    }
+    if (options.silenceTimeout) {
+      this.pauseDetection.silenceTimeout = options.silenceTimeout;
+    }
+  }
+
+  resetPauseState(startTime) {
+    this.isPaused = false;
+    this.pauses = [];
+    this.lastSpeechTime = startTime;
+    this.stopRequested = false;
+    this.fatalRecognitionError = false;
+  }
+
+  // Pause after the configured stretch of silence, resume on the next detected speech
+  monitorSilence(frame) {
+    if (!this.currentSession || this.stopRequested) return;
+
+    if (frame.isSpeech) {
+      this.lastSpeechTime = frame.timestamp;
+      if (this.isPaused) {
+        this.resumeSession(frame.timestamp);
+      }
+    } else if (!this.isPaused && this.pauseDetection.enabled &&
+               frame.timestamp - this.lastSpeechTime >= this.pauseDetection.silenceTimeout) {
+      this.pauseSession(this.lastSpeechTime);
+    }
+  }
+
+  // The pause starts where the silence started, so the whole gap is left out of timing
+  pauseSession(silenceStart) {
+    if (this.isPaused || !this.currentSession) return;
+
+    const pause = { start: silenceStart, end: null };
+    this.pauses.push(pause);
+    this.isPaused = true;
+
+    this.onSessionPaused?.({ start: pause.start, detectedAt: Date.now() });
+  }
+
+  resumeSession(resumeTime) {
+    if (!this.isPaused) return;
+
+    const pause = this.closePause(resumeTime);
+
+    // Without microphone timing, result timestamps would otherwise stretch over the pause
+    if (!this.audioCapture.isCapturing) {
+      this.lastSegmentEnd = Math.max(this.lastSegmentEnd, resumeTime);
+    }
+
+    this.onSessionResumed?.({ ...pause, duration: pause.end - pause.start });
+  }
+
+  closePause(endTime) {
+    const pause = this.pauses[this.pauses.length - 1];
+    pause.end = Math.max(pause.start, endTime);
+    this.isPaused = false;
+    return pause;
+  }
+
+  shouldKeepListening() {
+    return Boolean(this.currentSession) && !this.stopRequested &&
+      this.pauseDetection.enabled && !this.fatalRecognitionError;
+  }
+
+  // Recognizer restarts and pauses for the current or last session
+  getSessionDiagnostics() {
+    return {
+      sessionId: this.currentSession?.id || null,
+      backend: this.getRecognizerBackend(),
+      ...(this.speechRecognition?.getDiagnostics() || {}),
+      segments: this.speechData.length,
+      pauses: this.pauses.length,
+      pausedTime: this.getPausedTime()
+    };
+  }
+
+  getPausedTime() {
+    return this.getPausedTimeBetween(-Infinity, Infinity);
+  }
+
+  getPausedTimeBetween(startTime, endTime) {
+    const now = Date.now();
+    return this.pauses.reduce((total, pause) => {
+      const start = Math.max(pause.start, startTime);
+      const end = Math.min(pause.end ?? now, endTime);
+      return total + Math.max(0, end - start);
+    }, 0);
+  }
+
+  // Record the attempt so teachers can listen back to it
+  startRecording(stream) {
+    if (!AttemptRecorder.isSupported()) return;
+
+    try {
+      this.attemptRecorder.start(stream);
+    } catch (error) {
+      console.warn('Attempt recording unavailable:', error);
+    }
+  }
+
+  finishRecording(recordingPromise) {
+    const session = this.currentSession;
+
+    recordingPromise
+      .then(recording => {
+        if (!recording || !session) return;
+
+        const timeline = this.buildPassageTimeline(session.targetText, recording.startTime);
+        this.onRecordingComplete?.({
+          ...recording,
+          sessionId: session.id,
+          passageId: session.passageId,
+          targetText: session.targetText,
+          wordTimings: timeline.wordTimings,
+          wordFeedback: timeline.wordFeedback,
+          score: timeline.score,
+          wordsCorrect: timeline.wordsCorrect,
+          wordsRead: timeline.wordsRead,
+          totalWords: timeline.totalWords
+        });
+      })
+      .catch(error => console.error('Failed to finish attempt recording:', error));
+  }
+
+  // Map session word timings onto passage word indexes, relative to the recording start.
+  // Each result's word timings follow its part of the session transcript, so an
+  // alignment of that transcript indexes them directly.
+  buildPassageTimeline(targetText, recordingStartTime, alignment = this.alignReading(targetText, this.getSessionTranscript())) {
+    const spokenTimings = this.speechData.flatMap(segment => segment.wordTimings || []);
+
+    const wordTimings = alignment.words
+      .filter(entry => entry.spokenIndex !== null && spokenTimings[entry.spokenIndex])
+      .map(entry => ({
+        index: entry.index,
+        status: entry.status,
+        start: Math.max(0, spokenTimings[entry.spokenIndex].start - recordingStartTime),
+        end: Math.max(0, spokenTimings[entry.spokenIndex].end - recordingStartTime)
+      }));
+
+    return {
+      wordTimings,
+      wordFeedback: this.readingAligner.toWordFeedback(alignment),
+      score: this.readingAligner.getScore(alignment),
+      wordsCorrect: alignment.counts.correct,
+      wordsRead: this.countWordsRead(alignment),
+      totalWords: alignment.targetLength
+    };
+  }
+
+  // Passage words with the time each was read and every silence in the session, for phrasing.
+  // Silences are only known when the voice-activity detector heard the reading. The caller's
+  // alignment of the session is reused when it has one
+  getPhrasingTimeline(targetText, alignment) {
+    const words = this.readingAligner.tokenizePassage(targetText)
+      .filter((token, position, all) => position === 0 || all[position - 1].index !== token.index);
+    const intervals = this.speechData
+      .flatMap(segment => segment.voicedIntervals || [])
+      .sort((a, b) => a.start - b.start);
+
+    const silences = [];
+    for (let i = 1; i < intervals.length; i++) {
+      if (intervals[i].start > intervals[i - 1].end) {
+        silences.push({ start: intervals[i - 1].end, end: intervals[i].start });
+      }
+    }
+
+    return {
+      words,
+      wordTimings: this.buildPassageTimeline(targetText, 0, alignment).wordTimings,
+      silences,
+      measured: this.audioCapture.getSpeechSegments().length > 0
+    };
   }
 
   configureRecognition(options) {
@@ -125,10 +480,7 @@ class AdvancedSpeechEngine {
       this.speechRecognition.lang = options.language;
     }
 
-    if (options.accent && options.accent !== 'auto') {
-      // Adjust recognition parameters for specific accents
-      this.accentDetector.configureForAccent(options.accent);
-    }
+    this.accentDetector.configureForAccent(options.accent || 'auto');
 
     // Configure for different difficulty levels
     if (options.difficulty === 'beginner') {
@@ -139,13 +491,26 @@ class AdvancedSpeechEngine {
   }
 
   processRecognitionResults(event) {
-    const results = Array.from(event.results);
-    const latestResult = results[results.length - 1];
-    
-    if (latestResult.isFinal) {
-      this.processFinalResult(latestResult);
-    } else if (this.realTimeAnalysis) {
-      this.processInterimResult(latestResult);
+    if (!this.audioCapture.isCapturing) {
+      this.lastSpeechTime = Date.now();
+    }
+    if (this.isPaused) {
+      this.resumeSession(Date.now());
+    }
+
+    // One event can carry several changed results, e.g. a final result and the interim after it
+    const interimResults = [];
+    for (let i = event.resultIndex || 0; i < event.results.length; i++) {
+      const result = event.results[i];
+      if (result.isFinal) {
+        this.processFinalResult(result);
+      } else {
+        interimResults.push(result);
+      }
+    }
+
+    if (interimResults.length > 0 && this.realTimeAnalysis) {
+      this.processInterimResult(interimResults);
     }
   }
 
@@ -155,18 +520,13 @@ class AdvancedSpeechEngine {
       confidence: alternative.confidence
     }));
 
-    const speechSegment = {
-      timestamp: Date.now(),
-      alternatives,
-      primary: alternatives[0],
-      isFinal: true,
-      duration: this.calculateSegmentDuration()
-    };
+    const speechSegment = this.createSpeechSegment(alternatives);
 
     this.speechData.push(speechSegment);
     
-    // Perform comprehensive analysis
+    // Perform comprehensive analysis; this also picks the best of the alternatives
     const analysis = this.analyzeSpeeches(speechSegment);
+    this.updateReadingPosition('', analysis.alignment);
     
     // Trigger callbacks
     this.onSpeechAnalyzed?.(analysis);
@@ -174,14 +534,17 @@ class AdvancedSpeechEngine {
     return analysis;
   }
 
-  processInterimResult(result) {
+  // Interim results after the last final one are read as one stretch of speech
+  processInterimResult(results) {
     const interim = {
-      transcript: result[0].transcript,
-      confidence: result[0].confidence,
+      transcript: results.map(result => result[0].transcript).join(' '),
+      confidence: results[results.length - 1][0].confidence,
       timestamp: Date.now(),
       isInterim: true
     };
 
+    this.updateReadingPosition(interim.transcript);
+
     // Real-time feedback for interim results
     if (this.currentSession.realTimeAnalysis) {
       const quickAnalysis = this.performQuickAnalysis(interim);
@@ -189,104 +552,541 @@ class AdvancedSpeechEngine {
     }
   }
 
-  // Comprehensive speech analysis
+  // Follow the reader through the passage. Final results use the session alignment their
+  // analysis made; interim words carry on from where the last final result left the
+  // reader, so only they are aligned, against the passage after that word
+  updateReadingPosition(interimTranscript = '', sessionAlignment = null) {
+    if (!this.currentSession?.targetText || this.stopRequested) return null;
+
+    const targetText = this.currentSession.targetText;
+    let position;
+    if (interimTranscript) {
+      const alignment = this.readingAligner.alignFrom(targetText, interimTranscript, this.settledReadIndex);
+      position = this.readingAligner.getReadingPosition(alignment);
+      if (position.lastReadIndex === null && this.settledReadIndex >= 0) {
+        position.lastReadIndex = this.settledReadIndex;
+      }
+    } else {
+      const alignment = sessionAlignment || this.readingAligner.align(targetText, this.getSessionTranscript());
+      position = this.readingAligner.getReadingPosition(alignment);
+      this.settledReadIndex = position.lastReadIndex ?? -1;
+    }
+
+    // Interim guesses get revised; never move the cursor backwards
+    const previous = this.readingPosition;
+    if (previous && (previous.finished || (position.currentWordIndex !== null && position.currentWordIndex < previous.currentWordIndex))) {
+      return previous;
+    }
+
+    this.readingPosition = position;
+    this.onReadingPosition?.(position);
+    return position;
+  }
+
+  // Everything heard this session, using each result's rescored transcript where there is one
+  getSessionTranscript(useRescoring = true) {
+    return this.speechData
+      .map(segment => (useRescoring && segment.rescoring?.transcript) || segment.primary?.transcript || '')
+      .filter(transcript => transcript.trim())
+      .join(' ');
+  }
+
+  // Comprehensive speech analysis. The passage is scored on the whole session so far,
+  // while timing and prosody describe the latest result only
   analyzeSpeeches(speechSegment) {
     const targetText = this.currentSession.targetText;
-    const spokenText = speechSegment.primary.transcript;
+    // Words the first hypothesis misheard are taken from another alternative that heard them,
+    // in the part of the passage after where the previous result left the reader
+    const rescoring = this.hypothesisRescorer.rescore(targetText, speechSegment.alternatives, this.settledReadIndex);
+    speechSegment.rescoring = rescoring;
+    // Word times follow the transcript the passage is scored on, so the timeline can reuse its alignment
+    speechSegment.wordTimings = this.estimateWordTimings(rescoring.transcript || speechSegment.primary.transcript, speechSegment.voicedIntervals);
+    const spokenText = this.getSessionTranscript() || rescoring.transcript || speechSegment.primary.transcript;
+    const alignment = this.alignReading(targetText, spokenText);
+    const accuracy = this.calculateAccuracy(alignment);
+    const readingTime = this.getReadingTime();
+    const prosodyAnalysis = this.analyzeProsody(speechSegment, alignment);
     
     const analysis = {
       sessionId: this.currentSession.id,
       timestamp: speechSegment.timestamp,
       targetText,
       spokenText,
+      recognizedText: this.getSessionTranscript(false),
+      rescuedWords: rescoring.rescued,
+      
+      // Timing
+      startTime: speechSegment.startTime,
+      endTime: speechSegment.endTime,
+      wordTimings: speechSegment.wordTimings,
+      readingTime,
+      wcpm: this.calculateWCPM(this.readingAligner.getScore(alignment), readingTime),
       
       // Core analysis
-      accuracy: this.pronunciationAnalyzer.calculateAccuracy(targetText, spokenText),
-      pronunciation: this.pronunciationAnalyzer.analyzePronunciation(targetText, spokenText),
-      fluency: this.fluencyAnalyzer.analyzeFluency(speechSegment),
-      confidence: this.confidenceScorer.calculateConfidence(speechSegment),
+      accuracy,
+      pronunciation: this.pronunciationAnalyzer.analyzePronunciation(accuracy),
+      fluency: this.fluencyAnalyzer.analyzeFluency(this.getPhrasingTimeline(targetText, alignment), prosodyAnalysis.intonation),
+      confidence: this.confidenceScorer.calculateConfidence(speechSegment, this.estimateBackgroundNoise(speechSegment)),
+      signalToNoise: speechSegment.signalToNoise,
       
       // Advanced analysis
-      accent: this.accentDetector.detectAccent(spokenText, speechSegment.alternatives),
+      accent: this.currentSession.accent,
       speechPattern: this.speechPatternAnalyzer.analyzePattern(speechSegment),
       
       // Detailed feedback
-      wordLevelAnalysis: this.analyzeWordLevel(targetText, spokenText),
-      phonemeAnalysis: this.analyzePhonemes(targetText, spokenText),
-      prosodyAnalysis: this.analyzeProsody(speechSegment),
+      alignment,
+      wordLevelAnalysis: this.analyzeWordLevel(targetText, spokenText, alignment),
+      skippedWords: alignment.words.filter(word => word.status === 'omitted'),
+      dialectVariants: alignment.words.filter(word => word.dialectVariant),
+      insertedWords: alignment.insertions,
+      miscues: this.groupMiscues(alignment.miscues),
+      runningRecord: this.calculateRunningRecord(alignment),
+      phonemeAnalysis: this.analyzePhonemes(targetText, spokenText, alignment),
+      prosodyAnalysis,
       
       // Recommendations
-      recommendations: this.generateRecommendations(targetText, spokenText, speechSegment)
+      recommendations: this.generateRecommendations(accuracy, speechSegment)
     };
 
+    analysis.confidenceFactors = this.calculateAdvancedConfidence(speechSegment, analysis);
+
     return analysis;
   }
 
-  analyzeWordLevel(targetText, spokenText) {
-    const targetWords = this.tokenizeText(targetText);
-    const spokenWords = this.tokenizeText(spokenText);
-    
-    const wordAnalysis = [];
-    const maxLength = Math.max(targetWords.length, spokenWords.length);
-    
-    for (let i = 0; i < maxLength; i++) {
-      const targetWord = targetWords[i] || '';
-      const spokenWord = spokenWords[i] || '';
-      
-      const wordResult = {
-        index: i,
-        targetWord,
-        spokenWord,
-        status: this.compareWords(targetWord, spokenWord),
-        similarity: this.calculateWordSimilarity(targetWord, spokenWord),
-        phonemeMatch: this.comparePhonemes(targetWord, spokenWord),
-        suggestions: this.generateWordSuggestions(targetWord, spokenWord)
-      };
-      
-      wordAnalysis.push(wordResult);
-    }
-    
-    return wordAnalysis;
+  // Share of the words read so far that were read correctly, with the aligner's
+  // partial credit for words that sound like the target
+  // Accuracy over the words the reader reached; a score adjusted elsewhere, e.g. for hints, can be passed in
+  calculateAccuracy(alignment, score = this.readingAligner.getScore(alignment)) {
+    const wordsRead = this.countWordsRead(alignment);
+    return wordsRead > 0 ? Math.min(1, score / wordsRead) : 0;
+  }
+
+  // Passage words up to where the reader stopped; words never reached are left out
+  countWordsRead(alignment) {
+    return alignment.targetLength - alignment.counts.unread;
+  }
+
+  // Align a transcript with the passage; self-corrections, repetitions and false starts are not errors
+  alignReading(targetText, spokenText) {
+    return this.miscueAnalyzer.analyze(this.readingAligner.align(targetText, spokenText));
+  }
+
+  groupMiscues(miscues) {
+    return {
+      selfCorrections: miscues.filter(miscue => miscue.type === 'self_correction'),
+      repetitions: miscues.filter(miscue => miscue.type === 'repetition'),
+      falseStarts: miscues.filter(miscue => miscue.type === 'false_start')
+    };
+  }
+
+  // Running record scores: accuracy over words read and the self-correction ratio (1:n)
+  calculateRunningRecord(alignment) {
+    const { correct, substituted, omitted, inserted, selfCorrections } = alignment.counts;
+    const wordsRead = correct + substituted + omitted;
+    const errors = substituted + omitted + inserted;
+
+    return {
+      wordsRead,
+      errors,
+      selfCorrections,
+      accuracyRate: wordsRead > 0 ? Math.max(0, (wordsRead - errors) / wordsRead) : 0,
+      selfCorrectionRatio: selfCorrections > 0 ? Math.round((errors + selfCorrections) / selfCorrections) : null
+    };
   }
 
-  analyzePhonemes(targetText, spokenText) {
+  analyzeWordLevel(targetText, spokenText, alignment = this.alignReading(targetText, spokenText)) {
+    // Words the reader has not reached yet are left out of the analysis
+    return alignment.words
+      .filter(entry => entry.status !== 'unread')
+      .map(entry => ({
+        index: entry.index,
+        targetWord: entry.target,
+        spokenWord: entry.spoken,
+        spokenIndex: entry.spokenIndex,
+        alignment: entry.status,
+        correct: entry.status === 'correct',
+        selfCorrected: Boolean(entry.selfCorrected),
+        repeated: Boolean(entry.repeated),
+        status: this.compareWords(entry.target, entry.spoken),
+        similarity: entry.similarity,
+        phonemeMatch: this.comparePhonemes(entry.target, entry.spoken),
+        suggestions: this.generateWordSuggestions(entry.target, entry.spoken)
+      }));
+  }
+
+  analyzePhonemes(targetText, spokenText, alignment = this.alignReading(targetText, spokenText)) {
     // Advanced phoneme analysis for pronunciation feedback
     const targetPhonemes = this.pronunciationAnalyzer.textToPhonemes(targetText);
     const spokenPhonemes = this.pronunciationAnalyzer.estimatePhonemes(spokenText);
-    
+
+    // Sounds are compared word by word, for the passage words the reader actually said;
+    // a word said the way the reader's dialect says it has no sounds to correct
+    const wordPairs = alignment.words
+      .filter(entry => (entry.status === 'correct' && !entry.dialectVariant) || entry.status === 'substituted')
+      .map(entry => ({
+        index: entry.index,
+        word: entry.target,
+        target: this.wordsToPhonemes(entry.target),
+        spoken: this.wordsToPhonemes(entry.spoken)
+      }));
+    const comparisons = wordPairs.flatMap(pair => (
+      this.phonemeClassifier.compareWord(pair.word, pair.target, pair.spoken)
+        .map(comparison => ({ ...comparison, wordIndex: pair.index }))
+    ));
+    const difficultPhonemes = this.identifyDifficultPhonemes(comparisons);
+
     return {
       targetPhonemes,
       spokenPhonemes,
-      phonemeAccuracy: this.calculatePhonemeAccuracy(targetPhonemes, spokenPhonemes),
-      difficultPhonemes: this.identifyDifficultPhonemes(targetPhonemes, spokenPhonemes),
-      improvementAreas: this.identifyPhonemeImprovementAreas(targetPhonemes, spokenPhonemes)
+      comparisons,
+      phonemeAccuracy: this.calculatePhonemeAccuracy(wordPairs),
+      difficultPhonemes,
+      errorFamilies: this.phonemeClassifier.summarizeFamilies(difficultPhonemes),
+      improvementAreas: this.identifyPhonemeImprovementAreas(difficultPhonemes)
     };
   }
 
-  analyzeProsody(speechSegment) {
+  // Normalized entries can hold several words ("five dollars"); stress is kept for vowel reduction
+  wordsToPhonemes(text) {
+    return text.split(' ').flatMap(word => this.g2p.toPhonemes(word));
+  }
+
+  calculatePhonemeAccuracy(wordPairs) {
+    const total = wordPairs.reduce((sum, pair) => sum + pair.target.length, 0);
+    if (total === 0) return 0;
+
+    const matched = wordPairs.reduce((sum, pair) => (
+      sum + this.g2p.phonemeSimilarity(pair.target, pair.spoken) * pair.target.length
+    ), 0);
+    return matched / total;
+  }
+
+  // Expected sounds that were changed or left out, labelled with their error family
+  identifyDifficultPhonemes(comparisons) {
+    return comparisons
+      .filter(comparison => comparison.error && comparison.expected)
+      .map(comparison => this.phonemeClassifier.describeError(comparison));
+  }
+
+  // The sounds missed most often, with practice words for each
+  identifyPhonemeImprovementAreas(difficultPhonemes) {
+    const byPhoneme = {};
+    difficultPhonemes.forEach(error => {
+      if (!byPhoneme[error.phoneme]) {
+        byPhoneme[error.phoneme] = {
+          phoneme: error.phoneme,
+          ipa: error.ipa,
+          family: error.family,
+          count: 0,
+          words: [],
+          examples: error.examples
+        };
+      }
+      const area = byPhoneme[error.phoneme];
+      area.count++;
+      if (!area.words.includes(error.word)) area.words.push(error.word);
+    });
+
+    return Object.values(byPhoneme)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 3);
+  }
+
+  // 0-1 similarity of how two words sound
+  comparePhonemes(target, spoken) {
+    if (!spoken) return 0;
+    return this.g2p.phonemeSimilarity(this.wordsToPhonemes(target), this.wordsToPhonemes(spoken));
+  }
+
+  generateWordSuggestions(target, spoken) {
+    if (!spoken || target === spoken || this.phoneticMatcher.areHomophones(target, spoken)) return [];
+
+    const phonemes = this.wordsToPhonemes(target);
+    const syllables = this.g2p.syllabify(phonemes);
+    const suggestions = [`Say it slowly: ${target.split(' ').map(word => this.g2p.toIPA(word)).join(' ')}`];
+    if (syllables.length > 1) {
+      suggestions.push(`Break it into ${syllables.length} parts and blend them together`);
+    }
+    return suggestions;
+  }
+
+  analyzeProsody(speechSegment, alignment) {
     // Analyze rhythm, stress, and intonation
     return {
       rhythm: this.analyzeSpeechRhythm(speechSegment),
       stress: this.analyzeWordStress(speechSegment),
-      intonation: this.analyzeIntonation(speechSegment),
+      intonation: this.analyzeIntonation(speechSegment, alignment),
       pace: this.analyzeSpeechPace(speechSegment),
       pauses: this.analyzePauses(speechSegment)
     };
   }
 
-  // Multi-accent support
-  detectAndAdaptToAccent(speechData) {
-    const detectedAccent = this.accentDetector.detectAccent(speechData);
-    
-    if (detectedAccent !== this.currentSession.accent) {
-      // Adapt recognition and analysis for detected accent
-      this.adaptToAccent(detectedAccent);
-      this.currentSession.accent = detectedAccent;
+  // Sentence-by-sentence intonation from the pitch contour
+  analyzeIntonation(speechSegment, alignment) {
+    const sentences = this.getReadSentences(alignment);
+    const scored = sentences
+      .map(sentence => this.scoreSentenceIntonation(sentence, this.pitchTracker.getContour(sentence.startTime, sentence.endTime)))
+      .filter(Boolean);
+
+    if (scored.length === 0) {
+      return { available: false, sentences: [], overallScore: null, questionScore: null, statementScore: null, monotone: false, feedback: [] };
     }
-    
-    return detectedAccent;
+
+    const average = (items) => items.length > 0 ? items.reduce((sum, item) => sum + item.score, 0) / items.length : null;
+    const questions = scored.filter(sentence => sentence.type === 'question');
+    const statements = scored.filter(sentence => sentence.type !== 'question');
+    const monotone = scored.filter(sentence => sentence.monotone).length >= scored.length / 2;
+
+    return {
+      available: true,
+      sentences: scored,
+      overallScore: average(scored),
+      questionScore: average(questions),
+      statementScore: average(statements),
+      monotone,
+      feedback: this.generateIntonationFeedback(scored, monotone)
+    };
+  }
+
+  // Passage sentences the reader has finished, with the time span they were read in,
+  // from the session alignment the caller already has
+  getReadSentences(alignment) {
+    if (!this.currentSession?.targetText) return [];
+
+    const timeline = this.buildPassageTimeline(this.currentSession.targetText, 0, alignment);
+    const timingByIndex = new Map(timeline.wordTimings.map(timing => [timing.index, timing]));
+
+    return this.splitSentences(this.currentSession.targetText)
+      .map(sentence => {
+        const timings = sentence.wordIndexes.map(index => timingByIndex.get(index)).filter(Boolean);
+        const lastTiming = timingByIndex.get(sentence.wordIndexes[sentence.wordIndexes.length - 1]);
+        if (!lastTiming || timings.length === 0) return null;
+
+        return { ...sentence, startTime: timings[0].start, endTime: lastTiming.end };
+      })
+      .filter(Boolean);
+  }
+
+  splitSentences(text) {
+    const sentences = [];
+    let current = [];
+
+    // One token per passage word; "$5" normalizes to two tokens sharing an index
+    const tokens = this.readingAligner.tokenizePassage(text)
+      .filter((token, position, all) => position === 0 || all[position - 1].index !== token.index);
+
+    tokens.forEach(token => {
+      current.push(token);
+      if (/[.!?]["'\u201d\u2019)\]]*$/.test(token.raw)) {
+        sentences.push(this.describeSentence(current));
+        current = [];
+      }
+    });
+
+    if (current.length > 0) {
+      sentences.push(this.describeSentence(current));
+    }
+
+    return sentences;
+  }
+
+  describeSentence(tokens) {
+    const text = tokens.map(token => token.raw).join(' ');
+    const ending = text.replace(/["'\u201d\u2019)\]]+$/, '').slice(-1);
+    const type = ending === '?' ? 'question' : ending === '!' ? 'exclamation' : 'statement';
+    const whWords = ['who', 'what', 'where', 'when', 'why', 'how', 'which', 'whose'];
+    const isWhQuestion = type === 'question' && whWords.includes(tokens[0].word);
+
+    // Yes/no questions rise; wh-questions may fall or rise; statements fall
+    let expected = 'fall';
+    if (type === 'question') {
+      expected = isWhQuestion ? 'fall_or_rise' : 'rise';
+    }
+
+    return { text, type, expected, wordIndexes: tokens.map(token => token.index) };
+  }
+
+  scoreSentenceIntonation(sentence, contour) {
+    if (contour.length < 5) return null;
+
+    const reference = this.median(contour.map(point => point.frequency));
+    const semitones = contour.map(point => PitchTracker.toSemitones(point.frequency, reference));
+    const sorted = [...semitones].sort((a, b) => a - b);
+    const pitchRange = sorted[Math.floor(sorted.length * 0.9)] - sorted[Math.floor(sorted.length * 0.1)];
+
+    // Compare the end of the sentence with the body before it
+    const duration = sentence.endTime - sentence.startTime;
+    const endingStart = sentence.endTime - Math.max(400, duration * 0.25);
+    const ending = semitones.filter((_, i) => contour[i].time >= endingStart);
+    const body = semitones.filter((_, i) => contour[i].time < endingStart);
+    const endingShift = ending.length > 0 && body.length > 0 ? this.median(ending) - this.median(body) : 0;
+
+    let observed = 'level';
+    if (endingShift > 1) observed = 'rise';
+    else if (endingShift < -1) observed = 'fall';
+
+    const scores = {
+      rise: { rise: 1, level: 0.5, fall: 0.2 },
+      fall: { fall: 1, level: 0.5, rise: 0.3 },
+      fall_or_rise: { fall: 1, rise: 1, level: 0.6 }
+    };
+    const monotone = pitchRange < 2;
+    const score = scores[sentence.expected][observed] * (monotone ? 0.7 : 1);
+
+    return {
+      text: sentence.text,
+      type: sentence.type,
+      expected: sentence.expected,
+      observed,
+      score,
+      monotone,
+      endingShift: Math.round(endingShift * 10) / 10,
+      pitchRange: Math.round(pitchRange * 10) / 10,
+      meanPitch: Math.round(reference),
+      contour: this.downsampleContour(contour, semitones, sentence.startTime)
+    };
+  }
+
+  // At most 40 points per sentence, in milliseconds from the sentence start
+  downsampleContour(contour, semitones, startTime) {
+    const step = Math.max(1, Math.ceil(contour.length / 40));
+    const points = [];
+    for (let i = 0; i < contour.length; i += step) {
+      points.push({ time: contour[i].time - startTime, semitones: Math.round(semitones[i] * 10) / 10 });
+    }
+    return points;
+  }
+
+  generateIntonationFeedback(sentences, monotone) {
+    const feedback = [];
+    const flatQuestion = sentences.find(sentence => sentence.expected === 'rise' && sentence.observed !== 'rise');
+    const risingStatement = sentences.find(sentence => sentence.type === 'statement' && sentence.observed === 'rise');
+
+    if (flatQuestion) {
+      feedback.push(`Let your voice go up at the end of questions like "${flatQuestion.text}"`);
+    }
+    if (risingStatement) {
+      feedback.push('Let your voice drop at the end of a sentence to show it is finished');
+    }
+    if (monotone) {
+      feedback.push('Read with more expression - let your voice go up and down like when you talk');
+    }
+
+    return feedback;
+  }
+
+  // Stressed words stand out from the segment in pitch and loudness
+  analyzeWordStress(speechSegment) {
+    const measured = (speechSegment.wordTimings || [])
+      .map(timing => ({ word: timing.word, contour: this.pitchTracker.getContour(timing.start, timing.end) }))
+      .filter(entry => entry.contour.length > 0)
+      .map(entry => ({
+        word: entry.word,
+        pitch: this.median(entry.contour.map(point => point.frequency)),
+        energy: entry.contour.reduce((sum, point) => sum + point.rms, 0) / entry.contour.length
+      }));
+
+    if (measured.length < 2) {
+      return { available: false, words: [], stressedWords: [] };
+    }
+
+    const pitchScores = this.zScores(measured.map(entry => PitchTracker.toSemitones(entry.pitch, measured[0].pitch)));
+    const energyScores = this.zScores(measured.map(entry => entry.energy));
+
+    const words = measured.map((entry, i) => {
+      const prominence = (pitchScores[i] + energyScores[i]) / 2;
+      return { word: entry.word, prominence: Math.round(prominence * 100) / 100, stressed: prominence > 0.8 };
+    });
+
+    return {
+      available: true,
+      words,
+      stressedWords: words.filter(entry => entry.stressed).map(entry => entry.word)
+    };
   }
 
+  // Rhythm from the lengths of the voiced stretches between pauses (nPVI)
+  analyzeSpeechRhythm(speechSegment) {
+    const durations = (speechSegment.voicedIntervals || []).map(interval => interval.end - interval.start);
+    if (durations.length < 2) {
+      return { available: false, chunkCount: durations.length, variability: null, category: 'unknown' };
+    }
+
+    let pairwise = 0;
+    for (let i = 1; i < durations.length; i++) {
+      const mean = (durations[i] + durations[i - 1]) / 2;
+      pairwise += mean > 0 ? Math.abs(durations[i] - durations[i - 1]) / mean : 0;
+    }
+    const variability = 100 * pairwise / (durations.length - 1);
+    const averageChunkLength = durations.reduce((sum, d) => sum + d, 0) / durations.length;
+
+    let category = 'steady';
+    if (averageChunkLength < 400) category = 'choppy';
+    else if (variability > 65) category = 'uneven';
+    else if (variability > 40) category = 'varied';
+
+    return {
+      available: true,
+      chunkCount: durations.length,
+      averageChunkLength: Math.round(averageChunkLength),
+      variability: Math.round(variability),
+      category
+    };
+  }
+
+  analyzeSpeechPace(speechSegment) {
+    return this.analyzeSpeechSpeed(speechSegment);
+  }
+
+  // Silent gaps inside one recognized segment
+  analyzePauses(speechSegment) {
+    const intervals = speechSegment.voicedIntervals || [];
+    const gaps = [];
+    for (let i = 1; i < intervals.length; i++) {
+      gaps.push(intervals[i].start - intervals[i - 1].end);
+    }
+
+    const totalTime = gaps.reduce((sum, gap) => sum + gap, 0);
+    return {
+      count: gaps.length,
+      totalTime,
+      averageDuration: gaps.length > 0 ? Math.round(totalTime / gaps.length) : 0,
+      longPauses: gaps.filter(gap => gap >= 500).length
+    };
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  zScores(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const deviation = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    return values.map(value => deviation > 0 ? (value - mean) / deviation : 0);
+  }
+
+  // Multi-accent support: 'auto' uses the learner's confirmed accent, or one detected
+  // from their past sessions with enough confidence, and otherwise stays 'auto'
+  detectAndAdaptToAccent() {
+    const accent = this.accentDetector.getAccent();
+    this.adaptToAccent(accent);
+    return accent;
+  }
+
+  // The likeliest accent so far, for the learner or teacher to confirm
+  getAccentDetection() {
+    return this.accentDetector.detectAccent();
+  }
+
+  // Keep a confirmed or chosen accent in the learner's accent profile; 'auto' clears it
+  setConfirmedAccent(accent, source) {
+    this.accentDetector.confirmAccent(accent, source);
+  }
+
+  // The accent also picks the dialect profile words are scored with, unless a teacher chose one
   adaptToAccent(accent) {
     // Adjust pronunciation models and expectations
     this.pronunciationAnalyzer.setAccentModel(accent);
@@ -311,7 +1111,7 @@ class AdvancedSpeechEngine {
   calculateAdvancedConfidence(speechSegment, analysis) {
     const factors = {
       recognitionConfidence: speechSegment.primary.confidence,
-      alternativeConsistency: this.calculateAlternativeConsistency(speechSegment.alternatives),
+      alternativeConsistency: this.calculateAlternativeConsistency(speechSegment.alternatives, speechSegment.rescoring),
       pronunciationAccuracy: analysis.accuracy,
       fluencyScore: analysis.fluency.overallScore,
       speechClarity: this.calculateSpeechClarity(speechSegment),
@@ -340,10 +1140,53 @@ class AdvancedSpeechEngine {
     };
   }
 
+  // How much the N-best alternatives agree on the words that were chosen
+  calculateAlternativeConsistency(alternatives = [], rescoring = null) {
+    if (rescoring) return rescoring.consistency;
+    if (alternatives.length <= 1) return 1;
+
+    // Without a rescoring pass, compare every alternative with the first one
+    const primaryWords = this.tokenizeText(alternatives[0].transcript);
+    const agreement = alternatives.slice(1).map(alternative => {
+      const words = this.tokenizeText(alternative.transcript);
+      const shared = words.filter(word => primaryWords.includes(word)).length;
+      return shared / Math.max(words.length, primaryWords.length, 1);
+    });
+    return agreement.reduce((sum, value) => sum + value, 0) / agreement.length;
+  }
+
+  // Share of the read words the first hypothesis already got right, i.e. no alternative had to rescue them
+  calculateSpeechClarity(speechSegment) {
+    const words = speechSegment.rescoring?.words.filter(word => word.spoken !== null) || [];
+    if (words.length === 0) return speechSegment.primary.confidence || 0;
+
+    return 1 - (speechSegment.rescoring.rescued.length / words.length);
+  }
+
+  // Factors that disagree with each other make the overall confidence less trustworthy
+  calculateReliability(factors) {
+    const values = Object.values(factors).filter(value => typeof value === 'number');
+    if (values.length === 0) return 'low';
+
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const spread = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    if (spread < 0.15) return 'high';
+    if (spread < 0.3) return 'medium';
+    return 'low';
+  }
+
+  // Noise score from 0 (too noisy) to 1 (quiet), from the measured signal-to-noise ratio
+  estimateBackgroundNoise(speechSegment) {
+    const snrDb = speechSegment.signalToNoise ?? this.calibration?.snrDb;
+    if (snrDb === null || snrDb === undefined) return 1;
+
+    return Math.max(0, Math.min(1, (snrDb - 5) / 25));
+  }
+
   // Speech speed and fluency analysis
   analyzeSpeechSpeed(speechSegment) {
     const duration = speechSegment.duration || 1000; // milliseconds
-    const wordCount = speechSegment.primary.transcript.split(' ').length;
+    const wordCount = this.tokenizeText(speechSegment.primary.transcript).length;
     const wordsPerMinute = (wordCount / duration) * 60000;
     
     const speedCategories = {
@@ -374,11 +1217,13 @@ class AdvancedSpeechEngine {
       const prevSegment = speechSegments[i - 1];
       const currentSegment = speechSegments[i];
       
-      const pauseDuration = currentSegment.timestamp - (prevSegment.timestamp + prevSegment.duration);
+      const prevEnd = prevSegment.endTime ?? (prevSegment.timestamp + prevSegment.duration);
+      const currentStart = currentSegment.startTime ?? currentSegment.timestamp;
+      const pauseDuration = currentStart - prevEnd;
       
       if (pauseDuration > 200) { // Pause longer than 200ms
         pauses.push({
-          startTime: prevSegment.timestamp + prevSegment.duration,
+          startTime: prevEnd,
           duration: pauseDuration,
           type: this.categorizePause(pauseDuration),
           context: this.analyzePauseContext(prevSegment, currentSegment)
@@ -391,6 +1236,16 @@ class AdvancedSpeechEngine {
 
   // Error handling and recovery
   handleRecognitionError(event) {
+    // During a session, silence is a pause rather than an error
+    if (event.error === 'no-speech' && this.shouldKeepListening()) {
+      this.pauseSession(this.lastSpeechTime);
+      return;
+    }
+
+    if (['not-allowed', 'service-not-allowed', 'audio-capture', 'model-unavailable'].includes(event.error)) {
+      this.fatalRecognitionError = true;
+    }
+
     const errorHandlers = {
       'no-speech': () => this.handleNoSpeechError(),
       'audio-capture': () => this.handleAudioCaptureError(),
@@ -503,16 +1358,14 @@ class AdvancedSpeechEngine {
   }
 
   tokenizeText(text) {
-    return text.toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 0);
+    return this.textNormalizer.normalizeWords(text);
   }
 
   compareWords(target, spoken) {
-    if (target === spoken) return 'perfect';
-    if (this.calculateWordSimilarity(target, spoken) > 0.8) return 'close';
-    if (this.calculateWordSimilarity(target, spoken) > 0.5) return 'similar';
+    const { similarity, match } = this.phoneticMatcher.compare(target, spoken);
+    if (match === 'exact' || match === 'homophone') return 'perfect';
+    if (match === 'sound_alike' || similarity > 0.8) return 'close';
+    if (similarity > 0.5) return 'similar';
     return 'different';
   }
 
@@ -543,9 +1396,102 @@ class AdvancedSpeechEngine {
     return matrix[str2.length][str1.length];
   }
 
-  calculateSegmentDuration() {
-    // Estimate duration based on speech timing
-    return 1000; // Placeholder - would use actual audio timing
+  // Build a speech segment with timestamps from the voice-activity detector
+  createSpeechSegment(alternatives) {
+    const now = Date.now();
+    const voicedIntervals = this.audioCapture.getSpeechSegmentsBetween(this.lastSegmentEnd, now);
+
+    // Without detected speech, the segment spans the time since the previous result
+    const startTime = voicedIntervals.length > 0 ? voicedIntervals[0].start : this.lastSegmentEnd;
+    const endTime = voicedIntervals.length > 0 ? voicedIntervals[voicedIntervals.length - 1].end : now;
+    const intervals = voicedIntervals.length > 0 ? voicedIntervals : [{ start: startTime, end: endTime }];
+
+    this.lastSegmentEnd = now;
+
+    return {
+      timestamp: now,
+      alternatives,
+      primary: alternatives[0],
+      isFinal: true,
+      startTime,
+      endTime,
+      duration: this.calculateSegmentDuration(intervals),
+      voicedIntervals: intervals,
+      signalToNoise: this.audioCapture.getSignalToNoise() ?? this.calibration?.snrDb ?? null,
+      wordTimings: this.estimateWordTimings(alternatives[0]?.transcript || '', intervals)
+    };
+  }
+
+  calculateSegmentDuration(intervals) {
+    // Voiced time only, so silence before and after the words is not counted
+    return intervals.reduce((total, interval) => total + (interval.end - interval.start), 0);
+  }
+
+  // Recognizers do not report word times, so spread the words over the voiced
+  // intervals in proportion to their length
+  estimateWordTimings(transcript, intervals) {
+    const words = this.tokenizeText(transcript);
+    const totalDuration = this.calculateSegmentDuration(intervals);
+    if (words.length === 0 || totalDuration <= 0) return [];
+
+    const totalWeight = words.reduce((sum, word) => sum + word.length + 1, 0);
+    let elapsedWeight = 0;
+
+    return words.map((word, index) => {
+      const startOffset = totalDuration * (elapsedWeight / totalWeight);
+      elapsedWeight += word.length + 1;
+      const endOffset = totalDuration * (elapsedWeight / totalWeight);
+
+      return {
+        word,
+        index,
+        start: this.voicedOffsetToTime(intervals, startOffset, false),
+        end: this.voicedOffsetToTime(intervals, endOffset, true)
+      };
+    });
+  }
+
+  // Map an offset into the voiced time onto a wall-clock timestamp. A start that
+  // lands exactly on the end of an interval belongs to the next one.
+  voicedOffsetToTime(intervals, offset, isEnd) {
+    let remaining = offset;
+
+    for (const interval of intervals) {
+      const length = interval.end - interval.start;
+      if (remaining < length || (isEnd && remaining === length)) {
+        return interval.start + remaining;
+      }
+      remaining -= length;
+    }
+
+    return intervals[intervals.length - 1].end;
+  }
+
+  // Elapsed time from the first detected speech onset to the latest offset
+  getReadingTime() {
+    const segments = this.audioCapture.getSpeechSegments();
+    if (segments.length > 0) {
+      return this.excludePausedTime(segments[0].start, segments[segments.length - 1].end);
+    }
+
+    if (this.speechData.length > 0) {
+      const first = this.speechData[0];
+      const last = this.speechData[this.speechData.length - 1];
+      return this.excludePausedTime(first.startTime, last.endTime);
+    }
+
+    return 0;
+  }
+
+  excludePausedTime(startTime, endTime) {
+    return Math.max(0, endTime - startTime - this.getPausedTimeBetween(startTime, endTime));
+  }
+
+  // Words correct per minute, the fluency measure teachers report. The words
+  // correct are the aligner's score, so sound-alikes get the same partial credit everywhere.
+  calculateWCPM(score, readingTime) {
+    if (!readingTime || readingTime <= 0) return 0;
+    return Math.round((score / readingTime) * 60000);
   }
 
   performQuickAnalysis(interim) {
@@ -558,11 +1504,10 @@ class AdvancedSpeechEngine {
     };
   }
 
-  generateRecommendations(targetText, spokenText, speechSegment) {
+  generateRecommendations(accuracy, speechSegment) {
     const recommendations = [];
     
     // Accuracy-based recommendations
-    const accuracy = this.pronunciationAnalyzer.calculateAccuracy(targetText, spokenText);
     if (accuracy < 0.7) {
       recommendations.push({
         type: 'pronunciation',
@@ -591,6 +1536,12 @@ class AdvancedSpeechEngine {
     return {
       session: this.currentSession,
       speechData: this.speechData,
+      speechSegments: this.audioCapture.getSpeechSegments(),
+      readingTime: this.getReadingTime(),
+      pauses: this.pauses,
+      pausedTime: this.getPausedTime(),
+      isPaused: this.isPaused,
+      calibration: this.calibration,
       isListening: this.isListening
     };
   }
@@ -615,9 +1566,12 @@ class AdvancedSpeechEngine {
   }
 
   cleanup() {
+    this.stopRequested = true;
     if (this.isListening) {
       this.stopListening();
     }
+    this.attemptRecorder.stop();
+    this.audioCapture.stop();
     
     this.currentSession = null;
     this.speechData = [];
@@ -626,71 +1580,203 @@ class AdvancedSpeechEngine {
 
 // Supporting classes would be implemented here
 class PronunciationAnalyzer {
-  calculateAccuracy(target, spoken) {
-    // Simplified accuracy calculation
-    const similarity = this.calculateSimilarity(target, spoken);
-    return Math.max(0, Math.min(1, similarity));
+  constructor(g2p, dialectProfiles, dialectSettings = {}) {
+    this.g2p = g2p;
+    this.dialectProfiles = dialectProfiles;
+    this.dialectSettings = { profile: 'none', disabledRules: [], ...dialectSettings };
+    this.currentAccentModel = 'auto';
+    this.setAccentModel(this.currentAccentModel);
   }
 
-  calculateSimilarity(str1, str2) {
-    // Placeholder implementation
-    return 0.85;
-  }
-
-  analyzePronunciation(target, spoken) {
+  // Accuracy comes from the passage alignment
+  analyzePronunciation(accuracy) {
     return {
-      overallScore: this.calculateAccuracy(target, spoken),
+      overallScore: accuracy,
       wordScores: [],
       phonemeScores: [],
       improvements: []
     };
   }
 
+  // One entry per phoneme, tagged with the word it belongs to
   textToPhonemes(text) {
-    // Convert text to phonemes (simplified)
-    return text.split('').map(char => ({ char, phoneme: char }));
+    return this.g2p.textToPhonemes(text).flatMap(({ word, wordIndex, phonemes }) => (
+      phonemes.map(phoneme => ({ word, wordIndex, phoneme, ipa: this.g2p.phonemeToIPA(phoneme) }))
+    ));
   }
 
+  // A transcript only has words, so its phonemes are estimated from their spelling
   estimatePhonemes(text) {
-    // Estimate phonemes from spoken text
     return this.textToPhonemes(text);
   }
 
+  // A dialect profile chosen by a teacher always applies; otherwise the accent's own profile does
   setAccentModel(accent) {
-    // Adjust pronunciation model for accent
     this.currentAccentModel = accent;
-  }
-}
 
-class AccentDetector {
-  detectAccent(spokenText, alternatives) {
-    // Simplified accent detection
-    return 'american';
+    const { profile, disabledRules } = this.dialectSettings;
+    this.dialectProfiles.setProfile(profile !== 'none' ? profile : DialectProfiles.forAccent(accent), { disabledRules });
   }
 
-  configureForAccent(accent) {
-    this.targetAccent = accent;
+  setDialectSettings(settings) {
+    this.dialectSettings = { ...this.dialectSettings, ...settings };
+    this.setAccentModel(this.currentAccentModel);
   }
 }
 
+// Silences shorter than this are part of saying the words, not a pause
+const PHRASE_PAUSE_MIN = 250; // milliseconds
+
+// Words that start a new phrase, so a pause before them is natural even without punctuation
+const PHRASE_STARTERS = ['and', 'but', 'or', 'so', 'while', 'because', 'when', 'where', 'which', 'who', 'that', 'with', 'for'];
+
+// Fewest word boundaries that say anything about phrasing
+const MIN_PHRASING_BOUNDARIES = 4;
+
+// NAEP oral reading fluency scale: what each phrasing level sounds like
+const NAEP_LEVELS = {
+  1: 'Reads mostly word by word',
+  2: 'Reads mostly in two-word phrases, with some awkward groupings',
+  3: 'Reads mostly in three- or four-word phrases that follow the text',
+  4: 'Reads in larger, meaningful phrases that follow the punctuation'
+};
+
 class FluencyAnalyzer {
-  analyzeFluency(speechSegment) {
+  // Phrasing from where the reader paused: at punctuation and phrase boundaries,
+  // or between words inside a phrase. Scored 1-4 like the NAEP fluency scale.
+  analyzeFluency(timeline, intonation = null) {
+    const phrasing = this.analyzePhrasing(timeline, intonation);
+
     return {
-      overallScore: 0.8,
-      pace: 'normal',
-      rhythm: 'good',
-      smoothness: 'good'
+      overallScore: phrasing.available ? phrasing.score : null,
+      phrasing
     };
   }
 
+  analyzePhrasing({ words = [], wordTimings = [], silences = [], measured = false }, intonation) {
+    const boundaries = this.findBoundaries(words, wordTimings);
+    if (!measured || boundaries.length < MIN_PHRASING_BOUNDARIES) {
+      return { available: false, level: null, score: null, description: null, feedback: [] };
+    }
+
+    this.assignSilences(boundaries, silences);
+
+    const paused = boundaries.filter(boundary => boundary.pause >= PHRASE_PAUSE_MIN);
+    const punctuation = boundaries.filter(boundary => boundary.type === 'sentence' || boundary.type === 'clause');
+    const midPhrase = boundaries.filter(boundary => boundary.type === 'none');
+    const rate = (items) => items.length > 0 ? items.filter(boundary => boundary.pause >= PHRASE_PAUSE_MIN).length / items.length : null;
+
+    const punctuationPauseRate = rate(punctuation);
+    const midPhrasePauseRate = rate(midPhrase);
+    // Share of pauses that fall where the text allows one
+    const boundaryAlignment = paused.length > 0 ? paused.filter(boundary => boundary.type !== 'none').length / paused.length : null;
+    const averagePhraseLength = (boundaries.length + 1) / (paused.length + 1);
+
+    const wordByWord = midPhrasePauseRate !== null && midPhrasePauseRate >= 0.5;
+    const runOn = punctuation.length >= 2 && punctuationPauseRate < 0.34;
+
+    let level = averagePhraseLength >= 5 ? 4 : averagePhraseLength >= 3 ? 3 : averagePhraseLength >= 2 ? 2 : 1;
+    if (wordByWord) level = Math.min(level, midPhrasePauseRate >= 0.75 ? 1 : 2);
+    if (paused.length >= 2 && boundaryAlignment < 0.5) level = Math.min(level, 2);
+    if (runOn) level = Math.min(level, punctuationPauseRate === 0 && punctuation.length >= 3 ? 2 : 3);
+    // The top level also needs some expression
+    if (intonation?.available && intonation.monotone) level = Math.min(level, 3);
+
+    return {
+      available: true,
+      level,
+      score: level / 4,
+      description: NAEP_LEVELS[level],
+      averagePhraseLength,
+      punctuationPauseRate,
+      midPhrasePauseRate,
+      boundaryAlignment,
+      wordByWord,
+      runOn,
+      pauses: paused.map(boundary => ({ afterIndex: boundary.afterIndex, duration: boundary.pause, boundary: boundary.type })),
+      feedback: this.generatePhrasingFeedback({ wordByWord, runOn, boundaryAlignment, level })
+    };
+  }
+
+  // Gaps between consecutive passage words that were both read
+  findBoundaries(words, wordTimings) {
+    const rawByIndex = new Map(words.map(word => [word.index, word.raw]));
+    const timingByIndex = new Map();
+
+    // "$5" is read as two words sharing an index
+    wordTimings.forEach(timing => {
+      const existing = timingByIndex.get(timing.index);
+      timingByIndex.set(timing.index, existing ? { ...existing, end: timing.end } : { ...timing });
+    });
+
+    const boundaries = [];
+    timingByIndex.forEach((timing, index) => {
+      const next = timingByIndex.get(index + 1);
+      if (!next || !rawByIndex.has(index + 1)) return;
+
+      boundaries.push({
+        afterIndex: index,
+        time: timing.end,
+        type: this.classifyBoundary(rawByIndex.get(index), rawByIndex.get(index + 1)),
+        pause: 0
+      });
+    });
+
+    return boundaries.sort((a, b) => a.afterIndex - b.afterIndex);
+  }
+
+  classifyBoundary(word, nextWord) {
+    const ending = word.replace(/["'\u201d\u2019)\]]+$/, '');
+    if (/[.!?]$/.test(ending)) return 'sentence';
+    if (/[,;:\u2014\u2013]$/.test(ending)) return 'clause';
+    if (PHRASE_STARTERS.includes(nextWord.toLowerCase().replace(/[^a-z']/g, ''))) return 'phrase';
+    return 'none';
+  }
+
+  // Word times are estimated over the voiced audio, so a silence can fall inside a
+  // word's estimated span; each silence goes to the nearest word boundary instead
+  assignSilences(boundaries, silences) {
+    const first = boundaries[0].time;
+    const last = boundaries[boundaries.length - 1].time;
+
+    silences.forEach(silence => {
+      if (silence.end < first || silence.start > last) return;
+
+      const nearest = boundaries.reduce((best, boundary) => (
+        Math.abs(boundary.time - silence.start) < Math.abs(best.time - silence.start) ? boundary : best
+      ));
+      nearest.pause += silence.end - silence.start;
+    });
+  }
+
+  generatePhrasingFeedback({ wordByWord, runOn, boundaryAlignment, level }) {
+    const feedback = [];
+
+    if (wordByWord) {
+      feedback.push('Try reading groups of words together instead of one word at a time.');
+    } else if (boundaryAlignment !== null && boundaryAlignment < 0.5) {
+      feedback.push('Pause where the sentence gives you a break, not in the middle of a phrase.');
+    }
+    if (runOn) {
+      feedback.push('Take a short breath at commas and a longer one at periods.');
+    }
+    if (feedback.length === 0 && level === 4) {
+      feedback.push('Lovely phrasing! Your pauses follow the punctuation.');
+    }
+
+    return feedback;
+  }
+
   setAccentParameters(accent) {
     this.accentParameters = accent;
   }
 }
 
 class ConfidenceScorer {
-  calculateConfidence(speechSegment) {
-    return speechSegment.primary.confidence || 0.8;
+  // Recognition confidence counts for less in a noisy room
+  calculateConfidence(speechSegment, noiseScore = 1) {
+    const recognitionConfidence = speechSegment.primary.confidence || 0.8;
+    return recognitionConfidence * (0.75 + 0.25 * noiseScore);
   }
 }
 
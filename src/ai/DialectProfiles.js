@@ -0,0 +1,217 @@
+/**
+ * Dialect Profiles for LiterateAI
+ * Systematic pronunciation features of a learner's dialect count as correct
+ * reading. Each profile lists phoneme rules ("tes" for "test", "dat" for
+ * "that"); a spoken word that matches the passage word once its profile's rules
+ * are applied is accepted, with a note of which rule applied for the teacher.
+ */
+
+import GraphemeToPhoneme from './GraphemeToPhoneme';
+
+const STORAGE_KEY = 'literateai_dialect_profile';
+
+// Rules are combined at most this many times per word ("dis" + "tes" style changes together)
+const MAX_RULE_APPLICATIONS = 2;
+
+const STOPS = ['P', 'B', 'T', 'D', 'K', 'G'];
+
+const isConsonant = phoneme => !GraphemeToPhoneme.isVowel(phoneme);
+
+const replaceAt = (phonemes, position, replacement) => [
+  ...phonemes.slice(0, position), ...replacement, ...phonemes.slice(position + 1)
+];
+
+// One variant per position where a phoneme in `map` may be swapped for its dialect form
+const substitute = (phonemes, map, where = () => true) => phonemes.flatMap((phoneme, position) => (
+  map[phoneme] && where(position) ? [replaceAt(phonemes, position, [map[phoneme]])] : []
+));
+
+// Each rule turns the passage word's phonemes into the ways the dialect may say it
+const DIALECT_RULES = {
+  final_cluster_reduction: {
+    name: 'Final consonant cluster reduction',
+    example: '"tes" for "test", "han" for "hand"',
+    variants: phonemes => {
+      const last = phonemes.length - 1;
+      return last > 0 && STOPS.includes(phonemes[last]) && isConsonant(phonemes[last - 1]) ?
+        [phonemes.slice(0, last)] : [];
+    }
+  },
+  th_stopping_initial: {
+    name: 'Th-stopping at the start of a word',
+    example: '"dat" for "that", "dem" for "them"',
+    variants: phonemes => substitute(phonemes, { TH: 'T', DH: 'D' }, position => position === 0)
+  },
+  th_stopping: {
+    name: 'Th-stopping',
+    example: '"ting" for "thing", "fader" for "father"',
+    variants: phonemes => substitute(phonemes, { TH: 'T', DH: 'D' })
+  },
+  th_fronting: {
+    name: 'Th-fronting inside and at the end of words',
+    example: '"baf" for "bath", "bruvver" for "brother"',
+    variants: phonemes => [
+      ...substitute(phonemes, { TH: 'F', DH: 'V' }, position => position > 0),
+      ...substitute(phonemes, { DH: 'F' }, position => position > 0 && position === phonemes.length - 1)
+    ]
+  },
+  ing_to_in: {
+    name: '-ing said as -in\'',
+    example: '"goin\'" for "going"',
+    variants: phonemes => substitute(phonemes, { NG: 'N' }, position => position === phonemes.length - 1)
+  },
+  postvocalic_r_deletion: {
+    name: 'R after a vowel not pronounced',
+    example: '"ca\'" for "car", "fo\'" for "four"',
+    variants: phonemes => phonemes.flatMap((phoneme, position) => (
+      phoneme === 'R' && position > 0 && GraphemeToPhoneme.isVowel(phonemes[position - 1]) &&
+        !GraphemeToPhoneme.isVowel(phonemes[position + 1] || '') ? [replaceAt(phonemes, position, [])] : []
+    ))
+  },
+  sk_metathesis: {
+    name: 'Sk metathesis',
+    example: '"aks" for "ask"',
+    variants: phonemes => phonemes.flatMap((phoneme, position) => (
+      phoneme === 'S' && phonemes[position + 1] === 'K' ?
+        [[...phonemes.slice(0, position), 'K', 'S', ...phonemes.slice(position + 2)]] : []
+    ))
+  },
+  h_dropping: {
+    name: 'H-dropping',
+    example: '"ouse" for "house"',
+    variants: phonemes => phonemes[0] === 'HH' ? [phonemes.slice(1)] : []
+  },
+  v_w_merger: {
+    name: 'V and W sounds merged',
+    example: '"wery" for "very", "vest" for "west"',
+    variants: phonemes => substitute(phonemes, { V: 'W', W: 'V' })
+  },
+  z_to_j: {
+    name: 'Z said as J',
+    example: '"joo" for "zoo"',
+    variants: phonemes => substitute(phonemes, { Z: 'JH' })
+  }
+};
+
+// Profiles for the dialects our learners speak; `accent` links a profile to the Accent setting
+const DIALECT_PROFILES = {
+  none: {
+    name: 'Standard scoring',
+    rules: []
+  },
+  african_american: {
+    name: 'African American English',
+    rules: ['final_cluster_reduction', 'th_stopping_initial', 'th_fronting', 'ing_to_in', 'postvocalic_r_deletion', 'sk_metathesis']
+  },
+  indian: {
+    name: 'Indian English',
+    accent: 'indian',
+    rules: ['th_stopping', 'v_w_merger', 'z_to_j', 'postvocalic_r_deletion']
+  },
+  caribbean: {
+    name: 'Caribbean English',
+    rules: ['th_stopping', 'final_cluster_reduction', 'h_dropping', 'ing_to_in', 'postvocalic_r_deletion']
+  }
+};
+
+class DialectProfiles {
+  constructor(options = {}) {
+    this.g2p = options.g2p || new GraphemeToPhoneme();
+    this.cache = new Map();
+    this.setProfile(options.profile || 'none', options);
+  }
+
+  static getProfiles() {
+    return Object.entries(DIALECT_PROFILES).map(([id, profile]) => ({
+      id,
+      name: profile.name,
+      accent: profile.accent || null,
+      rules: profile.rules.map(ruleId => ({ id: ruleId, name: DIALECT_RULES[ruleId].name, example: DIALECT_RULES[ruleId].example }))
+    }));
+  }
+
+  // The profile that goes with an Accent setting, if there is one
+  static forAccent(accent) {
+    return Object.keys(DIALECT_PROFILES).find(id => DIALECT_PROFILES[id].accent === accent) || 'none';
+  }
+
+  static loadSettings() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : { profile: 'none', disabledRules: [] };
+    } catch (error) {
+      console.warn('Failed to load dialect profile:', error);
+      return { profile: 'none', disabledRules: [] };
+    }
+  }
+
+  static saveSettings(settings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  }
+
+  // Teachers can switch off single rules of a profile
+  setProfile(profileId, { disabledRules = [] } = {}) {
+    const id = DIALECT_PROFILES[profileId] ? profileId : 'none';
+    this.profileId = id;
+    this.disabledRules = disabledRules;
+    this.rules = DIALECT_PROFILES[id].rules.filter(ruleId => !disabledRules.includes(ruleId));
+    this.cache.clear();
+  }
+
+  getProfile() {
+    return { id: this.profileId, name: DIALECT_PROFILES[this.profileId].name, rules: this.rules, disabledRules: this.disabledRules };
+  }
+
+  isActive() {
+    return this.rules.length > 0;
+  }
+
+  // The dialect rules that turn the target word into the spoken one, or null when none do
+  findVariant(target, spoken) {
+    if (!this.isActive() || !target || !spoken || target === spoken) return null;
+
+    const key = `${target}|${spoken}`;
+    if (!this.cache.has(key)) {
+      this.cache.set(key, this.matchVariant(target, spoken));
+    }
+    return this.cache.get(key);
+  }
+
+  matchVariant(target, spoken) {
+    const targetPhonemes = this.g2p.toPhonemes(target, { stress: false });
+    const spokenKey = this.g2p.toPhonemes(spoken, { stress: false }).join(' ');
+    if (targetPhonemes.length === 0 || !spokenKey || targetPhonemes.join(' ') === spokenKey) return null;
+
+    // Breadth first, so the simplest explanation wins
+    let frontier = [{ phonemes: targetPhonemes, rules: [] }];
+    for (let step = 0; step < MAX_RULE_APPLICATIONS; step++) {
+      const next = [];
+      for (const candidate of frontier) {
+        for (const ruleId of this.rules) {
+          for (const variant of DIALECT_RULES[ruleId].variants(candidate.phonemes)) {
+            const rules = [...candidate.rules, ruleId];
+            if (variant.join(' ') === spokenKey) return this.describeVariant(rules);
+            next.push({ phonemes: variant, rules });
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    return null;
+  }
+
+  describeVariant(ruleIds) {
+    const profile = DIALECT_PROFILES[this.profileId];
+    const rules = [...new Set(ruleIds)].map(ruleId => ({ id: ruleId, name: DIALECT_RULES[ruleId].name }));
+
+    return {
+      profile: this.profileId,
+      profileName: profile.name,
+      rules,
+      note: `${rules.map(rule => rule.name).join(' + ')} (${profile.name}), counted as correct`
+    };
+  }
+}
+
+export default DialectProfiles;
@@ -0,0 +1,486 @@
+/**
+ * Grapheme-to-Phoneme Converter for LiterateAI
+ * Turns English words into ARPAbet and IPA phoneme sequences with an exception
+ * dictionary for irregular words and letter-to-sound rules for everything else
+ */
+
+import TextNormalizer from './TextNormalizer';
+
+// ARPAbet inventory with IPA, example words and articulation features
+const PHONEMES = {
+  AA: { ipa: 'ɑ', type: 'vowel', examples: ['father', 'hot', 'car'] },
+  AE: { ipa: 'æ', type: 'vowel', examples: ['cat', 'apple', 'hand'] },
+  AH: { ipa: 'ʌ', reduced: 'ə', type: 'vowel', examples: ['cup', 'sun', 'about'] },
+  AO: { ipa: 'ɔ', type: 'vowel', examples: ['saw', 'ball', 'caught'] },
+  AW: { ipa: 'aʊ', type: 'diphthong', examples: ['cow', 'house', 'out'] },
+  AY: { ipa: 'aɪ', type: 'diphthong', examples: ['my', 'time', 'light'] },
+  EH: { ipa: 'ɛ', type: 'vowel', examples: ['bed', 'red', 'egg'] },
+  ER: { ipa: 'ɝ', reduced: 'ɚ', type: 'vowel', examples: ['bird', 'her', 'turn'] },
+  EY: { ipa: 'eɪ', type: 'diphthong', examples: ['day', 'make', 'rain'] },
+  IH: { ipa: 'ɪ', type: 'vowel', examples: ['sit', 'big', 'fish'] },
+  IY: { ipa: 'i', type: 'vowel', examples: ['see', 'tree', 'happy'] },
+  OW: { ipa: 'oʊ', type: 'diphthong', examples: ['go', 'home', 'boat'] },
+  OY: { ipa: 'ɔɪ', type: 'diphthong', examples: ['boy', 'coin', 'toy'] },
+  UH: { ipa: 'ʊ', type: 'vowel', examples: ['book', 'good', 'put'] },
+  UW: { ipa: 'u', type: 'vowel', examples: ['blue', 'food', 'moon'] },
+  B: { ipa: 'b', type: 'consonant', manner: 'stop', place: 'bilabial', voiced: true, examples: ['ball', 'bat', 'cab'] },
+  CH: { ipa: 'tʃ', type: 'consonant', manner: 'affricate', place: 'postalveolar', voiced: false, examples: ['chair', 'much', 'watch'] },
+  D: { ipa: 'd', type: 'consonant', manner: 'stop', place: 'alveolar', voiced: true, examples: ['dog', 'bed', 'day'] },
+  DH: { ipa: 'ð', type: 'consonant', manner: 'fricative', place: 'dental', voiced: true, examples: ['this', 'mother', 'the'] },
+  F: { ipa: 'f', type: 'consonant', manner: 'fricative', place: 'labiodental', voiced: false, examples: ['fish', 'phone', 'leaf'] },
+  G: { ipa: 'ɡ', type: 'consonant', manner: 'stop', place: 'velar', voiced: true, examples: ['go', 'big', 'egg'] },
+  HH: { ipa: 'h', type: 'consonant', manner: 'fricative', place: 'glottal', voiced: false, examples: ['hat', 'house', 'hello'] },
+  JH: { ipa: 'dʒ', type: 'consonant', manner: 'affricate', place: 'postalveolar', voiced: true, examples: ['jump', 'age', 'bridge'] },
+  K: { ipa: 'k', type: 'consonant', manner: 'stop', place: 'velar', voiced: false, examples: ['cat', 'kite', 'duck'] },
+  L: { ipa: 'l', type: 'consonant', manner: 'liquid', place: 'alveolar', voiced: true, examples: ['leg', 'ball', 'little'] },
+  M: { ipa: 'm', type: 'consonant', manner: 'nasal', place: 'bilabial', voiced: true, examples: ['man', 'swim', 'mom'] },
+  N: { ipa: 'n', type: 'consonant', manner: 'nasal', place: 'alveolar', voiced: true, examples: ['no', 'sun', 'nine'] },
+  NG: { ipa: 'ŋ', type: 'consonant', manner: 'nasal', place: 'velar', voiced: true, examples: ['sing', 'ring', 'long'] },
+  P: { ipa: 'p', type: 'consonant', manner: 'stop', place: 'bilabial', voiced: false, examples: ['pig', 'cup', 'apple'] },
+  R: { ipa: 'r', type: 'consonant', manner: 'liquid', place: 'alveolar', voiced: true, examples: ['red', 'car', 'tree'] },
+  S: { ipa: 's', type: 'consonant', manner: 'fricative', place: 'alveolar', voiced: false, examples: ['sun', 'bus', 'city'] },
+  SH: { ipa: 'ʃ', type: 'consonant', manner: 'fricative', place: 'postalveolar', voiced: false, examples: ['ship', 'fish', 'nation'] },
+  T: { ipa: 't', type: 'consonant', manner: 'stop', place: 'alveolar', voiced: false, examples: ['top', 'cat', 'little'] },
+  TH: { ipa: 'θ', type: 'consonant', manner: 'fricative', place: 'dental', voiced: false, examples: ['think', 'bath', 'three'] },
+  V: { ipa: 'v', type: 'consonant', manner: 'fricative', place: 'labiodental', voiced: true, examples: ['van', 'love', 'five'] },
+  W: { ipa: 'w', type: 'consonant', manner: 'glide', place: 'bilabial', voiced: true, examples: ['we', 'water', 'swim'] },
+  Y: { ipa: 'j', type: 'consonant', manner: 'glide', place: 'palatal', voiced: true, examples: ['yes', 'you', 'yellow'] },
+  Z: { ipa: 'z', type: 'consonant', manner: 'fricative', place: 'alveolar', voiced: true, examples: ['zoo', 'is', 'nose'] },
+  ZH: { ipa: 'ʒ', type: 'consonant', manner: 'fricative', place: 'postalveolar', voiced: true, examples: ['measure', 'vision', 'treasure'] }
+};
+
+// Sight words and other spellings the rules get wrong, in CMU dictionary form
+const EXCEPTIONS = {
+  a: 'AH0', the: 'DH AH0', of: 'AH1 V', to: 'T UW1', too: 'T UW1', two: 'T UW1', into: 'IH1 N T UW0',
+  you: 'Y UW1', your: 'Y AO1 R', i: 'AY1', is: 'IH1 Z', his: 'HH IH1 Z', has: 'HH AE1 Z', as: 'AE1 Z',
+  was: 'W AA1 Z', said: 'S EH1 D', says: 'S EH1 Z', one: 'W AH1 N', once: 'W AH1 N S', won: 'W AH1 N',
+  do: 'D UW1', does: 'D AH1 Z', done: 'D AH1 N', goes: 'G OW1 Z', gone: 'G AO1 N', shoe: 'SH UW1', shoes: 'SH UW1 Z',
+  who: 'HH UW1', whom: 'HH UW1 M', whose: 'HH UW1 Z', whole: 'HH OW1 L', what: 'W AH1 T', where: 'W EH1 R',
+  were: 'W ER1', there: 'DH EH1 R', their: 'DH EH1 R', they: 'DH EY1', them: 'DH EH1 M', then: 'DH EH1 N',
+  than: 'DH AE1 N', this: 'DH IH1 S', that: 'DH AE1 T', these: 'DH IY1 Z', those: 'DH OW1 Z', with: 'W IH1 DH',
+  though: 'DH OW1', although: 'AO2 L DH OW1', through: 'TH R UW1', thought: 'TH AO1 T', enough: 'IH0 N AH1 F',
+  tough: 'T AH1 F', rough: 'R AH1 F', cough: 'K AO1 F', laugh: 'L AE1 F', dough: 'D OW1',
+  could: 'K UH1 D', would: 'W UH1 D', should: 'SH UH1 D', come: 'K AH1 M', coming: 'K AH1 M IH0 NG',
+  some: 'S AH1 M', love: 'L AH1 V', loving: 'L AH1 V IH0 NG', give: 'G IH1 V', giving: 'G IH1 V IH0 NG',
+  live: 'L IH1 V', living: 'L IH1 V IH0 NG', have: 'HH AE1 V', having: 'HH AE1 V IH0 NG', move: 'M UW1 V',
+  lose: 'L UW1 Z', other: 'AH1 DH ER0', mother: 'M AH1 DH ER0', brother: 'B R AH1 DH ER0',
+  another: 'AH0 N AH1 DH ER0', father: 'F AA1 DH ER0', water: 'W AO1 T ER0', over: 'OW1 V ER0',
+  any: 'EH1 N IY0', many: 'M EH1 N IY0', again: 'AH0 G EH1 N', against: 'AH0 G EH1 N S T',
+  about: 'AH0 B AW1 T', above: 'AH0 B AH1 V', away: 'AH0 W EY1', across: 'AH0 K R AO1 S',
+  along: 'AH0 L AO1 NG', around: 'ER0 AW1 N D', alone: 'AH0 L OW1 N', asleep: 'AH0 S L IY1 P',
+  because: 'B IH0 K AO1 Z', before: 'B IH0 F AO1 R', begin: 'B IH0 G IH1 N', behind: 'B IH0 HH AY1 N D',
+  between: 'B IH0 T W IY1 N', below: 'B IH0 L OW1', friend: 'F R EH1 N D', friends: 'F R EH1 N D Z',
+  eye: 'AY1', eyes: 'AY1 Z', buy: 'B AY1', been: 'B IH1 N', busy: 'B IH1 Z IY0', build: 'B IH1 L D',
+  only: 'OW1 N L IY0', very: 'V EH1 R IY0', every: 'EH1 V R IY0', everyone: 'EH1 V R IY0 W AH2 N',
+  people: 'P IY1 P AH0 L', island: 'AY1 L AH0 N D', answer: 'AE1 N S ER0', listen: 'L IH1 S AH0 N',
+  often: 'AO1 F AH0 N', walk: 'W AO1 K', talk: 'T AO1 K', want: 'W AA1 N T', wash: 'W AA1 SH', watch: 'W AA1 CH',
+  put: 'P UH1 T', good: 'G UH1 D', wood: 'W UH1 D', stood: 'S T UH1 D', foot: 'F UH1 T', hood: 'HH UH1 D',
+  school: 'S K UW1 L', great: 'G R EY1 T', break: 'B R EY1 K', steak: 'S T EY1 K', head: 'HH EH1 D',
+  bread: 'B R EH1 D', dead: 'D EH1 D', ready: 'R EH1 D IY0', heavy: 'HH EH1 V IY0', weather: 'W EH1 DH ER0',
+  feather: 'F EH1 DH ER0', breakfast: 'B R EH1 K F AH0 S T', bear: 'B EH1 R', wear: 'W EH1 R', pear: 'P EH1 R',
+  heart: 'HH AA1 R T', ocean: 'OW1 SH AH0 N', sugar: 'SH UH1 G ER0', sure: 'SH UH1 R', door: 'D AO1 R',
+  four: 'F AO1 R', pour: 'P AO1 R', young: 'Y AH1 NG', touch: 'T AH1 CH', country: 'K AH1 N T R IY0',
+  double: 'D AH1 B AH0 L', trouble: 'T R AH1 B AH0 L', group: 'G R UW1 P', soup: 'S UW1 P',
+  know: 'N OW1', knows: 'N OW1 Z', snow: 'S N OW1', show: 'SH OW1', slow: 'S L OW1', grow: 'G R OW1',
+  low: 'L OW1', blow: 'B L OW1', flow: 'F L OW1', glow: 'G L OW1', throw: 'TH R OW1', own: 'OW1 N',
+  bowl: 'B OW1 L', most: 'M OW1 S T', post: 'P OW1 S T', ghost: 'G OW1 S T', both: 'B OW1 TH',
+  girl: 'G ER1 L', get: 'G EH1 T', gets: 'G EH1 T S', gift: 'G IH1 F T', forget: 'F ER0 G EH1 T',
+  together: 'T AH0 G EH1 DH ER0', tiger: 'T AY1 G ER0', finger: 'F IH1 NG G ER0', hungry: 'HH AH1 NG G R IY0',
+  house: 'HH AW1 S', mouse: 'M AW1 S', horse: 'HH AO1 R S', women: 'W IH1 M AH0 N', woman: 'W UH1 M AH0 N',
+  child: 'CH AY1 L D', children: 'CH IH1 L D R AH0 N', climb: 'K L AY1 M', pretty: 'P R IH1 T IY0',
+  front: 'F R AH1 N T', month: 'M AH1 N TH', money: 'M AH1 N IY0', honey: 'HH AH1 N IY0', monkey: 'M AH1 NG K IY0',
+  key: 'K IY1', wolf: 'W UH1 L F', word: 'W ER1 D', work: 'W ER1 K', world: 'W ER1 L D', idea: 'AY0 D IY1 AH0',
+  music: 'M Y UW1 Z IH0 K', animal: 'AE1 N AH0 M AH0 L', family: 'F AE1 M AH0 L IY0', little: 'L IH1 T AH0 L',
+  nothing: 'N AH1 TH IH0 NG', something: 'S AH1 M TH IH0 NG', oh: 'OW1', hello: 'HH AH0 L OW1',
+  okay: 'OW2 K EY1', beautiful: 'B Y UW1 T AH0 F AH0 L', favorite: 'F EY1 V ER0 IH0 T', special: 'S P EH1 SH AH0 L',
+  machine: 'M AH0 SH IY1 N', caught: 'K AO1 T', taught: 'T AO1 T', eight: 'EY1 T', height: 'HH AY1 T',
+  either: 'IY1 DH ER0', neither: 'N IY1 DH ER0', guess: 'G EH1 S', guide: 'G AY1 D', guitar: 'G IH0 T AA1 R',
+  quiet: 'K W AY1 AH0 T', science: 'S AY1 AH0 N S', lion: 'L AY1 AH0 N', giant: 'JH AY1 AH0 N T',
+  dinosaur: 'D AY1 N AH0 S AO2 R', elephant: 'EH1 L AH0 F AH0 N T', dog: 'D AO1 G', hero: 'HH IH1 R OW0',
+  zero: 'Z IH1 R OW0', berry: 'B EH1 R IY0', cherry: 'CH EH1 R IY0', carry: 'K AE1 R IY0', marry: 'M EH1 R IY0',
+  parent: 'P EH1 R AH0 N T', different: 'D IH1 F ER0 AH0 N T', interesting: 'IH1 N T R AH0 S T IH0 NG',
+  lived: 'L IH1 V D', gave: 'G EY1 V', body: 'B AA1 D IY0', city: 'S IH1 T IY0',
+  copy: 'K AA1 P IY0', river: 'R IH1 V ER0', never: 'N EH1 V ER0', ever: 'EH1 V ER0', cover: 'K AH1 V ER0',
+  lemon: 'L EH1 M AH0 N', seven: 'S EH1 V AH0 N', eleven: 'IH0 L EH1 V AH0 N', open: 'OW1 P AH0 N',
+  garden: 'G AA1 R D AH0 N', kitchen: 'K IH1 CH AH0 N', chicken: 'CH IH1 K AH0 N', button: 'B AH1 T AH0 N',
+  mountain: 'M AW1 N T AH0 N', captain: 'K AE1 P T AH0 N', christmas: 'K R IH1 S M AH0 S',
+ whistle: 'W IH1 S AH0 L', castle: 'K AE1 S AH0 L',
+  case: 'K EY1 S', base: 'B EY1 S', chase: 'CH EY1 S', loose: 'L UW1 S', goose: 'G UW1 S', geese: 'G IY1 S',
+  close: 'K L OW1 Z', use: 'Y UW1 Z', used: 'Y UW1 Z D', pizza: 'P IY1 T S AH0',
+ radio: 'R EY1 D IY0 OW2', piano: 'P IY0 AE1 N OW0', video: 'V IH1 D IY0 OW0',
+  tomorrow: 'T AH0 M AA1 R OW0', today: 'T AH0 D EY1', yesterday: 'Y EH1 S T ER0 D EY2', minute: 'M IH1 N AH0 T',
+  bicycle: 'B AY1 S IH0 K AH0 L', knight: 'N AY1 T', colour: 'K AH1 L ER0', color: 'K AH1 L ER0',
+  learn: 'L ER1 N', heard: 'HH ER1 D', early: 'ER1 L IY0', earth: 'ER1 TH'
+};
+
+// Vowel followed by one consonant and a silent-e style ending reads long: make, time, hope, cute
+const LONG_ENDING = /^[^aeiouwxy](e#|es#|ed#|ely#|ement|ing#|ings#)|^[bdfgkpstz]les?#/;
+const LONG_A_ENDING = /^(tion|sion|nge)|^[^aeiouwxy](y#|er#|ers#)|^[^aeiouwxy](e#|es#|ed#|ely#|ement|ing#|ings#)|^[bdfgkpstz]les?#/;
+const CLOSED_SYLLABLE_END = /^([^aeiouy]|#)/;
+
+// Letter-to-sound rules: [graphemes, phonemes, text before (with # at the word start), text after (with # at the end)]
+// The first matching rule for the current letter wins, so specific spellings come first
+const RULES = {
+  a: [
+    ['augh', 'AO'], ['au', 'AO'], ['aw', 'AO'], ['air', 'EH R'], ['ai', 'EY'], ['ay', 'EY'],
+    ['are', 'EH R', null, /^#/], ['ar', 'AO R', /(w|qu)$/], ['ar', 'ER', /[aeiouy][^aeiouy]+$/, /^#/], ['ar', 'AA R'],
+    ['all', 'AO L', null, CLOSED_SYLLABLE_END], ['alk', 'AO K'], ['alf', 'AE F'],
+    ['al', 'AO L', /^#$/, /^(so|wa|mo|re|th)/],
+    ['a', 'EY', null, LONG_A_ENDING],
+    ['a', 'AA', /(w|wh|qu)$/, /^([^ckgx]|#)/],
+    ['a', 'AH', /[a-z]$/, /^#/],
+    ['a', 'AE']
+  ],
+  b: [['bb', 'B'], ['b', 'B']],
+  c: [
+    ['ch', 'K', /^#$/, /^r/], ['ch', 'K', /s$/], ['ch', 'CH'], ['ck', 'K'],
+    ['cc', 'K S', null, /^[eiy]/], ['cial', 'SH AH L'], ['cian', 'SH AH N'], ['cious', 'SH AH S'],
+    ['c', 'S', null, /^[eiy]/], ['c', 'K']
+  ],
+  d: [['dge', 'JH'], ['dd', 'D'], ['d', 'D']],
+  e: [
+    ['eigh', 'EY'], ['eau', 'OW'], ['ee', 'IY'],
+    ['ear', 'ER', null, /^[^aeiouy#s]/], ['ear', 'IH R'], ['ea', 'EH', null, /^(sure|th#|ther|dy#|vy#)/], ['ea', 'IY'],
+    ['ei', 'IY', /c$/], ['ei', 'EY'], ['eu', 'UW'], ['ew', 'UW'],
+    ['ey', 'IY', null, /^#/], ['ey', 'EY'],
+    ['ere', 'IH R', /^#[^aeiouy]+$/, /^#/], ['er', 'ER'],
+    ['ed', 'IH D', /[aeiouy].*[td]$/, /^#/],
+    ['ed', 'T', /[aeiouy].*([pkfsx]|ch|sh)$/, /^#/],
+    ['ed', 'D', /[aeiouy].*[^aeiou]$/, /^#/],
+    ['es', 'IH Z', /[aeiouy].*(s|z|x|ch|sh|g|c)$/, /^#/],
+    ['es', 'S', /[aeiouy].*([pkt]|f)$/, /^#/],
+    ['es', 'Z', /[aeiouy].*[^aeiou]$/, /^#/],
+    ['e', 'IY', /^#[^aeiouy]*$/, /^#/],
+    ['e', '', /[aeiouy]/, /^#/],
+    ['e', 'IY', null, LONG_ENDING],
+    ['e', 'EH']
+  ],
+  f: [['ff', 'F'], ['f', 'F']],
+  g: [
+    ['gh', 'G', /^#$/], ['gh', ''], ['gn', 'N', /^#$/], ['gn', 'N', null, /^#/], ['gg', 'G'],
+    ['gu', 'G', null, /^[aeiy]/], ['ge', 'JH', /[a-z]$/, /^#/],
+    ['g', 'JH', null, /^[eiy]/], ['g', 'G']
+  ],
+  h: [['h', '', /[aeiouy]$/, /^([^aeiouy]|#)/], ['h', 'HH']],
+  i: [
+    ['igh', 'AY'], ['ies', 'AY Z', /^#[^aeiouy]+$/, /^#/], ['ied', 'AY D', /^#[^aeiouy]+$/, /^#/],
+    ['ies', 'IY Z', null, /^#/], ['ied', 'IY D', null, /^#/], ['ie', 'AY', /^#[^aeiouy]+$/, /^#/], ['ie', 'IY'],
+    ['ir', 'ER', null, CLOSED_SYLLABLE_END], ['ind', 'AY N D', null, /^#/], ['ild', 'AY L D', null, /^#/],
+    ['i', 'AY', null, LONG_ENDING], ['i', 'IH']
+  ],
+  j: [['j', 'JH']],
+  k: [['kn', 'N', /^#$/], ['k', 'K']],
+  l: [
+    ['les', 'AH L Z', /[aeiouy][^aeiouy]*[^aeiouy]$/, /^#/], ['le', 'AH L', /[aeiouy][^aeiouy]*[^aeiouy]$/, /^#/],
+    ['ll', 'L'], ['l', 'L']
+  ],
+  m: [['mb', 'M', null, /^#/], ['mm', 'M'], ['m', 'M']],
+  n: [['n', 'N', null, /^g[eiy]/], ['ng', 'NG'], ['nk', 'NG K'], ['nn', 'N'], ['n', 'N']],
+  o: [
+    ['ough', 'AO'], ['ould', 'UH D'], ['oor', 'AO R'], ['ook', 'UH K'], ['oo', 'UW'], ['oa', 'OW'],
+    ['oes', 'OW Z', null, /^#/], ['oe', 'OW', null, /^#/], ['oi', 'OY'], ['oy', 'OY'],
+    ['our', 'AW ER', null, /^#/], ['ous', 'AH S', /[a-z]{2}$/, /^#/], ['ou', 'AW'],
+    ['ow', 'OW', /[aeiouy].*[lrd]$/, /^(#|s#|ed#|ing)/], ['ow', 'AW'],
+    ['or', 'ER', /w$/, CLOSED_SYLLABLE_END], ['or', 'AO R'],
+    ['old', 'OW L D'], ['oll', 'OW L', null, CLOSED_SYLLABLE_END],
+    ['o', 'OW', null, LONG_ENDING], ['o', 'OW', null, /^(tion|sion)/], ['o', 'OW', /[a-z]$/, /^#/], ['o', 'AA']
+  ],
+  p: [['ph', 'F'], ['pp', 'P'], ['ps', 'S', /^#$/], ['p', 'P']],
+  q: [['que', 'K', null, /^#/], ['qu', 'K W'], ['q', 'K']],
+  r: [['rr', 'R'], ['r', 'R']],
+  s: [
+    ['sch', 'S K'], ['sh', 'SH'], ['ssion', 'SH AH N'], ['sion', 'ZH AH N', /[aeiouy]$/], ['sion', 'SH AH N'],
+    ['sure', 'ZH ER', /[aeiouy]$/], ['sure', 'SH ER'], ['stle', 'S AH L', null, /^#/], ['ss', 'S'],
+    ['sc', 'S', null, /^[eiy]/],
+    ['s', 'Z', /([bdgmnlrvwy]|[aeiou]{2})$/, /^#/], ['s', 'Z', /[aeiouy]$/, /^[aeiouy]/], ['s', 'S']
+  ],
+  t: [
+    ['tch', 'CH'], ['tion', 'SH AH N'], ['tial', 'SH AH L'], ['ture', 'CH ER'],
+    ['th', 'DH', /[aeiouy]$/, /^er/], ['th', 'TH'], ['tt', 'T'], ['t', 'T']
+  ],
+  u: [
+    ['ur', 'ER', null, CLOSED_SYLLABLE_END], ['ue', 'UW', null, /^#/], ['ui', 'UW'],
+    ['u', 'UH', /[pbf]$/, /^(ll|sh|t#)/],
+    ['u', 'UW', /(j|r|l|ch|s|d|t)$/, LONG_A_ENDING], ['u', 'Y UW', null, LONG_A_ENDING],
+    ['u', 'Y UW', /^#$/, /^[^aeiouy][aeiouy]/], ['u', 'AH']
+  ],
+  v: [['v', 'V']],
+  w: [['wr', 'R', /^#$/], ['wh', 'W'], ['w', 'W']],
+  x: [['x', 'Z', /^#$/], ['x', 'K S']],
+  y: [
+    ['y', 'Y', /^#$/, /^[aeiou]/], ['y', 'AY', /^#[^aeiouy]+$/, /^#/], ['y', 'IY', null, /^#/],
+    ['y', 'AY', null, /^[^aeiouy]e#/], ['y', 'IH']
+  ],
+  z: [['zz', 'Z'], ['z', 'Z']]
+};
+
+// Consonant clusters that can start an English syllable
+const LEGAL_ONSETS = new Set([
+  'P R', 'P L', 'B R', 'B L', 'T R', 'D R', 'K R', 'K L', 'G R', 'G L', 'F R', 'F L', 'TH R', 'SH R',
+  'S P', 'S T', 'S K', 'S M', 'S N', 'S L', 'S W', 'T W', 'D W', 'K W', 'G W',
+  'S P R', 'S T R', 'S K R', 'S P L', 'S K W', 'P Y', 'B Y', 'F Y', 'K Y', 'M Y', 'HH Y', 'V Y'
+]);
+
+class GraphemeToPhoneme {
+  constructor(options = {}) {
+    this.exceptions = { ...EXCEPTIONS, ...(options.exceptions || {}) };
+    this.normalizer = options.normalizer || new TextNormalizer('en');
+    this.cache = new Map();
+  }
+
+  static isVowel(phoneme) {
+    return /[0-2]$/.test(phoneme) || ['vowel', 'diphthong'].includes(PHONEMES[phoneme]?.type);
+  }
+
+  static stripStress(phoneme) {
+    return phoneme.replace(/[0-2]$/, '');
+  }
+
+  static getInventory() {
+    return PHONEMES;
+  }
+
+  // ARPAbet phonemes for one word; vowels carry stress digits unless { stress: false }
+  toPhonemes(word, options = {}) {
+    const cleaned = String(word || '').toLowerCase().replace(/’/g, "'").replace(/[^a-z'-]/g, '');
+    if (!cleaned) return [];
+
+    if (!this.cache.has(cleaned)) {
+      this.cache.set(cleaned, this.convert(cleaned));
+    }
+
+    const phonemes = this.cache.get(cleaned);
+    return options.stress === false ? phonemes.map(GraphemeToPhoneme.stripStress) : [...phonemes];
+  }
+
+  convert(word) {
+    if (this.exceptions[word]) return this.exceptions[word].split(' ');
+
+    // Compounds and possessives: "well-known", "cat's"
+    const parts = word.split('-').filter(Boolean);
+    if (parts.length > 1) return parts.flatMap(part => this.convert(part));
+
+    const bare = word.replace(/'/g, '');
+    if (bare !== word) return this.convert(bare);
+
+    return this.assignStress(this.applyRules(bare));
+  }
+
+  applyRules(word) {
+    return this.segment(word).flatMap(piece => piece.phonemes);
+  }
+
+  // The word's letters in the pieces the rules read, each with the phonemes it says; silent letters say none
+  segment(word) {
+    const pieces = [];
+    let position = 0;
+    let previous = null;
+
+    while (position < word.length) {
+      const rule = this.findRule(word, position);
+      const graphemes = rule ? rule[0] : word[position];
+      const phonemes = [];
+
+      // Doubled consonants across rules ("carry" -> AA R R IY) are said once
+      for (const phoneme of rule?.[1] ? rule[1].split(' ') : []) {
+        if (phoneme !== previous || GraphemeToPhoneme.isVowel(phoneme)) phonemes.push(phoneme);
+        previous = phoneme;
+      }
+
+      pieces.push({ letters: graphemes, phonemes });
+      position += graphemes.length;
+    }
+
+    return pieces;
+  }
+
+  // First rule for the letter at `position` whose graphemes and context both match
+  findRule(word, position) {
+    const before = `#${word.slice(0, position)}`;
+    const rules = RULES[word[position]] || [];
+
+    return rules.find(([graphemes, , beforePattern, afterPattern]) => {
+      if (!word.startsWith(graphemes, position)) return false;
+      const after = `${word.slice(position + graphemes.length)}#`;
+      return (!beforePattern || beforePattern.test(before)) && (!afterPattern || afterPattern.test(after));
+    });
+  }
+
+  // Rule output stresses the first vowel; the rest are unstressed
+  assignStress(phonemes) {
+    let stressed = false;
+    return phonemes.map(phoneme => {
+      if (!GraphemeToPhoneme.isVowel(phoneme)) return phoneme;
+      const digit = stressed ? '0' : '1';
+      stressed = true;
+      return `${phoneme}${digit}`;
+    });
+  }
+
+  toArpabet(word) {
+    return this.toPhonemes(word).join(' ');
+  }
+
+  // Syllables by maximal onset: consonants between vowels start the next syllable when English allows it
+  syllabify(phonemes) {
+    const vowelPositions = phonemes
+      .map((phoneme, index) => (GraphemeToPhoneme.isVowel(phoneme) ? index : -1))
+      .filter(index => index >= 0);
+    if (vowelPositions.length === 0) return [{ phonemes: [...phonemes], stress: 0 }];
+
+    const boundaries = [0];
+    for (let v = 1; v < vowelPositions.length; v++) {
+      const clusterStart = vowelPositions[v - 1] + 1;
+      const clusterEnd = vowelPositions[v];
+      let onsetStart = clusterEnd;
+
+      while (onsetStart > clusterStart) {
+        const onset = phonemes.slice(onsetStart - 1, clusterEnd).map(GraphemeToPhoneme.stripStress);
+        const legal = onset.length === 1 ? onset[0] !== 'NG' : LEGAL_ONSETS.has(onset.join(' '));
+        if (!legal) break;
+        onsetStart -= 1;
+      }
+      boundaries.push(onsetStart);
+    }
+    boundaries.push(phonemes.length);
+
+    return boundaries.slice(0, -1).map((start, index) => {
+      const syllable = phonemes.slice(start, boundaries[index + 1]);
+      const nucleus = syllable.find(GraphemeToPhoneme.isVowel) || '';
+      return { phonemes: syllable, stress: parseInt(nucleus.slice(-1), 10) || 0 };
+    });
+  }
+
+  // The written word split where its spoken syllables break: "water" -> ['wa', 'ter'].
+  // Silent vowels stay with the syllable before them and silent consonants go with the
+  // next one; doubled consonants are shared out and "ck" kept, as they are taught:
+  // "rabbit" -> ['rab', 'bit'], "chicken" -> ['chick', 'en']
+  spellSyllables(word) {
+    const text = String(word || '');
+    const letters = text.toLowerCase().replace(/’/g, "'");
+    if (!/^[a-z'-]+$/.test(letters)) return text ? [text] : [];
+
+    // Compounds split at the hyphen first: "well-known" -> ['well-', 'known']
+    if (/[a-z]-[a-z]/.test(letters)) {
+      const parts = text.split(/(?<=-)/);
+      return parts.flatMap(part => this.spellSyllables(part));
+    }
+
+    const pieces = this.segment(letters);
+    const syllables = this.syllabify(pieces.flatMap(piece => piece.phonemes));
+    const starts = [];
+    syllables.slice(0, -1).reduce((end, syllable) => {
+      starts.push(end + syllable.phonemes.length);
+      return end + syllable.phonemes.length;
+    }, 0);
+
+    // A sounding piece belongs to the syllable its first sound is in
+    let phonemeIndex = 0;
+    const placed = pieces.map(piece => {
+      const syllable = piece.phonemes.length > 0 ? starts.filter(start => start <= phonemeIndex).length : null;
+      phonemeIndex += piece.phonemes.length;
+      return syllable;
+    });
+    placed.forEach((syllable, index) => {
+      if (syllable !== null) return;
+      const before = placed.slice(0, index).reverse().find(value => value !== null);
+      const after = placed.slice(index + 1).find(value => value !== null);
+      const silentConsonant = /^[b-df-hj-np-tv-z]+$/.test(pieces[index].letters);
+      placed[index] = (silentConsonant ? after ?? before : before ?? after) ?? 0;
+    });
+
+    const spelled = syllables.map(() => '');
+    let position = 0;
+    pieces.forEach((piece, index) => {
+      spelled[placed[index]] += text.slice(position, position + piece.letters.length);
+      position += piece.letters.length;
+    });
+
+    for (let index = 1; index < spelled.length; index++) {
+      const shared = /^ck/i.test(spelled[index]) ? 2 : /^([b-df-hj-np-tv-z])\1/i.test(spelled[index]) ? 1 : 0;
+      spelled[index - 1] += spelled[index].slice(0, shared);
+      spelled[index] = spelled[index].slice(shared);
+    }
+
+    return spelled.filter(Boolean);
+  }
+
+  // Broad IPA with a stress mark before the stressed syllable: "water" -> /ˈwɔtɚ/
+  toIPA(wordOrPhonemes) {
+    const phonemes = Array.isArray(wordOrPhonemes) ? wordOrPhonemes : this.toPhonemes(wordOrPhonemes);
+    if (phonemes.length === 0) return '';
+
+    const syllables = this.syllabify(phonemes);
+    const marked = syllables.map(syllable => {
+      const sounds = syllable.phonemes.map(phoneme => this.phonemeToIPA(phoneme)).join('');
+      if (syllables.length > 1 && syllable.stress === 1) return `ˈ${sounds}`;
+      if (syllables.length > 1 && syllable.stress === 2) return `ˌ${sounds}`;
+      return sounds;
+    });
+
+    return `/${marked.join('')}/`;
+  }
+
+  phonemeToIPA(phoneme) {
+    const info = PHONEMES[GraphemeToPhoneme.stripStress(phoneme)];
+    if (!info) return phoneme.toLowerCase();
+    return phoneme.endsWith('0') && info.reduced ? info.reduced : info.ipa;
+  }
+
+  // Phonemes for every word of a passage; numbers and abbreviations are spelled out first
+  textToPhonemes(text, options = {}) {
+    return this.normalizer.normalize(text).map(token => ({
+      word: token.word,
+      wordIndex: token.sourceIndex,
+      phonemes: this.toPhonemes(token.word, options)
+    }));
+  }
+
+  describePhoneme(phoneme) {
+    const base = GraphemeToPhoneme.stripStress(phoneme);
+    const info = PHONEMES[base];
+    if (!info) return { phoneme: base, ipa: base.toLowerCase(), type: 'unknown', examples: [] };
+
+    return { phoneme: base, ...info, ipa: info.ipa };
+  }
+
+  getExamples(phoneme) {
+    return this.describePhoneme(phoneme).examples;
+  }
+
+  // 0-1 similarity of two phoneme sequences (stress ignored)
+  phonemeSimilarity(phonemes1, phonemes2) {
+    const a = phonemes1.map(GraphemeToPhoneme.stripStress);
+    const b = phonemes2.map(GraphemeToPhoneme.stripStress);
+    const maxLength = Math.max(a.length, b.length);
+    if (maxLength === 0) return 1;
+
+    return 1 - (this.levenshteinDistance(a, b) / maxLength);
+  }
+
+  compareWords(word1, word2) {
+    return this.phonemeSimilarity(this.toPhonemes(word1), this.toPhonemes(word2));
+  }
+
+  levenshteinDistance(a, b) {
+    const matrix = Array(b.length + 1).fill(null).map(() => Array(a.length + 1).fill(null));
+
+    for (let i = 0; i <= a.length; i++) matrix[0][i] = i;
+    for (let j = 0; j <= b.length; j++) matrix[j][0] = j;
+
+    for (let j = 1; j <= b.length; j++) {
+      for (let i = 1; i <= a.length; i++) {
+        const indicator = a[i - 1] === b[j - 1] ? 0 : 1;
+        matrix[j][i] = Math.min(
+          matrix[j][i - 1] + 1,
+          matrix[j - 1][i] + 1,
+          matrix[j - 1][i - 1] + indicator
+        );
+      }
+    }
+
+    return matrix[b.length][a.length];
+  }
+}
+
+export default GraphemeToPhoneme;
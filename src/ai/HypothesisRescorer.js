@@ -0,0 +1,119 @@
+/**
+ * Hypothesis Rescorer for LiterateAI
+ * Combines the recognizer's N-best alternatives word by word, so a passage word
+ * the first hypothesis misheard is still credited when another hypothesis heard it
+ */
+
+import ReadingAligner from './ReadingAligner';
+
+// Share of a candidate's score that does not depend on how many alternatives agree on it
+const MATCH_PRIOR = 0.7;
+
+class HypothesisRescorer {
+  constructor(options = {}) {
+    this.aligner = options.aligner || new ReadingAligner();
+    this.matchPrior = options.matchPrior ?? MATCH_PRIOR;
+  }
+
+  // Pick, per passage word, the hypothesis that best matches it, weighted by alternative confidence.
+  // Only the passage after `afterIndex`, where the previous result left the reader, is considered.
+  rescore(targetText, alternatives = [], afterIndex = -1) {
+    const hypotheses = alternatives.filter(alternative => alternative?.transcript?.trim());
+    if (hypotheses.length === 0) {
+      return { transcript: '', confidence: 0, words: [], rescued: [], consistency: 1, alternativeCount: 0 };
+    }
+
+    const weights = this.getWeights(hypotheses);
+    const alignments = hypotheses.map(hypothesis => this.aligner.alignFrom(targetText, hypothesis.transcript, afterIndex));
+    const primary = alignments[0];
+
+    const words = primary.words.map((entry, position) => {
+      const candidates = this.collectCandidates(alignments, weights, position);
+      // A word the first hypothesis skipped or never reached was not said there, whatever the others heard
+      const chosen = entry.spokenIndex === null ?
+        candidates.find(candidate => candidate.sources.includes(0)) :
+        this.chooseCandidate(candidates);
+      return {
+        index: entry.index,
+        target: entry.target,
+        spoken: chosen.spoken,
+        similarity: chosen.similarity,
+        support: chosen.support,
+        source: chosen.sources[0],
+        rescued: !chosen.sources.includes(0)
+      };
+    });
+
+    return {
+      transcript: this.buildTranscript(words, primary.insertions),
+      confidence: hypotheses[0].confidence ?? null,
+      words,
+      rescued: words.filter(word => word.rescued),
+      consistency: this.calculateConsistency(words),
+      alternativeCount: hypotheses.length
+    };
+  }
+
+  // Recognizers often report 0 for every alternative after the first, so rank stands in for confidence
+  getWeights(hypotheses) {
+    const raw = hypotheses.map((hypothesis, rank) => (
+      hypothesis.confidence > 0 ? hypothesis.confidence : 1 / (rank + 2)
+    ));
+    const total = raw.reduce((sum, weight) => sum + weight, 0);
+    return raw.map(weight => weight / total);
+  }
+
+  // What each alternative heard for one passage word, with the weight of every alternative that agrees
+  collectCandidates(alignments, weights, position) {
+    const candidates = new Map();
+
+    alignments.forEach((alignment, rank) => {
+      const entry = alignment.words[position];
+      if (!entry) return;
+
+      const spoken = entry.status === 'unread' ? null : entry.spoken;
+      const key = spoken ?? '\u0000unread';
+      const candidate = candidates.get(key) || { spoken, similarity: entry.similarity, support: 0, sources: [] };
+      candidate.support += weights[rank];
+      candidate.sources.push(rank);
+      candidates.set(key, candidate);
+    });
+
+    return Array.from(candidates.values());
+  }
+
+  // Another alternative only replaces the first hypothesis when it is closer to the passage word
+  chooseCandidate(candidates) {
+    const primary = candidates.find(candidate => candidate.sources.includes(0));
+    const score = candidate => candidate.similarity * (this.matchPrior + (1 - this.matchPrior) * candidate.support);
+
+    return candidates.reduce((best, candidate) => {
+      if (!candidate.spoken || candidate.similarity <= best.similarity) return best;
+      return score(candidate) > score(best) ? candidate : best;
+    }, primary);
+  }
+
+  // Rebuild one transcript from the chosen words and the first hypothesis's extra words
+  buildTranscript(words, insertions) {
+    const insertedAfter = index => insertions
+      .filter(insertion => insertion.afterIndex === index)
+      .map(insertion => insertion.spoken);
+
+    const parts = [...insertedAfter(-1)];
+    words.forEach(word => {
+      if (word.spoken) parts.push(word.spoken);
+      parts.push(...insertedAfter(word.index));
+    });
+
+    return parts.join(' ');
+  }
+
+  // Average share of the alternatives that agree with the chosen word, over the words that were read
+  calculateConsistency(words) {
+    const read = words.filter(word => word.spoken !== null);
+    if (read.length === 0) return 1;
+    return read.reduce((sum, word) => sum + word.support, 0) / read.length;
+  }
+}
+
+export default HypothesisRescorer;
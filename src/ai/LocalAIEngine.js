@@ -4,6 +4,12 @@
  * Includes story generation, pronunciation analysis, and adaptive learning
  */
 
+import TextNormalizer from './TextNormalizer';
+import PhoneticMatcher from './PhoneticMatcher';
+import GraphemeToPhoneme from './GraphemeToPhoneme';
+import PhonemeErrorClassifier from './PhonemeErrorClassifier';
+import ReadingAligner from './ReadingAligner';
+
 class LocalAIEngine {
   constructor() {
     this.storyTemplates = this.initializeStoryTemplates();
@@ -13,6 +19,11 @@ class LocalAIEngine {
     this.difficultyAnalyzer = new DifficultyAnalyzer();
     this.contentGenerator = new ContentGenerator();
     this.learningAnalyzer = new LearningAnalyzer();
+    this.textNormalizer = new TextNormalizer();
+    this.phoneticMatcher = new PhoneticMatcher();
+    this.g2p = new GraphemeToPhoneme();
+    this.phonemeClassifier = new PhonemeErrorClassifier({ g2p: this.g2p });
+    this.readingAligner = new ReadingAligner({ normalizer: this.textNormalizer, phoneticMatcher: this.phoneticMatcher });
     
     this.isInitialized = false;
     this.initialize();
@@ -179,8 +190,8 @@ class LocalAIEngine {
 
   // Pronunciation Analysis without external APIs
   analyzePronunciation(targetText, spokenText) {
-    const targetWords = this.tokenizeText(targetText);
-    const spokenWords = this.tokenizeText(spokenText);
+    // Words are paired by alignment, so one skipped word does not shift every word after it
+    const alignment = this.readingAligner.align(targetText, spokenText);
     
     const analysis = {
       overallAccuracy: 0,
@@ -191,8 +202,7 @@ class LocalAIEngine {
 
     let correctWords = 0;
     
-    targetWords.forEach((targetWord, index) => {
-      const spokenWord = spokenWords[index] || '';
+    alignment.words.forEach(({ target: targetWord, spoken: spokenWord }) => {
       const wordAnalysis = this.analyzeWordPronunciation(targetWord, spokenWord);
       
       analysis.wordAnalysis.push(wordAnalysis);
@@ -208,20 +218,22 @@ class LocalAIEngine {
       }
     });
 
-    analysis.overallAccuracy = targetWords.length > 0 ? correctWords / targetWords.length : 0;
-    analysis.phonemeAnalysis = this.analyzePhonemes(targetText, spokenText);
+    analysis.overallAccuracy = alignment.words.length > 0 ? correctWords / alignment.words.length : 0;
+    analysis.phonemeAnalysis = this.analyzePhonemes(targetText, spokenText, alignment);
     
     return analysis;
   }
 
   analyzeWordPronunciation(targetWord, spokenWord) {
-    const similarity = this.calculateWordSimilarity(targetWord, spokenWord);
+    // Homophones count as correct; words that only sound close get partial credit
+    const { similarity, match } = this.phoneticMatcher.compare(targetWord, spokenWord);
     const phonemeMatch = this.comparePhonemes(targetWord, spokenWord);
     
     return {
       targetWord,
       spokenWord,
       similarity,
+      soundsAlike: match === 'homophone' || match === 'sound_alike',
       phonemeMatch,
       isCorrect: similarity > 0.8,
       confidence: similarity,
@@ -230,32 +242,52 @@ class LocalAIEngine {
   }
 
   comparePhonemes(word1, word2) {
-    // Simplified phoneme comparison using sound-alike patterns
-    const phonemePatterns = {
-      'th': ['th', 'f', 'd'],
-      'ch': ['ch', 'sh', 'tch'],
-      'sh': ['sh', 'ch', 's'],
-      'ph': ['ph', 'f'],
-      'gh': ['gh', 'f', ''],
-      'tion': ['tion', 'shun', 'sion']
-    };
+    // Compare the words' sounds rather than their letters
+    if (!word2) return 0;
+    return this.g2p.compareWords(word1, word2);
+  }
 
-    let matches = 0;
-    let total = 0;
+  // Per-word sound errors: which expected phoneme came out as what, and its error family
+  analyzePhonemes(targetText, spokenText, alignment = this.readingAligner.align(targetText, spokenText)) {
+    const errors = [];
 
-    Object.entries(phonemePatterns).forEach(([pattern, alternatives]) => {
-      const word1HasPattern = word1.includes(pattern);
-      const word2HasPattern = alternatives.some(alt => word2.includes(alt));
-      
-      if (word1HasPattern || word2HasPattern) {
-        total++;
-        if (word1HasPattern && word2HasPattern) {
-          matches++;
-        }
-      }
+    alignment.words.forEach(({ target: targetWord, spoken: spokenWord }) => {
+      if (!spokenWord || targetWord === spokenWord || this.phoneticMatcher.areHomophones(targetWord, spokenWord)) return;
+
+      const { errors: wordErrors } = this.phonemeClassifier.analyzeWord(targetWord, spokenWord);
+      errors.push(...wordErrors.map(error => ({ ...error, spoken: spokenWord })));
     });
 
-    return total > 0 ? matches / total : 1;
+    return errors;
+  }
+
+  generateWordSuggestions(targetWord, spokenWord) {
+    if (!spokenWord || targetWord === spokenWord) return [];
+
+    const syllables = this.g2p.syllabify(this.g2p.toPhonemes(targetWord, { stress: false }));
+    const suggestions = [`Listen for the sounds ${this.g2p.toIPA(targetWord)}`];
+    if (syllables.length > 1) {
+      suggestions.push(`Say it in ${syllables.length} parts, then blend them`);
+    }
+    return suggestions;
+  }
+
+  generatePronunciationRecommendation(targetWord, spokenWord) {
+    if (!spokenWord) {
+      return { word: targetWord, type: 'missed', message: `Try reading "${targetWord}" out loud` };
+    }
+
+    const missed = this.phonemeClassifier.analyzeWord(targetWord, spokenWord).errors
+      .find(error => error.expected);
+    if (!missed) return null;
+
+    return {
+      word: targetWord,
+      type: 'pronunciation',
+      phoneme: missed.phoneme,
+      family: missed.family,
+      message: `In "${targetWord}", ${missed.message}. Practice the ${missed.ipa} sound`
+    };
   }
 
   // Adaptive Difficulty System
@@ -435,11 +467,9 @@ class LocalAIEngine {
   }
 
   // Utility Methods
+  // Numbers, abbreviations and contractions are spelled out as they are spoken
   tokenizeText(text) {
-    return text.toLowerCase()
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 0);
+    return this.textNormalizer.normalizeWords(text);
   }
 
   calculateWordSimilarity(word1, word2) {
@@ -0,0 +1,190 @@
+/**
+ * Miscue Analyzer for LiterateAI
+ * Detects self-corrections, repetitions and false starts in an aligned reading,
+ * scored the way teachers score running records: none of them count as errors
+ */
+
+class MiscueAnalyzer {
+  constructor(options = {}) {
+    this.matchThreshold = options.matchThreshold || 0.8;
+    this.attemptThreshold = options.attemptThreshold || 0.34;
+    this.minFragmentLength = options.minFragmentLength || 1;
+  }
+
+  // Reclassify insertions and substitutions in an alignment produced by ReadingAligner
+  analyze(alignment) {
+    const words = alignment.words.map(entry => ({ ...entry }));
+    const remainingInsertions = [];
+    const miscues = [];
+
+    const positionByIndex = new Map(words.map((entry, position) => [entry.index, position]));
+    const runs = this.groupInsertionRuns(alignment.insertions);
+
+    runs.forEach(run => {
+      const anchorPosition = run[0].afterIndex >= 0 ? positionByIndex.get(run[0].afterIndex) : -1;
+
+      const repetition = this.detectRepetition(run, words, anchorPosition);
+      if (repetition) {
+        miscues.push(repetition);
+        return;
+      }
+
+      run.forEach(insertion => {
+        const miscue = this.classifyInsertion(insertion, words, anchorPosition);
+        if (miscue) {
+          miscues.push(miscue);
+        } else {
+          remainingInsertions.push(insertion);
+        }
+      });
+    });
+
+    const counts = this.recount(words, remainingInsertions, miscues);
+
+    return {
+      ...alignment,
+      words,
+      insertions: remainingInsertions,
+      miscues,
+      counts
+    };
+  }
+
+  // Consecutive spoken words inserted at the same place form one run
+  groupInsertionRuns(insertions) {
+    const runs = [];
+
+    insertions.forEach(insertion => {
+      const run = runs[runs.length - 1];
+      const previous = run?.[run.length - 1];
+
+      if (previous && previous.afterIndex === insertion.afterIndex && previous.spokenIndex + 1 === insertion.spokenIndex) {
+        run.push(insertion);
+      } else {
+        runs.push([insertion]);
+      }
+    });
+
+    return runs;
+  }
+
+  // "the cat the cat sat": re-reading words just read, or about to be read
+  detectRepetition(run, words, anchorPosition) {
+    const spoken = run.map(insertion => insertion.spoken);
+    const before = words.slice(Math.max(0, anchorPosition - run.length + 1), anchorPosition + 1);
+    const after = words.slice(anchorPosition + 1, anchorPosition + 1 + run.length);
+
+    const matches = (targets) => targets.length === spoken.length &&
+      targets.every((entry, i) => entry.status === 'correct' && entry.target === spoken[i]);
+
+    const repeatedWords = matches(before) ? before : matches(after) ? after : null;
+    if (!repeatedWords) return null;
+
+    repeatedWords.forEach(entry => {
+      entry.repeated = true;
+    });
+
+    return {
+      type: 'repetition',
+      spoken,
+      spokenIndex: run[0].spokenIndex,
+      wordIndexes: repeatedWords.map(entry => entry.index)
+    };
+  }
+
+  classifyInsertion(insertion, words, anchorPosition) {
+    const previous = anchorPosition >= 0 ? words[anchorPosition] : null;
+    const next = words[anchorPosition + 1];
+
+    // "cap cat" aligned as cat→cap plus an extra "cat": the reader fixed the word
+    if (previous && previous.status === 'substituted' &&
+        this.similarity(previous.target, insertion.spoken) >= this.matchThreshold) {
+      const attempt = previous.spoken;
+      previous.status = 'correct';
+      previous.soundAlike = false;
+      previous.selfCorrected = true;
+      previous.attempts = [attempt];
+      previous.spoken = insertion.spoken;
+      previous.spokenIndex = insertion.spokenIndex;
+      previous.similarity = this.similarity(previous.target, insertion.spoken);
+
+      return { type: 'self_correction', wordIndex: previous.index, attempt, spoken: insertion.spoken };
+    }
+
+    if (!next || next.spokenIndex === null || next.spokenIndex < insertion.spokenIndex) {
+      return null;
+    }
+
+    // A fragment of the next word ("b- ball") is a false start
+    if (this.isFragmentOf(insertion.spoken, next.target)) {
+      next.falseStarts = [...(next.falseStarts || []), insertion.spoken];
+      return { type: 'false_start', wordIndex: next.index, attempt: insertion.spoken };
+    }
+
+    // The same word said twice is a repetition
+    if (next.status === 'correct' && insertion.spoken === next.target) {
+      next.repeated = true;
+      return { type: 'repetition', spoken: [insertion.spoken], spokenIndex: insertion.spokenIndex, wordIndexes: [next.index] };
+    }
+
+    // A close miss immediately followed by the right word is a self-correction
+    if (next.status === 'correct' && this.similarity(insertion.spoken, next.target) >= this.attemptThreshold) {
+      next.selfCorrected = true;
+      next.attempts = [...(next.attempts || []), insertion.spoken];
+      return { type: 'self_correction', wordIndex: next.index, attempt: insertion.spoken, spoken: next.spoken };
+    }
+
+    return null;
+  }
+
+  isFragmentOf(fragment, word) {
+    return fragment.length >= this.minFragmentLength &&
+      fragment.length < word.length &&
+      word.startsWith(fragment);
+  }
+
+  recount(words, insertions, miscues) {
+    const counts = { correct: 0, substituted: 0, omitted: 0, inserted: insertions.length, unread: 0, soundAlike: 0 };
+    words.forEach(entry => {
+      counts[entry.status]++;
+      if (entry.soundAlike) counts.soundAlike++;
+    });
+
+    counts.selfCorrections = miscues.filter(m => m.type === 'self_correction').length;
+    counts.repetitions = miscues.filter(m => m.type === 'repetition').length;
+    counts.falseStarts = miscues.filter(m => m.type === 'false_start').length;
+
+    return counts;
+  }
+
+  similarity(word1, word2) {
+    if (word1 === word2) return 1.0;
+
+    const maxLength = Math.max(word1.length, word2.length);
+    if (maxLength === 0) return 1.0;
+
+    return 1 - (this.levenshteinDistance(word1, word2) / maxLength);
+  }
+
+  levenshteinDistance(str1, str2) {
+    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
+
+    for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
+    for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
+
+    for (let j = 1; j <= str2.length; j++) {
+      for (let i = 1; i <= str1.length; i++) {
+        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+        matrix[j][i] = Math.min(
+          matrix[j][i - 1] + 1,
+          matrix[j - 1][i] + 1,
+          matrix[j - 1][i - 1] + indicator
+        );
+      }
+    }
+
+    return matrix[str2.length][str1.length];
+  }
+}
+
+export default MiscueAnalyzer;
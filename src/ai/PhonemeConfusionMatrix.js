@@ -0,0 +1,136 @@
+/**
+ * Phoneme Confusion Matrix for LiterateAI
+ * Per-learner record of which sounds are said as which, kept across sessions
+ * so practice can target the confusions a reader actually makes
+ */
+
+import PhonemeErrorClassifier from './PhonemeErrorClassifier';
+import GraphemeToPhoneme from './GraphemeToPhoneme';
+
+const STORAGE_KEY = 'literateai_phoneme_confusions';
+const OMITTED = 'omitted';
+const MAX_PRACTICE_WORDS = 8;
+
+class PhonemeConfusionMatrix {
+  constructor(data = PhonemeConfusionMatrix.load()) {
+    this.phonemes = data?.phonemes || {};
+    this.families = data?.families || {};
+    this.updatedAt = data?.updatedAt || null;
+  }
+
+  // Count every expected phoneme once, and what it was said as when it went wrong
+  record(comparisons = []) {
+    let recorded = 0;
+
+    comparisons.forEach(pair => {
+      if (!pair.expected) return;
+
+      const phoneme = GraphemeToPhoneme.stripStress(pair.expected);
+      const entry = this.phonemes[phoneme] || (this.phonemes[phoneme] = { attempts: 0, errors: 0, confusions: {} });
+      const familyId = PhonemeErrorClassifier.familyOf(pair.expected);
+      const family = this.families[familyId] || (this.families[familyId] = { attempts: 0, errors: 0, words: [] });
+
+      entry.attempts++;
+      family.attempts++;
+      recorded++;
+
+      if (!pair.error) return;
+
+      const actual = pair.actual ? GraphemeToPhoneme.stripStress(pair.actual) : OMITTED;
+      entry.errors++;
+      entry.confusions[actual] = (entry.confusions[actual] || 0) + 1;
+
+      // An atypical error ("think" said with a k) counts towards general pronunciation instead
+      const errorFamilyId = pair.family || familyId;
+      const errorFamily = this.families[errorFamilyId] || (this.families[errorFamilyId] = { attempts: 0, errors: 0, words: [] });
+      if (errorFamilyId !== familyId) errorFamily.attempts++;
+      errorFamily.errors++;
+      if (pair.word && !errorFamily.words.includes(pair.word)) {
+        errorFamily.words = [pair.word, ...errorFamily.words].slice(0, MAX_PRACTICE_WORDS);
+      }
+    });
+
+    if (recorded > 0) {
+      this.updatedAt = Date.now();
+      this.save();
+    }
+    return recorded;
+  }
+
+  getCount(expected, actual) {
+    return this.phonemes[expected]?.confusions[actual || OMITTED] || 0;
+  }
+
+  getAccuracy(phoneme) {
+    const entry = this.phonemes[phoneme];
+    return entry && entry.attempts > 0 ? 1 - entry.errors / entry.attempts : null;
+  }
+
+  // Most frequent confusions, optionally only for phonemes practised under one family
+  getTopConfusions(familyId = null, limit = 3) {
+    const confusions = [];
+
+    Object.entries(this.phonemes).forEach(([expected, entry]) => {
+      if (familyId && !this.belongsToFamily(expected, familyId)) return;
+      Object.entries(entry.confusions).forEach(([actual, count]) => {
+        confusions.push({ expected, actual, count, rate: count / entry.attempts });
+      });
+    });
+
+    return confusions.sort((a, b) => b.count - a.count).slice(0, limit);
+  }
+
+  belongsToFamily(phoneme, familyId) {
+    if (familyId === 'vowel_reduction') return GraphemeToPhoneme.isVowel(phoneme);
+    return PhonemeErrorClassifier.familyOf(phoneme) === familyId;
+  }
+
+  // Accuracy per error family, weakest first
+  getFamilyStats() {
+    return Object.entries(this.families)
+      .filter(([, stats]) => stats.attempts > 0)
+      .map(([family, stats]) => ({
+        family,
+        attempts: stats.attempts,
+        errors: stats.errors,
+        accuracy: Math.max(0, 1 - stats.errors / stats.attempts),
+        words: stats.words
+      }))
+      .sort((a, b) => a.accuracy - b.accuracy);
+  }
+
+  toJSON() {
+    return {
+      phonemes: this.phonemes,
+      families: this.families,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  reset() {
+    this.phonemes = {};
+    this.families = {};
+    this.updatedAt = null;
+    localStorage.removeItem(STORAGE_KEY);
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch (error) {
+      console.warn('Failed to save phoneme confusions:', error);
+    }
+  }
+
+  static load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn('Failed to load phoneme confusions:', error);
+      return null;
+    }
+  }
+}
+
+export default PhonemeConfusionMatrix;
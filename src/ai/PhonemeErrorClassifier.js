@@ -0,0 +1,216 @@
+/**
+ * Phoneme Error Classifier for LiterateAI
+ * Aligns expected and spoken phoneme sequences and sorts every mismatch into
+ * the error families the pronunciation trainer has exercises for
+ */
+
+import GraphemeToPhoneme from './GraphemeToPhoneme';
+
+// Phoneme-level versions of the common mistakes (th -> f/d/t, v -> w/b, r -> w/l)
+const ERROR_FAMILIES = {
+  th_sound: {
+    description: 'th sound',
+    expected: ['TH', 'DH'],
+    substitutes: ['F', 'V', 'D', 'T', 'S', 'Z']
+  },
+  r_sound: {
+    description: 'r sound',
+    expected: ['R', 'ER'],
+    substitutes: ['W', 'L', 'AH', 'UH']
+  },
+  v_sound: {
+    description: 'v sound',
+    expected: ['V'],
+    substitutes: ['W', 'B', 'F']
+  },
+  ch_sound: {
+    description: 'ch and sh sounds',
+    expected: ['CH', 'SH', 'JH'],
+    substitutes: ['SH', 'CH', 'S', 'T', 'ZH', 'JH', 'Z']
+  },
+  vowel_reduction: {
+    description: 'unstressed vowels',
+    expected: [],
+    substitutes: []
+  }
+};
+
+const GENERAL_FAMILY = 'general_pronunciation';
+const FAMILY_CONFUSION_COST = 0.4;
+
+class PhonemeErrorClassifier {
+  constructor(options = {}) {
+    this.g2p = options.g2p || new GraphemeToPhoneme();
+  }
+
+  static getFamilies() {
+    return ERROR_FAMILIES;
+  }
+
+  // The family an expected phoneme is practised under; unstressed vowels belong to vowel_reduction
+  static familyOf(expected) {
+    const base = GraphemeToPhoneme.stripStress(expected);
+    const family = Object.keys(ERROR_FAMILIES).find(id => ERROR_FAMILIES[id].expected.includes(base));
+    if (family) return family;
+    if (expected.endsWith('0') && GraphemeToPhoneme.isVowel(expected)) return 'vowel_reduction';
+    return GENERAL_FAMILY;
+  }
+
+  // Label one aligned pair; matching pairs have no family
+  static classify(expected, actual) {
+    if (!expected) return GENERAL_FAMILY;
+    const base = GraphemeToPhoneme.stripStress(expected);
+    const spoken = actual ? GraphemeToPhoneme.stripStress(actual) : '';
+    if (base === spoken) return null;
+
+    const family = PhonemeErrorClassifier.familyOf(expected);
+    if (family === 'vowel_reduction') {
+      // A schwa read as a full vowel or dropped entirely
+      return !spoken || GraphemeToPhoneme.isVowel(spoken) ? family : GENERAL_FAMILY;
+    }
+    if (family !== GENERAL_FAMILY) {
+      const { substitutes } = ERROR_FAMILIES[family];
+      return !spoken || substitutes.includes(spoken) ? family : GENERAL_FAMILY;
+    }
+    return GENERAL_FAMILY;
+  }
+
+  // Weighted edit alignment so "think" / "fink" pairs TH with F instead of deleting and inserting
+  alignPhonemes(targetPhonemes, spokenPhonemes) {
+    const n = targetPhonemes.length;
+    const m = spokenPhonemes.length;
+    const cost = Array(n + 1).fill(null).map(() => Array(m + 1).fill(0));
+
+    for (let i = 1; i <= n; i++) cost[i][0] = i;
+    for (let j = 1; j <= m; j++) cost[0][j] = j;
+
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        cost[i][j] = Math.min(
+          cost[i - 1][j - 1] + this.substitutionCost(targetPhonemes[i - 1], spokenPhonemes[j - 1]),
+          cost[i - 1][j] + 1,
+          cost[i][j - 1] + 1
+        );
+      }
+    }
+
+    const pairs = [];
+    let i = n;
+    let j = m;
+
+    while (i > 0 || j > 0) {
+      if (i > 0 && j > 0) {
+        const substitution = this.substitutionCost(targetPhonemes[i - 1], spokenPhonemes[j - 1]);
+        if (Math.abs(cost[i][j] - (cost[i - 1][j - 1] + substitution)) < 1e-9) {
+          pairs.push({ expected: targetPhonemes[i - 1], actual: spokenPhonemes[j - 1] });
+          i--;
+          j--;
+          continue;
+        }
+      }
+
+      if (i > 0 && Math.abs(cost[i][j] - (cost[i - 1][j] + 1)) < 1e-9) {
+        pairs.push({ expected: targetPhonemes[i - 1], actual: '' });
+        i--;
+      } else {
+        pairs.push({ expected: '', actual: spokenPhonemes[j - 1] });
+        j--;
+      }
+    }
+
+    return pairs.reverse();
+  }
+
+  // Cheaper to swap sounds that are known confusions or share articulation
+  substitutionCost(expected, actual) {
+    const a = GraphemeToPhoneme.stripStress(expected);
+    const b = GraphemeToPhoneme.stripStress(actual);
+    if (a === b) return 0;
+
+    const family = ERROR_FAMILIES[PhonemeErrorClassifier.familyOf(expected)];
+    if (family && family.substitutes.includes(b)) return FAMILY_CONFUSION_COST;
+
+    const inventory = GraphemeToPhoneme.getInventory();
+    const infoA = inventory[a];
+    const infoB = inventory[b];
+    if (!infoA || !infoB) return 1;
+
+    const vowelA = GraphemeToPhoneme.isVowel(a);
+    const vowelB = GraphemeToPhoneme.isVowel(b);
+    if (vowelA && vowelB) return 0.5;
+    if (vowelA !== vowelB) return 1;
+    if (infoA.manner === infoB.manner || infoA.place === infoB.place) return 0.6;
+    return 0.8;
+  }
+
+  // Every aligned pair of a word, with a family and IPA on the ones that went wrong
+  compareWord(word, targetPhonemes, spokenPhonemes) {
+    return this.alignPhonemes(targetPhonemes, spokenPhonemes).map(pair => {
+      const family = PhonemeErrorClassifier.classify(pair.expected, pair.actual);
+      return {
+        word,
+        expected: pair.expected,
+        actual: pair.actual,
+        error: family !== null,
+        kind: this.getErrorKind(pair),
+        family
+      };
+    });
+  }
+
+  analyzeWord(targetWord, spokenWord) {
+    const targetPhonemes = this.g2p.toPhonemes(targetWord);
+    const spokenPhonemes = this.g2p.toPhonemes(spokenWord);
+    const comparisons = this.compareWord(targetWord, targetPhonemes, spokenPhonemes);
+
+    return {
+      word: targetWord,
+      spoken: spokenWord,
+      comparisons,
+      errors: comparisons.filter(pair => pair.error).map(pair => this.describeError(pair))
+    };
+  }
+
+  getErrorKind(pair) {
+    if (!pair.expected) return 'insertion';
+    if (!pair.actual) return 'omission';
+    return GraphemeToPhoneme.stripStress(pair.expected) === GraphemeToPhoneme.stripStress(pair.actual)
+      ? 'match'
+      : 'substitution';
+  }
+
+  describeError(pair) {
+    const expectedIpa = pair.expected ? `/${this.g2p.phonemeToIPA(pair.expected)}/` : '';
+    const actualIpa = pair.actual ? `/${this.g2p.phonemeToIPA(pair.actual)}/` : '';
+    let message = `${expectedIpa} was said as ${actualIpa}`;
+    if (pair.kind === 'omission') message = `${expectedIpa} was left out`;
+    if (pair.kind === 'insertion') message = `an extra ${actualIpa} was added`;
+
+    return {
+      ...pair,
+      phoneme: GraphemeToPhoneme.stripStress(pair.expected || pair.actual),
+      ipa: expectedIpa || actualIpa,
+      actualIpa,
+      message,
+      examples: pair.expected ? this.g2p.getExamples(pair.expected) : []
+    };
+  }
+
+  // Error counts per family, most frequent first
+  summarizeFamilies(errors) {
+    const counts = {};
+    errors.forEach(error => {
+      counts[error.family] = (counts[error.family] || 0) + 1;
+    });
+
+    return Object.entries(counts)
+      .map(([family, count]) => ({
+        family,
+        count,
+        description: ERROR_FAMILIES[family]?.description || 'other sounds'
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+}
+
+export default PhonemeErrorClassifier;
@@ -0,0 +1,580 @@
+/**
+ * Phonetic Matcher for LiterateAI
+ * Compares words by how they sound rather than how they are spelled, using a
+ * homophone lexicon and Double Metaphone keys
+ */
+
+// Words in a group sound the same in General American, so a recognizer may return any of them.
+// Pairs only some speakers merge (mom and mum, root and route) and words whose usual
+// reading differs ("lead the way" and "led") are left out.
+const HOMOPHONE_GROUPS = [
+  ['their', 'there', "they're"], ['to', 'too', 'two'], ['your', "you're"], ['its', "it's"],
+  ['whose', "who's"], ['here', 'hear'], ['where', 'wear', 'ware'], ['know', 'no'], ['knew', 'new', 'gnu'],
+  ['right', 'write', 'rite', 'wright'], ['one', 'won'], ['four', 'for', 'fore'], ['eight', 'ate'],
+  ['by', 'buy', 'bye'], ['see', 'sea'], ['be', 'bee'], ['blue', 'blew'], ['red', 'read'], ['reed', 'read'],
+  ['sun', 'son'], ['flower', 'flour'], ['night', 'knight'], ['hole', 'whole'], ['hour', 'our'],
+  ['made', 'maid'], ['mail', 'male'], ['meet', 'meat'], ['pair', 'pear', 'pare'], ['peace', 'piece'],
+  ['plain', 'plane'], ['rain', 'reign', 'rein'], ['road', 'rode', 'rowed'], ['sail', 'sale'],
+  ['tail', 'tale'], ['week', 'weak'], ['wait', 'weight'], ['way', 'weigh', 'whey'], ['wood', 'would'],
+  ['which', 'witch'], ['whether', 'weather'], ['brake', 'break'], ['dear', 'deer'], ['die', 'dye'],
+  ['fair', 'fare'], ['flew', 'flu', 'flue'], ['grate', 'great'], ['hair', 'hare'], ['heal', 'heel', "he'll"],
+  ['hi', 'high'], ['him', 'hymn'], ['in', 'inn'], ['not', 'knot'], ['nose', 'knows'], ['oh', 'owe'],
+  ['pail', 'pale'], ['poll', 'pole'], ['prince', 'prints'], ['principal', 'principle'], ['scene', 'seen'],
+  ['sew', 'so', 'sow'], ['some', 'sum'], ['stair', 'stare'], ['steal', 'steel'], ['tide', 'tied'],
+  ['toe', 'tow'], ['wail', 'whale'], ['we', 'wee'], ["we'll", 'wheel'], ['weave', "we've"],
+  ['board', 'bored'], ['cent', 'sent', 'scent'], ['cell', 'sell'], ['billed', 'build'], ['chews', 'choose'],
+  ['allowed', 'aloud'], ['ant', 'aunt'], ['bare', 'bear'], ['beat', 'beet'], ['berry', 'bury'],
+  ['cereal', 'serial'], ['course', 'coarse'], ['days', 'daze'], ['dew', 'do', 'due'],
+  ['air', 'heir'], ['eye', 'i', 'aye'], ['find', 'fined'], ['groan', 'grown'], ['guessed', 'guest'],
+  ['hall', 'haul'], ['heard', 'herd'], ['hoarse', 'horse'], ['hay', 'hey'],
+  ['loan', 'lone'], ['mist', 'missed'], ['moose', 'mousse'], ['morning', 'mourning'], ['none', 'nun'],
+  ['passed', 'past'], ['patience', 'patients'], ['plum', 'plumb'], ['pray', 'prey'], ['rap', 'wrap'],
+  ['ring', 'wring'], ['role', 'roll'], ['sight', 'site', 'cite'], ['sole', 'soul'],
+  ['stake', 'steak'], ['suite', 'sweet'], ['tea', 'tee'], ['threw', 'through'], ['throne', 'thrown'],
+  ['vain', 'vane', 'vein'], ['waist', 'waste'], ['wave', 'waive'], ['yolk', 'yoke'],
+  ['okay', 'ok'], ['grey', 'gray'], ['colour', 'color'], ['favourite', 'favorite']
+];
+
+// Full credit for homophones, partial credit for words whose consonant sounds match
+const SOUND_ALIKE_CREDIT = 0.75;
+const VOWELS = 'AEIOUY';
+
+class PhoneticMatcher {
+  constructor(options = {}) {
+    this.soundAlikeCredit = options.soundAlikeCredit || SOUND_ALIKE_CREDIT;
+    this.homophones = new Map();
+    this.codeCache = new Map();
+    this.setLanguage(options.language || 'en');
+
+    HOMOPHONE_GROUPS.forEach(group => {
+      group.forEach(word => {
+        const others = this.homophones.get(word) || new Set();
+        group.forEach(other => { if (other !== word) others.add(other); });
+        this.homophones.set(word, others);
+      });
+    });
+  }
+
+  // The lexicon and Double Metaphone only describe English
+  setLanguage(language) {
+    this.language = String(language || 'en').split(/[-_]/)[0].toLowerCase();
+  }
+
+  isEnglish() {
+    return this.language === 'en';
+  }
+
+  // Plurals of homophones ("flowers", "flours") sound the same too
+  areHomophones(word1, word2) {
+    if (this.homophones.get(word1)?.has(word2)) return true;
+    if (word1.endsWith('s') && word2.endsWith('s')) {
+      return this.homophones.get(word1.slice(0, -1))?.has(word2.slice(0, -1)) || false;
+    }
+    return false;
+  }
+
+  // Full comparison: the similarity score plus how the words matched
+  compare(target, spoken) {
+    if (target === spoken) return { similarity: 1, match: 'exact' };
+    if (!target || !spoken) return { similarity: 0, match: 'none' };
+
+    const spelling = this.spellingSimilarity(target, spoken);
+    if (!this.isEnglish()) return { similarity: spelling, match: 'spelling' };
+
+    if (this.areHomophones(target, spoken)) return { similarity: 1, match: 'homophone' };
+
+    const sound = this.soundSimilarity(target, spoken);
+    const credited = sound * this.soundAlikeCredit;
+    if (sound === 1 && credited > spelling) {
+      return { similarity: credited, match: 'sound_alike' };
+    }
+
+    return { similarity: Math.max(spelling, credited), match: 'spelling' };
+  }
+
+  similarity(target, spoken) {
+    return this.compare(target, spoken).similarity;
+  }
+
+  soundsAlike(word1, word2) {
+    const { match } = this.compare(word1, word2);
+    return match === 'homophone' || match === 'sound_alike';
+  }
+
+  // Best match between any of the two words' primary and alternate keys
+  soundSimilarity(word1, word2) {
+    const codes1 = this.getCodes(word1);
+    const codes2 = this.getCodes(word2);
+    let best = 0;
+
+    codes1.forEach(code1 => {
+      codes2.forEach(code2 => {
+        if (!code1 || !code2) return;
+        best = Math.max(best, this.spellingSimilarity(code1, code2));
+      });
+    });
+
+    return best;
+  }
+
+  getCodes(word) {
+    if (!this.codeCache.has(word)) {
+      this.codeCache.set(word, this.doubleMetaphone(word));
+    }
+    return this.codeCache.get(word);
+  }
+
+  spellingSimilarity(word1, word2) {
+    if (word1 === word2) return 1.0;
+
+    const maxLength = Math.max(word1.length, word2.length);
+    if (maxLength === 0) return 1.0;
+
+    return 1 - (this.levenshteinDistance(word1, word2) / maxLength);
+  }
+
+  levenshteinDistance(str1, str2) {
+    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
+
+    for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
+    for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
+
+    for (let j = 1; j <= str2.length; j++) {
+      for (let i = 1; i <= str1.length; i++) {
+        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
+        matrix[j][i] = Math.min(
+          matrix[j][i - 1] + 1,
+          matrix[j - 1][i] + 1,
+          matrix[j - 1][i - 1] + indicator
+        );
+      }
+    }
+
+    return matrix[str2.length][str1.length];
+  }
+
+  // Double Metaphone (Lawrence Philips): primary and alternate consonant keys
+  doubleMetaphone(input) {
+    const word = String(input || '').toUpperCase().replace(/[^A-Z]/g, '');
+    if (!word) return ['', ''];
+
+    const length = word.length;
+    const last = length - 1;
+    const padded = `${word}     `;
+    const at = (position, count = 1) => (position < 0 ? '' : padded.substr(position, count));
+    const isAt = (position, ...options) => options.some(option => at(position, option.length) === option);
+    const isVowel = (position) => position >= 0 && VOWELS.includes(padded[position]);
+    const slavoGermanic = /W|K|CZ|WITZ/.test(word);
+
+    let primary = '';
+    let secondary = '';
+    const add = (main, alternate = main) => {
+      primary += main;
+      secondary += alternate;
+    };
+
+    let current = 0;
+
+    // Silent or simplified starts
+    if (isAt(0, 'GN', 'KN', 'PN', 'WR', 'PS')) current += 1;
+    if (word[0] === 'X') {
+      add('S');
+      current += 1;
+    }
+
+    while (current < length) {
+      const char = word[current];
+
+      switch (char) {
+        case 'A': case 'E': case 'I': case 'O': case 'U': case 'Y':
+          if (current === 0) add('A');
+          current += 1;
+          break;
+
+        case 'B':
+          add('P');
+          current += at(current + 1) === 'B' ? 2 : 1;
+          break;
+
+        case 'C':
+          // Germanic "ach" as in "bacher"
+          if (current > 1 && !isVowel(current - 2) && isAt(current - 1, 'ACH') &&
+              at(current + 2) !== 'I' && (at(current + 2) !== 'E' || isAt(current - 2, 'BACHER', 'MACHER'))) {
+            add('K');
+            current += 2;
+            break;
+          }
+          if (current === 0 && isAt(0, 'CAESAR')) {
+            add('S');
+            current += 2;
+            break;
+          }
+          if (isAt(current, 'CHIA')) {
+            add('K');
+            current += 2;
+            break;
+          }
+          if (isAt(current, 'CH')) {
+            if (current > 0 && isAt(current, 'CHAE')) {
+              add('K', 'X');
+            } else if (current === 0 && (isAt(current + 1, 'HARAC', 'HARIS', 'HOR', 'HYM', 'HIA', 'HEM')) && !isAt(0, 'CHORE')) {
+              add('K');
+            } else if (isAt(0, 'VAN ', 'VON ', 'SCH') || isAt(current - 2, 'ORCHES', 'ARCHIT', 'ORCHID') ||
+                isAt(current + 2, 'T', 'S') ||
+                ((isAt(current - 1, 'A', 'O', 'U', 'E') || current === 0) &&
+                  isAt(current + 2, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W', ' '))) {
+              add('K');
+            } else if (current > 0) {
+              if (isAt(0, 'MC')) add('K');
+              else add('X', 'K');
+            } else {
+              add('X');
+            }
+            current += 2;
+            break;
+          }
+          if (isAt(current, 'CZ') && !isAt(current - 2, 'WICZ')) {
+            add('S', 'X');
+            current += 2;
+            break;
+          }
+          if (isAt(current + 1, 'CIA')) {
+            add('X');
+            current += 3;
+            break;
+          }
+          if (isAt(current, 'CC') && !(current === 1 && word[0] === 'M')) {
+            // "accident", "succeed" but "bacchus"
+            if (isAt(current + 2, 'I', 'E', 'H') && !isAt(current + 2, 'HU')) {
+              if ((current === 1 && word[0] === 'A') || isAt(current - 1, 'UCCEE', 'UCCES')) add('KS');
+              else add('X');
+              current += 3;
+            } else {
+              add('K');
+              current += 2;
+            }
+            break;
+          }
+          if (isAt(current, 'CK', 'CG', 'CQ')) {
+            add('K');
+            current += 2;
+            break;
+          }
+          if (isAt(current, 'CI', 'CE', 'CY')) {
+            if (isAt(current, 'CIO', 'CIE', 'CIA')) add('S', 'X');
+            else add('S');
+            current += 2;
+            break;
+          }
+          add('K');
+          if (isAt(current + 1, ' C', ' Q', ' G')) current += 3;
+          else if (isAt(current + 1, 'C', 'K', 'Q') && !isAt(current + 1, 'CE', 'CI')) current += 2;
+          else current += 1;
+          break;
+
+        case 'D':
+          if (isAt(current, 'DG')) {
+            if (isAt(current + 2, 'I', 'E', 'Y')) {
+              add('J');
+              current += 3;
+            } else {
+              add('TK');
+              current += 2;
+            }
+            break;
+          }
+          add('T');
+          current += isAt(current, 'DT', 'DD') ? 2 : 1;
+          break;
+
+        case 'F':
+          add('F');
+          current += at(current + 1) === 'F' ? 2 : 1;
+          break;
+
+        case 'G':
+          if (at(current + 1) === 'H') {
+            if (current > 0 && !isVowel(current - 1)) {
+              add('K');
+              current += 2;
+              break;
+            }
+            if (current === 0) {
+              add(at(current + 2) === 'I' ? 'J' : 'K');
+              current += 2;
+              break;
+            }
+            // Silent in "night", "bough", "though"; F in "laugh", "tough"
+            if ((current > 1 && isAt(current - 2, 'B', 'H', 'D')) ||
+                (current > 2 && isAt(current - 3, 'B', 'H', 'D')) ||
+                (current > 3 && isAt(current - 4, 'B', 'H'))) {
+              current += 2;
+              break;
+            }
+            if (current > 2 && at(current - 1) === 'U' && isAt(current - 3, 'C', 'G', 'L', 'R', 'T')) {
+              add('F');
+            } else if (current > 0 && at(current - 1) !== 'I') {
+              add('K');
+            }
+            current += 2;
+            break;
+          }
+          if (at(current + 1) === 'N') {
+            if (current === 1 && isVowel(0) && !slavoGermanic) {
+              add('KN', 'N');
+            } else if (!isAt(current + 2, 'EY') && at(current + 1) !== 'Y' && !slavoGermanic) {
+              add('N', 'KN');
+            } else {
+              add('KN');
+            }
+            current += 2;
+            break;
+          }
+          if (isAt(current + 1, 'LI') && !slavoGermanic) {
+            add('KL', 'L');
+            current += 2;
+            break;
+          }
+          if (current === 0 && (at(current + 1) === 'Y' || isAt(current + 1, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+            add('K', 'J');
+            current += 2;
+            break;
+          }
+          if ((isAt(current + 1, 'ER') || at(current + 1) === 'Y') &&
+              !isAt(0, 'DANGER', 'RANGER', 'MANGER') && !isAt(current - 1, 'E', 'I') && !isAt(current - 1, 'RGY', 'OGY')) {
+            add('K', 'J');
+            current += 2;
+            break;
+          }
+          if (isAt(current + 1, 'E', 'I', 'Y') || isAt(current - 1, 'AGGI', 'OGGI')) {
+            if (isAt(0, 'VAN ', 'VON ', 'SCH') || isAt(current + 1, 'ET')) add('K');
+            else if (isAt(current + 1, 'IER ')) add('J');
+            else add('J', 'K');
+            current += 2;
+            break;
+          }
+          add('K');
+          current += at(current + 1) === 'G' ? 2 : 1;
+          break;
+
+        case 'H':
+          // Only sounded at the start of a word or between vowels
+          if ((current === 0 || isVowel(current - 1)) && isVowel(current + 1)) {
+            add('H');
+            current += 2;
+          } else {
+            current += 1;
+          }
+          break;
+
+        case 'J':
+          if (isAt(current, 'JOSE') || isAt(0, 'SAN ')) {
+            if ((current === 0 && at(current + 4) === ' ') || isAt(0, 'SAN ')) add('H');
+            else add('J', 'H');
+            current += 1;
+            break;
+          }
+          if (current === 0 && !isAt(current, 'JOSE')) {
+            add('J', 'A');
+          } else if (isVowel(current - 1) && !slavoGermanic && (at(current + 1) === 'A' || at(current + 1) === 'O')) {
+            add('J', 'H');
+          } else if (current === last) {
+            add('J', '');
+          } else if (!isAt(current + 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !isAt(current - 1, 'S', 'K', 'L')) {
+            add('J');
+          }
+          current += at(current + 1) === 'J' ? 2 : 1;
+          break;
+
+        case 'K':
+          add('K');
+          current += at(current + 1) === 'K' ? 2 : 1;
+          break;
+
+        case 'L':
+          if (at(current + 1) === 'L') {
+            // Spanish "cabrillo", "gallegos"
+            if ((current === length - 3 && isAt(current - 1, 'ILLO', 'ILLA', 'ALLE')) ||
+                ((isAt(last - 1, 'AS', 'OS') || isAt(last, 'A', 'O')) && isAt(current - 1, 'ALLE'))) {
+              add('L', '');
+            } else {
+              add('L');
+            }
+            current += 2;
+            break;
+          }
+          add('L');
+          current += 1;
+          break;
+
+        case 'M':
+          add('M');
+          if ((isAt(current - 1, 'UMB') && (current + 1 === last || isAt(current + 2, 'ER'))) || at(current + 1) === 'M') {
+            current += 2;
+          } else {
+            current += 1;
+          }
+          break;
+
+        case 'N':
+          add('N');
+          current += at(current + 1) === 'N' ? 2 : 1;
+          break;
+
+        case 'P':
+          if (at(current + 1) === 'H') {
+            add('F');
+            current += 2;
+            break;
+          }
+          add('P');
+          current += isAt(current + 1, 'P', 'B') ? 2 : 1;
+          break;
+
+        case 'Q':
+          add('K');
+          current += at(current + 1) === 'Q' ? 2 : 1;
+          break;
+
+        case 'R':
+          // French endings such as "rogier"
+          if (current === last && !slavoGermanic && isAt(current - 2, 'IE') && !isAt(current - 4, 'ME', 'MA')) {
+            add('', 'R');
+          } else {
+            add('R');
+          }
+          current += at(current + 1) === 'R' ? 2 : 1;
+          break;
+
+        case 'S':
+          if (isAt(current - 1, 'ISL', 'YSL')) {
+            current += 1;
+            break;
+          }
+          if (current === 0 && isAt(current, 'SUGAR')) {
+            add('X', 'S');
+            current += 1;
+            break;
+          }
+          if (isAt(current, 'SH')) {
+            if (isAt(current + 1, 'HEIM', 'HOEK', 'HOLM', 'HOLZ')) add('S');
+            else add('X');
+            current += 2;
+            break;
+          }
+          if (isAt(current, 'SIO', 'SIA', 'SIAN')) {
+            if (slavoGermanic) add('S');
+            else add('S', 'X');
+            current += 3;
+            break;
+          }
+          if ((current === 0 && isAt(current + 1, 'M', 'N', 'L', 'W')) || at(current + 1) === 'Z') {
+            add('S', 'X');
+            current += at(current + 1) === 'Z' ? 2 : 1;
+            break;
+          }
+          if (isAt(current, 'SC')) {
+            if (at(current + 2) === 'H') {
+              if (isAt(current + 3, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+                if (isAt(current + 3, 'ER', 'EN')) add('X', 'SK');
+                else add('SK');
+              } else if (current === 0 && !isVowel(3) && at(3) !== 'W') {
+                add('X', 'S');
+              } else {
+                add('X');
+              }
+            } else if (isAt(current + 2, 'I', 'E', 'Y')) {
+              add('S');
+            } else {
+              add('SK');
+            }
+            current += 3;
+            break;
+          }
+          // French "resnais", "artois"
+          if (current === last && isAt(current - 2, 'AI', 'OI')) {
+            add('', 'S');
+          } else {
+            add('S');
+          }
+          current += isAt(current + 1, 'S', 'Z') ? 2 : 1;
+          break;
+
+        case 'T':
+          if (isAt(current, 'TION', 'TIA', 'TCH')) {
+            add('X');
+            current += 3;
+            break;
+          }
+          if (isAt(current, 'TH', 'TTH')) {
+            // "thomas", "thames"
+            if (isAt(current + 2, 'OM', 'AM') || isAt(0, 'VAN ', 'VON ', 'SCH')) add('T');
+            else add('0', 'T');
+            current += 2;
+            break;
+          }
+          add('T');
+          current += isAt(current + 1, 'T', 'D') ? 2 : 1;
+          break;
+
+        case 'V':
+          add('F');
+          current += at(current + 1) === 'V' ? 2 : 1;
+          break;
+
+        case 'W':
+          if (isAt(current, 'WR')) {
+            add('R');
+            current += 2;
+            break;
+          }
+          if (current === 0 && (isVowel(current + 1) || isAt(current, 'WH'))) {
+            if (isVowel(current + 1)) add('A', 'F');
+            else add('A');
+          }
+          // Polish "filipowicz", Germanic "arnow"
+          if ((current === last && isVowel(current - 1)) || isAt(current - 1, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') || isAt(0, 'SCH')) {
+            add('', 'F');
+            current += 1;
+            break;
+          }
+          if (isAt(current, 'WICZ', 'WITZ')) {
+            add('TS', 'FX');
+            current += 4;
+            break;
+          }
+          current += 1;
+          break;
+
+        case 'X':
+          // French "breaux"
+          if (!(current === last && (isAt(current - 3, 'IAU', 'EAU') || isAt(current - 2, 'AU', 'OU')))) {
+            add('KS');
+          }
+          current += isAt(current + 1, 'C', 'X') ? 2 : 1;
+          break;
+
+        case 'Z':
+          if (at(current + 1) === 'H') {
+            add('J');
+            current += 2;
+            break;
+          }
+          if (isAt(current + 1, 'ZO', 'ZI', 'ZA') || (slavoGermanic && current > 0 && at(current - 1) !== 'T')) {
+            add('S', 'TS');
+          } else {
+            add('S');
+          }
+          current += at(current + 1) === 'Z' ? 2 : 1;
+          break;
+
+        default:
+          current += 1;
+      }
+    }
+
+    return [primary, secondary];
+  }
+}
+
+export default PhoneticMatcher;
@@ -0,0 +1,331 @@
+/**
+ * Reading Aligner for LiterateAI
+ * Sequence alignment between a passage and a spoken transcript so skipped,
+ * inserted and substituted words are detected instead of compared by index
+ */
+
+import TextNormalizer from './TextNormalizer';
+import PhoneticMatcher from './PhoneticMatcher';
+
+const MATCH_THRESHOLD = 0.8;
+
+// The alignment path may stray this many words from the diagonal. A reader
+// who skips or repeats more than this at once is outside the band.
+const ALIGNMENT_BAND = 60;
+
+// Word pairs whose sound similarity is remembered before the cache starts over
+const MAX_CACHED_PAIRS = 50000;
+
+class ReadingAligner {
+  constructor(options = {}) {
+    this.matchThreshold = options.matchThreshold || MATCH_THRESHOLD;
+    this.insertionCost = options.insertionCost || 1;
+    this.omissionCost = options.omissionCost || 1;
+    this.normalizer = options.normalizer || new TextNormalizer(options.language);
+    this.phoneticMatcher = options.phoneticMatcher || new PhoneticMatcher({ language: options.language });
+    this.soundAlikeCredit = options.soundAlikeCredit || 0.5;
+    this.band = options.band || ALIGNMENT_BAND;
+    this.similarityCache = new Map();
+
+    // Optional DialectProfiles: words said the way the learner's dialect says them score as correct
+    this.dialectProfiles = options.dialectProfiles || null;
+  }
+
+  setLanguage(language) {
+    this.normalizer.setLanguage(language);
+    this.phoneticMatcher.setLanguage(language);
+    this.similarityCache.clear();
+  }
+
+  // Passage tokens keep the same index TextDisplay renders for each word;
+  // a word that normalizes to several ("$5" -> "five dollars") shares its index
+  tokenizePassage(text) {
+    return this.normalizer.normalize(text)
+      .map(token => ({ index: token.sourceIndex, raw: token.raw, word: token.word }));
+  }
+
+  tokenizeTranscript(text) {
+    return this.normalizer.normalizeWords(text)
+      .map((word, index) => ({ index, raw: word, word }));
+  }
+
+  // Align target and spoken words and label every target word
+  align(targetText, spokenText) {
+    const targetTokens = this.tokenizePassage(targetText);
+    const spokenTokens = this.tokenizeTranscript(spokenText);
+    const operations = this.computeAlignment(targetTokens, spokenTokens);
+
+    return this.buildResult(targetTokens, spokenTokens, operations);
+  }
+
+  // Align spoken words against only the passage words after `afterIndex`: what a
+  // reader says next, without realigning everything they read before it
+  alignFrom(targetText, spokenText, afterIndex) {
+    const targetTokens = this.tokenizePassage(targetText).filter(token => token.index > afterIndex);
+    const spokenTokens = this.tokenizeTranscript(spokenText);
+    const operations = this.computeAlignment(targetTokens, spokenTokens);
+
+    return this.buildResult(targetTokens, spokenTokens, operations);
+  }
+
+  // Only cells near the diagonal are filled. The last row and column are always
+  // open, so unread passage words and extra words at the end still line up.
+  computeAlignment(targetTokens, spokenTokens) {
+    const n = targetTokens.length;
+    const m = spokenTokens.length;
+    const cost = Array(n + 1).fill(null).map(() => Array(m + 1).fill(Infinity));
+    const similarity = Array(n).fill(null).map(() => Array(m).fill(0));
+    const inBand = (i, j) => Math.abs(i - j) <= this.band || i === n || j === m;
+
+    // Passage words after the last spoken word have not been read yet and cost nothing,
+    // so a common word at the end of a partial reading is not paired further ahead
+    const omissionCost = j => (j === m ? 0 : this.omissionCost);
+
+    cost[0][0] = 0;
+    for (let i = 1; i <= n; i++) cost[i][0] = cost[i - 1][0] + omissionCost(0);
+    for (let j = 1; j <= m; j++) cost[0][j] = j * this.insertionCost;
+
+    for (let i = 1; i <= n; i++) {
+      for (let j = 1; j <= m; j++) {
+        if (!inBand(i, j)) continue;
+
+        const sim = this.calculateWordSimilarity(targetTokens[i - 1].word, spokenTokens[j - 1].word);
+        similarity[i - 1][j - 1] = sim;
+
+        cost[i][j] = Math.min(
+          cost[i - 1][j - 1] + (1 - sim),
+          cost[i - 1][j] + omissionCost(j),
+          cost[i][j - 1] + this.insertionCost
+        );
+      }
+    }
+
+    // Trace back, preferring the diagonal on ties so similar words pair up
+    const operations = [];
+    let i = n;
+    let j = m;
+
+    while (i > 0 || j > 0) {
+      if (i > 0 && j > 0) {
+        const sim = similarity[i - 1][j - 1];
+        if (this.isSameCost(cost[i][j], cost[i - 1][j - 1] + (1 - sim))) {
+          operations.push({ type: 'pair', targetPos: i - 1, spokenPos: j - 1, similarity: sim });
+          i--;
+          j--;
+          continue;
+        }
+      }
+
+      if (i > 0 && this.isSameCost(cost[i][j], cost[i - 1][j] + omissionCost(j))) {
+        operations.push({ type: 'omission', targetPos: i - 1 });
+        i--;
+      } else {
+        operations.push({ type: 'insertion', spokenPos: j - 1 });
+        j--;
+      }
+    }
+
+    return operations.reverse();
+  }
+
+  buildResult(targetTokens, spokenTokens, operations) {
+    const parts = [];
+    const insertions = [];
+    const counts = { correct: 0, substituted: 0, omitted: 0, inserted: 0, unread: 0, soundAlike: 0 };
+
+    // Target words after the last spoken word have not been reached yet
+    let lastPairedTarget = -1;
+    operations.forEach(op => {
+      if (op.type === 'pair') lastPairedTarget = op.targetPos;
+    });
+
+    let previousTargetIndex = -1;
+
+    operations.forEach(op => {
+      if (op.type === 'insertion') {
+        const spoken = spokenTokens[op.spokenPos];
+        insertions.push({
+          spoken: spoken.word,
+          spokenIndex: spoken.index,
+          afterIndex: previousTargetIndex
+        });
+        counts.inserted++;
+        return;
+      }
+
+      const target = targetTokens[op.targetPos];
+      previousTargetIndex = target.index;
+
+      if (op.type === 'omission') {
+        const status = op.targetPos > lastPairedTarget ? 'unread' : 'omitted';
+        parts.push({
+          index: target.index,
+          word: target.raw,
+          target: target.word,
+          spoken: '',
+          spokenIndex: null,
+          status,
+          similarity: 0
+        });
+        return;
+      }
+
+      const spoken = spokenTokens[op.spokenPos];
+      const status = op.similarity >= this.matchThreshold ? 'correct' : 'substituted';
+      const { similarity: soundSimilarity, match } = this.phoneticMatcher.compare(target.word, spoken.word);
+      const dialectVariant = status === 'correct' && soundSimilarity < this.matchThreshold ?
+        this.findDialectVariant(target.word, spoken.word) : null;
+      parts.push({
+        index: target.index,
+        word: target.raw,
+        target: target.word,
+        spoken: spoken.word,
+        spokenIndex: spoken.index,
+        status,
+        similarity: op.similarity,
+        homophone: match === 'homophone',
+        soundAlike: status === 'substituted' && match === 'sound_alike',
+        dialectVariant
+      });
+    });
+
+    const words = this.mergeWordParts(parts);
+    words.forEach(entry => {
+      counts[entry.status]++;
+      if (entry.soundAlike) counts.soundAlike++;
+    });
+
+    return {
+      words,
+      insertions,
+      counts,
+      targetLength: words.length,
+      spokenLength: spokenTokens.length
+    };
+  }
+
+  // Fold the normalized parts of one passage word back into a single entry
+  mergeWordParts(parts) {
+    const groups = [];
+    parts.forEach(part => {
+      const group = groups[groups.length - 1];
+      if (group && group[0].index === part.index) group.push(part);
+      else groups.push([part]);
+    });
+
+    return groups.map(group => {
+      if (group.length === 1) return group[0];
+
+      // Parts the reader has not reached yet do not count against the word
+      const reached = group.filter(part => part.status !== 'unread');
+      const spokenParts = reached.filter(part => part.spokenIndex !== null);
+
+      let status = 'substituted';
+      if (reached.length === 0) status = 'unread';
+      else if (reached.every(part => part.status === 'correct')) status = 'correct';
+      else if (reached.every(part => part.status === 'omitted')) status = 'omitted';
+
+      return {
+        index: group[0].index,
+        word: group[0].word,
+        target: group.map(part => part.target).join(' '),
+        spoken: spokenParts.map(part => part.spoken).join(' '),
+        spokenIndex: spokenParts.length > 0 ? spokenParts[0].spokenIndex : null,
+        status,
+        similarity: group.reduce((sum, part) => sum + part.similarity, 0) / group.length,
+        homophone: reached.some(part => part.homophone),
+        soundAlike: status === 'substituted' && reached.every(part => part.status === 'correct' || part.soundAlike),
+        dialectVariant: status === 'correct' ? reached.find(part => part.dialectVariant)?.dialectVariant || null : null
+      };
+    });
+  }
+
+  // Correct words plus partial credit for substitutions that sound like the target
+  getScore(alignment) {
+    return alignment.counts.correct + alignment.counts.soundAlike * this.soundAlikeCredit;
+  }
+
+  // Where the reader is: the first word after the furthest word they have reached
+  getReadingPosition(alignment) {
+    const next = alignment.words.find(entry => entry.status === 'unread');
+    const reached = alignment.words.filter(entry => entry.status !== 'unread');
+
+    return {
+      currentWordIndex: next ? next.index : null,
+      lastReadIndex: reached.length > 0 ? reached[reached.length - 1].index : null,
+      finished: !next && alignment.spokenLength > 0
+    };
+  }
+
+  // Convert an alignment into the index-keyed feedback TextDisplay renders
+  toWordFeedback(alignment) {
+    const feedback = {};
+
+    alignment.words.forEach(entry => {
+      if (entry.status === 'unread') return;
+
+      feedback[entry.index] = {
+        word: entry.word,
+        correct: entry.status === 'correct',
+        status: entry.status,
+        spoken: entry.spoken,
+        spokenIndex: entry.spokenIndex,
+        similarity: entry.similarity,
+        confidence: entry.similarity
+      };
+
+      // Miscues from MiscueAnalyzer are shown on the word but never make it wrong
+      if (entry.selfCorrected) feedback[entry.index].selfCorrected = entry.attempts;
+      if (entry.repeated) feedback[entry.index].repeated = true;
+      if (entry.falseStarts) feedback[entry.index].falseStarts = entry.falseStarts;
+      if (entry.homophone) feedback[entry.index].homophone = true;
+      if (entry.soundAlike) feedback[entry.index].soundAlike = true;
+      if (entry.dialectVariant) feedback[entry.index].dialectVariant = entry.dialectVariant;
+    });
+
+    alignment.insertions.forEach(insertion => {
+      // Leading insertions are shown before the first word, all others after the word they follow
+      const anchorIndex = insertion.afterIndex >= 0 ? insertion.afterIndex : alignment.words[0]?.index;
+      const entry = feedback[anchorIndex];
+      if (!entry) return;
+
+      const key = insertion.afterIndex >= 0 ? 'insertedAfter' : 'insertedBefore';
+      entry[key] = [...(entry[key] || []), insertion.spoken];
+    });
+
+    return feedback;
+  }
+
+  isSameCost(a, b) {
+    return Math.abs(a - b) < 1e-9;
+  }
+
+  // Homophones score as the same word; sound-alikes score at least the matcher's partial credit;
+  // a dialect variant of the word scores as the word itself
+  calculateWordSimilarity(word1, word2) {
+    const similarity = this.getSoundSimilarity(word1, word2);
+    if (similarity >= this.matchThreshold) return similarity;
+
+    return this.findDialectVariant(word1, word2) ? 1 : similarity;
+  }
+
+  // Passages repeat their words, so each pair is compared once
+  getSoundSimilarity(word1, word2) {
+    const key = `${word1}|${word2}`;
+    let similarity = this.similarityCache.get(key);
+    if (similarity === undefined) {
+      if (this.similarityCache.size >= MAX_CACHED_PAIRS) this.similarityCache.clear();
+      similarity = this.phoneticMatcher.similarity(word1, word2);
+      this.similarityCache.set(key, similarity);
+    }
+    return similarity;
+  }
+
+  // Dialect profiles describe English pronunciation only
+  findDialectVariant(target, spoken) {
+    if (!this.dialectProfiles || !this.phoneticMatcher.isEnglish()) return null;
+    return this.dialectProfiles.findVariant(target, spoken);
+  }
+}
+
+export default ReadingAligner;
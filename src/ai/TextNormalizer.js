@@ -0,0 +1,936 @@
+/**
+ * Text Normalizer for LiterateAI
+ * Rewrites numbers, ordinals, dates, currency, abbreviations and contractions as
+ * the words a reader would say, so passages and transcripts compare word for word
+ */
+
+// Number spelling for each language
+
+const EN_ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const EN_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+
+const spellEnglish = (n) => {
+  if (n < 20) return EN_ONES[n];
+  if (n < 100) return EN_TENS[Math.floor(n / 10)] + (n % 10 ? ` ${EN_ONES[n % 10]}` : '');
+  if (n < 1000) return `${EN_ONES[Math.floor(n / 100)]} hundred` + (n % 100 ? ` ${spellEnglish(n % 100)}` : '');
+
+  const scales = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+  const [value, name] = scales.find(([scale]) => n >= scale);
+  return `${spellEnglish(Math.floor(n / value))} ${name}` + (n % value ? ` ${spellEnglish(n % value)}` : '');
+};
+
+const EN_ORDINALS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+
+const ordinalEnglish = (n) => {
+  const words = spellEnglish(n).split(' ');
+  const last = words.pop();
+  const ordinal = EN_ORDINALS[last] || (last.endsWith('y') ? `${last.slice(0, -1)}ieth` : `${last}th`);
+  return [...words, ordinal].join(' ');
+};
+
+// 1999 is "nineteen ninety nine", 1905 "nineteen oh five", 2005 "two thousand five"
+const yearEnglish = (n) => {
+  if (n < 1100 || n > 2099 || (n >= 2000 && n < 2010)) return spellEnglish(n);
+
+  const high = Math.floor(n / 100);
+  const low = n % 100;
+  if (low === 0) return `${spellEnglish(high)} hundred`;
+  if (low < 10) return `${spellEnglish(high)} oh ${spellEnglish(low)}`;
+  return `${spellEnglish(high)} ${spellEnglish(low)}`;
+};
+
+const pluralEnglish = (phrase) => phrase.replace(/\w+$/, word => {
+  if (word.endsWith('y')) return `${word.slice(0, -1)}ies`;
+  if (word.endsWith('x')) return `${word}es`;
+  return `${word}s`;
+});
+
+// "1990s" is "nineteen nineties", "'80s" is "eighties"
+const decadeEnglish = (n, digits) => pluralEnglish(digits === 4 ? yearEnglish(n) : spellEnglish(n));
+
+// 3/4 is "three quarters"; after a whole number, 1 1/2 is "one and a half"
+const fractionEnglish = (numerator, denominator, mixed) => {
+  const names = { 2: ['half', 'halves'], 4: ['quarter', 'quarters'] };
+  const ordinal = ordinalEnglish(denominator);
+  const [singular, plural] = names[denominator] || [ordinal, `${ordinal}s`];
+  const amount = mixed && numerator === 1 ? 'a' : spellEnglish(numerator);
+  return `${mixed ? 'and ' : ''}${amount} ${numerator === 1 ? singular : plural}`;
+};
+
+const ES_ONES = ['cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho', 'nueve', 'diez',
+  'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis', 'diecisiete', 'dieciocho', 'diecinueve', 'veinte',
+  'veintiuno', 'veintidós', 'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete', 'veintiocho', 'veintinueve'];
+const ES_TENS = ['', '', '', 'treinta', 'cuarenta', 'cincuenta', 'sesenta', 'setenta', 'ochenta', 'noventa'];
+const ES_HUNDREDS = ['', 'ciento', 'doscientos', 'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos', 'ochocientos', 'novecientos'];
+
+// "uno" is shortened before a noun or "mil": un libro, veintiún años, treinta y un mil
+const apocopeSpanish = (words) => words.replace(/veintiuno$/, 'veintiún').replace(/uno$/, 'un');
+
+const spellSpanish = (n) => {
+  if (n < 30) return ES_ONES[n];
+  if (n < 100) return ES_TENS[Math.floor(n / 10)] + (n % 10 ? ` y ${ES_ONES[n % 10]}` : '');
+  if (n === 100) return 'cien';
+  if (n < 1000) return ES_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ` ${spellSpanish(n % 100)}` : '');
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1000);
+    const prefix = thousands === 1 ? 'mil' : `${apocopeSpanish(spellSpanish(thousands))} mil`;
+    return prefix + (n % 1000 ? ` ${spellSpanish(n % 1000)}` : '');
+  }
+  const millions = Math.floor(n / 1e6);
+  const prefix = millions === 1 ? 'un millón' : `${apocopeSpanish(spellSpanish(millions))} millones`;
+  return prefix + (n % 1e6 ? ` ${spellSpanish(n % 1e6)}` : '');
+};
+
+const ES_ORDINALS = ['', 'primero', 'segundo', 'tercero', 'cuarto', 'quinto', 'sexto', 'séptimo', 'octavo', 'noveno', 'décimo'];
+
+// 1/2 is "un medio", 3/4 "tres cuartos", 1/12 "un doceavo"; 1 1/2 is "uno y medio"
+const fractionSpanish = (numerator, denominator, mixed) => {
+  const name = denominator <= 10 ? ['', '', 'medio', 'tercio', ...ES_ORDINALS.slice(4)][denominator] : `${spellSpanish(denominator)}avo`;
+  const unit = numerator === 1 ? name : `${name}s`;
+  if (mixed) return numerator === 1 ? `y ${unit}` : `y ${spellSpanish(numerator)} ${unit}`;
+  return `${apocopeSpanish(spellSpanish(numerator))} ${unit}`;
+};
+
+const FR_ONES = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+  'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize'];
+const FR_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante'];
+
+// Hyphenated French numbers are written with spaces; hyphens are split later anyway
+const spellFrench = (n) => {
+  if (n <= 16) return FR_ONES[n];
+  if (n < 20) return `dix ${FR_ONES[n - 10]}`;
+  if (n < 70) {
+    const unit = n % 10;
+    if (unit === 0) return FR_TENS[Math.floor(n / 10)];
+    return `${FR_TENS[Math.floor(n / 10)]} ${unit === 1 ? 'et un' : FR_ONES[unit]}`;
+  }
+  if (n < 80) return n === 71 ? 'soixante et onze' : `soixante ${spellFrench(n - 60)}`;
+  if (n === 80) return 'quatre vingts';
+  if (n < 100) return `quatre vingt ${spellFrench(n - 80)}`;
+  if (n < 1000) {
+    const hundreds = Math.floor(n / 100);
+    const rest = n % 100;
+    const prefix = hundreds === 1 ? 'cent' : `${FR_ONES[hundreds]} cent${rest ? '' : 's'}`;
+    return prefix + (rest ? ` ${spellFrench(rest)}` : '');
+  }
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1000);
+    const prefix = thousands === 1 ? 'mille' : `${spellFrench(thousands)} mille`;
+    return prefix + (n % 1000 ? ` ${spellFrench(n % 1000)}` : '');
+  }
+  const millions = Math.floor(n / 1e6);
+  const prefix = `${spellFrench(millions)} ${millions === 1 ? 'million' : 'millions'}`;
+  return prefix + (n % 1e6 ? ` ${spellFrench(n % 1e6)}` : '');
+};
+
+const ordinalFrench = (n, feminine = false) => {
+  if (n === 1) return feminine ? 'première' : 'premier';
+
+  const words = spellFrench(n).replace(/s$/, '').split(' ');
+  const last = words.pop();
+  let ordinal = `${last.replace(/e$/, '')}ième`;
+  if (last === 'cinq') ordinal = 'cinquième';
+  if (last === 'neuf') ordinal = 'neuvième';
+  return [...words, ordinal].join(' ');
+};
+
+// 1/2 is "un demi", 2/3 "deux tiers", 3/5 "trois cinquièmes"; 1 1/2 is "un et demi"
+const fractionFrench = (numerator, denominator, mixed) => {
+  const name = { 2: 'demi', 3: 'tiers', 4: 'quart' }[denominator] || ordinalFrench(denominator);
+  const unit = numerator > 1 && !name.endsWith('s') ? `${name}s` : name;
+  if (mixed) return numerator === 1 && denominator === 2 ? 'et demi' : `et ${spellFrench(numerator)} ${unit}`;
+  return `${spellFrench(numerator)} ${unit}`;
+};
+
+const DE_ONES = ['null', 'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun', 'zehn',
+  'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn', 'siebzehn', 'achtzehn', 'neunzehn'];
+const DE_TENS = ['', '', 'zwanzig', 'dreißig', 'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig'];
+
+// German numbers below a million are written as one word
+const spellGerman = (n) => {
+  if (n < 20) return DE_ONES[n];
+  if (n < 100) {
+    const unit = n % 10;
+    return (unit ? `${unit === 1 ? 'ein' : DE_ONES[unit]}und` : '') + DE_TENS[Math.floor(n / 10)];
+  }
+  if (n < 1000) {
+    const hundreds = Math.floor(n / 100);
+    return (hundreds === 1 ? '' : DE_ONES[hundreds]) + 'hundert' + (n % 100 ? spellGerman(n % 100) : '');
+  }
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1000);
+    return (thousands === 1 ? '' : spellGerman(thousands).replace(/eins$/, 'ein')) + 'tausend' + (n % 1000 ? spellGerman(n % 1000) : '');
+  }
+  const millions = Math.floor(n / 1e6);
+  const prefix = millions === 1 ? 'eine million' : `${spellGerman(millions)} millionen`;
+  return prefix + (n % 1e6 ? ` ${spellGerman(n % 1e6)}` : '');
+};
+
+const yearGerman = (n) => {
+  if (n < 1100 || n > 1999) return spellGerman(n);
+  return `${spellGerman(Math.floor(n / 100))}hundert${n % 100 ? spellGerman(n % 100) : ''}`;
+};
+
+// Dates read as "am vierzehnten März"
+const ordinalGerman = (n) => {
+  const irregular = { 1: 'ersten', 3: 'dritten', 7: 'siebten', 8: 'achten' };
+  if (irregular[n]) return irregular[n];
+  return `${spellGerman(n)}${n < 20 ? 'ten' : 'sten'}`;
+};
+
+// 1/2 is "ein halb", 3/4 "drei viertel", 1/20 "ein zwanzigstel"
+const fractionGerman = (numerator, denominator, mixed) => {
+  const irregular = { 2: 'halb', 3: 'drittel', 7: 'siebtel', 8: 'achtel' };
+  const name = irregular[denominator] || `${spellGerman(denominator)}${denominator < 20 ? 'tel' : 'stel'}`;
+  return `${mixed ? 'und ' : ''}${numerator === 1 ? 'ein' : spellGerman(numerator)} ${name}`;
+};
+
+const PT_ONES = ['zero', 'um', 'dois', 'três', 'quatro', 'cinco', 'seis', 'sete', 'oito', 'nove', 'dez',
+  'onze', 'doze', 'treze', 'quatorze', 'quinze', 'dezesseis', 'dezessete', 'dezoito', 'dezenove'];
+const PT_TENS = ['', '', 'vinte', 'trinta', 'quarenta', 'cinquenta', 'sessenta', 'setenta', 'oitenta', 'noventa'];
+const PT_HUNDREDS = ['', 'cento', 'duzentos', 'trezentos', 'quatrocentos', 'quinhentos', 'seiscentos', 'setecentos', 'oitocentos', 'novecentos'];
+
+const spellPortuguese = (n) => {
+  if (n < 20) return PT_ONES[n];
+  if (n < 100) return PT_TENS[Math.floor(n / 10)] + (n % 10 ? ` e ${PT_ONES[n % 10]}` : '');
+  if (n === 100) return 'cem';
+  if (n < 1000) return PT_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ` e ${spellPortuguese(n % 100)}` : '');
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1000);
+    const rest = n % 1000;
+    const prefix = thousands === 1 ? 'mil' : `${spellPortuguese(thousands)} mil`;
+    if (!rest) return prefix;
+    return `${prefix}${rest < 100 || rest % 100 === 0 ? ' e ' : ' '}${spellPortuguese(rest)}`;
+  }
+  const millions = Math.floor(n / 1e6);
+  const prefix = millions === 1 ? 'um milhão' : `${spellPortuguese(millions)} milhões`;
+  return prefix + (n % 1e6 ? ` ${spellPortuguese(n % 1e6)}` : '');
+};
+
+const PT_ORDINALS = ['', 'primeiro', 'segundo', 'terceiro', 'quarto', 'quinto', 'sexto', 'sétimo', 'oitavo', 'nono', 'décimo'];
+
+// 1/2 is "um meio", 2/3 "dois terços", 3/11 "três onze avos"; 1 1/2 is "um e meio"
+const fractionPortuguese = (numerator, denominator, mixed) => {
+  const name = denominator <= 10 ? ['', '', 'meio', 'terço', ...PT_ORDINALS.slice(4)][denominator] : `${spellPortuguese(denominator)} avos`;
+  const unit = numerator > 1 && denominator <= 10 ? `${name}s` : name;
+  if (mixed) return numerator === 1 ? `e ${unit}` : `e ${spellPortuguese(numerator)} ${unit}`;
+  return `${spellPortuguese(numerator)} ${unit}`;
+};
+
+const RU_ONES = ['ноль', 'один', 'два', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять', 'десять',
+  'одиннадцать', 'двенадцать', 'тринадцать', 'четырнадцать', 'пятнадцать', 'шестнадцать', 'семнадцать', 'восемнадцать', 'девятнадцать'];
+const RU_TENS = ['', '', 'двадцать', 'тридцать', 'сорок', 'пятьдесят', 'шестьдесят', 'семьдесят', 'восемьдесят', 'девяносто'];
+const RU_HUNDREDS = ['', 'сто', 'двести', 'триста', 'четыреста', 'пятьсот', 'шестьсот', 'семьсот', 'восемьсот', 'девятьсот'];
+
+// Russian nouns after numbers take one of three forms: 1, 2-4, and 5+ (11-14 included)
+const russianPlural = (n, forms) => {
+  const lastTwo = n % 100;
+  const last = n % 10;
+  if (lastTwo >= 11 && lastTwo <= 14) return forms[2];
+  if (last === 1) return forms[0];
+  if (last >= 2 && last <= 4) return forms[1];
+  return forms[2];
+};
+
+const spellRussian = (n, feminine = false) => {
+  if (n < 20) {
+    if (feminine && n === 1) return 'одна';
+    if (feminine && n === 2) return 'две';
+    return RU_ONES[n];
+  }
+  if (n < 100) return RU_TENS[Math.floor(n / 10)] + (n % 10 ? ` ${spellRussian(n % 10, feminine)}` : '');
+  if (n < 1000) return RU_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ` ${spellRussian(n % 100, feminine)}` : '');
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1000);
+    const prefix = `${spellRussian(thousands, true)} ${russianPlural(thousands, ['тысяча', 'тысячи', 'тысяч'])}`;
+    return prefix + (n % 1000 ? ` ${spellRussian(n % 1000, feminine)}` : '');
+  }
+  const millions = Math.floor(n / 1e6);
+  const prefix = `${spellRussian(millions)} ${russianPlural(millions, ['миллион', 'миллиона', 'миллионов'])}`;
+  return prefix + (n % 1e6 ? ` ${spellRussian(n % 1e6, feminine)}` : '');
+};
+
+// Hindi numbers below a hundred each have their own word
+const HI_NUMBERS = ['शून्य', 'एक', 'दो', 'तीन', 'चार', 'पांच', 'छह', 'सात', 'आठ', 'नौ',
+  'दस', 'ग्यारह', 'बारह', 'तेरह', 'चौदह', 'पंद्रह', 'सोलह', 'सत्रह', 'अठारह', 'उन्नीस',
+  'बीस', 'इक्कीस', 'बाईस', 'तेईस', 'चौबीस', 'पच्चीस', 'छब्बीस', 'सत्ताईस', 'अट्ठाईस', 'उनतीस',
+  'तीस', 'इकतीस', 'बत्तीस', 'तैंतीस', 'चौंतीस', 'पैंतीस', 'छत्तीस', 'सैंतीस', 'अड़तीस', 'उनतालीस',
+  'चालीस', 'इकतालीस', 'बयालीस', 'तैंतालीस', 'चवालीस', 'पैंतालीस', 'छियालीस', 'सैंतालीस', 'अड़तालीस', 'उनचास',
+  'पचास', 'इक्यावन', 'बावन', 'तिरेपन', 'चौवन', 'पचपन', 'छप्पन', 'सत्तावन', 'अट्ठावन', 'उनसठ',
+  'साठ', 'इकसठ', 'बासठ', 'तिरेसठ', 'चौंसठ', 'पैंसठ', 'छियासठ', 'सड़सठ', 'अड़सठ', 'उनहत्तर',
+  'सत्तर', 'इकहत्तर', 'बहत्तर', 'तिहत्तर', 'चौहत्तर', 'पचहत्तर', 'छिहत्तर', 'सतहत्तर', 'अठहत्तर', 'उन्यासी',
+  'अस्सी', 'इक्यासी', 'बयासी', 'तिरासी', 'चौरासी', 'पचासी', 'छियासी', 'सत्तासी', 'अट्ठासी', 'नवासी',
+  'नब्बे', 'इक्यानबे', 'बानबे', 'तिरानबे', 'चौरानबे', 'पंचानबे', 'छियानबे', 'सत्तानबे', 'अट्ठानबे', 'निन्यानबे'];
+
+// Indian grouping: hazaar (10^3), lakh (10^5), crore (10^7)
+const spellHindi = (n) => {
+  if (n < 100) return HI_NUMBERS[n];
+
+  const scales = [[1e7, 'करोड़'], [1e5, 'लाख'], [1e3, 'हज़ार'], [100, 'सौ']];
+  const [value, name] = scales.find(([scale]) => n >= scale);
+  return `${spellHindi(Math.floor(n / value))} ${name}` + (n % value ? ` ${spellHindi(n % value)}` : '');
+};
+
+const AR_ONES = ['صفر', 'واحد', 'اثنان', 'ثلاثة', 'أربعة', 'خمسة', 'ستة', 'سبعة', 'ثمانية', 'تسعة', 'عشرة'];
+const AR_TENS = ['', '', 'عشرون', 'ثلاثون', 'أربعون', 'خمسون', 'ستون', 'سبعون', 'ثمانون', 'تسعون'];
+const AR_HUNDREDS = ['', 'مائة', 'مئتان', 'ثلاثمائة', 'أربعمائة', 'خمسمائة', 'ستمائة', 'سبعمائة', 'ثمانمائة', 'تسعمائة'];
+
+const spellArabic = (n) => {
+  if (n <= 10) return AR_ONES[n];
+  if (n === 11) return 'أحد عشر';
+  if (n === 12) return 'اثنا عشر';
+  if (n < 20) return `${AR_ONES[n - 10]} عشر`;
+  if (n < 100) return n % 10 ? `${AR_ONES[n % 10]} و${AR_TENS[Math.floor(n / 10)]}` : AR_TENS[n / 10];
+  if (n < 1000) return AR_HUNDREDS[Math.floor(n / 100)] + (n % 100 ? ` و${spellArabic(n % 100)}` : '');
+  if (n < 1e6) {
+    const thousands = Math.floor(n / 1000);
+    let prefix = `${spellArabic(thousands)} ألف`;
+    if (thousands === 1) prefix = 'ألف';
+    else if (thousands === 2) prefix = 'ألفان';
+    else if (thousands <= 10) prefix = `${spellArabic(thousands)} آلاف`;
+    return prefix + (n % 1000 ? ` و${spellArabic(n % 1000)}` : '');
+  }
+  return String(n);
+};
+
+const CJK_DIGITS = '零一二三四五六七八九';
+
+// Chinese and Japanese numerals; Japanese drops 零 and the 一 before 十, 百 and 千
+const spellCJK = (n, japanese = false) => {
+  if (n < 10) return CJK_DIGITS[n];
+
+  const bigUnits = [[1e8, japanese ? '億' : '亿'], [1e4, '万']];
+  for (const [value, unit] of bigUnits) {
+    if (n >= value) {
+      const rest = n % value;
+      const gap = !japanese && rest > 0 && rest < value / 10 ? '零' : '';
+      return spellCJK(Math.floor(n / value), japanese) + unit + gap + (rest ? spellCJK(rest, japanese) : '');
+    }
+  }
+
+  let result = '';
+  let pendingZero = false;
+  [[1000, '千'], [100, '百'], [10, '十'], [1, '']].forEach(([value, unit]) => {
+    const digit = Math.floor(n / value) % 10;
+    if (digit === 0) {
+      if (result) pendingZero = true;
+      return;
+    }
+    if (pendingZero && !japanese) result += '零';
+    pendingZero = false;
+    const omitOne = digit === 1 && unit && (japanese || (value === 10 && n < 20));
+    result += (omitOne ? '' : CJK_DIGITS[digit]) + unit;
+  });
+  return result;
+};
+
+// Per-language rules
+
+const LANGUAGE_RULES = {
+  en: {
+    spellNumber: spellEnglish,
+    spellOrdinal: ordinalEnglish,
+    spellYear: yearEnglish,
+    spellDecade: decadeEnglish,
+    spellFraction: fractionEnglish,
+    ordinalPattern: /^(\d+)(st|nd|rd|th)$/i,
+    decimalSeparator: '.',
+    groupSeparator: ',',
+    decimalWord: 'point',
+    minus: 'minus',
+    percent: 'percent',
+    dateOrder: 'mdy',
+    dayAfterMonthIsOrdinal: true,
+    currencies: {
+      '$': ['dollar', 'dollars', 'cent', 'cents'],
+      '£': ['pound', 'pounds', 'penny', 'pence'],
+      '€': ['euro', 'euros', 'cent', 'cents'],
+      '¥': ['yen', 'yen'],
+      '₹': ['rupee', 'rupees', 'paisa', 'paise']
+    },
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    abbreviations: {
+      dr: 'doctor', mr: 'mister', mrs: 'missus', ms: 'miz', prof: 'professor', jr: 'junior', sr: 'senior',
+      capt: 'captain', sgt: 'sergeant', lt: 'lieutenant', gen: 'general', gov: 'governor', rev: 'reverend',
+      mt: 'mount', ave: 'avenue', rd: 'road', blvd: 'boulevard', etc: 'et cetera', vs: 'versus',
+      eg: 'for example', ie: 'that is', approx: 'approximately', dept: 'department',
+      lb: 'pounds', lbs: 'pounds', oz: 'ounces', ft: 'feet', km: 'kilometers', kg: 'kilograms',
+      cm: 'centimeters', mm: 'millimeters', mph: 'miles per hour',
+      st: (context) => /^[A-Z]/.test(context.next || '') ? 'saint' : 'street'
+    },
+    contractions: {
+      "don't": 'do not', dont: 'do not', "doesn't": 'does not', doesnt: 'does not', "didn't": 'did not', didnt: 'did not',
+      "can't": 'can not', cant: 'can not', cannot: 'can not', "won't": 'will not', wont: 'will not',
+      "isn't": 'is not', isnt: 'is not', "aren't": 'are not', arent: 'are not', "wasn't": 'was not', wasnt: 'was not',
+      "weren't": 'were not', werent: 'were not', "haven't": 'have not', havent: 'have not', "hasn't": 'has not', hasnt: 'has not',
+      "hadn't": 'had not', hadnt: 'had not', "couldn't": 'could not', couldnt: 'could not', "wouldn't": 'would not', wouldnt: 'would not',
+      "shouldn't": 'should not', shouldnt: 'should not', "mustn't": 'must not', mustnt: 'must not', "needn't": 'need not',
+      "i'm": 'i am', im: 'i am', "you're": 'you are', youre: 'you are', "we're": 'we are', "they're": 'they are', theyre: 'they are',
+      "i've": 'i have', ive: 'i have', "you've": 'you have', youve: 'you have', "we've": 'we have', weve: 'we have',
+      "they've": 'they have', theyve: 'they have', "i'll": 'i will', "you'll": 'you will', youll: 'you will',
+      "he'll": 'he will', "she'll": 'she will', "we'll": 'we will', "they'll": 'they will', theyll: 'they will',
+      "it'll": 'it will', itll: 'it will', "i'd": 'i would', "you'd": 'you would', youd: 'you would',
+      "he'd": 'he would', hed: 'he would', "she'd": 'she would', "we'd": 'we would', "they'd": 'they would', theyd: 'they would',
+      "it's": 'it is', "he's": 'he is', hes: 'he is', "she's": 'she is', shes: 'she is', "that's": 'that is', thats: 'that is',
+      "what's": 'what is', whats: 'what is', "where's": 'where is', wheres: 'where is', "who's": 'who is', whos: 'who is',
+      "there's": 'there is', theres: 'there is', "here's": 'here is', heres: 'here is', "how's": 'how is',
+      "let's": 'let us', "y'all": 'you all', "ma'am": 'madam', "'em": 'them'
+    }
+  },
+
+  es: {
+    spellNumber: spellSpanish,
+    spellOrdinal: (n) => ES_ORDINALS[n] || spellSpanish(n),
+    spellFraction: fractionSpanish,
+    beforeNoun: apocopeSpanish,
+    notNouns: ['de', 'del', 'y', 'o', 'a', 'al', 'en', 'por', 'para', 'con', 'que', 'es'],
+    ordinalPattern: /^(\d+)\.?[ºª°]$/,
+    decimalSeparator: ',',
+    groupSeparator: '.',
+    decimalWord: 'coma',
+    minus: 'menos',
+    percent: 'por ciento',
+    dateOrder: 'dmy',
+    formatDate: (day, month, year, rules) => `${spellSpanish(day)} de ${rules.months[month - 1]} de ${spellSpanish(year)}`,
+    currencies: {
+      '$': ['dólar', 'dólares', 'centavo', 'centavos'],
+      '€': ['euro', 'euros', 'céntimo', 'céntimos']
+    },
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+    abbreviations: {
+      sr: 'señor', sra: 'señora', srta: 'señorita', dr: 'doctor', dra: 'doctora', ud: 'usted', uds: 'ustedes',
+      prof: 'profesor', etc: 'etcétera', av: 'avenida', km: 'kilómetros', kg: 'kilos'
+    },
+    contractions: {}
+  },
+
+  fr: {
+    spellNumber: spellFrench,
+    spellOrdinal: (n, suffix) => ordinalFrench(n, /re$/i.test(suffix || '')),
+    spellFraction: fractionFrench,
+    ordinalPattern: /^(\d+)(er|re|ère|e|ème|è)$/i,
+    decimalSeparator: ',',
+    groupSeparator: ' ',
+    decimalWord: 'virgule',
+    minus: 'moins',
+    percent: 'pour cent',
+    dateOrder: 'dmy',
+    formatDate: (day, month, year, rules) => `${day === 1 ? 'premier' : spellFrench(day)} ${rules.months[month - 1]} ${spellFrench(year)}`,
+    currencies: {
+      '€': ['euro', 'euros', 'centime', 'centimes'],
+      '$': ['dollar', 'dollars', 'cent', 'cents']
+    },
+    months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+    abbreviations: {
+      mme: 'madame', mlle: 'mademoiselle', dr: 'docteur', st: 'saint', ste: 'sainte', etc: 'et cetera',
+      av: 'avenue', bd: 'boulevard', km: 'kilomètres', kg: 'kilos'
+    },
+    dottedAbbreviations: { m: 'monsieur' },
+    // Elided articles and pronouns become their own word: l'enfant -> l enfant
+    elisions: /^(l|d|j|qu|n|s|c|m|t|jusqu|lorsqu|puisqu)'(.+)$/i,
+    contractions: {}
+  },
+
+  de: {
+    spellNumber: spellGerman,
+    spellOrdinal: ordinalGerman,
+    spellYear: yearGerman,
+    spellFraction: fractionGerman,
+    // "14." is only an ordinal in dates ("14. März")
+    ordinalPattern: /^(\d{1,2})\.$/,
+    ordinalNeedsMonth: true,
+    decimalSeparator: ',',
+    groupSeparator: '.',
+    decimalWord: 'komma',
+    minus: 'minus',
+    percent: 'prozent',
+    dateOrder: 'dmy',
+    formatDate: (day, month, year, rules) => `${ordinalGerman(day)} ${rules.months[month - 1]} ${yearGerman(year)}`,
+    currencies: {
+      '€': ['euro', 'euro', 'cent', 'cent'],
+      '$': ['dollar', 'dollar', 'cent', 'cent']
+    },
+    months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+    abbreviations: {
+      dr: 'doktor', hr: 'herr', fr: 'frau', prof: 'professor', str: 'straße', usw: 'und so weiter',
+      zb: 'zum beispiel', bzw: 'beziehungsweise', ca: 'circa', km: 'kilometer', kg: 'kilogramm'
+    },
+    contractions: {
+      "geht's": 'geht es', "gibt's": 'gibt es', "wie's": 'wie es', "hab's": 'habe es', "ist's": 'ist es'
+    }
+  },
+
+  pt: {
+    spellNumber: spellPortuguese,
+    spellOrdinal: (n) => PT_ORDINALS[n] || spellPortuguese(n),
+    spellFraction: fractionPortuguese,
+    ordinalPattern: /^(\d+)\.?[ºª°]$/,
+    decimalSeparator: ',',
+    groupSeparator: '.',
+    decimalWord: 'vírgula',
+    minus: 'menos',
+    percent: 'por cento',
+    dateOrder: 'dmy',
+    formatDate: (day, month, year, rules) => `${spellPortuguese(day)} de ${rules.months[month - 1]} de ${spellPortuguese(year)}`,
+    currencies: {
+      'R$': ['real', 'reais', 'centavo', 'centavos'],
+      '€': ['euro', 'euros', 'cêntimo', 'cêntimos'],
+      '$': ['dólar', 'dólares', 'centavo', 'centavos']
+    },
+    months: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+    abbreviations: {
+      sr: 'senhor', sra: 'senhora', dr: 'doutor', dra: 'doutora', prof: 'professor', profa: 'professora',
+      av: 'avenida', etc: 'et cetera', km: 'quilômetros', kg: 'quilos'
+    },
+    contractions: {}
+  },
+
+  ru: {
+    spellNumber: (n) => spellRussian(n),
+    decimalSeparator: ',',
+    groupSeparator: ' ',
+    decimalWord: 'целых',
+    minus: 'минус',
+    percent: 'процентов',
+    dateOrder: 'dmy',
+    currencies: {
+      '₽': ['рубль', 'рубля', 'рублей', 'копейка', 'копейки', 'копеек'],
+      '$': ['доллар', 'доллара', 'долларов', 'цент', 'цента', 'центов']
+    },
+    pluralize: russianPlural,
+    months: ['января', 'февраля', 'марта', 'апреля', 'мая', 'июня', 'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'],
+    abbreviations: { км: 'километров', кг: 'килограммов' },
+    dottedAbbreviations: { т: 'то', е: 'есть', д: 'далее', г: 'год' },
+    contractions: {}
+  },
+
+  hi: {
+    spellNumber: spellHindi,
+    decimalSeparator: '.',
+    groupSeparator: ',',
+    decimalWord: 'दशमलव',
+    minus: 'ऋण',
+    percent: 'प्रतिशत',
+    dateOrder: 'dmy',
+    currencies: {
+      '₹': ['रुपया', 'रुपये', 'पैसा', 'पैसे']
+    },
+    months: ['जनवरी', 'फ़रवरी', 'मार्च', 'अप्रैल', 'मई', 'जून', 'जुलाई', 'अगस्त', 'सितंबर', 'अक्टूबर', 'नवंबर', 'दिसंबर'],
+    abbreviations: { 'डॉ': 'डॉक्टर' },
+    contractions: {},
+    // Recognizers are inconsistent about the nukta (ज़ / ज) and chandrabindu (ँ / ं)
+    postProcess: (word) => word.replace(/़/g, '').replace(/ँ/g, 'ं')
+  },
+
+  ar: {
+    spellNumber: spellArabic,
+    decimalSeparator: '.',
+    groupSeparator: ',',
+    decimalWord: 'فاصلة',
+    minus: 'سالب',
+    percent: 'بالمئة',
+    dateOrder: 'dmy',
+    currencies: {
+      '$': ['دولار', 'دولارات', 'سنت', 'سنتات']
+    },
+    months: ['يناير', 'فبراير', 'مارس', 'أبريل', 'مايو', 'يونيو', 'يوليو', 'أغسطس', 'سبتمبر', 'أكتوبر', 'نوفمبر', 'ديسمبر'],
+    abbreviations: {},
+    contractions: {},
+    // Short vowels are rarely written the same way twice; unify alef and ya forms too
+    postProcess: (word) => word
+      .replace(/[ً-ْـ]/g, '')
+      .replace(/[أإآ]/g, 'ا')
+      .replace(/ى/g, 'ي')
+  },
+
+  zh: {
+    spellNumber: (n) => spellCJK(n),
+    inlineNumbers: true,
+    unspaced: true,
+    decimalSeparator: '.',
+    groupSeparator: ',',
+    decimalWord: '点',
+    minus: '负',
+    percentPrefix: '百分之',
+    currencies: { '¥': ['元', '元'], '￥': ['元', '元'] },
+    abbreviations: {},
+    contractions: {}
+  },
+
+  ja: {
+    spellNumber: (n) => spellCJK(n, true),
+    inlineNumbers: true,
+    unspaced: true,
+    decimalSeparator: '.',
+    groupSeparator: ',',
+    decimalWord: '点',
+    minus: 'マイナス',
+    percentSuffix: 'パーセント',
+    currencies: { '¥': ['円', '円'], '￥': ['円', '円'] },
+    abbreviations: {},
+    contractions: {}
+  }
+};
+
+// Devanagari, Arabic-Indic and full-width digits
+const DIGIT_RANGES = [0x0966, 0x0660, 0x06F0, 0xFF10];
+
+const VULGAR_FRACTIONS = { '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅕': '1/5', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8' };
+
+class TextNormalizer {
+  constructor(language = 'en') {
+    this.setLanguage(language);
+  }
+
+  static getSupportedLanguages() {
+    return Object.keys(LANGUAGE_RULES);
+  }
+
+  // Accepts 'en', 'en-US' or 'pt_BR'; unknown languages fall back to English
+  setLanguage(language) {
+    const base = String(language || 'en').split(/[-_]/)[0].toLowerCase();
+    this.language = LANGUAGE_RULES[base] ? base : 'en';
+    this.rules = LANGUAGE_RULES[this.language];
+    this.segmenter = this.rules.unspaced && typeof Intl !== 'undefined' && Intl.Segmenter
+      ? new Intl.Segmenter(this.language, { granularity: 'word' })
+      : null;
+  }
+
+  // Normalized tokens, each remembering the index of the whitespace-separated word it came from
+  normalize(text) {
+    const sourceWords = (text || '').trim().split(/\s+/).filter(word => word.length > 0);
+    const tokens = [];
+
+    sourceWords.forEach((raw, sourceIndex) => {
+      const context = { previous: sourceWords[sourceIndex - 1], next: sourceWords[sourceIndex + 1] };
+      this.expandWord(raw, context).forEach(word => {
+        tokens.push({ word, raw, sourceIndex });
+      });
+    });
+
+    return tokens;
+  }
+
+  normalizeWords(text) {
+    return this.normalize(text).map(token => token.word);
+  }
+
+  expandWord(raw, context) {
+    const word = this.toAsciiDigits(raw)
+      .replace(/[‘’ʼ`]/g, "'")
+      .replace(/[“”«»]/g, '"');
+
+    const leading = word.match(/^[("'¿¡[]*/)[0];
+    const trailing = word.slice(leading.length).match(/[)"'\]!?;:,.]*$/)[0];
+    const core = word.slice(leading.length, word.length - trailing.length);
+    const hasDot = trailing.startsWith('.');
+
+    const spoken = this.rules.inlineNumbers
+      ? this.expandInlineNumbers(core)
+      : this.expandCore(core, { ...context, hasDot, trailing });
+
+    return spoken
+      .split(/[\s\-‐-—/]+/)
+      .flatMap(part => this.expandContraction(part))
+      .flatMap(part => this.segmentWords(part))
+      .map(part => this.cleanWord(part))
+      .filter(part => part.length > 0);
+  }
+
+  expandCore(core, context) {
+    if (!core) return '';
+    const lower = core.toLowerCase();
+    const rules = this.rules;
+
+    const date = this.expandDate(core);
+    if (date) return date;
+
+    // A symbol written apart from its amount ("R$ 2,50", "5 €") is read with the number
+    const currencies = rules.currencies || {};
+    if (currencies[core] && /^\d/.test(context.next || '')) return '';
+    if (currencies[core] && /\d$/.test(context.previous || '')) return '';
+
+    const currency = this.expandCurrency(core)
+      || (currencies[context.previous] && this.expandCurrency(`${context.previous}${core}`))
+      || (currencies[context.next] && this.expandCurrency(`${core}${context.next}`));
+    if (currency) return currency;
+
+    if (core === '%' && /\d$/.test(context.previous || '')) return rules.percent || '';
+
+    const decade = this.expandDecade(core);
+    if (decade) return decade;
+
+    const fraction = this.expandFraction(core, context);
+    if (fraction) return fraction;
+
+    // "-5" is read "minus five"
+    const negative = core.match(/^[-−](\d[\d.,]*)$/);
+    if (negative && rules.minus) {
+      const number = this.expandNumber(negative[1]);
+      if (number) return `${rules.minus} ${number}`;
+    }
+
+    const percentMatch = core.match(/^([\d.,]+)%$/);
+    if (percentMatch) {
+      const amount = this.expandNumber(percentMatch[1]);
+      if (amount) return `${amount} ${rules.percent}`;
+    }
+
+    const time = this.expandTime(core);
+    if (time) return time;
+
+    const ordinal = this.expandOrdinal(core, context);
+    if (ordinal) return ordinal;
+
+    if (/^\d[\d.,\s]*$/.test(core)) {
+      const number = this.expandNumber(core, context);
+      if (number) return number;
+    }
+
+    const abbreviation = this.expandAbbreviation(lower, context);
+    if (abbreviation) return abbreviation;
+
+    return core;
+  }
+
+  toAsciiDigits(text) {
+    return text.replace(/[०-९٠-٩۰-۹０-９]/g, digit => {
+      const code = digit.charCodeAt(0);
+      const base = DIGIT_RANGES.find(start => code >= start && code <= start + 9);
+      return String(code - base);
+    });
+  }
+
+  // Parse "1,234.5" (or "1.234,5") with the language's separators; null when it is not a number
+  parseNumber(text) {
+    const { decimalSeparator, groupSeparator } = this.rules;
+    let cleaned = text;
+
+    if (groupSeparator) {
+      const group = groupSeparator === ' ' ? '\\s' : `\\${groupSeparator}`;
+      if (new RegExp(`^\\d{1,3}(${group}\\d{3})+(\\${decimalSeparator}\\d+)?$`).test(cleaned)) {
+        cleaned = cleaned.split(groupSeparator === ' ' ? /\s/ : groupSeparator).join('');
+      }
+    }
+
+    const match = cleaned.match(new RegExp(`^(\\d+)(?:\\${decimalSeparator}(\\d+))?$`));
+    if (!match) return null;
+
+    return { whole: parseInt(match[1], 10), decimals: match[2] || null, digits: match[1] };
+  }
+
+  expandNumber(text, context = {}) {
+    const number = this.parseNumber(text);
+    if (!number || number.whole >= 1e12) return null;
+
+    const { spellNumber, spellYear, spellOrdinal, dayAfterMonthIsOrdinal, decimalWord } = this.rules;
+
+    if (number.decimals !== null) {
+      // Digits after the point are read one at a time
+      const decimals = number.decimals.split('').map(digit => spellNumber(parseInt(digit, 10))).join(' ');
+      return `${spellNumber(number.whole)} ${decimalWord} ${decimals}`;
+    }
+
+    // "March 14" is read "March fourteenth"
+    if (dayAfterMonthIsOrdinal && spellOrdinal && number.whole >= 1 && number.whole <= 31 && this.isMonth(context.previous)) {
+      return spellOrdinal(number.whole);
+    }
+
+    if (spellYear && number.digits.length === 4 && text === number.digits) {
+      return spellYear(number.whole);
+    }
+
+    // Some languages shorten a number before a noun: "21 años" is "veintiún años"
+    const { beforeNoun, notNouns = [] } = this.rules;
+    const next = (context.next || '').toLowerCase();
+    if (beforeNoun && /^\p{L}/u.test(next) && !notNouns.includes(next.replace(/[^\p{L}]/gu, ''))) {
+      return beforeNoun(spellNumber(number.whole));
+    }
+
+    return spellNumber(number.whole);
+  }
+
+  // "1990s" and "'90s" name a decade
+  expandDecade(core) {
+    const match = core.match(/^(\d{2}|\d{4})'?s$/);
+    if (!match || !this.rules.spellDecade || !match[1].endsWith('0') || match[1] === '00') return null;
+    return this.rules.spellDecade(parseInt(match[1], 10), match[1].length);
+  }
+
+  // "3/4" and "¾", and "1 1/2" or "1½" after a whole number
+  expandFraction(core, context) {
+    const { spellFraction, spellNumber } = this.rules;
+    if (!spellFraction) return null;
+
+    const match = core.replace(/[½⅓⅔¼¾⅕⅛⅜⅝⅞]/, symbol => ` ${VULGAR_FRACTIONS[symbol]}`)
+      .trim()
+      .match(/^(?:(\d+) )?(\d+)\/(\d+)$/);
+    if (!match) return null;
+
+    const numerator = parseInt(match[2], 10);
+    const denominator = parseInt(match[3], 10);
+    if (denominator < 2 || numerator < 1 || numerator >= 1000 || denominator >= 1000) return null;
+
+    if (match[1]) return `${spellNumber(parseInt(match[1], 10))} ${spellFraction(numerator, denominator, true)}`;
+    return spellFraction(numerator, denominator, /^\d+$/.test(context.previous || ''));
+  }
+
+  expandOrdinal(core, context) {
+    const { ordinalPattern, spellOrdinal, ordinalNeedsMonth } = this.rules;
+    if (!ordinalPattern || !spellOrdinal) return null;
+
+    // Patterns that end in a dot see it in the trailing punctuation
+    const candidate = ordinalNeedsMonth && context.hasDot ? `${core}.` : core;
+    const match = candidate.match(ordinalPattern);
+    if (!match) return null;
+    if (ordinalNeedsMonth && !this.isMonth(context.next)) return null;
+
+    return spellOrdinal(parseInt(match[1], 10), match[2]);
+  }
+
+  isMonth(word) {
+    if (!word || !this.rules.months) return false;
+    const cleaned = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+    return this.rules.months.some(month => month === cleaned || (cleaned.length >= 3 && month.startsWith(cleaned)));
+  }
+
+  // Numeric dates: 3/14/2020 in English, 14/3/2020 or 14.3.2020 elsewhere
+  expandDate(core) {
+    const match = core.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (!match) return null;
+
+    const rules = this.rules;
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const [month, day] = rules.dateOrder === 'mdy' ? [first, second] : [second, first];
+    let year = parseInt(match[3], 10);
+    if (match[3].length === 2) year += year < 50 ? 2000 : 1900;
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    if (rules.formatDate) return rules.formatDate(day, month, year, rules);
+    if (rules.dateOrder === 'mdy' && rules.spellOrdinal && rules.months) {
+      return `${rules.months[month - 1]} ${rules.spellOrdinal(day)} ${(rules.spellYear || rules.spellNumber)(year)}`;
+    }
+    return [day, month, year].map(part => rules.spellNumber(part)).join(' ');
+  }
+
+  expandCurrency(core) {
+    const symbols = Object.keys(this.rules.currencies || {}).sort((a, b) => b.length - a.length);
+    const symbol = symbols.find(s => core.startsWith(s) || core.endsWith(s));
+    if (!symbol) return null;
+
+    const amountText = core.startsWith(symbol) ? core.slice(symbol.length) : core.slice(0, -symbol.length);
+    const amount = this.parseNumber(amountText.trim());
+    if (!amount) return null;
+
+    const { spellNumber, pluralize } = this.rules;
+    const units = this.rules.currencies[symbol];
+    const unitFor = (n, main) => {
+      if (pluralize) {
+        const forms = main ? units.slice(0, 3) : units.slice(3, 6);
+        return pluralize(n, forms);
+      }
+      const [singular, plural] = main ? units.slice(0, 2) : units.slice(2, 4);
+      return n === 1 ? singular : plural;
+    };
+
+    const parts = [];
+    if (amount.whole > 0 || !amount.decimals) {
+      parts.push(`${spellNumber(amount.whole)} ${unitFor(amount.whole, true)}`);
+    }
+
+    const cents = amount.decimals ? parseInt(amount.decimals.padEnd(2, '0').slice(0, 2), 10) : 0;
+    if (cents > 0) {
+      const centUnit = unitFor(cents, false);
+      parts.push(centUnit ? `${spellNumber(cents)} ${centUnit}` : spellNumber(cents));
+    }
+
+    return parts.join(' ');
+  }
+
+  // 3:30 is "three thirty"; in English 3:05 is "three oh five" and 3:00 "three o'clock"
+  expandTime(core) {
+    const match = core.match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 24 || minutes > 59) return null;
+
+    const { spellNumber } = this.rules;
+    if (this.language === 'en') {
+      if (minutes === 0) return `${spellNumber(hours)} o'clock`;
+      if (minutes < 10) return `${spellNumber(hours)} oh ${spellNumber(minutes)}`;
+    }
+    return minutes === 0 ? spellNumber(hours) : `${spellNumber(hours)} ${spellNumber(minutes)}`;
+  }
+
+  expandAbbreviation(lower, context) {
+    const key = lower.replace(/\./g, '');
+    const { abbreviations = {}, dottedAbbreviations = {} } = this.rules;
+
+    // Abbreviations that are also real words only expand when written with a dot
+    const expansion = abbreviations[key] || (context.hasDot || lower.includes('.') ? dottedAbbreviations[key] : null);
+    if (!expansion) return null;
+
+    return typeof expansion === 'function' ? expansion(context) : expansion;
+  }
+
+  // Chinese and Japanese are not split on spaces, so numbers are replaced in place
+  expandInlineNumbers(text) {
+    const { spellNumber, percentPrefix, percentSuffix, currencies, decimalWord, minus } = this.rules;
+    const spell = (digits) => {
+      const [whole, decimals] = digits.replace(/,/g, '').split('.');
+      const spoken = spellNumber(parseInt(whole, 10));
+      return decimals ? `${spoken}${decimalWord}${decimals.split('').map(d => spellNumber(parseInt(d, 10))).join('')}` : spoken;
+    };
+
+    let result = text
+      .replace(/(^|[^\d])[-−](?=\d)/g, (_, before) => `${before}${minus}`)
+      .replace(/(\d[\d,]*(?:\.\d+)?)%/g, (_, digits) => percentPrefix
+        ? `${percentPrefix}${spell(digits)}`
+        : `${spell(digits)}${percentSuffix}`);
+
+    // ¥500 is read "five hundred yuan", with the unit after the number
+    Object.entries(currencies || {}).forEach(([symbol, [unit]]) => {
+      result = result.split(symbol).map((piece, index) => (
+        index > 0 ? piece.replace(/^\d[\d,]*(?:\.\d+)?/, digits => `${spell(digits)}${unit}`) : piece
+      )).join('');
+    });
+
+    return result.replace(/\d[\d,]*(?:\.\d+)?/g, digits => spell(digits));
+  }
+
+  // Chinese and Japanese are written without spaces, so words are found by the
+  // browser's segmenter, or taken a character at a time without one
+  segmentWords(part) {
+    if (!this.rules.unspaced) return [part];
+    if (!this.segmenter) return Array.from(part);
+
+    return Array.from(this.segmenter.segment(part))
+      .filter(segment => segment.isWordLike)
+      .map(segment => segment.segment);
+  }
+
+  expandContraction(part) {
+    const lower = part.toLowerCase();
+    const expansion = this.rules.contractions[lower];
+    if (expansion) return expansion.split(' ');
+
+    const elision = this.rules.elisions && lower.match(this.rules.elisions);
+    if (elision) return [elision[1], elision[2]];
+
+    return [part];
+  }
+
+  cleanWord(word) {
+    const cleaned = word.toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}']/gu, '')
+      .replace(/^'+|'+$/g, '');
+    return this.rules.postProcess ? this.rules.postProcess(cleaned) : cleaned;
+  }
+}
+
+export default TextNormalizer;
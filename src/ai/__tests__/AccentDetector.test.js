@@ -0,0 +1,73 @@
+import AccentDetector from '../AccentDetector';
+
+// A confusion matrix where each sound in `confusions` was read `attempts` times
+// and said as the given sound `count` times
+const matrix = (confusions, attempts = 40) => ({
+  phonemes: Object.fromEntries(confusions.map(({ expected }) => [expected, { attempts }])),
+  getCount: (expected, actual) => confusions.find(entry => entry.expected === expected && entry.actual === actual)?.count || 0
+});
+
+describe('AccentDetector', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('detects an accent from the sound confusions typical of it', () => {
+    const detector = new AccentDetector(matrix([
+      { expected: 'V', actual: 'W', count: 12 },
+      { expected: 'W', actual: 'V', count: 12 },
+      { expected: 'TH', actual: 'T', count: 12 }
+    ]));
+
+    expect(detector.detectAccent()).toMatchObject({ accent: 'indian', likelyAccent: 'indian', confidence: 1 });
+    expect(detector.getAccent()).toBe('indian');
+  });
+
+  it('stays on auto without enough evidence', () => {
+    const detector = new AccentDetector(matrix([{ expected: 'V', actual: 'W', count: 2 }], 6));
+
+    expect(detector.detectAccent()).toMatchObject({ accent: 'auto', likelyAccent: 'indian' });
+    expect(detector.detectAccent().confidence).toBeLessThan(0.5);
+  });
+
+  it('cannot tell apart accents with the same evidence', () => {
+    const detector = new AccentDetector(matrix([{ expected: 'R', actual: null, count: 12 }]));
+
+    expect(detector.detectAccent()).toMatchObject({ accent: 'auto', confidence: 0 });
+  });
+
+  it('uses how well the recognizer understood the learner under each locale', () => {
+    const detector = new AccentDetector(null);
+    detector.recordSession('en-IN', 0.9);
+    detector.recordSession('en-IN', 0.9);
+    detector.recordSession('en-US', 0.7);
+    expect(detector.detectAccent().accent).toBe('auto');
+
+    detector.recordSession('en-US', 0.7);
+    expect(detector.detectAccent()).toMatchObject({ accent: 'indian', confidence: 0.5 });
+    expect(new AccentDetector(null).locales['en-IN']).toEqual({ sessions: 2, confidenceSum: 1.8 });
+  });
+
+  it('ignores sessions without a recognizer confidence', () => {
+    const detector = new AccentDetector(null);
+    detector.recordSession('en-US', 0);
+
+    expect(detector.locales).toEqual({});
+  });
+
+  it('keeps a confirmed accent over detection, and a chosen one over both', () => {
+    const detector = new AccentDetector(matrix([{ expected: 'V', actual: 'W', count: 12 }, { expected: 'W', actual: 'V', count: 12 }]));
+    detector.confirmAccent('british', 'teacher');
+
+    expect(detector.getAccent()).toBe('british');
+    expect(new AccentDetector(null).confirmed).toMatchObject({ accent: 'british', source: 'teacher' });
+
+    detector.configureForAccent('australian');
+    expect(detector.getAccent()).toBe('australian');
+
+    detector.configureForAccent('auto');
+    detector.confirmAccent('auto');
+    expect(detector.getConfirmedAccent()).toBeNull();
+    expect(detector.getAccent()).toBe('indian');
+  });
+});
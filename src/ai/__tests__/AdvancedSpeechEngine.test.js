@@ -0,0 +1,383 @@
+import AdvancedSpeechEngine from '../AdvancedSpeechEngine';
+
+const createEngine = () => new AdvancedSpeechEngine({ recognizerBackend: 'scripted' });
+
+// A Web Speech style result with one alternative
+const result = (transcript, isFinal = true) => Object.assign([{ transcript, confidence: 0.9 }], { isFinal });
+
+describe('AdvancedSpeechEngine', () => {
+  // jsdom has no speech synthesis
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  describe('timing', () => {
+    it('spreads the words over voiced time only', () => {
+      const timings = createEngine().estimateWordTimings('go on', [{ start: 1000, end: 1300 }, { start: 2000, end: 2300 }]);
+
+      expect(timings).toEqual([
+        { word: 'go', index: 0, start: 1000, end: 1300 },
+        { word: 'on', index: 1, start: 2000, end: 2300 }
+      ]);
+    });
+
+    it('leaves out paused time from the reading time', () => {
+      const engine = createEngine();
+      engine.speechData = [{ startTime: 0, endTime: 20000 }];
+      engine.pauses = [{ start: 5000, end: 10000 }];
+
+      expect(engine.getReadingTime()).toBe(15000);
+    });
+
+    it('counts the aligner score, with sound-alike credit, as words correct per minute', () => {
+      const engine = createEngine();
+      const alignment = engine.alignReading('the cat sat on the mat', 'the cat sat on the mat');
+
+      expect(engine.calculateWCPM(engine.readingAligner.getScore(alignment), 3000)).toBe(120);
+      expect(engine.calculateWCPM(10, 0)).toBe(0);
+    });
+
+    it('counts speaking speed over the same word tokens the aligner reads', () => {
+      const speed = createEngine().analyzeSpeechSpeed({ duration: 1500, primary: { transcript: '  the cat -  sat ' } });
+
+      expect(speed.wordsPerMinute).toBe(120);
+      expect(speed.category).toBe('normal');
+    });
+  });
+
+  describe('accent evidence', () => {
+    it('records how well the browser recognizer understood a reading under its locale', () => {
+      const engine = createEngine();
+      const recordSession = jest.spyOn(engine.accentDetector, 'recordSession').mockImplementation(() => {});
+      engine.speechRecognition = { backend: 'browser', lang: 'en-IN' };
+      engine.speechData = [{ primary: { transcript: 'the cat' } }];
+
+      engine.recordAccentEvidence(0.9);
+
+      expect(recordSession).toHaveBeenCalledWith('en-IN', 0.9);
+    });
+
+    it('records nothing for a reading without final results or from another backend', () => {
+      const engine = createEngine();
+      const recordSession = jest.spyOn(engine.accentDetector, 'recordSession').mockImplementation(() => {});
+      engine.speechData = [{ primary: { transcript: 'the cat' } }];
+      engine.recordAccentEvidence(0.9);
+
+      engine.speechRecognition = { backend: 'browser', lang: 'en-US' };
+      engine.speechData = [];
+      engine.recordAccentEvidence(0.9);
+
+      expect(recordSession).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordings', () => {
+    it('places each passage word read on the recording, with the attempt score', () => {
+      const engine = createEngine();
+      engine.speechData = [
+        { primary: { transcript: 'the cat' }, wordTimings: [{ start: 1100, end: 1400 }, { start: 1400, end: 1800 }] },
+        { primary: { transcript: 'on the mat' }, wordTimings: [{ start: 2500, end: 2700 }, { start: 2700, end: 2900 }, { start: 2900, end: 3300 }] }
+      ];
+
+      const timeline = engine.buildPassageTimeline('The cat sat on the mat.', 1000);
+
+      expect(timeline.wordTimings).toEqual([
+        { index: 0, status: 'correct', start: 100, end: 400 },
+        { index: 1, status: 'correct', start: 400, end: 800 },
+        { index: 3, status: 'correct', start: 1500, end: 1700 },
+        { index: 4, status: 'correct', start: 1700, end: 1900 },
+        { index: 5, status: 'correct', start: 1900, end: 2300 }
+      ]);
+      expect(timeline.wordFeedback[2].status).toBe('omitted');
+      expect(timeline).toMatchObject({ score: 5, wordsCorrect: 5, wordsRead: 6, totalWords: 6 });
+    });
+
+    it('counts whole words correct out of the words reached on a partial reading', () => {
+      const engine = createEngine();
+      engine.speechData = [{ primary: { transcript: 'the cat sad' }, wordTimings: [] }];
+
+      const timeline = engine.buildPassageTimeline('The cat sat on the mat.', 0);
+
+      expect(timeline).toMatchObject({ wordsCorrect: 2, wordsRead: 3, totalWords: 6 });
+    });
+  });
+
+  describe('pauses', () => {
+    let engine;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      engine = createEngine();
+      engine.startListening({ targetText: 'the cat sat on the mat', silenceTimeout: 3000 });
+      engine.lastSpeechTime = 1000;
+      engine.onSessionPaused = jest.fn();
+      engine.onSessionResumed = jest.fn();
+    });
+
+    afterEach(() => {
+      engine.stopListening();
+      jest.useRealTimers();
+    });
+
+    it('pauses from where the silence started once it lasts the timeout', () => {
+      engine.monitorSilence({ isSpeech: false, timestamp: 3500 });
+      expect(engine.isPaused).toBe(false);
+
+      engine.monitorSilence({ isSpeech: false, timestamp: 4000 });
+      expect(engine.isPaused).toBe(true);
+      expect(engine.onSessionPaused).toHaveBeenCalledWith(expect.objectContaining({ start: 1000 }));
+    });
+
+    it('resumes on speech and leaves the pause out of the reading time', () => {
+      engine.monitorSilence({ isSpeech: false, timestamp: 4000 });
+      engine.monitorSilence({ isSpeech: true, timestamp: 9000 });
+
+      expect(engine.isPaused).toBe(false);
+      expect(engine.onSessionResumed).toHaveBeenCalledWith({ start: 1000, end: 9000, duration: 8000 });
+      expect(engine.getPausedTimeBetween(0, 10000)).toBe(8000);
+    });
+
+    it('does not pause when pause detection is off', () => {
+      engine.pauseDetection.enabled = false;
+      engine.monitorSilence({ isSpeech: false, timestamp: 60000 });
+
+      expect(engine.isPaused).toBe(false);
+    });
+
+    it('closes an open pause when listening stops', () => {
+      engine.monitorSilence({ isSpeech: false, timestamp: 4000 });
+      engine.stopListening();
+
+      expect(engine.isPaused).toBe(false);
+      expect(engine.pauses[0].end).not.toBeNull();
+    });
+  });
+
+  describe('intonation', () => {
+    // A contour that holds steady and then moves by `shift` semitones over the last 400 ms
+    const contour = (startTime, endTime, shift) => Array.from({ length: 20 }, (_, i) => {
+      const time = startTime + (endTime - startTime) * i / 19;
+      const semitones = time >= endTime - 400 ? shift : (i % 2) * 3;
+      return { time, frequency: 200 * 2 ** (semitones / 12) };
+    });
+
+    it('tells questions from statements and expects the right ending', () => {
+      const sentences = createEngine().splitSentences('Is it red? Where is it? It is here!');
+
+      expect(sentences.map(({ type, expected, wordIndexes }) => ({ type, expected, wordIndexes }))).toEqual([
+        { type: 'question', expected: 'rise', wordIndexes: [0, 1, 2] },
+        { type: 'question', expected: 'fall_or_rise', wordIndexes: [3, 4, 5] },
+        { type: 'exclamation', expected: 'fall', wordIndexes: [6, 7, 8] }
+      ]);
+    });
+
+    it('scores a question that rises at the end', () => {
+      const engine = createEngine();
+      const [question] = engine.splitSentences('Is it red?');
+      const scored = engine.scoreSentenceIntonation({ ...question, startTime: 0, endTime: 2000 }, contour(0, 2000, 6));
+
+      expect(scored).toMatchObject({ observed: 'rise', score: 1, monotone: false });
+    });
+
+    it('asks for a rise when a question falls', () => {
+      const engine = createEngine();
+      const [question] = engine.splitSentences('Is it red?');
+      const scored = engine.scoreSentenceIntonation({ ...question, startTime: 0, endTime: 2000 }, contour(0, 2000, -6));
+
+      expect(scored.observed).toBe('fall');
+      expect(engine.generateIntonationFeedback([scored], false)[0]).toMatch('go up at the end of questions');
+    });
+
+    it('needs enough pitch to score a sentence', () => {
+      const engine = createEngine();
+      const [statement] = engine.splitSentences('It is red.');
+
+      expect(engine.scoreSentenceIntonation({ ...statement, startTime: 0, endTime: 1000 }, contour(0, 1000, 0).slice(0, 4))).toBeNull();
+    });
+
+    it('finds the sentences read from the alignment it is given', () => {
+      const engine = createEngine();
+      engine.currentSession = { targetText: 'It is red. It is blue.' };
+      engine.speechData = [{ primary: { transcript: 'it is red it' }, wordTimings: [0, 1, 2, 3].map(i => ({ start: i * 300, end: i * 300 + 250 })) }];
+      const alignment = engine.alignReading(engine.currentSession.targetText, engine.getSessionTranscript());
+      const align = jest.spyOn(engine, 'alignReading');
+
+      const sentences = engine.getReadSentences(alignment);
+
+      expect(align).not.toHaveBeenCalled();
+      expect(sentences).toEqual([expect.objectContaining({ text: 'It is red.', startTime: 0, endTime: 850 })]);
+    });
+  });
+
+  describe('reading position', () => {
+    let engine;
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      engine = createEngine();
+      engine.startListening({ targetText: 'The cat sat on the mat.' });
+    });
+
+    afterEach(() => {
+      engine.stopListening();
+      jest.useRealTimers();
+    });
+
+    it('follows interim results', () => {
+      engine.processRecognitionResults({ resultIndex: 0, results: [result('the cat', false)] });
+
+      expect(engine.readingPosition).toEqual({ currentWordIndex: 2, lastReadIndex: 1, finished: false });
+    });
+
+    it('aligns interim words only against the passage after the last final result', () => {
+      engine.processRecognitionResults({ resultIndex: 0, results: [result('the cat sat')] });
+      const alignFrom = jest.spyOn(engine.readingAligner, 'alignFrom');
+
+      engine.processRecognitionResults({ resultIndex: 1, results: [result('the cat sat'), result('on the', false)] });
+
+      expect(alignFrom).toHaveBeenCalledWith('The cat sat on the mat.', 'on the', 2);
+      expect(engine.readingPosition.currentWordIndex).toBe(5);
+    });
+
+    it('handles each final result once, from the first result that changed', () => {
+      const processFinalResult = jest.spyOn(engine, 'processFinalResult');
+      engine.processRecognitionResults({ resultIndex: 0, results: [result('the cat sat')] });
+      engine.processRecognitionResults({ resultIndex: 1, results: [result('the cat sat'), result('on the mat')] });
+
+      expect(processFinalResult).toHaveBeenCalledTimes(2);
+      expect(engine.getSessionTranscript()).toBe('the cat sat on the mat');
+    });
+
+    it('does not move back when an interim guess is revised', () => {
+      engine.processRecognitionResults({ resultIndex: 0, results: [result('the cat sat on', false)] });
+      engine.processRecognitionResults({ resultIndex: 0, results: [result('the cat', false)] });
+
+      expect(engine.readingPosition.currentWordIndex).toBe(4);
+    });
+
+    it('finishes at the end of the passage', () => {
+      const onReadingPosition = jest.fn();
+      engine.onReadingPosition = onReadingPosition;
+      engine.processRecognitionResults({ resultIndex: 0, results: [result('the cat sat on the mat')] });
+
+      expect(onReadingPosition).toHaveBeenLastCalledWith({ currentWordIndex: null, lastReadIndex: 5, finished: true });
+    });
+  });
+
+  describe('rescoring', () => {
+    let engine;
+
+    // A final result with several alternatives, most confident first
+    const alternatives = (...transcripts) => Object.assign(
+      transcripts.map((transcript, i) => ({ transcript, confidence: 0.9 - i * 0.3 })),
+      { isFinal: true }
+    );
+
+    beforeEach(() => {
+      jest.useFakeTimers();
+      engine = createEngine();
+      engine.startListening({ targetText: 'The dog ran. The dog sat.' });
+    });
+
+    afterEach(() => {
+      engine.stopListening();
+      jest.useRealTimers();
+    });
+
+    it('scores the passage on the rescored words and keeps what was recognized', () => {
+      const analysis = engine.processFinalResult(alternatives('the dog ram', 'the dog ran'));
+
+      expect(analysis.spokenText).toBe('the dog ran');
+      expect(analysis.recognizedText).toBe('the dog ram');
+      expect(analysis.rescuedWords.map(word => word.target)).toEqual(['ran']);
+    });
+
+    it('rescores each result from where the previous one left the reader', () => {
+      engine.processFinalResult(alternatives('the dog ran'));
+      const rescore = jest.spyOn(engine.hypothesisRescorer, 'rescore');
+
+      const analysis = engine.processFinalResult(alternatives('the dog sad', 'the dog sat'));
+
+      expect(rescore).toHaveBeenCalledWith('The dog ran. The dog sat.', expect.any(Array), 2);
+      expect(analysis.spokenText).toBe('the dog ran the dog sat');
+    });
+  });
+
+  describe('phrasing', () => {
+    const TEXT = 'The cat sat on the mat. The dog ran to the park, and it played.';
+
+    // Every word takes 300 ms, with a 600 ms silence after each word index in `pausesAfter`
+    const timeline = (engine, pausesAfter, measured = true) => {
+      const words = engine.readingAligner.tokenizePassage(TEXT);
+      const wordTimings = [];
+      const silences = [];
+      let time = 0;
+      words.forEach(word => {
+        wordTimings.push({ index: word.index, start: time, end: time + 300 });
+        time += 300;
+        if (pausesAfter.includes(word.index)) {
+          silences.push({ start: time, end: time + 600 });
+          time += 600;
+        }
+      });
+      return { words, wordTimings, silences, measured };
+    };
+
+    it('gives the top level to pauses that follow the punctuation', () => {
+      const engine = createEngine();
+      const { phrasing } = engine.fluencyAnalyzer.analyzeFluency(timeline(engine, [5, 11]));
+
+      expect(phrasing).toMatchObject({ level: 4, punctuationPauseRate: 1, boundaryAlignment: 1, wordByWord: false, runOn: false });
+      expect(phrasing.feedback).toEqual(['Lovely phrasing! Your pauses follow the punctuation.']);
+    });
+
+    it('hears word-by-word reading', () => {
+      const engine = createEngine();
+      const { phrasing } = engine.fluencyAnalyzer.analyzeFluency(timeline(engine, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13]));
+
+      expect(phrasing).toMatchObject({ level: 1, wordByWord: true });
+      expect(phrasing.feedback[0]).toMatch('groups of words together');
+    });
+
+    it('marks down reading straight through the punctuation', () => {
+      const engine = createEngine();
+      const { phrasing } = engine.fluencyAnalyzer.analyzeFluency(timeline(engine, []));
+
+      expect(phrasing).toMatchObject({ level: 3, runOn: true });
+      expect(phrasing.feedback).toEqual(['Take a short breath at commas and a longer one at periods.']);
+    });
+
+    it('keeps the top level for readers with expression', () => {
+      const engine = createEngine();
+      const { phrasing } = engine.fluencyAnalyzer.analyzeFluency(timeline(engine, [5, 11]), { available: true, monotone: true });
+
+      expect(phrasing.level).toBe(3);
+    });
+
+    it('does not score phrasing without measured silences', () => {
+      const engine = createEngine();
+
+      expect(engine.fluencyAnalyzer.analyzeFluency(timeline(engine, [5, 11], false))).toEqual({
+        overallScore: null,
+        phrasing: { available: false, level: null, score: null, description: null, feedback: [] }
+      });
+    });
+
+    it('times the passage words from the alignment it is given', () => {
+      const engine = createEngine();
+      engine.speechData = [{
+        primary: { transcript: 'the cat sat' },
+        wordTimings: [0, 1, 2].map(i => ({ start: i * 300, end: i * 300 + 300 })),
+        voicedIntervals: [{ start: 0, end: 300 }, { start: 700, end: 900 }]
+      }];
+      const alignment = engine.alignReading(TEXT, engine.getSessionTranscript());
+      const align = jest.spyOn(engine.readingAligner, 'align');
+
+      const phrasingTimeline = engine.getPhrasingTimeline(TEXT, alignment);
+
+      expect(align).not.toHaveBeenCalled();
+      expect(phrasingTimeline.wordTimings.map(timing => timing.index)).toEqual([0, 1, 2]);
+      expect(phrasingTimeline.silences).toEqual([{ start: 300, end: 700 }]);
+    });
+  });
+});
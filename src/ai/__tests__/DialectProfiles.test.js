@@ -0,0 +1,60 @@
+import DialectProfiles from '../DialectProfiles';
+import ReadingAligner from '../ReadingAligner';
+
+describe('DialectProfiles', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('explains a word said the way the dialect says it', () => {
+    const dialect = new DialectProfiles({ profile: 'african_american' });
+
+    expect(dialect.findVariant('test', 'tes')).toMatchObject({
+      profile: 'african_american',
+      rules: [{ id: 'final_cluster_reduction', name: 'Final consonant cluster reduction' }]
+    });
+    expect(dialect.findVariant('that', 'dat').rules.map(rule => rule.id)).toEqual(['th_stopping_initial']);
+    expect(dialect.findVariant('going', 'goin').note).toBe('-ing said as -in\' (African American English), counted as correct');
+  });
+
+  it('combines up to two rules', () => {
+    const dialect = new DialectProfiles({ profile: 'caribbean' });
+
+    expect(dialect.findVariant('hand', 'an').rules.map(rule => rule.id)).toEqual(['final_cluster_reduction', 'h_dropping']);
+  });
+
+  it('does not excuse a different word or a rule the profile does not have', () => {
+    const dialect = new DialectProfiles({ profile: 'african_american' });
+
+    expect(dialect.findVariant('test', 'toast')).toBeNull();
+    expect(dialect.findVariant('very', 'wery')).toBeNull();
+    expect(new DialectProfiles().findVariant('test', 'tes')).toBeNull();
+  });
+
+  it('leaves out rules a teacher switched off', () => {
+    const dialect = new DialectProfiles({ profile: 'african_american', disabledRules: ['final_cluster_reduction'] });
+
+    expect(dialect.findVariant('test', 'tes')).toBeNull();
+    expect(dialect.getProfile().rules).not.toContain('final_cluster_reduction');
+  });
+
+  it('goes with the matching accent setting', () => {
+    expect(DialectProfiles.forAccent('indian')).toBe('indian');
+    expect(DialectProfiles.forAccent('american')).toBe('none');
+  });
+
+  it('keeps the chosen profile', () => {
+    DialectProfiles.saveSettings({ profile: 'caribbean', disabledRules: ['h_dropping'] });
+
+    expect(DialectProfiles.loadSettings()).toEqual({ profile: 'caribbean', disabledRules: ['h_dropping'] });
+  });
+
+  it('lets the aligner score a dialect variant as correct', () => {
+    const aligner = new ReadingAligner({ dialectProfiles: new DialectProfiles({ profile: 'african_american' }) });
+    const alignment = aligner.align('I think that is the best test', 'I think dat is the bes tes');
+
+    expect(aligner.getScore(alignment)).toBe(7);
+    expect(alignment.words[2]).toMatchObject({ status: 'correct', dialectVariant: expect.objectContaining({ profile: 'african_american' }) });
+    expect(aligner.getScore(new ReadingAligner().align('I think that is the best test', 'I think dat is the bes tes'))).toBeLessThan(7);
+  });
+});
@@ -0,0 +1,64 @@
+import GraphemeToPhoneme from '../GraphemeToPhoneme';
+
+describe('GraphemeToPhoneme', () => {
+  const g2p = new GraphemeToPhoneme();
+
+  it('reads words by letter-to-sound rules', () => {
+    expect(g2p.toArpabet('cat')).toBe('K AE1 T');
+    expect(g2p.toArpabet('make')).toBe('M EY1 K');
+    expect(g2p.toArpabet('ship')).toBe('SH IH1 P');
+    expect(g2p.toArpabet('night')).toBe('N AY1 T');
+    expect(g2p.toArpabet('phone')).toBe('F OW1 N');
+  });
+
+  it('looks up irregular words', () => {
+    expect(g2p.toArpabet('the')).toBe('DH AH0');
+    expect(g2p.toArpabet('one')).toBe('W AH1 N');
+    expect(g2p.toArpabet('said')).toBe('S EH1 D');
+  });
+
+  it('reads compounds and possessives from their parts', () => {
+    expect(g2p.toArpabet('well-known')).toBe('W EH1 L N AW1 N');
+    expect(g2p.toArpabet("cat's")).toBe('K AE1 T S');
+  });
+
+  it('stresses the first vowel and can leave stress out', () => {
+    expect(g2p.toPhonemes('water')).toEqual(['W', 'AO1', 'T', 'ER0']);
+    expect(g2p.toPhonemes('water', { stress: false })).toEqual(['W', 'AO', 'T', 'ER']);
+  });
+
+  it('splits phonemes into syllables with the longest legal onset', () => {
+    const syllables = g2p.syllabify(g2p.toPhonemes('rabbit'));
+
+    expect(syllables).toEqual([{ phonemes: ['R', 'AE1'], stress: 1 }, { phonemes: ['B', 'IH0', 'T'], stress: 0 }]);
+  });
+
+  it('writes broad IPA with the stressed syllable marked', () => {
+    expect(g2p.toIPA('water')).toBe('/ˈwɔtɚ/');
+    expect(g2p.toIPA('cat')).toBe('/kæt/');
+    expect(g2p.toIPA('')).toBe('');
+  });
+
+  it('reads passage text after normalizing it', () => {
+    expect(g2p.textToPhonemes('I have 2 cats').map(word => [word.word, word.wordIndex])).toEqual([
+      ['i', 0], ['have', 1], ['two', 2], ['cats', 3]
+    ]);
+  });
+
+  it('describes phonemes for feedback', () => {
+    expect(g2p.describePhoneme('TH')).toMatchObject({ ipa: 'θ', manner: 'fricative', voiced: false });
+    expect(GraphemeToPhoneme.isVowel('AE1')).toBe(true);
+    expect(GraphemeToPhoneme.isVowel('T')).toBe(false);
+  });
+
+  it('compares words by their phonemes', () => {
+    expect(g2p.compareWords('cat', 'cat')).toBe(1);
+    expect(g2p.compareWords('cat', 'hat')).toBeCloseTo(2 / 3);
+  });
+
+  it('splits the spelling into syllables that follow the sounds', () => {
+    expect(['water', 'rabbit', 'carry', 'chicken', 'Butterfly', 'make'].map(word => g2p.spellSyllables(word).join('·')))
+      .toEqual(['wa·ter', 'rab·bit', 'car·ry', 'chick·en', 'But·ter·fly', 'make']);
+    expect(g2p.spellSyllables('well-known')).toEqual(['well-', 'known']);
+  });
+});
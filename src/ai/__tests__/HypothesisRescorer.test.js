@@ -0,0 +1,44 @@
+import HypothesisRescorer from '../HypothesisRescorer';
+
+describe('HypothesisRescorer', () => {
+  it('takes a misheard word from an alternative that heard it', () => {
+    const rescoring = new HypothesisRescorer().rescore('the cat sat on the mat', [
+      { transcript: 'the hat sat on the mat', confidence: 0.9 },
+      { transcript: 'the cat sat on the mat', confidence: 0.6 }
+    ]);
+
+    expect(rescoring.transcript).toBe('the cat sat on the mat');
+    expect(rescoring.rescued.map(word => word.target)).toEqual(['cat']);
+  });
+
+  it('keeps a skipped word omitted when an alternative has it', () => {
+    const rescoring = new HypothesisRescorer().rescore('the cat sat on the mat', [
+      { transcript: 'the cat on the mat', confidence: 0.9 },
+      { transcript: 'the cat sat on the mat', confidence: 0.6 }
+    ]);
+
+    expect(rescoring.transcript).toBe('the cat on the mat');
+    expect(rescoring.rescued).toEqual([]);
+    expect(rescoring.words.find(word => word.target === 'sat').spoken).toBe('');
+  });
+
+  it('does not add words past the end of the first hypothesis', () => {
+    const rescoring = new HypothesisRescorer().rescore('The cat sat on the rug. The cat liked to play with a red ball.', [
+      { transcript: 'the cat sat', confidence: 0.9 },
+      { transcript: 'the cat sat the cat liked to play with a red ball', confidence: 0.4 }
+    ]);
+
+    expect(rescoring.transcript).toBe('the cat sat');
+    expect(rescoring.rescued).toEqual([]);
+  });
+
+  it('only looks at the passage after where the reader was', () => {
+    const rescoring = new HypothesisRescorer().rescore('The dog ran. The dog sat.', [
+      { transcript: 'the dog sad', confidence: 0.9 },
+      { transcript: 'the dog sat', confidence: 0.5 }
+    ], 2);
+
+    expect(rescoring.words.map(word => word.index)).toEqual([3, 4, 5]);
+    expect(rescoring.transcript).toBe('the dog sat');
+  });
+});
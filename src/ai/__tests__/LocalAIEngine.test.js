@@ -0,0 +1,24 @@
+import LocalAIEngine from '../LocalAIEngine';
+
+describe('LocalAIEngine', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('pairs words by alignment, so a skipped word does not shift the rest', () => {
+    const analysis = new LocalAIEngine().analyzePronunciation('the big dog ran home', 'the dog ran hom');
+
+    expect(analysis.wordAnalysis.map(word => [word.targetWord, word.spokenWord])).toEqual([
+      ['the', 'the'], ['big', ''], ['dog', 'dog'], ['ran', 'ran'], ['home', 'hom']
+    ]);
+    expect(analysis.overallAccuracy).toBeCloseTo(0.6);
+  });
+
+  it('reports sound errors only for the words that were misread', () => {
+    const errors = new LocalAIEngine().analyzePhonemes('the big dog ran to think', 'the dog ran to fink');
+
+    expect(errors.map(error => [error.word, error.spoken, error.expected, error.actual])).toEqual([
+      ['think', 'fink', 'TH', 'F']
+    ]);
+  });
+});
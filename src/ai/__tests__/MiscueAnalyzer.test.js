@@ -0,0 +1,47 @@
+import MiscueAnalyzer from '../MiscueAnalyzer';
+import ReadingAligner from '../ReadingAligner';
+
+const analyze = (target, spoken) => new MiscueAnalyzer().analyze(new ReadingAligner().align(target, spoken));
+
+describe('MiscueAnalyzer', () => {
+  it('counts a fixed word as correct and notes the self-correction', () => {
+    const analysis = analyze('the big dog ran home', 'the big dig dog ran home');
+    const dog = analysis.words[2];
+
+    expect(dog).toMatchObject({ status: 'correct', selfCorrected: true, attempts: ['dig'] });
+    expect(analysis.miscues).toEqual([expect.objectContaining({ type: 'self_correction', wordIndex: 2, attempt: 'dig' })]);
+    expect(analysis.counts).toMatchObject({ correct: 5, substituted: 0, inserted: 0, selfCorrections: 1 });
+  });
+
+  it('does not count re-read words as extra words', () => {
+    const analysis = analyze('the big dog ran home', 'the big dog the big dog ran home');
+
+    expect(analysis.miscues).toEqual([
+      expect.objectContaining({ type: 'repetition', spoken: ['the', 'big', 'dog'], wordIndexes: [0, 1, 2] })
+    ]);
+    expect(analysis.words.filter(entry => entry.repeated).map(entry => entry.index)).toEqual([0, 1, 2]);
+    expect(analysis.counts).toMatchObject({ correct: 5, inserted: 0, repetitions: 1 });
+  });
+
+  it('notes the start of a word as a false start', () => {
+    const analysis = analyze('the big dog ran home', 'the big d dog ran home');
+
+    expect(analysis.words[2].falseStarts).toEqual(['d']);
+    expect(analysis.counts).toMatchObject({ correct: 5, inserted: 0, falseStarts: 1 });
+  });
+
+  it('keeps an unrelated extra word as an insertion', () => {
+    const analysis = analyze('the big dog ran home', 'the big dog quickly ran home');
+
+    expect(analysis.miscues).toEqual([]);
+    expect(analysis.insertions.map(insertion => insertion.spoken)).toEqual(['quickly']);
+    expect(analysis.counts.inserted).toBe(1);
+  });
+
+  it('leaves a substitution the reader did not fix as an error', () => {
+    const analysis = analyze('the big dog ran home', 'the big cat ran home');
+
+    expect(analysis.words[2].status).toBe('substituted');
+    expect(analysis.counts).toMatchObject({ substituted: 1, selfCorrections: 0 });
+  });
+});
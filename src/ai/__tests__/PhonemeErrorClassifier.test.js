@@ -0,0 +1,76 @@
+import PhonemeErrorClassifier from '../PhonemeErrorClassifier';
+import PhonemeConfusionMatrix from '../PhonemeConfusionMatrix';
+
+describe('PhonemeErrorClassifier', () => {
+  const classifier = new PhonemeErrorClassifier();
+
+  it('pairs a swapped sound with the sound it replaced', () => {
+    const analysis = classifier.analyzeWord('think', 'fink');
+
+    expect(analysis.errors).toEqual([
+      expect.objectContaining({ expected: 'TH', actual: 'F', kind: 'substitution', family: 'th_sound', message: '/θ/ was said as /f/' })
+    ]);
+  });
+
+  it('sorts mistakes into the families there are exercises for', () => {
+    expect(PhonemeErrorClassifier.classify('V', 'W')).toBe('v_sound');
+    expect(PhonemeErrorClassifier.classify('R', 'W')).toBe('r_sound');
+    expect(PhonemeErrorClassifier.classify('SH', 'S')).toBe('ch_sound');
+    expect(PhonemeErrorClassifier.classify('AH0', 'AE1')).toBe('vowel_reduction');
+    expect(PhonemeErrorClassifier.classify('TH', 'K')).toBe('general_pronunciation');
+    expect(PhonemeErrorClassifier.classify('T', 'T')).toBeNull();
+  });
+
+  it('notes sounds left out and sounds added', () => {
+    expect(classifier.analyzeWord('best', 'bes').errors).toEqual([
+      expect.objectContaining({ expected: 'T', actual: '', kind: 'omission', message: '/t/ was left out' })
+    ]);
+    expect(classifier.analyzeWord('cat', 'cats').errors).toEqual([
+      expect.objectContaining({ expected: '', actual: 'S', kind: 'insertion', message: 'an extra /s/ was added' })
+    ]);
+  });
+
+  it('counts errors per family, most frequent first', () => {
+    const errors = [{ family: 'v_sound' }, { family: 'th_sound' }, { family: 'th_sound' }];
+
+    expect(classifier.summarizeFamilies(errors)).toEqual([
+      { family: 'th_sound', count: 2, description: 'th sound' },
+      { family: 'v_sound', count: 1, description: 'v sound' }
+    ]);
+  });
+});
+
+describe('PhonemeConfusionMatrix', () => {
+  const classifier = new PhonemeErrorClassifier();
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('counts every sound read and what it was said as when it went wrong', () => {
+    const matrix = new PhonemeConfusionMatrix();
+    matrix.record(classifier.analyzeWord('think', 'fink').comparisons);
+    matrix.record(classifier.analyzeWord('thin', 'thin').comparisons);
+
+    expect(matrix.phonemes.TH).toMatchObject({ attempts: 2, errors: 1 });
+    expect(matrix.getCount('TH', 'F')).toBe(1);
+    expect(matrix.getAccuracy('TH')).toBe(0.5);
+    expect(matrix.getTopConfusions('th_sound')).toEqual([{ expected: 'TH', actual: 'F', count: 1, rate: 0.5 }]);
+  });
+
+  it('keeps words to practise for the weakest family', () => {
+    const matrix = new PhonemeConfusionMatrix();
+    matrix.record(classifier.analyzeWord('think', 'fink').comparisons);
+    matrix.record(classifier.analyzeWord('very', 'wery').comparisons);
+    matrix.record(classifier.analyzeWord('van', 'van').comparisons);
+
+    const [weakest] = matrix.getFamilyStats();
+    expect(weakest).toMatchObject({ family: 'th_sound', accuracy: 0, words: ['think'] });
+  });
+
+  it('keeps the counts across sessions', () => {
+    new PhonemeConfusionMatrix().record(classifier.analyzeWord('think', 'fink').comparisons);
+
+    expect(new PhonemeConfusionMatrix().getCount('TH', 'F')).toBe(1);
+  });
+});
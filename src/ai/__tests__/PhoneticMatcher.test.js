@@ -0,0 +1,47 @@
+import PhoneticMatcher from '../PhoneticMatcher';
+import ReadingAligner from '../ReadingAligner';
+
+describe('PhoneticMatcher', () => {
+  const matcher = new PhoneticMatcher();
+
+  it('gives homophones full credit', () => {
+    expect(matcher.compare('there', 'their')).toEqual({ similarity: 1, match: 'homophone' });
+    expect(matcher.compare('two', 'too')).toEqual({ similarity: 1, match: 'homophone' });
+    expect(matcher.compare('flowers', 'flours')).toEqual({ similarity: 1, match: 'homophone' });
+  });
+
+  it('leaves out words General American does not say the same way', () => {
+    expect(matcher.areHomophones('mom', 'mum')).toBe(false);
+    expect(matcher.areHomophones('lead', 'led')).toBe(false);
+    expect(matcher.areHomophones('root', 'route')).toBe(false);
+  });
+
+  it('gives words with the same sounds partial credit', () => {
+    expect(matcher.compare('phone', 'fone')).toEqual({ similarity: 0.75, match: 'sound_alike' });
+    expect(matcher.soundsAlike('knight', 'nite')).toBe(true);
+    expect(matcher.soundsAlike('cat', 'dog')).toBe(false);
+  });
+
+  it('gives Double Metaphone keys for sounds, not letters', () => {
+    expect(matcher.doubleMetaphone('knight')).toEqual(['NT', 'NT']);
+    expect(matcher.doubleMetaphone('phone')).toEqual(['FN', 'FN']);
+  });
+
+  it('only compares spelling in other languages', () => {
+    const spanish = new PhoneticMatcher({ language: 'es-ES' });
+
+    expect(spanish.isEnglish()).toBe(false);
+    expect(spanish.compare('there', 'their').match).toBe('spelling');
+  });
+
+  it('lets the aligner score homophones as correct and sound-alikes with partial credit', () => {
+    const aligner = new ReadingAligner();
+    const alignment = aligner.align('I can see the sea phone', 'I can sea the see fone');
+
+    expect(alignment.words.slice(2, 5).map(entry => [entry.status, entry.homophone])).toEqual([
+      ['correct', true], ['correct', false], ['correct', true]
+    ]);
+    expect(alignment.words[5]).toMatchObject({ status: 'substituted', soundAlike: true });
+    expect(aligner.getScore(alignment)).toBe(5.5);
+  });
+});
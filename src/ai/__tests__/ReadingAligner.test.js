@@ -0,0 +1,73 @@
+import ReadingAligner from '../ReadingAligner';
+
+const statuses = alignment => alignment.words.map(entry => entry.status);
+
+describe('ReadingAligner', () => {
+  it('marks a skipped word as omitted and keeps the words after it in place', () => {
+    const alignment = new ReadingAligner().align('the cat sat on the mat', 'the cat on the mat');
+
+    expect(statuses(alignment)).toEqual(['correct', 'correct', 'omitted', 'correct', 'correct', 'correct']);
+    expect(alignment.counts).toMatchObject({ correct: 5, omitted: 1, inserted: 0 });
+  });
+
+  it('records an extra word after the word it follows', () => {
+    const aligner = new ReadingAligner();
+    const alignment = aligner.align('the cat sat on the mat', 'the cat sat on the big mat');
+
+    expect(alignment.counts).toMatchObject({ correct: 6, inserted: 1 });
+    expect(alignment.insertions).toEqual([{ spoken: 'big', spokenIndex: 5, afterIndex: 4 }]);
+    expect(aligner.toWordFeedback(alignment)[4].insertedAfter).toEqual(['big']);
+  });
+
+  it('marks a different word as substituted', () => {
+    const alignment = new ReadingAligner().align('the cat sat on the mat', 'the cat sat on the rug');
+
+    expect(alignment.words[5]).toMatchObject({ status: 'substituted', target: 'mat', spoken: 'rug' });
+  });
+
+  it('leaves words the reader has not reached unread', () => {
+    const aligner = new ReadingAligner();
+    const alignment = aligner.align('the cat sat on the mat', 'the cat sat');
+
+    expect(statuses(alignment)).toEqual(['correct', 'correct', 'correct', 'unread', 'unread', 'unread']);
+    expect(aligner.getReadingPosition(alignment)).toEqual({ currentWordIndex: 3, lastReadIndex: 2, finished: false });
+    expect(Object.keys(aligner.toWordFeedback(alignment))).toEqual(['0', '1', '2']);
+  });
+
+  it('does not jump ahead to a later copy of the last word said', () => {
+    const alignment = new ReadingAligner().align('the cat sat on the mat', 'the');
+
+    expect(statuses(alignment)).toEqual(['correct', 'unread', 'unread', 'unread', 'unread', 'unread']);
+  });
+
+  it('keeps a normalized word on the index TextDisplay shows', () => {
+    const alignment = new ReadingAligner().align('It cost $5 today', 'it cost five dollars today');
+
+    expect(alignment.words.map(entry => entry.index)).toEqual([0, 1, 2, 3]);
+    expect(alignment.words[2]).toMatchObject({ status: 'correct', target: 'five dollars' });
+  });
+
+  it('scores sound-alike substitutions with partial credit', () => {
+    const aligner = new ReadingAligner();
+
+    expect(aligner.getScore({ counts: { correct: 4, soundAlike: 2 } })).toBe(5);
+  });
+
+  it('aligns only the passage after a given word', () => {
+    const alignment = new ReadingAligner().alignFrom('the dog ran and the dog sat', 'the dog sat', 3);
+
+    expect(alignment.words.map(entry => entry.index)).toEqual([4, 5, 6]);
+    expect(statuses(alignment)).toEqual(['correct', 'correct', 'correct']);
+  });
+
+  it('aligns a long passage with a whole line skipped', () => {
+    const line = 'one day the little fox went down to the river to drink';
+    const passage = Array.from({ length: 20 }, () => line).join(' ');
+    const spoken = Array.from({ length: 19 }, () => line).join(' ');
+    const aligner = new ReadingAligner();
+    const alignment = aligner.align(passage, spoken);
+
+    expect(alignment.counts.correct).toBe(19 * 12);
+    expect(alignment.counts.omitted + alignment.counts.unread).toBe(12);
+  });
+});
@@ -0,0 +1,155 @@
+import TextNormalizer from '../TextNormalizer';
+
+const normalize = (text, language = 'en') => new TextNormalizer(language).normalizeWords(text).join(' ');
+
+describe('TextNormalizer', () => {
+  describe('numbers', () => {
+    it('spells out cardinals, ordinals, decimals and grouped thousands', () => {
+      expect(normalize('I have 42 apples')).toBe('i have forty two apples');
+      expect(normalize('the 21st century')).toBe('the twenty first century');
+      expect(normalize('2.5 km')).toBe('two point five kilometers');
+      expect(normalize('1,250 cars')).toBe('one thousand two hundred fifty cars');
+    });
+
+    it('reads years, times, money and percentages the way they are said', () => {
+      expect(normalize('born in 1998')).toBe('born in nineteen ninety eight');
+      expect(normalize('at 3:30')).toBe('at three thirty');
+      expect(normalize('It costs $5.50')).toBe('it costs five dollars fifty cents');
+      expect(normalize('25%')).toBe('twenty five percent');
+    });
+
+    it('spells out numbers in other languages', () => {
+      expect(normalize('42 años', 'es')).toBe('cuarenta y dos años');
+      expect(normalize('80 ans', 'fr')).toBe('quatre vingts ans');
+      expect(normalize('21 Bücher', 'de')).toBe('einundzwanzig bücher');
+    });
+  });
+
+  describe('abbreviations and contractions', () => {
+    it('expands abbreviations', () => {
+      expect(normalize('Dr. Smith lives on Main St.')).toBe('doctor smith lives on main street');
+      expect(normalize('Mr. and Mrs. Jones')).toBe('mister and missus jones');
+      expect(normalize('Sr. García', 'es')).toBe('señor garcía');
+    });
+
+    it('expands contractions so either form matches', () => {
+      expect(normalize("I can't go")).toBe(normalize('I cannot go'));
+      expect(normalize("WON'T")).toBe('will not');
+      expect(normalize("we'll see")).toBe('we will see');
+    });
+  });
+
+  it('keeps every spoken word on the passage word it came from', () => {
+    expect(new TextNormalizer('en').normalize('Dr. Smith paid $5')).toEqual([
+      { word: 'doctor', raw: 'Dr.', sourceIndex: 0 },
+      { word: 'smith', raw: 'Smith', sourceIndex: 1 },
+      { word: 'paid', raw: 'paid', sourceIndex: 2 },
+      { word: 'five', raw: '$5', sourceIndex: 3 },
+      { word: 'dollars', raw: '$5', sourceIndex: 3 }
+    ]);
+  });
+
+  describe('decades', () => {
+    it('reads four-digit decades as years', () => {
+      expect(normalize('the 1990s')).toBe('the nineteen nineties');
+      expect(normalize("the 1980's")).toBe('the nineteen eighties');
+      expect(normalize('the 1900s')).toBe('the nineteen hundreds');
+      expect(normalize('the 2000s')).toBe('the two thousands');
+    });
+
+    it('reads short decades', () => {
+      expect(normalize("the '80s")).toBe('the eighties');
+      expect(normalize('the 60s')).toBe('the sixties');
+    });
+
+    it('leaves years that are not decades alone', () => {
+      expect(normalize('1995s')).toBe('1995s');
+    });
+  });
+
+  describe('fractions', () => {
+    it('reads English fractions', () => {
+      expect(normalize('1/2')).toBe('one half');
+      expect(normalize('3/4 cup')).toBe('three quarters cup');
+      expect(normalize('2/3')).toBe('two thirds');
+      expect(normalize('5/8')).toBe('five eighths');
+    });
+
+    it('reads mixed numbers', () => {
+      expect(normalize('1 1/2 cups')).toBe('one and a half cups');
+      expect(normalize('2 3/4')).toBe('two and three quarters');
+      expect(normalize('1½ cups')).toBe('one and a half cups');
+    });
+
+    it('reads fraction characters', () => {
+      expect(normalize('½ cup')).toBe('one half cup');
+      expect(normalize('¾')).toBe('three quarters');
+    });
+
+    it('reads fractions in other languages', () => {
+      expect(normalize('3/4', 'es')).toBe('tres cuartos');
+      expect(normalize('1 1/2', 'es')).toBe('uno y medio');
+      expect(normalize('2/3', 'fr')).toBe('deux tiers');
+      expect(normalize('1/2', 'de')).toBe('ein halb');
+      expect(normalize('2/3', 'pt')).toBe('dois terços');
+    });
+
+    it('still reads numeric dates as dates', () => {
+      expect(normalize('3/14/2020')).toBe('march fourteenth twenty twenty');
+    });
+  });
+
+  describe('negative numbers', () => {
+    it('reads a leading minus sign', () => {
+      expect(normalize('-5 degrees')).toBe('minus five degrees');
+      expect(normalize('−3.5')).toBe('minus three point five');
+      expect(normalize('-4', 'es')).toBe('menos cuatro');
+    });
+
+    it('reads a minus sign in unspaced text', () => {
+      expect(normalize('-5度', 'zh').replace(/ /g, '')).toBe('负五度');
+    });
+  });
+
+  describe('Spanish apocope', () => {
+    it('shortens uno before a noun', () => {
+      expect(normalize('21 años', 'es')).toBe('veintiún años');
+      expect(normalize('1 libro', 'es')).toBe('un libro');
+      expect(normalize('31 días', 'es')).toBe('treinta y un días');
+    });
+
+    it('shortens uno before mil', () => {
+      expect(normalize('21.000', 'es')).toBe('veintiún mil');
+    });
+
+    it('keeps the full form before a preposition or on its own', () => {
+      expect(normalize('el 21 de enero', 'es')).toBe('el veintiuno de enero');
+      expect(normalize('21', 'es')).toBe('veintiuno');
+    });
+
+    it('matches a transcript that says veintiún', () => {
+      expect(normalize('veintiún años', 'es')).toBe(normalize('21 años', 'es'));
+    });
+  });
+
+  describe('unspaced text', () => {
+    it('splits Chinese into words that share the source index', () => {
+      const tokens = new TextNormalizer('zh').normalize('我们去公园。 你好');
+
+      expect(tokens.length).toBeGreaterThan(2);
+      expect(tokens.filter(token => token.sourceIndex === 0).map(token => token.word).join('')).toBe('我们去公园');
+      expect(tokens[tokens.length - 1]).toMatchObject({ word: '你好', sourceIndex: 1 });
+    });
+
+    it('splits Japanese into words', () => {
+      expect(new TextNormalizer('ja').normalizeWords('今日は良い天気です。').length).toBeGreaterThan(1);
+    });
+
+    it('falls back to characters without a segmenter', () => {
+      const normalizer = new TextNormalizer('zh');
+      normalizer.segmenter = null;
+
+      expect(normalizer.normalizeWords('公园')).toEqual(['公', '园']);
+    });
+  });
+});
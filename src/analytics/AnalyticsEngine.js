@@ -64,7 +64,7 @@ class AnalyticsEngine {
       storyId: sessionData.storyId,
       errors: sessionData.errors || [],
       improvements: sessionData.improvements || [],
-      engagement: sessionData.engagement || 0.8,
+      engagement: sessionData.engagement ?? 0.8,
       deviceType: this.getDeviceType(),
       timeOfDay: this.getTimeOfDay(),
       environmentFactors: sessionData.environmentFactors || {}
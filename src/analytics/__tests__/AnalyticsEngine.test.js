@@ -0,0 +1,14 @@
+import AnalyticsEngine from '../AnalyticsEngine';
+
+describe('AnalyticsEngine', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keeps an engagement of zero and assumes one only when none is given', () => {
+    const analytics = new AnalyticsEngine();
+
+    expect(analytics.trackSession({ duration: 60000, wordsRead: 20, accuracy: 0.9, engagement: 0 }).session.engagement).toBe(0);
+    expect(analytics.trackSession({ duration: 60000, wordsRead: 20, accuracy: 0.9 }).session.engagement).toBe(0.8);
+  });
+});
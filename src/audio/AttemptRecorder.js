@@ -0,0 +1,72 @@
+/**
+ * Attempt Recorder for LiterateAI
+ * Records each reading attempt with MediaRecorder alongside speech recognition
+ */
+
+class AttemptRecorder {
+  constructor(options = {}) {
+    this.timeslice = options.timeslice || 1000; // milliseconds per recorded chunk
+    this.mediaRecorder = null;
+    this.chunks = [];
+    this.startTime = null;
+    this.stopPromise = null;
+  }
+
+  static isSupported() {
+    return typeof window.MediaRecorder !== 'undefined';
+  }
+
+  static getSupportedMimeType() {
+    const candidates = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+    return candidates.find(type => window.MediaRecorder.isTypeSupported?.(type)) || '';
+  }
+
+  start(mediaStream) {
+    if (!AttemptRecorder.isSupported()) {
+      throw new Error('MediaRecorder not supported');
+    }
+    if (this.isRecording()) return;
+
+    const mimeType = AttemptRecorder.getSupportedMimeType();
+    this.mediaRecorder = new MediaRecorder(mediaStream, mimeType ? { mimeType } : undefined);
+    this.chunks = [];
+
+    this.mediaRecorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+
+    this.stopPromise = new Promise((resolve, reject) => {
+      this.mediaRecorder.onstop = () => {
+        const mimeType = this.mediaRecorder.mimeType || 'audio/webm';
+        resolve({
+          blob: new Blob(this.chunks, { type: mimeType }),
+          mimeType,
+          startTime: this.startTime,
+          duration: Date.now() - this.startTime
+        });
+      };
+      this.mediaRecorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+    });
+
+    this.startTime = Date.now();
+    this.mediaRecorder.start(this.timeslice);
+  }
+
+  // Resolves with the recorded audio, or null when nothing was recorded
+  stop() {
+    if (!this.isRecording()) {
+      return Promise.resolve(null);
+    }
+
+    this.mediaRecorder.stop();
+    return this.stopPromise;
+  }
+
+  isRecording() {
+    return this.mediaRecorder?.state === 'recording';
+  }
+}
+
+export default AttemptRecorder;
@@ -0,0 +1,136 @@
+/**
+ * Attempt Store for LiterateAI
+ * Keeps recorded reading attempts in IndexedDB, keyed by passage and attempt number,
+ * along with one model reading per passage to compare attempts against
+ */
+
+const DB_NAME = 'literateai_recordings';
+const DB_VERSION = 2;
+const STORE_NAME = 'attempts';
+const REFERENCE_STORE_NAME = 'references';
+
+class AttemptStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  static isSupported() {
+    return typeof window.indexedDB !== 'undefined';
+  }
+
+  openDatabase() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('passageId', 'passageId', { unique: false });
+        }
+        if (!db.objectStoreNames.contains(REFERENCE_STORE_NAME)) {
+          db.createObjectStore(REFERENCE_STORE_NAME, { keyPath: 'passageId' });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    return this.dbPromise;
+  }
+
+  async runTransaction(mode, operation, storeName = STORE_NAME) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = operation(transaction.objectStore(storeName));
+
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  generateAttemptId(passageId, attemptNumber) {
+    return `${passageId}:${attemptNumber}`;
+  }
+
+  // Save a recorded attempt; the attempt number is the next one for this passage
+  async saveAttempt(passageId, attempt) {
+    const existing = await this.getAttempts(passageId);
+    const attemptNumber = existing.reduce((max, a) => Math.max(max, a.attemptNumber), 0) + 1;
+
+    const record = {
+      id: this.generateAttemptId(passageId, attemptNumber),
+      passageId,
+      attemptNumber,
+      createdAt: Date.now(),
+      blob: attempt.blob,
+      mimeType: attempt.mimeType,
+      duration: attempt.duration,
+      wordTimings: attempt.wordTimings || [],
+      wordFeedback: attempt.wordFeedback || {},
+      score: attempt.score ?? null,
+      wordsCorrect: attempt.wordsCorrect ?? null,
+      wordsRead: attempt.wordsRead ?? null,
+      totalWords: attempt.totalWords ?? null
+    };
+
+    await this.runTransaction('readwrite', store => store.put(record));
+    return record;
+  }
+
+  async updateAttempt(id, changes) {
+    const attempt = await this.getAttempt(id);
+    if (!attempt) return null;
+
+    const updated = { ...attempt, ...changes, id };
+    await this.runTransaction('readwrite', store => store.put(updated));
+    return updated;
+  }
+
+  async getAttempt(id) {
+    return this.runTransaction('readonly', store => store.get(id));
+  }
+
+  // Attempts for a passage, oldest first
+  async getAttempts(passageId) {
+    const attempts = await this.runTransaction('readonly', store =>
+      store.index('passageId').getAll(passageId)
+    );
+    return (attempts || []).sort((a, b) => a.attemptNumber - b.attemptNumber);
+  }
+
+  async deleteAttempt(id) {
+    await this.runTransaction('readwrite', store => store.delete(id));
+  }
+
+  // The model reading for a passage, recorded by a teacher, uploaded or spoken by the app;
+  // saving a new one replaces the old
+  async saveReference(passageId, reference) {
+    const record = {
+      passageId,
+      createdAt: Date.now(),
+      source: reference.source,
+      blob: reference.blob,
+      mimeType: reference.mimeType,
+      duration: reference.duration ?? null
+    };
+
+    await this.runTransaction('readwrite', store => store.put(record), REFERENCE_STORE_NAME);
+    return record;
+  }
+
+  async getReference(passageId) {
+    return this.runTransaction('readonly', store => store.get(passageId), REFERENCE_STORE_NAME);
+  }
+
+  async deleteReference(passageId) {
+    await this.runTransaction('readwrite', store => store.delete(passageId), REFERENCE_STORE_NAME);
+  }
+}
+
+export default AttemptStore;
@@ -0,0 +1,294 @@
+/**
+ * Audio Capture Engine for LiterateAI
+ * Captures the microphone with the Web Audio API alongside speech recognition
+ * and detects speech onsets and offsets for real timing measurements
+ */
+
+class AudioCaptureEngine {
+  constructor(options = {}) {
+    this.fftSize = options.fftSize || 2048;
+    this.frameInterval = options.frameInterval || 20; // milliseconds
+    this.voiceActivityDetector = new VoiceActivityDetector(options.vad);
+    this.gain = options.gain || 1;
+    this.calibratedNoiseFloor = null;
+    this.speechLevel = null;
+
+    this.audioContext = null;
+    this.mediaStream = null;
+    this.sourceNode = null;
+    this.gainNode = null;
+    this.analyserNode = null;
+    this.frameTimer = null;
+    this.frameBuffer = null;
+    this.frameListeners = [];
+    this.isCapturing = false;
+    this.pendingStart = null;
+    this.startCancelled = false;
+  }
+
+  static isSupported() {
+    return !!(navigator.mediaDevices?.getUserMedia && (window.AudioContext || window.webkitAudioContext));
+  }
+
+  start(existingStream = null) {
+    if (this.isCapturing) return Promise.resolve(this.mediaStream);
+    if (this.pendingStart) return this.pendingStart;
+
+    this.startCancelled = false;
+    this.pendingStart = this.openCapture(existingStream).finally(() => {
+      this.pendingStart = null;
+    });
+    return this.pendingStart;
+  }
+
+  async openCapture(existingStream) {
+    if (!AudioCaptureEngine.isSupported()) {
+      throw new Error('Web Audio capture not supported');
+    }
+
+    const stream = existingStream || await navigator.mediaDevices.getUserMedia({
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: false
+      }
+    });
+
+    // stop() ran while the microphone permission was pending; do not leave the mic open
+    if (this.startCancelled) {
+      if (!existingStream) stream.getTracks().forEach(track => track.stop());
+      throw new Error('Audio capture was stopped before it started');
+    }
+
+    this.mediaStream = stream;
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    this.audioContext = new AudioContext();
+    this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
+    this.gainNode = this.audioContext.createGain();
+    this.gainNode.gain.value = this.gain;
+    this.analyserNode = this.audioContext.createAnalyser();
+    this.analyserNode.fftSize = this.fftSize;
+    this.sourceNode.connect(this.gainNode);
+    this.gainNode.connect(this.analyserNode);
+
+    this.frameBuffer = new Float32Array(this.analyserNode.fftSize);
+    this.voiceActivityDetector.reset(this.calibratedNoiseFloor);
+    this.speechLevel = null;
+    this.captureStartTime = Date.now();
+    this.isCapturing = true;
+
+    this.frameTimer = setInterval(() => this.processFrame(), this.frameInterval);
+
+    return this.mediaStream;
+  }
+
+  stop() {
+    if (this.pendingStart) this.startCancelled = true;
+    if (!this.isCapturing) return;
+
+    clearInterval(this.frameTimer);
+    this.frameTimer = null;
+    this.voiceActivityDetector.flush(Date.now());
+
+    this.sourceNode?.disconnect();
+    this.gainNode?.disconnect();
+    this.mediaStream?.getTracks().forEach(track => track.stop());
+    this.audioContext?.close();
+
+    this.sourceNode = null;
+    this.gainNode = null;
+    this.analyserNode = null;
+    this.mediaStream = null;
+    this.audioContext = null;
+    this.isCapturing = false;
+  }
+
+  processFrame() {
+    if (!this.analyserNode) return;
+
+    this.analyserNode.getFloatTimeDomainData(this.frameBuffer);
+
+    const frame = {
+      timestamp: Date.now(),
+      samples: this.frameBuffer,
+      sampleRate: this.audioContext.sampleRate,
+      rms: this.calculateRMS(this.frameBuffer)
+    };
+
+    frame.isSpeech = this.voiceActivityDetector.process(frame.rms, frame.timestamp);
+
+    // Running speech level for signal-to-noise estimates
+    if (frame.isSpeech) {
+      this.speechLevel = this.speechLevel === null ? frame.rms : this.speechLevel + (frame.rms - this.speechLevel) * 0.05;
+    }
+
+    this.frameListeners.forEach(listener => listener(frame));
+  }
+
+  calculateRMS(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i] * samples[i];
+    }
+    return Math.sqrt(sum / samples.length);
+  }
+
+  // Subscribe to raw analysis frames; returns an unsubscribe function
+  addFrameListener(listener) {
+    this.frameListeners.push(listener);
+    return () => {
+      this.frameListeners = this.frameListeners.filter(l => l !== listener);
+    };
+  }
+
+  // Speech segments ({ start, end }) detected so far, including one still in progress
+  getSpeechSegments() {
+    return this.voiceActivityDetector.getSegments(Date.now());
+  }
+
+  getSpeechSegmentsBetween(startTime, endTime) {
+    return this.getSpeechSegments()
+      .filter(segment => segment.end > startTime && segment.start < endTime)
+      .map(segment => ({
+        start: Math.max(segment.start, startTime),
+        end: Math.min(segment.end, endTime)
+      }));
+  }
+
+  isSpeaking() {
+    return this.voiceActivityDetector.inSpeech;
+  }
+
+  setGain(gain) {
+    this.gain = gain;
+    if (this.gainNode) {
+      this.gainNode.gain.value = gain;
+    }
+  }
+
+  // Apply a MicCalibrator result: gain, and a noise floor the detector starts from
+  applyCalibration(calibration) {
+    if (!calibration) return;
+    this.setGain(calibration.gain);
+    this.calibratedNoiseFloor = calibration.noiseFloor * calibration.gain;
+  }
+
+  // Collect input levels for a while; used by calibration
+  measureLevels(duration) {
+    return new Promise(resolve => {
+      const levels = [];
+      const removeListener = this.addFrameListener(frame => levels.push(frame.rms));
+
+      setTimeout(() => {
+        removeListener();
+        resolve(levels);
+      }, duration);
+    });
+  }
+
+  // Signal-to-noise ratio in dB from the live speech level and noise floor
+  getSignalToNoise() {
+    const noiseFloor = this.voiceActivityDetector.noiseFloor;
+    if (this.speechLevel === null || !noiseFloor) return null;
+    return 20 * Math.log10(this.speechLevel / noiseFloor);
+  }
+}
+
+// Energy-based voice activity detector with an adaptive noise floor
+class VoiceActivityDetector {
+  constructor(options = {}) {
+    this.thresholdRatio = options.thresholdRatio || 3;
+    this.minThreshold = options.minThreshold || 0.01;
+    this.onsetTime = options.onsetTime || 60; // milliseconds above threshold before speech starts
+    this.hangoverTime = options.hangoverTime || 250; // milliseconds below threshold before speech ends
+    this.noiseAdaptRate = options.noiseAdaptRate || 0.05;
+    this.warmupTime = options.warmupTime || 500; // milliseconds the first noise floor is measured over
+    this.warmupQuietShare = options.warmupQuietShare || 0.2; // quietest share of warm-up frames taken as noise
+
+    this.reset();
+  }
+
+  reset(initialNoiseFloor = null) {
+    this.noiseFloor = initialNoiseFloor;
+    this.warmupLevels = initialNoiseFloor === null ? [] : null;
+    this.warmupStart = null;
+    this.inSpeech = false;
+    this.candidateStart = null;
+    this.lastVoicedTime = null;
+    this.segments = [];
+    this.currentSegmentStart = null;
+  }
+
+  process(rms, timestamp) {
+    if (this.warmupLevels) {
+      this.warmUp(rms, timestamp);
+    }
+
+    const threshold = Math.max(this.minThreshold, this.noiseFloor * this.thresholdRatio);
+    const voiced = rms > threshold;
+
+    if (voiced) {
+      this.lastVoicedTime = timestamp;
+
+      if (!this.inSpeech) {
+        if (this.candidateStart === null) {
+          this.candidateStart = timestamp;
+        } else if (timestamp - this.candidateStart >= this.onsetTime) {
+          this.inSpeech = true;
+          this.currentSegmentStart = this.candidateStart;
+          this.onSpeechStart?.(this.currentSegmentStart);
+        }
+      }
+    } else {
+      this.candidateStart = null;
+
+      // Only learn the noise floor from unvoiced frames so speech does not raise it
+      if (!this.warmupLevels) {
+        this.noiseFloor += (rms - this.noiseFloor) * this.noiseAdaptRate;
+      }
+
+      if (this.inSpeech && timestamp - this.lastVoicedTime >= this.hangoverTime) {
+        this.closeSegment(this.lastVoicedTime);
+      }
+    }
+
+    return this.inSpeech;
+  }
+
+  // Without a calibrated noise floor, take it from the quietest frames of the first
+  // moments of input, which may already contain speech
+  warmUp(rms, timestamp) {
+    if (this.warmupStart === null) this.warmupStart = timestamp;
+    this.warmupLevels.push(rms);
+
+    const sorted = [...this.warmupLevels].sort((a, b) => a - b);
+    const quietest = sorted.slice(0, Math.ceil(sorted.length * this.warmupQuietShare));
+    this.noiseFloor = quietest.reduce((sum, level) => sum + level, 0) / quietest.length;
+
+    if (timestamp - this.warmupStart >= this.warmupTime) {
+      this.warmupLevels = null;
+    }
+  }
+
+  closeSegment(endTime) {
+    this.segments.push({ start: this.currentSegmentStart, end: endTime });
+    this.inSpeech = false;
+    this.currentSegmentStart = null;
+    this.onSpeechEnd?.(endTime);
+  }
+
+  flush(timestamp) {
+    if (this.inSpeech) {
+      this.closeSegment(this.lastVoicedTime || timestamp);
+    }
+  }
+
+  getSegments(now) {
+    if (this.inSpeech) {
+      return [...this.segments, { start: this.currentSegmentStart, end: now, open: true }];
+    }
+    return [...this.segments];
+  }
+}
+
+export default AudioCaptureEngine;
@@ -0,0 +1,121 @@
+/**
+ * Mic Calibrator for LiterateAI
+ * Measures room noise and reading level before a session, picks a microphone
+ * gain and judges whether the room is quiet enough for reliable recognition
+ */
+
+const STORAGE_KEY = 'literateai_mic_calibration';
+
+class MicCalibrator {
+  constructor(audioCapture, options = {}) {
+    this.audioCapture = audioCapture;
+    this.targetSpeechLevel = options.targetSpeechLevel || 0.1; // RMS, about -20 dBFS
+    this.minGain = options.minGain || 0.5;
+    this.maxGain = options.maxGain || 4;
+    this.startedCapture = false;
+    this.previousGain = 1;
+  }
+
+  // Open the microphone at unity gain so levels are measured as they arrive
+  async begin() {
+    this.previousGain = this.audioCapture.gain;
+    this.audioCapture.setGain(1);
+    if (!this.audioCapture.isCapturing) {
+      await this.audioCapture.start();
+      this.startedCapture = true;
+    }
+  }
+
+  // Restores the previous gain; apply the new calibration afterwards to keep it
+  end() {
+    this.audioCapture.setGain(this.previousGain);
+    if (this.startedCapture) {
+      this.audioCapture.stop();
+      this.startedCapture = false;
+    }
+  }
+
+  // Ambient level while nobody is speaking
+  async measureNoise(duration = 2000) {
+    const levels = await this.audioCapture.measureLevels(duration);
+    return this.summarize(levels);
+  }
+
+  // Level while the reader says a sample sentence; quiet frames are ignored
+  async measureSpeech(duration = 4000, noise = null) {
+    const levels = await this.audioCapture.measureLevels(duration);
+    const voicedThreshold = noise ? noise.average * 2 : 0;
+    const voiced = levels.filter(level => level > voicedThreshold);
+    return this.summarize(voiced.length > 0 ? voiced : levels);
+  }
+
+  summarize(levels) {
+    if (levels.length === 0) {
+      return { average: 0, peak: 0, p90: 0, frames: 0 };
+    }
+
+    const sorted = [...levels].sort((a, b) => a - b);
+    return {
+      average: levels.reduce((sum, level) => sum + level, 0) / levels.length,
+      peak: sorted[sorted.length - 1],
+      p90: sorted[Math.floor(sorted.length * 0.9)],
+      frames: levels.length
+    };
+  }
+
+  computeCalibration(noise, speech) {
+    const noiseFloor = Math.max(noise.average, 1e-5);
+    const speechLevel = Math.max(speech.p90, 1e-5);
+    const gain = this.clamp(this.targetSpeechLevel / speechLevel, this.minGain, this.maxGain);
+    const snrDb = 20 * Math.log10(speechLevel / noiseFloor);
+    const noiseDb = 20 * Math.log10(noiseFloor);
+
+    const warnings = [];
+    const tooLoud = snrDb < 10 || noiseDb > -30;
+    if (tooLoud) {
+      warnings.push('The room is too noisy for reliable results. Try a quieter spot or move closer to the microphone.');
+    }
+    if (speechLevel * gain < this.targetSpeechLevel / 4) {
+      warnings.push('Your voice is very quiet. Speak up or move closer to the microphone.');
+    }
+    if (speech.peak * gain >= 0.99) {
+      warnings.push('Your voice is clipping. Move a little further from the microphone.');
+    }
+
+    let quality = 'poor';
+    if (snrDb >= 20 && !tooLoud) quality = 'good';
+    else if (snrDb >= 10) quality = 'fair';
+
+    return {
+      noiseFloor,
+      noiseDb: Math.round(noiseDb),
+      speechLevel,
+      snrDb: Math.round(snrDb * 10) / 10,
+      gain: Math.round(gain * 100) / 100,
+      tooLoud,
+      quality,
+      warnings,
+      measuredAt: Date.now()
+    };
+  }
+
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  static loadCalibration() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn('Failed to load microphone calibration:', error);
+      return null;
+    }
+  }
+
+  static saveCalibration(calibration) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+  }
+}
+
+export default MicCalibrator;
@@ -0,0 +1,149 @@
+/**
+ * Pitch Tracker for LiterateAI
+ * Estimates the fundamental frequency (F0) of voiced audio frames with the YIN
+ * algorithm and keeps a timestamped pitch contour for prosody analysis
+ */
+
+class PitchTracker {
+  constructor(options = {}) {
+    this.minFrequency = options.minFrequency || 75; // Hz, low adult voices
+    this.maxFrequency = options.maxFrequency || 500; // Hz, high children's voices
+    this.threshold = options.threshold || 0.15; // YIN aperiodicity threshold
+    this.targetSampleRate = options.targetSampleRate || 12000; // frames are decimated to this rate
+    this.contour = [];
+    this.removeFrameListener = null;
+  }
+
+  // Track pitch on every voiced frame an AudioCaptureEngine produces
+  attach(audioCapture) {
+    this.detach();
+    this.removeFrameListener = audioCapture.addFrameListener(frame => {
+      if (frame.isSpeech) {
+        this.processFrame(frame);
+      }
+    });
+  }
+
+  detach() {
+    this.removeFrameListener?.();
+    this.removeFrameListener = null;
+  }
+
+  reset() {
+    this.contour = [];
+  }
+
+  processFrame(frame) {
+    const estimate = this.estimatePitch(frame.samples, frame.sampleRate);
+    if (!estimate) return null;
+
+    const point = {
+      time: frame.timestamp,
+      frequency: estimate.frequency,
+      clarity: estimate.clarity,
+      rms: frame.rms
+    };
+    this.contour.push(point);
+    return point;
+  }
+
+  // YIN pitch estimate for one frame; null for unvoiced or aperiodic audio
+  estimatePitch(samples, sampleRate) {
+    const factor = Math.max(1, Math.floor(sampleRate / this.targetSampleRate));
+    const buffer = this.decimate(samples, factor);
+    const rate = sampleRate / factor;
+
+    const minLag = Math.floor(rate / this.maxFrequency);
+    const maxLag = Math.min(Math.ceil(rate / this.minFrequency), Math.floor(buffer.length / 2));
+    if (maxLag <= minLag) return null;
+
+    const windowSize = buffer.length - maxLag;
+    const difference = new Float32Array(maxLag + 1);
+
+    // Difference function
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = 0; i < windowSize; i++) {
+        const delta = buffer[i] - buffer[i + lag];
+        sum += delta * delta;
+      }
+      difference[lag] = sum;
+    }
+
+    // Cumulative mean normalized difference
+    const normalized = new Float32Array(maxLag + 1);
+    normalized[0] = 1;
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      runningSum += difference[lag];
+      normalized[lag] = runningSum > 0 ? difference[lag] * lag / runningSum : 1;
+    }
+
+    // First dip below the threshold, followed down to its local minimum
+    let bestLag = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (normalized[lag] < this.threshold) {
+        while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) {
+          lag++;
+        }
+        bestLag = lag;
+        break;
+      }
+    }
+    if (bestLag === -1) return null;
+
+    const refinedLag = this.interpolateLag(normalized, bestLag, maxLag);
+    const frequency = rate / refinedLag;
+    if (frequency < this.minFrequency || frequency > this.maxFrequency) return null;
+
+    return {
+      frequency,
+      clarity: 1 - normalized[bestLag]
+    };
+  }
+
+  // Average neighbouring samples to cut the cost of the difference function
+  decimate(samples, factor) {
+    if (factor === 1) return samples;
+
+    const length = Math.floor(samples.length / factor);
+    const output = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+      let sum = 0;
+      for (let j = 0; j < factor; j++) {
+        sum += samples[i * factor + j];
+      }
+      output[i] = sum / factor;
+    }
+    return output;
+  }
+
+  // Parabolic interpolation around the chosen lag for sub-sample precision
+  interpolateLag(values, lag, maxLag) {
+    if (lag <= 1 || lag >= maxLag) return lag;
+
+    const previous = values[lag - 1];
+    const current = values[lag];
+    const next = values[lag + 1];
+    const denominator = previous + next - 2 * current;
+    if (denominator === 0) return lag;
+
+    return lag + (previous - next) / (2 * denominator);
+  }
+
+  // Pitch points between two timestamps
+  getContour(startTime = -Infinity, endTime = Infinity) {
+    return this.contour.filter(point => point.time >= startTime && point.time <= endTime);
+  }
+
+  hasData() {
+    return this.contour.length > 0;
+  }
+
+  // Semitones relative to a reference frequency, so voices of any pitch compare
+  static toSemitones(frequency, reference) {
+    return 12 * Math.log2(frequency / reference);
+  }
+}
+
+export default PitchTracker;
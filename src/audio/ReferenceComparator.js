@@ -0,0 +1,418 @@
+/**
+ * Reference Comparator for LiterateAI
+ * Compares a learner's recording with a model reading of the same passage.
+ * Both are turned into MFCC frames, lined up with dynamic time warping, and
+ * every word the learner read gets the stretch of the model it matched, how its
+ * length compares and how different it sounded.
+ */
+
+import MicCalibrator from './MicCalibrator';
+
+const NUM_COEFFICIENTS = 13; // c0 (loudness) is dropped, leaving 12
+const NUM_MEL_FILTERS = 26;
+const PRE_EMPHASIS = 0.97;
+
+// Frames are trimmed from both ends while quieter than this share of the loudest frame
+const SILENCE_RATIO = 0.05;
+
+// Longer recordings are warped on averaged frames so the cost matrix stays small
+const MAX_DTW_CELLS = 4000000;
+
+// A word counts as lingered over or rushed when its length, relative to the
+// reader's overall pace, is this far from the model's
+const SLOW_RATIO = 1.6;
+const FAST_RATIO = 0.6;
+
+// A word sounds different when it is this much further from the model than the reading's typical word
+const SOUND_DIVERGENCE = 1.35;
+
+// A model reading needs speech this loud, standing this far above its quietest stretches
+const MIN_SPEECH_LEVEL = 0.005; // RMS, about -46 dBFS
+const MIN_SPEECH_SNR = 10; // dB
+
+// Share of the quietest frames taken as the recording's noise floor
+const NOISE_FRAME_SHARE = 0.1;
+
+class ReferenceComparator {
+  constructor(options = {}) {
+    this.frameLength = options.frameLength || 25; // milliseconds
+    this.frameStep = options.frameStep || 10; // milliseconds
+    this.maxFrequency = options.maxFrequency || 8000; // Hz, speech detail above this adds little
+  }
+
+  static isSupported() {
+    return typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+  }
+
+  // Mono samples from a recorded or uploaded audio file
+  static async decode(blob) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+
+    try {
+      const audioBuffer = await context.decodeAudioData(await blob.arrayBuffer());
+      return ReferenceComparator.toMono(audioBuffer);
+    } finally {
+      context.close?.();
+    }
+  }
+
+  static toMono(audioBuffer) {
+    const samples = new Float32Array(audioBuffer.length);
+    for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+      const data = audioBuffer.getChannelData(channel);
+      for (let i = 0; i < data.length; i++) {
+        samples[i] += data[i] / audioBuffer.numberOfChannels;
+      }
+    }
+    return { samples, sampleRate: audioBuffer.sampleRate, audioBuffer };
+  }
+
+  // learner and reference: { samples, sampleRate }; words: the learner's word timings
+  // ({ index, word, start, end } in milliseconds from the start of their recording)
+  compare(learner, reference, words = []) {
+    const learnerFeatures = this.extractFeatures(learner.samples, learner.sampleRate);
+    const referenceFeatures = this.extractFeatures(reference.samples, reference.sampleRate);
+    if (learnerFeatures.frames.length === 0 || referenceFeatures.frames.length === 0) {
+      return null;
+    }
+
+    const pool = Math.max(1, Math.ceil(Math.sqrt(
+      (learnerFeatures.frames.length * referenceFeatures.frames.length) / MAX_DTW_CELLS
+    )));
+    const learnerFrames = this.poolFrames(learnerFeatures.frames, pool);
+    const referenceFrames = this.poolFrames(referenceFeatures.frames, pool);
+    const warp = this.dynamicTimeWarp(learnerFrames, referenceFrames);
+    const step = this.frameStep * pool;
+
+    const learnerDuration = learnerFrames.length * step;
+    const referenceDuration = referenceFrames.length * step;
+    const tempoRatio = learnerDuration / referenceDuration;
+
+    const learnerToTime = frame => learnerFeatures.offset + frame * step;
+    const referenceToTime = frame => referenceFeatures.offset + frame * step;
+
+    const compared = words
+      .map(word => this.compareWord(word, warp.path, { learnerFeatures, step, tempoRatio, referenceToTime }))
+      .filter(Boolean);
+    const typicalDistance = this.median(compared.map(word => word.distance));
+
+    compared.forEach(word => {
+      word.soundDiverges = typicalDistance > 0 && word.distance >= typicalDistance * SOUND_DIVERGENCE;
+      word.timingDiverges = word.relativeTiming >= SLOW_RATIO || word.relativeTiming <= FAST_RATIO;
+    });
+
+    return {
+      similarity: this.distanceToSimilarity(warp.averageDistance),
+      averageDistance: warp.averageDistance,
+      tempoRatio,
+      learner: { start: learnerToTime(0), end: learnerToTime(learnerFrames.length), duration: learnerDuration },
+      reference: { start: referenceToTime(0), end: referenceToTime(referenceFrames.length), duration: referenceDuration },
+      words: compared
+    };
+  }
+
+  compareWord(word, path, { learnerFeatures, step, tempoRatio, referenceToTime }) {
+    const firstFrame = Math.floor((word.start - learnerFeatures.offset) / step);
+    const lastFrame = Math.ceil((word.end - learnerFeatures.offset) / step) - 1;
+    const cells = path.filter(cell => cell.i >= firstFrame && cell.i <= lastFrame);
+    if (cells.length === 0) return null;
+
+    const referenceStart = referenceToTime(cells[0].j);
+    const referenceEnd = referenceToTime(cells[cells.length - 1].j + 1);
+    const duration = word.end - word.start;
+    const referenceDurationForWord = Math.max(step, referenceEnd - referenceStart);
+    const distance = cells.reduce((sum, cell) => sum + cell.distance, 0) / cells.length;
+
+    return {
+      index: word.index,
+      word: word.word,
+      start: word.start,
+      end: word.end,
+      referenceStart,
+      referenceEnd,
+      timingRatio: duration / referenceDurationForWord,
+      // Compared with the reader's own pace, so a slow reader is not flagged on every word
+      relativeTiming: (duration / referenceDurationForWord) / tempoRatio,
+      distance,
+      similarity: this.distanceToSimilarity(distance)
+    };
+  }
+
+  // Whether a recording holds a reading rather than silence or room noise, judged the way
+  // MicCalibrator judges a room: the quietest frames are the noise floor, the loud ones the speech
+  checkSpeech({ samples, sampleRate }) {
+    const frameSize = Math.round(sampleRate * this.frameLength / 1000);
+    const levels = [];
+    for (let start = 0; start + frameSize <= samples.length; start += frameSize) {
+      let sum = 0;
+      for (let i = start; i < start + frameSize; i++) {
+        sum += samples[i] * samples[i];
+      }
+      levels.push(Math.sqrt(sum / frameSize));
+    }
+
+    const calibrator = new MicCalibrator(null);
+    const quietest = [...levels].sort((a, b) => a - b).slice(0, Math.max(1, Math.floor(levels.length * NOISE_FRAME_SHARE)));
+    const { speechLevel, snrDb } = calibrator.computeCalibration(calibrator.summarize(quietest), calibrator.summarize(levels));
+
+    if (levels.length === 0 || speechLevel < MIN_SPEECH_LEVEL) {
+      return { hasSpeech: false, reason: 'silent', speechLevel, snrDb };
+    }
+    if (snrDb < MIN_SPEECH_SNR) {
+      return { hasSpeech: false, reason: 'noise', speechLevel, snrDb };
+    }
+    return { hasSpeech: true, reason: null, speechLevel, snrDb };
+  }
+
+  // What to practise on one compared word
+  getWordAdvice(word) {
+    const advice = [];
+    if (word.soundDiverges) {
+      advice.push('Listen to the model reading of this word and copy its sounds.');
+    }
+    if (word.timingDiverges) {
+      advice.push(word.relativeTiming > 1 ?
+        'Say this word a little more smoothly, like the model reading.' :
+        'Slow down and give every sound in this word its time.');
+    }
+    return advice.length > 0 ? advice : ['This word sounds close to the model reading. Keep it up!'];
+  }
+
+  // Features are normalized per recording, so a standard-normal frame is about
+  // sqrt(2 * 12) away from an unrelated one and 0 away from an identical one
+  distanceToSimilarity(distance) {
+    return Math.max(0, 1 - distance / Math.sqrt(2 * (NUM_COEFFICIENTS - 1)));
+  }
+
+  // MFCC frames of the spoken part of a recording, mean and variance normalized
+  extractFeatures(samples, sampleRate) {
+    const frameSize = Math.round(sampleRate * this.frameLength / 1000);
+    const hopSize = Math.round(sampleRate * this.frameStep / 1000);
+    const fftSize = 2 ** Math.ceil(Math.log2(frameSize));
+    const filters = this.createMelFilterbank(fftSize, sampleRate);
+    const window = this.hammingWindow(frameSize);
+
+    const frames = [];
+    const energies = [];
+    for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+      const frame = new Float32Array(fftSize);
+      let energy = 0;
+      for (let i = 0; i < frameSize; i++) {
+        const sample = samples[start + i] - (i > 0 ? PRE_EMPHASIS * samples[start + i - 1] : 0);
+        frame[i] = sample * window[i];
+        energy += samples[start + i] * samples[start + i];
+      }
+
+      frames.push(this.computeMFCC(frame, filters));
+      energies.push(energy / frameSize);
+    }
+
+    const { first, last } = this.findSpeech(energies);
+    const spoken = frames.slice(first, last + 1);
+
+    return {
+      frames: this.normalize(spoken),
+      offset: first * this.frameStep
+    };
+  }
+
+  findSpeech(energies) {
+    const threshold = Math.max(...energies, 0) * SILENCE_RATIO;
+    const first = energies.findIndex(energy => energy > threshold);
+    if (first < 0) return { first: 0, last: -1 };
+
+    let last = energies.length - 1;
+    while (last > first && energies[last] <= threshold) last--;
+    return { first, last };
+  }
+
+  computeMFCC(frame, filters) {
+    const spectrum = this.powerSpectrum(frame);
+    const logEnergies = filters.map(filter => {
+      let sum = 0;
+      for (let k = filter.start; k < filter.end; k++) {
+        sum += spectrum[k] * filter.weights[k - filter.start];
+      }
+      return Math.log(sum + 1e-10);
+    });
+
+    // DCT-II of the log filterbank energies
+    const coefficients = new Float32Array(NUM_COEFFICIENTS - 1);
+    for (let c = 1; c < NUM_COEFFICIENTS; c++) {
+      let sum = 0;
+      for (let m = 0; m < logEnergies.length; m++) {
+        sum += logEnergies[m] * Math.cos((Math.PI * c * (m + 0.5)) / logEnergies.length);
+      }
+      coefficients[c - 1] = sum;
+    }
+    return coefficients;
+  }
+
+  // Iterative radix-2 FFT; returns |X(k)|^2 for the first half of the spectrum
+  powerSpectrum(frame) {
+    const n = frame.length;
+    const real = Float32Array.from(frame);
+    const imag = new Float32Array(n);
+
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [real[i], real[j]] = [real[j], real[i]];
+      }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+      const angle = (-2 * Math.PI) / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < size / 2; k++) {
+          const cos = Math.cos(angle * k);
+          const sin = Math.sin(angle * k);
+          const a = start + k;
+          const b = a + size / 2;
+          const tr = real[b] * cos - imag[b] * sin;
+          const ti = real[b] * sin + imag[b] * cos;
+          real[b] = real[a] - tr;
+          imag[b] = imag[a] - ti;
+          real[a] += tr;
+          imag[a] += ti;
+        }
+      }
+    }
+
+    const power = new Float32Array(n / 2 + 1);
+    for (let k = 0; k <= n / 2; k++) {
+      power[k] = real[k] * real[k] + imag[k] * imag[k];
+    }
+    return power;
+  }
+
+  // Triangular filters spaced evenly on the mel scale
+  createMelFilterbank(fftSize, sampleRate) {
+    const toMel = frequency => 2595 * Math.log10(1 + frequency / 700);
+    const fromMel = mel => 700 * (10 ** (mel / 2595) - 1);
+    const maxMel = toMel(Math.min(this.maxFrequency, sampleRate / 2));
+
+    const bins = [];
+    for (let m = 0; m < NUM_MEL_FILTERS + 2; m++) {
+      const frequency = fromMel((maxMel * m) / (NUM_MEL_FILTERS + 1));
+      bins.push(Math.floor(((fftSize + 1) * frequency) / sampleRate));
+    }
+
+    const filters = [];
+    for (let m = 1; m <= NUM_MEL_FILTERS; m++) {
+      const [left, center, right] = [bins[m - 1], bins[m], bins[m + 1]];
+      const weights = [];
+      for (let k = left; k < right; k++) {
+        weights.push(k < center ?
+          (k - left) / Math.max(1, center - left) :
+          (right - k) / Math.max(1, right - center));
+      }
+      filters.push({ start: left, end: right, weights });
+    }
+    return filters;
+  }
+
+  hammingWindow(size) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (size - 1));
+    }
+    return window;
+  }
+
+  // Per-coefficient mean and variance normalization removes most microphone and voice differences
+  normalize(frames) {
+    if (frames.length === 0) return frames;
+
+    const dimensions = frames[0].length;
+    const mean = new Float32Array(dimensions);
+    const deviation = new Float32Array(dimensions);
+
+    frames.forEach(frame => frame.forEach((value, d) => { mean[d] += value / frames.length; }));
+    frames.forEach(frame => frame.forEach((value, d) => { deviation[d] += ((value - mean[d]) ** 2) / frames.length; }));
+    for (let d = 0; d < dimensions; d++) deviation[d] = Math.sqrt(deviation[d]) || 1;
+
+    return frames.map(frame => frame.map((value, d) => (value - mean[d]) / deviation[d]));
+  }
+
+  poolFrames(frames, size) {
+    if (size <= 1) return frames;
+
+    const pooled = [];
+    for (let start = 0; start < frames.length; start += size) {
+      const group = frames.slice(start, start + size);
+      pooled.push(group[0].map((value, d) => group.reduce((sum, frame) => sum + frame[d], 0) / group.length));
+    }
+    return pooled;
+  }
+
+  distance(a, b) {
+    let sum = 0;
+    for (let d = 0; d < a.length; d++) {
+      sum += (a[d] - b[d]) ** 2;
+    }
+    return Math.sqrt(sum);
+  }
+
+  // Classic DTW with match, insertion and deletion steps; the path runs from
+  // the first frames of both recordings to their last frames
+  dynamicTimeWarp(learnerFrames, referenceFrames) {
+    const n = learnerFrames.length;
+    const m = referenceFrames.length;
+    const cost = new Float32Array(n * m);
+    const local = new Float32Array(n * m);
+
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < m; j++) {
+        const cell = i * m + j;
+        local[cell] = this.distance(learnerFrames[i], referenceFrames[j]);
+
+        let best;
+        if (i === 0 && j === 0) best = 0;
+        else if (i === 0) best = cost[cell - 1];
+        else if (j === 0) best = cost[cell - m];
+        else best = Math.min(cost[cell - m - 1], cost[cell - m], cost[cell - 1]);
+
+        cost[cell] = local[cell] + best;
+      }
+    }
+
+    const path = [];
+    let i = n - 1;
+    let j = m - 1;
+    while (i >= 0 && j >= 0) {
+      path.push({ i, j, distance: local[i * m + j] });
+      if (i === 0 && j === 0) break;
+
+      if (i === 0) j--;
+      else if (j === 0) i--;
+      else {
+        const diagonal = cost[(i - 1) * m + j - 1];
+        const up = cost[(i - 1) * m + j];
+        const left = cost[i * m + j - 1];
+        if (diagonal <= up && diagonal <= left) { i--; j--; }
+        else if (up <= left) i--;
+        else j--;
+      }
+    }
+    path.reverse();
+
+    return {
+      path,
+      averageDistance: path.reduce((sum, cell) => sum + cell.distance, 0) / path.length
+    };
+  }
+
+  median(values) {
+    if (values.length === 0) return 0;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  }
+}
+
+export default ReferenceComparator;
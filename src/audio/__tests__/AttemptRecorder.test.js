@@ -0,0 +1,90 @@
+import AttemptRecorder from '../AttemptRecorder';
+import AttemptStore from '../AttemptStore';
+
+class FakeMediaRecorder {
+  static isTypeSupported(type) {
+    return type === 'audio/webm';
+  }
+
+  constructor(stream, options) {
+    this.stream = stream;
+    this.mimeType = options?.mimeType || '';
+    this.state = 'inactive';
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new Blob(['audio'], { type: this.mimeType }) });
+    this.onstop();
+  }
+}
+
+describe('AttemptRecorder', () => {
+  beforeEach(() => {
+    window.MediaRecorder = FakeMediaRecorder;
+  });
+
+  afterEach(() => {
+    delete window.MediaRecorder;
+  });
+
+  it('records the attempt in a type the browser supports', async () => {
+    const recorder = new AttemptRecorder();
+    recorder.start({});
+
+    expect(recorder.isRecording()).toBe(true);
+
+    const recording = await recorder.stop();
+    expect(recording.mimeType).toBe('audio/webm');
+    expect(recording.blob.size).toBe(5);
+    expect(recording.duration).toBeGreaterThanOrEqual(0);
+    expect(recorder.isRecording()).toBe(false);
+  });
+
+  it('has nothing to give back when it was not recording', async () => {
+    await expect(new AttemptRecorder().stop()).resolves.toBeNull();
+  });
+
+  it('needs MediaRecorder', () => {
+    delete window.MediaRecorder;
+
+    expect(AttemptRecorder.isSupported()).toBe(false);
+    expect(() => new AttemptRecorder().start({})).toThrow('MediaRecorder not supported');
+  });
+});
+
+describe('AttemptStore', () => {
+  it('numbers each attempt after the passage\'s last one and keeps its score and word timings', async () => {
+    const store = new AttemptStore();
+    store.getAttempts = jest.fn().mockResolvedValue([{ attemptNumber: 1 }, { attemptNumber: 3 }]);
+    store.runTransaction = jest.fn().mockResolvedValue(undefined);
+
+    const record = await store.saveAttempt('story-1', {
+      blob: new Blob(['audio']),
+      mimeType: 'audio/webm',
+      duration: 4000,
+      wordTimings: [{ index: 0, start: 100, end: 400 }],
+      score: 5,
+      wordsCorrect: 5,
+      wordsRead: 6,
+      totalWords: 6
+    });
+
+    expect(record).toMatchObject({
+      id: 'story-1:4',
+      passageId: 'story-1',
+      attemptNumber: 4,
+      wordTimings: [{ index: 0, start: 100, end: 400 }],
+      wordFeedback: {},
+      score: 5,
+      wordsCorrect: 5,
+      wordsRead: 6,
+      totalWords: 6
+    });
+    expect(store.runTransaction).toHaveBeenCalledWith('readwrite', expect.any(Function));
+  });
+});
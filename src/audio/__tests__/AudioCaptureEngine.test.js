@@ -0,0 +1,75 @@
+import AudioCaptureEngine from '../AudioCaptureEngine';
+
+// Feed the detector one level per 20 ms frame from `start`; returns the time after the last frame
+const feed = (detector, levels, start = 0) => {
+  levels.forEach((rms, frame) => detector.process(rms, start + frame * 20));
+  return start + levels.length * 20;
+};
+
+const repeat = (rms, frames) => Array.from({ length: frames }, () => rms);
+
+describe('AudioCaptureEngine', () => {
+  describe('voice activity detection', () => {
+    it('finds where speech starts and ends', () => {
+      const detector = new AudioCaptureEngine().voiceActivityDetector;
+      feed(detector, [...repeat(0.002, 30), ...repeat(0.2, 25), ...repeat(0.002, 30)]);
+
+      expect(detector.getSegments(1700)).toEqual([{ start: 600, end: 1080 }]);
+    });
+
+    it('takes the noise floor from the quietest warm-up frames when speech comes first', () => {
+      const detector = new AudioCaptureEngine().voiceActivityDetector;
+      feed(detector, [...repeat(0.2, 20), ...repeat(0.005, 10), ...repeat(0.2, 20), ...repeat(0.005, 20)]);
+
+      expect(detector.noiseFloor).toBeCloseTo(0.005);
+      expect(detector.getSegments(1400)).toEqual([{ start: 600, end: 980 }]);
+    });
+
+    it('starts from a calibrated noise floor', () => {
+      const engine = new AudioCaptureEngine();
+      engine.applyCalibration({ gain: 2, noiseFloor: 0.01 });
+      engine.voiceActivityDetector.reset(engine.calibratedNoiseFloor);
+
+      expect(engine.voiceActivityDetector.noiseFloor).toBe(0.02);
+      expect(engine.voiceActivityDetector.warmupLevels).toBeNull();
+    });
+  });
+
+  describe('starting and stopping', () => {
+    let resolveStream;
+    let track;
+
+    beforeEach(() => {
+      track = { stop: jest.fn() };
+      Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: { getUserMedia: jest.fn(() => new Promise(resolve => { resolveStream = resolve; })) }
+      });
+      window.AudioContext = jest.fn();
+    });
+
+    afterEach(() => {
+      delete navigator.mediaDevices;
+      delete window.AudioContext;
+    });
+
+    it('shares one pending start', () => {
+      const engine = new AudioCaptureEngine();
+
+      expect(engine.start()).toBe(engine.start());
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+    });
+
+    it('releases the microphone when stopped before permission is granted', async () => {
+      const engine = new AudioCaptureEngine();
+      const starting = engine.start();
+      engine.stop();
+      resolveStream({ getTracks: () => [track] });
+
+      await expect(starting).rejects.toThrow('stopped before it started');
+      expect(track.stop).toHaveBeenCalled();
+      expect(engine.isCapturing).toBe(false);
+      expect(window.AudioContext).not.toHaveBeenCalled();
+    });
+  });
+});
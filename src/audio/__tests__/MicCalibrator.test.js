@@ -0,0 +1,65 @@
+import MicCalibrator from '../MicCalibrator';
+
+const fakeCapture = (levels = []) => ({
+  gain: 1.5,
+  isCapturing: false,
+  setGain: jest.fn(function setGain(gain) { this.gain = gain; }),
+  start: jest.fn().mockResolvedValue({}),
+  stop: jest.fn(),
+  measureLevels: jest.fn().mockResolvedValue(levels)
+});
+
+describe('MicCalibrator', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('rates a quiet room with a clear voice as good and raises a soft voice to the target level', () => {
+    const calibration = new MicCalibrator(fakeCapture()).computeCalibration({ average: 0.001 }, { p90: 0.05, peak: 0.08 });
+
+    expect(calibration).toMatchObject({ quality: 'good', tooLoud: false, gain: 2, snrDb: 34, warnings: [] });
+  });
+
+  it('warns about a noisy room', () => {
+    const calibration = new MicCalibrator(fakeCapture()).computeCalibration({ average: 0.05 }, { p90: 0.1, peak: 0.2 });
+
+    expect(calibration.tooLoud).toBe(true);
+    expect(calibration.quality).toBe('poor');
+    expect(calibration.warnings[0]).toMatch('too noisy');
+  });
+
+  it('warns about a voice that clips', () => {
+    const calibration = new MicCalibrator(fakeCapture(), { minGain: 1 }).computeCalibration({ average: 0.001 }, { p90: 0.5, peak: 1 });
+
+    expect(calibration.gain).toBe(1);
+    expect(calibration.warnings[0]).toMatch('clipping');
+  });
+
+  it('measures the voice from frames louder than the room', async () => {
+    const calibrator = new MicCalibrator(fakeCapture([0.001, 0.002, 0.1, 0.2]));
+    const speech = await calibrator.measureSpeech(4000, { average: 0.002 });
+
+    expect(speech).toMatchObject({ frames: 2, peak: 0.2 });
+    expect(speech.average).toBeCloseTo(0.15);
+  });
+
+  it('measures at unity gain and puts the gain back afterwards', async () => {
+    const capture = fakeCapture();
+    const calibrator = new MicCalibrator(capture);
+
+    await calibrator.begin();
+    expect(capture.gain).toBe(1);
+    expect(capture.start).toHaveBeenCalled();
+
+    calibrator.end();
+    expect(capture.gain).toBe(1.5);
+    expect(capture.stop).toHaveBeenCalled();
+  });
+
+  it('keeps a calibration for later sessions', () => {
+    expect(MicCalibrator.loadCalibration()).toBeNull();
+
+    MicCalibrator.saveCalibration({ gain: 2, noiseFloor: 0.001 });
+    expect(MicCalibrator.loadCalibration()).toEqual({ gain: 2, noiseFloor: 0.001 });
+  });
+});
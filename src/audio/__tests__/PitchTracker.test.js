@@ -0,0 +1,41 @@
+import PitchTracker from '../PitchTracker';
+
+const SAMPLE_RATE = 48000;
+
+const tone = (frequency, length = 2048) => Float32Array.from(
+  { length }, (_, i) => 0.5 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE)
+);
+
+describe('PitchTracker', () => {
+  it.each([110, 220, 400])('finds the pitch of a %i Hz tone', frequency => {
+    const estimate = new PitchTracker().estimatePitch(tone(frequency), SAMPLE_RATE);
+
+    expect(estimate.frequency).toBeGreaterThan(frequency * 0.98);
+    expect(estimate.frequency).toBeLessThan(frequency * 1.02);
+  });
+
+  it('finds no pitch in silence', () => {
+    expect(new PitchTracker().estimatePitch(new Float32Array(2048), SAMPLE_RATE)).toBeNull();
+  });
+
+  it('keeps a contour of voiced frames only', () => {
+    const tracker = new PitchTracker();
+    let sendFrame = null;
+    tracker.attach({
+      addFrameListener: listener => {
+        sendFrame = listener;
+        return () => {};
+      }
+    });
+
+    sendFrame({ isSpeech: true, samples: tone(200), sampleRate: SAMPLE_RATE, timestamp: 100, rms: 0.3 });
+    sendFrame({ isSpeech: false, samples: tone(200), sampleRate: SAMPLE_RATE, timestamp: 120, rms: 0.3 });
+
+    expect(tracker.getContour().map(point => point.time)).toEqual([100]);
+    expect(tracker.getContour(110, 200)).toEqual([]);
+  });
+
+  it('measures pitch changes in semitones', () => {
+    expect(PitchTracker.toSemitones(440, 220)).toBeCloseTo(12);
+  });
+});
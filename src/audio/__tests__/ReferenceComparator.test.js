@@ -0,0 +1,100 @@
+import ReferenceComparator from '../ReferenceComparator';
+
+const SAMPLE_RATE = 16000;
+
+// A recording made of { frequency, duration } parts; a frequency of 0 is silence
+const recording = parts => {
+  const samples = new Float32Array(parts.reduce((sum, part) => sum + part.duration * SAMPLE_RATE / 1000, 0));
+  let offset = 0;
+  parts.forEach(({ frequency, duration }) => {
+    const length = duration * SAMPLE_RATE / 1000;
+    for (let i = 0; i < length; i++) {
+      samples[offset + i] = frequency > 0 ? 0.5 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) : 0;
+    }
+    offset += length;
+  });
+  return { samples, sampleRate: SAMPLE_RATE };
+};
+
+describe('ReferenceComparator', () => {
+  const comparator = new ReferenceComparator();
+
+  it('lines up frames with time warping, repeating frames to match a slower reading', () => {
+    const warp = comparator.dynamicTimeWarp([[0], [1], [2]], [[0], [0], [1], [1], [2]]);
+
+    expect(warp.path.map(({ i, j }) => [i, j])).toEqual([[0, 0], [0, 1], [1, 2], [1, 3], [2, 4]]);
+    expect(warp.averageDistance).toBe(0);
+  });
+
+  it('leaves out the silence before and after the speech', () => {
+    expect(comparator.findSpeech([0, 0.001, 1, 0.8, 0.01, 0])).toEqual({ first: 2, last: 3 });
+    expect(comparator.findSpeech([0, 0])).toEqual({ first: 0, last: -1 });
+  });
+
+  it('finds a recording identical to the model', () => {
+    const model = recording([{ frequency: 300, duration: 300 }, { frequency: 900, duration: 300 }]);
+    const comparison = comparator.compare(model, model);
+
+    expect(comparison.similarity).toBe(1);
+    expect(comparison.tempoRatio).toBe(1);
+  });
+
+  it('matches each word to its stretch of the model and flags lingering and rushing against the reader\'s pace', () => {
+    const model = recording([
+      { frequency: 300, duration: 300 },
+      { frequency: 900, duration: 300 },
+      { frequency: 2000, duration: 300 }
+    ]);
+    const learner = recording([
+      { frequency: 0, duration: 200 },
+      { frequency: 300, duration: 1200 },
+      { frequency: 900, duration: 300 },
+      { frequency: 2000, duration: 300 }
+    ]);
+    const words = [
+      { index: 0, word: 'one', start: 200, end: 1400 },
+      { index: 1, word: 'two', start: 1400, end: 1700 },
+      { index: 2, word: 'three', start: 1700, end: 2000 }
+    ];
+
+    const comparison = comparator.compare(learner, model, words);
+
+    // Frames are 25 ms long, so the first one that reaches the speech starts a little before it
+    expect(Math.abs(comparison.learner.start - 200)).toBeLessThanOrEqual(25);
+    expect(comparison.tempoRatio).toBeCloseTo(2, 1);
+    const [one, two] = comparison.words;
+    expect(Math.abs(one.referenceEnd - 300)).toBeLessThanOrEqual(30);
+    expect(Math.abs(two.referenceStart - 300)).toBeLessThanOrEqual(30);
+    expect(one).toMatchObject({ index: 0, timingDiverges: true });
+    expect(one.relativeTiming).toBeGreaterThanOrEqual(1.6);
+    expect(two).toMatchObject({ index: 1, timingDiverges: true });
+    expect(two.relativeTiming).toBeLessThanOrEqual(0.6);
+  });
+
+  it('turns down a model reading that is silent or only room noise', () => {
+    const hiss = recording([{ frequency: 0, duration: 1000 }]);
+    hiss.samples.forEach((_, i) => { hiss.samples[i] = 0.02 * Math.sin(i * 12.9898) * Math.cos(i * 78.233); });
+
+    expect(comparator.checkSpeech(recording([{ frequency: 0, duration: 1000 }]))).toMatchObject({ hasSpeech: false, reason: 'silent' });
+    expect(comparator.checkSpeech(hiss)).toMatchObject({ hasSpeech: false, reason: 'noise' });
+    expect(comparator.checkSpeech(recording([
+      { frequency: 0, duration: 300 },
+      { frequency: 300, duration: 600 },
+      { frequency: 0, duration: 300 }
+    ]))).toMatchObject({ hasSpeech: true, reason: null });
+  });
+
+  it('gives advice on a word from how it compared', () => {
+    expect(comparator.getWordAdvice({ soundDiverges: true, timingDiverges: true, relativeTiming: 0.5 })).toEqual([
+      'Listen to the model reading of this word and copy its sounds.',
+      'Slow down and give every sound in this word its time.'
+    ]);
+    expect(comparator.getWordAdvice({ soundDiverges: false, timingDiverges: false })).toEqual(['This word sounds close to the model reading. Keep it up!']);
+  });
+
+  it('has nothing to compare in silence', () => {
+    const silence = recording([{ frequency: 0, duration: 300 }]);
+
+    expect(comparator.compare(silence, recording([{ frequency: 300, duration: 300 }]))).toBeNull();
+  });
+});
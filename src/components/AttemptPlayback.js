@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useRef } from 'react';
+import TextDisplay from './TextDisplay';
+import ReferenceComparison from './ReferenceComparison';
+import './AttemptPlayback.css';
+
+const AttemptPlayback = ({ passage, attemptStore, refreshKey, speechEngine }) => {
+  const [attempts, setAttempts] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [activeWordIndex, setActiveWordIndex] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const audioRef = useRef(null);
+
+  const selectedAttempt = attempts.find(attempt => attempt.id === selectedId) || null;
+
+  // Load the attempts for this passage, newest selected by default
+  useEffect(() => {
+    let cancelled = false;
+
+    attemptStore.getAttempts(passage.id)
+      .then(saved => {
+        if (cancelled) return;
+        setAttempts(saved);
+        setSelectedId(saved.length > 0 ? saved[saved.length - 1].id : null);
+        setLoadError(null);
+      })
+      .catch(error => {
+        console.error('Failed to load recorded attempts:', error);
+        if (!cancelled) setLoadError('Recorded attempts could not be loaded.');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [passage.id, attemptStore, refreshKey]);
+
+  useEffect(() => {
+    if (!selectedAttempt?.blob) {
+      setAudioUrl(null);
+      return undefined;
+    }
+
+    const url = URL.createObjectURL(selectedAttempt.blob);
+    setAudioUrl(url);
+    setActiveWordIndex(null);
+
+    return () => URL.revokeObjectURL(url);
+  }, [selectedAttempt]);
+
+  const handleTimeUpdate = () => {
+    if (!audioRef.current || !selectedAttempt) return;
+
+    const currentTime = audioRef.current.currentTime * 1000;
+    const timing = selectedAttempt.wordTimings.find(t => currentTime >= t.start && currentTime < t.end);
+    setActiveWordIndex(timing ? timing.index : null);
+  };
+
+  // Jump to the moment a word was read; skipped words jump to where they should have been
+  const handleWordClick = (wordIndex) => {
+    if (!audioRef.current || !selectedAttempt) return;
+
+    const timings = selectedAttempt.wordTimings;
+    const exact = timings.find(t => t.index === wordIndex);
+    const previous = [...timings].reverse().find(t => t.index < wordIndex);
+    const seekTo = exact ? exact.start : previous ? previous.end : 0;
+
+    audioRef.current.currentTime = seekTo / 1000;
+    audioRef.current.play().catch(error => console.warn('Playback was blocked:', error));
+    setActiveWordIndex(wordIndex);
+  };
+
+  // Attempts saved before words read were kept only have the passage length and a score
+  // that may carry sound-alike credit, so that is rounded to whole words
+  const formatAttemptLabel = (attempt) => {
+    const date = new Date(attempt.createdAt).toLocaleString();
+    let score = '';
+    if (attempt.wordsRead != null) {
+      score = ` - ${attempt.wordsCorrect} of ${attempt.wordsRead} words read correct`;
+    } else if (attempt.totalWords) {
+      score = ` - ${Math.round(attempt.score)} of ${attempt.totalWords} words correct`;
+    }
+    return `Attempt ${attempt.attemptNumber} (${date})${score}`;
+  };
+
+  return (
+    <div className="attempt-playback">
+      <div className="playback-header">
+        <h4>🎧 Listen Back</h4>
+        {attempts.length > 0 && (
+          <select
+            value={selectedId || ''}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="attempt-dropdown"
+            aria-label="Choose a recorded attempt"
+          >
+            {attempts.map(attempt => (
+              <option key={attempt.id} value={attempt.id}>
+                {formatAttemptLabel(attempt)}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {loadError && <p className="playback-message">⚠️ {loadError}</p>}
+
+      {!loadError && attempts.length === 0 && (
+        <p className="playback-message">No recordings yet for this passage. Read it aloud to create one.</p>
+      )}
+
+      {selectedAttempt && (
+        <>
+          <audio
+            ref={audioRef}
+            src={audioUrl || undefined}
+            controls
+            onTimeUpdate={handleTimeUpdate}
+            onEnded={() => setActiveWordIndex(null)}
+            className="playback-audio"
+          />
+          <p className="playback-hint">Click any word to hear how it was read.</p>
+          <TextDisplay
+            text={passage.text}
+            title={passage.title}
+            wordFeedback={selectedAttempt.wordFeedback || {}}
+            onWordClick={handleWordClick}
+            activeWordIndex={activeWordIndex}
+          />
+          <ReferenceComparison
+            passage={passage}
+            attempt={selectedAttempt}
+            attemptStore={attemptStore}
+            speechEngine={speechEngine}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttemptPlayback;
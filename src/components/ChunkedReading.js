@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import TextDisplay from './TextDisplay';
+import ChunkedReadingSession from '../speech/ChunkedReadingSession';
+import './ChunkedReading.css';
+
+const ChunkedReading = ({ sessionController, passage, settings, uiSystem, onComplete }) => {
+  const [chunked, setChunked] = useState(null);
+  const [reading, setReading] = useState(null);
+  const [chunkBy, setChunkBy] = useState('sentence');
+  const chunkedRef = useRef(null);
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  useEffect(() => {
+    const session = new ChunkedReadingSession(sessionController);
+    chunkedRef.current = session;
+    setChunked(session.getSnapshot());
+
+    const removeChunkedListener = session.addListener(event => {
+      setChunked(event.snapshot);
+
+      if (event.type === 'attempt') {
+        const message = event.attempt.passed ? 'Nice reading! 🌟' : 'Good try! Have another go. 💪';
+        uiSystem?.showFeedback(event.attempt.passed ? 'correct' : 'encouraging', message);
+      } else if (event.type === 'phase' && event.phase === 'reading') {
+        uiSystem?.announceToScreenReader(`Part ${event.snapshot.index + 1}. Read it aloud.`);
+      } else if (event.type === 'complete') {
+        onCompleteRef.current?.(event.record, event.totals);
+      } else if (event.type === 'error') {
+        uiSystem?.showFeedback('error', event.error);
+      }
+    });
+    const removeReadingListener = sessionController.addListener(event => setReading(event.snapshot));
+
+    return () => {
+      removeChunkedListener();
+      removeReadingListener();
+      session.stop();
+    };
+  }, [sessionController, uiSystem]);
+
+  // Another passage starts over from its first chunk
+  useEffect(() => {
+    chunkedRef.current?.stop();
+  }, [passage]);
+
+  if (!chunked) return null;
+
+  const { phase, chunk, chunks, results, index, triesLeft, totals } = chunked;
+  const isRunning = phase !== 'ready' && phase !== 'complete';
+  const result = results[index];
+  const lastAttempt = result?.attempts[result.attempts.length - 1];
+  const showReading = (phase === 'reading' || phase === 'scored') && reading;
+  const canRetry = phase === 'scored' && !result?.passed && triesLeft > 0;
+
+  let statusMessage = 'Read the passage one part at a time.';
+  if (phase === 'reading') statusMessage = '🎤 Read this part aloud.';
+  else if (phase === 'scored' && lastAttempt?.passed) statusMessage = '✅ Nice! On to the next part.';
+  else if (canRetry) statusMessage = '🔁 Try this part again, or move on.';
+  else if (phase === 'scored') statusMessage = '➡️ On to the next part.';
+  else if (phase === 'complete') statusMessage = '🎉 You read the whole passage!';
+
+  return (
+    <div className="chunked-reading">
+      <div className="chunked-header">
+        <h3>🧩 One Part at a Time</h3>
+        <div className="chunked-options">
+          <label htmlFor="chunk-by">Parts:</label>
+          <select
+            id="chunk-by"
+            value={chunkBy}
+            onChange={(e) => setChunkBy(e.target.value)}
+            disabled={isRunning}
+          >
+            <option value="sentence">Sentences</option>
+            <option value="phrase">Short phrases</option>
+          </select>
+        </div>
+      </div>
+
+      <p className="chunked-status" role="status">{statusMessage}</p>
+
+      {chunk && isRunning && (
+        <div className={`chunked-current chunk-phase-${phase}`}>
+          <TextDisplay
+            text={chunk.text}
+            title={`Part ${index + 1} of ${chunks.length}`}
+            wordFeedback={showReading ? reading.wordFeedback : {}}
+            currentWordIndex={phase === 'reading' && reading ? reading.currentWordIndex : null}
+          />
+          <p className="chunked-tries">
+            {phase === 'scored' && lastAttempt && `${Math.round(lastAttempt.accuracy * 100)}% of the words read correctly. `}
+            Tries left: {triesLeft}
+          </p>
+        </div>
+      )}
+
+      {totals.chunksRead > 0 && (
+        <div className="chunked-totals" aria-live="polite">
+          <span>Words correct: {Math.round(totals.score)} of {totals.wordsRead}</span>
+          <span>Accuracy: {Math.round(totals.accuracy * 100)}%</span>
+          <span>Parts read well: {totals.chunksPassed} of {totals.chunks}</span>
+          {phase === 'complete' && <span>WCPM: {totals.wcpm}</span>}
+        </div>
+      )}
+
+      {chunks.length > 0 && (
+        <ol className="chunked-progress" aria-label="Parts">
+          {chunks.map((item, position) => {
+            const itemResult = results[position];
+            let status = 'pending';
+            if (position === index && isRunning) status = 'current';
+            else if (itemResult.passed) status = 'passed';
+            else if (itemResult.skipped) status = 'skipped';
+            else if (itemResult.attempts.length > 0) status = 'practised';
+
+            return (
+              <li key={position} className={`chunked-progress-item ${status}`} title={item.text}>
+                {position + 1}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      <div className="chunked-actions">
+        {!isRunning && (
+          <button className="btn btn-primary" onClick={() => chunkedRef.current.start(passage, settings, chunkBy)}>
+            {phase === 'complete' ? '🔁 Read Again' : '▶️ Start Reading'}
+          </button>
+        )}
+        {canRetry && (
+          <button className="btn btn-primary" onClick={() => chunkedRef.current.retry()}>🔁 Try Again</button>
+        )}
+        {(phase === 'reading' || canRetry) && (
+          <button className="btn btn-outline" onClick={() => chunkedRef.current.next()}>
+            {phase === 'reading' ? '⏭️ Skip' : '➡️ Next Part'}
+          </button>
+        )}
+        {isRunning && (
+          <button className="btn btn-secondary" onClick={() => chunkedRef.current.stop()}>⏹️ Stop</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ChunkedReading;
@@ -1,7 +1,7 @@
 import React from 'react';
 import './Controls.css';
 
-const Controls = ({ isListening, onStart, onStop, onReset, error }) => {
+const Controls = ({ isListening, isPaused = false, isFinishing = false, onStart, onStop, onReset, error }) => {
   return (
     <div className="controls">
       <div className="control-buttons">
@@ -9,7 +9,7 @@ const Controls = ({ isListening, onStart, onStop, onReset, error }) => {
           <button 
             className="btn btn-primary btn-start"
             onClick={onStart}
-            disabled={!!error}
+            disabled={!!error || isFinishing}
           >
             🎤 Start Reading
           </button>
@@ -31,20 +31,32 @@ const Controls = ({ isListening, onStart, onStop, onReset, error }) => {
       </div>
 
       <div className="status-indicator">
-        {isListening && (
+        {isPaused && (
+          <div className="paused-indicator" role="status">
+            <span>⏸️ Paused. Start reading again to continue.</span>
+          </div>
+        )}
+
+        {isListening && !isPaused && (
           <div className="listening-indicator">
             <div className="pulse-dot"></div>
             <span>Listening... Speak clearly!</span>
           </div>
         )}
         
+        {isFinishing && (
+          <div className="finishing-indicator" role="status">
+            <span>⏳ Checking your reading...</span>
+          </div>
+        )}
+
         {error && (
           <div className="error-message">
             <span>⚠️ {error}</span>
           </div>
         )}
         
-        {!isListening && !error && (
+        {!isListening && !isPaused && !isFinishing && !error && (
           <div className="ready-message">
             <span>🎯 Ready to practice! Click "Start Reading" when you're ready.</span>
           </div>
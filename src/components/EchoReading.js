@@ -0,0 +1,135 @@
+import React, { useState, useEffect, useRef } from 'react';
+import TextDisplay from './TextDisplay';
+import EchoReadingSession from '../speech/EchoReadingSession';
+import './EchoReading.css';
+
+const EchoReading = ({ sessionController, passage, settings, uiSystem }) => {
+  const [echo, setEcho] = useState(null);
+  const [reading, setReading] = useState(null);
+  const echoRef = useRef(null);
+
+  // One echo session per controller; leaving echo reading stops whatever it was doing
+  useEffect(() => {
+    const session = new EchoReadingSession(sessionController);
+    echoRef.current = session;
+    setEcho(session.getSnapshot());
+
+    const removeEchoListener = session.addListener(event => {
+      setEcho(event.snapshot);
+
+      if (event.type === 'attempt') {
+        const message = event.attempt.passed ? 'Well read! 🌟' : 'Listen once more and try again. 👂';
+        uiSystem?.showFeedback(event.attempt.passed ? 'correct' : 'encouraging', message);
+      } else if (event.type === 'phase' && event.phase === 'listening') {
+        uiSystem?.announceToScreenReader('Your turn. Read the sentence aloud.');
+      } else if (event.type === 'error') {
+        uiSystem?.showFeedback('error', event.error);
+      }
+    });
+    const removeReadingListener = sessionController.addListener(event => setReading(event.snapshot));
+
+    return () => {
+      removeEchoListener();
+      removeReadingListener();
+      session.stop();
+    };
+  }, [sessionController, uiSystem]);
+
+  // Another passage starts over from its first sentence
+  useEffect(() => {
+    echoRef.current?.stop();
+  }, [passage]);
+
+  if (!echo) return null;
+
+  const { phase, sentence, sentences, results, index, triesLeft, summary } = echo;
+  const isRunning = phase !== 'ready' && phase !== 'complete';
+  const lastAttempt = results[index]?.attempts[results[index].attempts.length - 1];
+  const showReading = (phase === 'listening' || phase === 'scored') && reading;
+
+  const statusMessages = {
+    ready: 'Listen to each sentence, then read it back.',
+    modeling: '🔊 Listen carefully...',
+    listening: '🎤 Your turn! Read the sentence aloud.',
+    scored: lastAttempt?.passed ? '✅ Well read!' : triesLeft > 0 ? '👂 Let\'s hear it again.' : '➡️ On to the next sentence.',
+    complete: '🎉 You finished the passage!'
+  };
+
+  return (
+    <div className="echo-reading">
+      <div className="echo-header">
+        <h3>🗣️ Echo Reading</h3>
+        <p className={`echo-status echo-status-${phase}`} role="status">{statusMessages[phase]}</p>
+      </div>
+
+      {sentence && isRunning && (
+        <div className={`echo-sentence echo-${phase}`}>
+          <TextDisplay
+            text={sentence.text}
+            title={`Sentence ${index + 1} of ${sentences.length}`}
+            wordFeedback={showReading ? reading.wordFeedback : {}}
+            currentWordIndex={phase === 'listening' && reading ? reading.currentWordIndex : null}
+          />
+          {phase === 'listening' && (
+            <p className="echo-tries">Tries left: {triesLeft}</p>
+          )}
+          {phase === 'scored' && lastAttempt && (
+            <p className="echo-result">{Math.round(lastAttempt.accuracy * 100)}% of the words read correctly</p>
+          )}
+        </div>
+      )}
+
+      {sentences.length > 0 && (
+        <ol className="echo-progress" aria-label="Sentences">
+          {sentences.map((item, position) => {
+            const result = results[position];
+            let status = 'pending';
+            if (position === index && isRunning) status = 'current';
+            else if (result.passed) status = 'passed';
+            else if (result.attempts.length > 0) status = 'practised';
+
+            return (
+              <li key={position} className={`echo-progress-item ${status}`} title={item.text}>
+                {position + 1}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+
+      {phase === 'complete' && (
+        <div className="echo-summary">
+          <span>Sentences read well: {summary.passed} of {summary.sentences}</span>
+          <span>Average accuracy: {Math.round(summary.averageAccuracy * 100)}%</span>
+          <span>Tries per sentence: {summary.averageTries.toFixed(1)}</span>
+        </div>
+      )}
+
+      <div className="echo-actions">
+        {!isRunning ? (
+          <button className="btn btn-primary" onClick={() => echoRef.current.start(passage, settings)}>
+            {phase === 'complete' ? '🔁 Start Again' : '▶️ Start Echo Reading'}
+          </button>
+        ) : (
+          <>
+            <button
+              className="btn btn-outline"
+              onClick={() => echoRef.current.replayModel()}
+              disabled={phase === 'modeling'}
+            >
+              🔊 Hear It Again
+            </button>
+            <button className="btn btn-outline" onClick={() => echoRef.current.skipSentence()}>
+              ⏭️ Skip
+            </button>
+            <button className="btn btn-secondary" onClick={() => echoRef.current.stop()}>
+              ⏹️ Stop
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EchoReading;
@@ -35,7 +35,7 @@ const FeedbackPanel = ({ score, totalWords, transcript, isListening }) => {
           
           <div className="score-details">
             <div className="score-item">
-              <span className="score-number">{score}</span>
+              <span className="score-number">{Number.isInteger(score) ? score : score.toFixed(1)}</span>
               <span className="score-text">Correct Words</span>
             </div>
             <div className="score-item">
@@ -0,0 +1,125 @@
+import React, { useState, useEffect, useRef } from 'react';
+import MicCalibrator from '../audio/MicCalibrator';
+import './MicCalibration.css';
+
+const SAMPLE_SENTENCE = 'The quick brown fox jumps over the lazy dog.';
+const NOISE_DURATION = 2000;
+const SPEECH_DURATION = 4000;
+
+const MicCalibration = ({ audioCapture, onComplete, onCancel }) => {
+  const [step, setStep] = useState('intro');
+  const [level, setLevel] = useState(0);
+  const [result, setResult] = useState(null);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const calibratorRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  // Live input meter while the microphone is open
+  useEffect(() => {
+    const removeListener = audioCapture.addFrameListener(frame => setLevel(frame.rms));
+    return () => {
+      removeListener();
+      // Only a check still in progress needs closing
+      cancelledRef.current = true;
+      calibratorRef.current?.end();
+    };
+  }, [audioCapture]);
+
+  const runCalibration = async () => {
+    const calibrator = new MicCalibrator(audioCapture);
+    calibratorRef.current = calibrator;
+    cancelledRef.current = false;
+    setErrorMessage(null);
+
+    try {
+      await calibrator.begin();
+
+      setStep('noise');
+      const noise = await calibrator.measureNoise(NOISE_DURATION);
+      if (cancelledRef.current) return;
+
+      setStep('speech');
+      const speech = await calibrator.measureSpeech(SPEECH_DURATION, noise);
+      if (cancelledRef.current) return;
+
+      setResult(calibrator.computeCalibration(noise, speech));
+      setStep('result');
+    } catch (error) {
+      console.error('Microphone calibration failed:', error);
+      setErrorMessage('We could not open your microphone. Please check that it is connected and allowed.');
+      setStep('error');
+    } finally {
+      calibrator.end();
+      calibratorRef.current = null;
+    }
+  };
+
+  const qualityLabels = {
+    good: '✅ Great! Your microphone is ready.',
+    fair: '👍 Good enough, but a quieter spot would help.',
+    poor: '⚠️ It is too noisy to hear you clearly.'
+  };
+
+  return (
+    <div className="mic-calibration" role="dialog" aria-label="Microphone check">
+      <h4>🎚️ Microphone Check</h4>
+
+      {(step === 'noise' || step === 'speech') && (
+        <div className="level-meter" aria-hidden="true">
+          <div className="level-meter-fill" style={{ width: `${Math.min(100, level * 400)}%` }}></div>
+        </div>
+      )}
+
+      {step === 'intro' && (
+        <>
+          <p>Let's make sure we can hear you. First stay quiet for a moment, then read a short sentence aloud.</p>
+          <div className="calibration-actions">
+            <button className="btn btn-primary" onClick={runCalibration}>Start Check</button>
+            <button className="btn btn-outline" onClick={onCancel}>Skip</button>
+          </div>
+        </>
+      )}
+
+      {step === 'noise' && (
+        <p className="calibration-instruction">🤫 Stay quiet... listening to the room.</p>
+      )}
+
+      {step === 'speech' && (
+        <>
+          <p className="calibration-instruction">🎤 Now read this aloud:</p>
+          <p className="calibration-sentence">{SAMPLE_SENTENCE}</p>
+        </>
+      )}
+
+      {step === 'result' && result && (
+        <>
+          <p className={`calibration-quality quality-${result.quality}`}>{qualityLabels[result.quality]}</p>
+          <div className="calibration-details">
+            <span>Room noise: {result.noiseDb} dB</span>
+            <span>Voice over noise: {result.snrDb} dB</span>
+            <span>Mic gain: {result.gain}×</span>
+          </div>
+          {result.warnings.map((warning, index) => (
+            <p key={index} className="calibration-warning">⚠️ {warning}</p>
+          ))}
+          <div className="calibration-actions">
+            <button className="btn btn-primary" onClick={() => onComplete(result)}>Use These Settings</button>
+            <button className="btn btn-outline" onClick={runCalibration}>Try Again</button>
+          </div>
+        </>
+      )}
+
+      {step === 'error' && (
+        <>
+          <p className="calibration-warning">⚠️ {errorMessage}</p>
+          <div className="calibration-actions">
+            <button className="btn btn-primary" onClick={runCalibration}>Try Again</button>
+            <button className="btn btn-outline" onClick={onCancel}>Skip</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MicCalibration;
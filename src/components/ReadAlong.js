@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useRef } from 'react';
+import TextDisplay from './TextDisplay';
+import ReadAlongPlayer from '../speech/ReadAlongPlayer';
+import './ReadAlong.css';
+
+const SPEED_OPTIONS = [0.5, 0.75, 1, 1.25, 1.5];
+
+const ReadAlong = ({ speechEngine, passage, speed = 1, onSpeedChange }) => {
+  const [playerState, setPlayerState] = useState('idle');
+  const [spokenWordIndex, setSpokenWordIndex] = useState(null);
+  const playerRef = useRef(null);
+
+  useEffect(() => {
+    const player = new ReadAlongPlayer(speechEngine);
+    player.onStateChange = setPlayerState;
+    player.onWordChange = setSpokenWordIndex;
+    playerRef.current = player;
+
+    return () => player.stop();
+  }, [speechEngine]);
+
+  useEffect(() => {
+    playerRef.current.load(passage.text);
+  }, [speechEngine, passage.text]);
+
+  useEffect(() => {
+    playerRef.current.setRate(speed);
+  }, [speechEngine, speed]);
+
+  if (!ReadAlongPlayer.isSupported()) {
+    return (
+      <div className="read-along">
+        <p className="read-along-unsupported">⚠️ Reading aloud is not available in this browser.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="read-along">
+      <div className="read-along-header">
+        <h3>🎧 Listen and Follow</h3>
+        <p>Follow the highlighted word as the passage is read to you. Click any word to start from there.</p>
+      </div>
+
+      <TextDisplay
+        text={passage.text}
+        title={passage.title}
+        wordFeedback={{}}
+        currentWordIndex={spokenWordIndex}
+        onWordClick={(wordIndex) => playerRef.current.play(wordIndex)}
+      />
+
+      <div className="read-along-controls">
+        {playerState === 'playing' && (
+          <button className="btn btn-secondary" onClick={() => playerRef.current.pause()}>⏸️ Pause</button>
+        )}
+        {playerState === 'paused' && (
+          <button className="btn btn-primary" onClick={() => playerRef.current.resume()}>▶️ Resume</button>
+        )}
+        {playerState === 'idle' && (
+          <button className="btn btn-primary" onClick={() => playerRef.current.play()}>▶️ Read to Me</button>
+        )}
+        <button className="btn btn-outline" onClick={() => playerRef.current.stop()} disabled={playerState === 'idle'}>
+          ⏹️ Stop
+        </button>
+
+        <label htmlFor="read-along-speed">Speed:</label>
+        <select
+          id="read-along-speed"
+          value={speed}
+          onChange={(e) => onSpeedChange(parseFloat(e.target.value))}
+        >
+          {SPEED_OPTIONS.map(option => (
+            <option key={option} value={option}>{option}×</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default ReadAlong;
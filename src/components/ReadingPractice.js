@@ -1,10 +1,22 @@
 import React, { useState, useEffect, useRef } from 'react';
-import useSpeechRecognition from '../hooks/useSpeechRecognition';
 import TextDisplay from './TextDisplay';
 import Controls from './Controls';
 import FeedbackPanel from './FeedbackPanel';
+import AttemptPlayback from './AttemptPlayback';
+import MicCalibration from './MicCalibration';
+import EchoReading from './EchoReading';
+import ReadAlong from './ReadAlong';
+import ChunkedReading from './ChunkedReading';
+import WordDrill from './WordDrill';
 import EnhancedUISystem from '../ui/EnhancedUISystem';
-import AdvancedSpeechEngine from '../ai/AdvancedSpeechEngine';
+import ReadingSessionController from '../speech/ReadingSessionController';
+import HintEngine from '../speech/HintEngine';
+import SpeechRecognizerFactory from '../speech/SpeechRecognizerFactory';
+import AttemptStore from '../audio/AttemptStore';
+import AnalyticsEngine from '../analytics/AnalyticsEngine';
+import AIEngine from '../ai/AIEngine';
+import DialectProfiles from '../ai/DialectProfiles';
+import AccentDetector from '../ai/AccentDetector';
 import FeatureManager from '../features/FeatureManager';
 import './ReadingPractice.css';
 import './EnhancedReadingPractice.css';
@@ -34,14 +46,15 @@ const SAMPLE_TEXTS = [
 const ReadingPractice = () => {
   // Core state
   const [currentText, setCurrentText] = useState(SAMPLE_TEXTS[0]);
-  const [wordFeedback, setWordFeedback] = useState({});
-  const [score, setScore] = useState(0);
-  const [totalWords, setTotalWords] = useState(0);
+  const [practiceMode, setPracticeMode] = useState('read');
 
   // Enhanced UI and AI systems
   const [uiSystem, setUISystem] = useState(null);
-  const [speechEngine, setSpeechEngine] = useState(null);
+  const [sessionController, setSessionController] = useState(null);
+  const [hintEngine, setHintEngine] = useState(null);
   const [featureManager, setFeatureManager] = useState(null);
+  const [analyticsEngine, setAnalyticsEngine] = useState(null);
+  const [aiEngine, setAIEngine] = useState(null);
   const [currentTheme, setCurrentTheme] = useState('light');
   const [uiPreferences, setUIPreferences] = useState({
     fontSize: 'medium',
@@ -49,43 +62,57 @@ const ReadingPractice = () => {
     highContrast: false,
     focusMode: false,
     soundEffects: true,
-    hapticFeedback: true
+    hapticFeedback: true,
+    readAlongSpeed: 1
   });
 
+  // Reading session, as last reported by the session controller
+  const [session, setSession] = useState(null);
+
+  // Help offered on the word the reader is stuck on
+  const [hint, setHint] = useState(null);
+  const [hintDelay, setHintDelay] = useState(5000);
+
+  // Missed word being practised on its own, with the reading it was missed in
+  const [drillTarget, setDrillTarget] = useState(null);
+
   // Advanced AI features
-  const [aiAnalysis, setAIAnalysis] = useState(null);
   const [realTimeFeedback, setRealTimeFeedback] = useState([]);
-  const [confidenceScore, setConfidenceScore] = useState(0);
-  const [pronunciationTips, setPronunciationTips] = useState([]);
-  const [fluencyScore, setFluencyScore] = useState(0);
   const [speechSpeed, setSpeechSpeed] = useState(0);
   const [accentDetection, setAccentDetection] = useState('auto');
+  const [dialectSettings, setDialectSettings] = useState(() => DialectProfiles.loadSettings());
+  const [recognizerBackend, setRecognizerBackend] = useState(SpeechRecognizerFactory.getPreferredBackend());
+  const [silenceTimeout, setSilenceTimeout] = useState(4000);
 
-  // Session tracking
-  const [sessionData, setSessionData] = useState({
-    startTime: null,
-    totalTime: 0,
-    wordsAttempted: 0,
-    wordsCorrect: 0,
-    averageConfidence: 0,
-    pronunciationErrors: [],
-    improvements: []
-  });
+  // Recorded attempts
+  const [showPlayback, setShowPlayback] = useState(false);
+  const [recordingsVersion, setRecordingsVersion] = useState(0);
 
   // Refs for advanced features
-  const sessionStartTime = useRef(null);
   const speechAnalysisRef = useRef(null);
   const animationRef = useRef(null);
   const confidenceThreshold = useRef(0.7);
-  
+  const attemptStore = useRef(AttemptStore.isSupported() ? new AttemptStore() : null);
+  const sessionEventHandler = useRef(null);
+
+  const speechEngine = sessionController?.engine || null;
   const {
-    isListening,
-    transcript,
-    error,
-    startListening,
-    stopListening,
-    resetTranscript
-  } = useSpeechRecognition();
+    state: sessionState = 'idle',
+    isListening = false,
+    isPaused = false,
+    error = null,
+    transcript = '',
+    analysis: aiAnalysis = null,
+    wordFeedback = {},
+    currentWordIndex = null,
+    score = 0,
+    totalWords = 0,
+    sessionData = {}
+  } = (drillTarget ? drillTarget.snapshot : session) || {};
+  const confidenceScore = aiAnalysis?.confidence || 0;
+  const fluencyScore = aiAnalysis?.fluency?.overallScore ?? null;
+  const phrasing = aiAnalysis?.fluency?.phrasing;
+  const pronunciationTips = aiAnalysis?.recommendations || [];
 
   // Initialize enhanced systems
   useEffect(() => {
@@ -97,16 +124,26 @@ const ReadingPractice = () => {
         setCurrentTheme(ui.currentTheme);
         setUIPreferences(ui.getUIPreferences());
 
-        // Initialize Speech Engine
-        const speech = new AdvancedSpeechEngine();
-        setSpeechEngine(speech);
+        // One controller owns the recognizer and the analysis of every reading session
+        const controller = new ReadingSessionController();
+        controller.setPassage(SAMPLE_TEXTS[0]);
+        setSessionController(controller);
+        setSession(controller.getSnapshot());
+        setAccentDetection(controller.engine.getAccentDetection().confirmed?.accent || 'auto');
+
+        const hints = new HintEngine(controller);
+        hints.onHintChange = setHint;
+        setHintEngine(hints);
 
         // Initialize Feature Manager
         const features = new FeatureManager();
         setFeatureManager(features);
 
+        setAnalyticsEngine(new AnalyticsEngine());
+        setAIEngine(new AIEngine());
+
         // Setup event handlers
-        setupEventHandlers(ui, speech);
+        setupEventHandlers(ui, controller);
 
         console.log('Enhanced systems initialized successfully');
       } catch (error) {
@@ -117,14 +154,23 @@ const ReadingPractice = () => {
     initializeSystems();
   }, []);
 
+  // Hints only help with reading the whole passage aloud
+  useEffect(() => {
+    if (!hintEngine || practiceMode !== 'read' || drillTarget) return;
+
+    hintEngine.start();
+    return () => hintEngine.stop();
+  }, [hintEngine, practiceMode, drillTarget]);
+
+  useEffect(() => {
+    hintEngine?.setStallTimeout(hintDelay);
+  }, [hintEngine, hintDelay]);
+
   // Setup event handlers for enhanced features
-  const setupEventHandlers = (ui, speech) => {
-    if (speech) {
-      speech.onSpeechAnalyzed = handleAdvancedSpeechAnalysis;
-      speech.onInterimAnalysis = handleInterimAnalysis;
-      speech.onListeningStart = handleListeningStart;
-      speech.onListeningEnd = handleListeningEnd;
-      speech.onRecognitionError = handleRecognitionError;
+  const setupEventHandlers = (ui, controller) => {
+    if (controller) {
+      // Session events reach the handler from the latest render, not the one that subscribed
+      controller.addListener(event => sessionEventHandler.current?.(event));
     }
 
     if (ui) {
@@ -134,44 +180,44 @@ const ReadingPractice = () => {
     }
   };
 
-  // Enhanced speech processing with AI analysis
-  useEffect(() => {
-    if (transcript.trim() && speechEngine) {
-      performAdvancedAnalysis(currentText.text, transcript);
+  // Every session change comes with a snapshot, the only copy of session state the component keeps
+  const handleSessionEvent = (event) => {
+    setSession(event.snapshot);
+
+    // The other modes, and a word drill, run their own sessions and feedback
+    if (practiceMode !== 'read' || drillTarget) return;
+
+    switch (event.type) {
+      case 'statechange':
+        handleSessionStateChange(event);
+        break;
+      case 'analysis':
+        showEnhancedFeedback(event.analysis);
+        break;
+      case 'interim':
+        handleInterimAnalysis(event.interim);
+        break;
+      case 'recognitionerror':
+        handleRecognitionError(event.error);
+        break;
+      case 'recording':
+        handleRecordingComplete(event.recording);
+        break;
+      default:
+        break;
     }
-  }, [transcript, currentText.text, speechEngine]);
-
-  // Advanced speech analysis with AI features
-  const performAdvancedAnalysis = async (targetText, spokenText) => {
-    try {
-      // Basic comparison (existing functionality)
-      const basicFeedback = compareTextWithSpeech(targetText, spokenText);
-
-      // Advanced AI analysis
-      if (speechEngine) {
-        const analysis = await speechEngine.analyzeSpeeches({
-          timestamp: Date.now(),
-          alternatives: [{ transcript: spokenText, confidence: 0.9 }],
-          primary: { transcript: spokenText, confidence: 0.9 },
-          isFinal: true,
-          duration: 1000
-        });
-
-        setAIAnalysis(analysis);
-        setConfidenceScore(analysis.confidence);
-        setPronunciationTips(analysis.recommendations || []);
-        setFluencyScore(analysis.fluency?.overallScore || 0);
-
-        // Update session data
-        updateSessionData(analysis);
-
-        // Show enhanced feedback
-        showEnhancedFeedback(analysis);
-      }
-    } catch (error) {
-      console.error('Advanced analysis failed:', error);
-      // Fallback to basic analysis
-      compareTextWithSpeech(targetText, spokenText);
+  };
+  sessionEventHandler.current = handleSessionEvent;
+
+  const handleSessionStateChange = ({ previous, snapshot }) => {
+    if (snapshot.state === 'listening' && previous !== 'paused') {
+      setRealTimeFeedback([]);
+      uiSystem?.showFeedback('info', 'Reading session started! 🎤');
+      uiSystem?.announceToScreenReader("Listening started. Begin reading aloud.");
+    } else if (snapshot.state === 'finishing') {
+      uiSystem?.announceToScreenReader("Listening stopped. Processing your speech.");
+    } else if (snapshot.state === 'reviewed') {
+      showSessionSummary(snapshot);
     }
   };
 
@@ -200,11 +246,15 @@ const ReadingPractice = () => {
     }
   };
 
-  // Enhanced event handlers
-  const handleAdvancedSpeechAnalysis = (analysis) => {
-    setAIAnalysis(analysis);
-    updateSessionData(analysis);
-    showEnhancedFeedback(analysis);
+  const showSessionSummary = (snapshot) => {
+    if (uiSystem) {
+      const accuracy = snapshot.sessionData.finalAccuracy;
+      const message = accuracy > 0.8 ?
+        `Great job! ${Math.round(accuracy * 100)}% accuracy! 🌟` :
+        `Good effort! ${Math.round(accuracy * 100)}% accuracy. Keep practicing! 💪`;
+
+      uiSystem.showFeedback(accuracy > 0.8 ? 'correct' : 'encouraging', message);
+    }
   };
 
   const handleInterimAnalysis = (interim) => {
@@ -216,31 +266,6 @@ const ReadingPractice = () => {
     }]);
   };
 
-  const handleListeningStart = () => {
-    if (!sessionStartTime.current) {
-      sessionStartTime.current = Date.now();
-      setSessionData(prev => ({ ...prev, startTime: Date.now() }));
-    }
-
-    if (uiSystem) {
-      uiSystem.announceToScreenReader("Listening started. Begin reading aloud.");
-    }
-  };
-
-  const handleListeningEnd = () => {
-    if (sessionStartTime.current) {
-      const duration = Date.now() - sessionStartTime.current;
-      setSessionData(prev => ({
-        ...prev,
-        totalTime: prev.totalTime + duration
-      }));
-    }
-
-    if (uiSystem) {
-      uiSystem.announceToScreenReader("Listening stopped. Processing your speech.");
-    }
-  };
-
   const handleRecognitionError = (errorType) => {
     if (uiSystem) {
       const errorMessages = {
@@ -255,6 +280,19 @@ const ReadingPractice = () => {
     }
   };
 
+  // Store the finished attempt so it can be played back word by word
+  const handleRecordingComplete = async (recording) => {
+    if (!attemptStore.current || recording.passageId === null) return;
+
+    try {
+      // The recording carries the aligner's score, with partial credit for sound-alikes
+      await attemptStore.current.saveAttempt(recording.passageId, recording);
+      setRecordingsVersion(version => version + 1);
+    } catch (error) {
+      console.error('Failed to save recorded attempt:', error);
+    }
+  };
+
   const handleThemeChange = (newTheme) => {
     setCurrentTheme(newTheme);
   };
@@ -263,185 +301,85 @@ const ReadingPractice = () => {
     setUIPreferences(prev => ({ ...prev, [key]: value }));
   };
 
-  const updateSessionData = (analysis) => {
-    setSessionData(prev => ({
-      ...prev,
-      wordsAttempted: prev.wordsAttempted + (analysis.wordLevelAnalysis?.length || 0),
-      wordsCorrect: prev.wordsCorrect + (analysis.wordLevelAnalysis?.filter(w => w.correct).length || 0),
-      averageConfidence: (prev.averageConfidence + analysis.confidence) / 2,
-      pronunciationErrors: [...prev.pronunciationErrors, ...(analysis.phonemeAnalysis?.difficultPhonemes || [])],
-      improvements: [...prev.improvements, ...(analysis.recommendations || [])]
-    }));
+  const handleTextChange = (textId) => {
+    const newText = SAMPLE_TEXTS.find(t => t.id === textId);
+    setCurrentText(newText);
+    setDrillTarget(null);
+    sessionController?.setPassage(newText);
   };
 
-  const compareTextWithSpeech = (targetText, spokenText) => {
-    const targetWords = targetText.toLowerCase().split(/\s+/);
-    const spokenWords = spokenText.toLowerCase().split(/\s+/);
-
-    const feedback = {};
-    let correctCount = 0;
-
-    targetWords.forEach((targetWord, index) => {
-      // Clean words (remove punctuation)
-      const cleanTargetWord = targetWord.replace(/[^\w]/g, '');
-      const cleanSpokenWord = spokenWords[index] ? spokenWords[index].replace(/[^\w]/g, '') : '';
+  // Switching modes abandons the current session and starts again from the whole passage
+  const handlePracticeModeChange = (mode) => {
+    setPracticeMode(mode);
+    setRealTimeFeedback([]);
+    setDrillTarget(null);
+    sessionController?.setPassage(currentText);
+  };
 
-      if (cleanSpokenWord && cleanTargetWord) {
-        // Enhanced matching with similarity scoring
-        const similarity = calculateWordSimilarity(cleanTargetWord, cleanSpokenWord);
-        const isMatch = similarity > 0.8;
+  // Only words missed in a reviewed reading can be practised on their own
+  const isWordDrillable = (wordIndex, feedback) => (
+    Boolean(feedback) && !feedback.correct && /\w/.test(currentText.text.split(/(\s+)/)[wordIndex * 2] || '')
+  );
 
-        feedback[index] = {
-          word: targetWord,
-          correct: isMatch,
-          spoken: spokenWords[index] || '',
-          similarity: similarity,
-          confidence: similarity
-        };
+  // The reading stays on screen as it was while the word is drilled
+  const handleWordClick = (wordIndex) => {
+    if (sessionState !== 'reviewed' || drillTarget || !isWordDrillable(wordIndex, wordFeedback[wordIndex])) return;
 
-        if (isMatch) correctCount++;
-      }
+    setDrillTarget({
+      wordIndex,
+      word: currentText.text.split(/(\s+)/)[wordIndex * 2],
+      snapshot: session
     });
-
-    setWordFeedback(feedback);
-    setScore(correctCount);
-    setTotalWords(targetWords.length);
-
-    return feedback;
   };
 
-  // Enhanced word similarity calculation
-  const calculateWordSimilarity = (word1, word2) => {
-    if (word1 === word2) return 1.0;
-
-    const maxLength = Math.max(word1.length, word2.length);
-    if (maxLength === 0) return 1.0;
-
-    const distance = levenshteinDistance(word1, word2);
-    return 1 - (distance / maxLength);
+  const handleWordDrillClose = () => {
+    setDrillTarget(null);
   };
 
-  const levenshteinDistance = (str1, str2) => {
-    const matrix = Array(str2.length + 1).fill(null).map(() => Array(str1.length + 1).fill(null));
-
-    for (let i = 0; i <= str1.length; i++) matrix[0][i] = i;
-    for (let j = 0; j <= str2.length; j++) matrix[j][0] = j;
-
-    for (let j = 1; j <= str2.length; j++) {
-      for (let i = 1; i <= str1.length; i++) {
-        const indicator = str1[i - 1] === str2[j - 1] ? 0 : 1;
-        matrix[j][i] = Math.min(
-          matrix[j][i - 1] + 1,
-          matrix[j - 1][i] + 1,
-          matrix[j - 1][i - 1] + indicator
-        );
-      }
+  // A finished chunked reading is recorded like any other session
+  const handleChunkedReadingComplete = (record, totals) => {
+    try {
+      analyticsEngine?.trackSession(record);
+    } catch (error) {
+      console.error('Failed to track chunked reading session:', error);
     }
 
-    return matrix[str2.length][str1.length];
+    if (uiSystem) {
+      uiSystem.showFeedback(totals.accuracy > 0.8 ? 'correct' : 'encouraging',
+        `You read ${totals.chunksPassed} of ${totals.chunks} parts well, ${Math.round(totals.accuracy * 100)}% accuracy! 🌟`);
+    }
   };
 
-  const handleTextChange = (textId) => {
-    const newText = SAMPLE_TEXTS.find(t => t.id === textId);
-    setCurrentText(newText);
-    resetTranscript();
-    setWordFeedback({});
-    setScore(0);
-    setTotalWords(0);
+  // The controller checks the microphone first when it has never been calibrated
+  const handleStartReading = () => {
+    sessionController?.start({
+      language: 'en-US',
+      accent: accentDetection,
+      silenceTimeout
+    });
   };
 
-  const handleStartReading = () => {
-    resetTranscript();
-    setWordFeedback({});
-    setScore(0);
-    setTotalWords(0);
-    setRealTimeFeedback([]);
-    setAIAnalysis(null);
-
-    // Start advanced speech recognition
-    if (speechEngine) {
-      speechEngine.startListening({
-        targetText: currentText.text,
-        language: 'en-US',
-        accent: accentDetection,
-        difficulty: currentText.difficulty,
-        realTimeAnalysis: true
-      });
-    } else {
-      startListening();
-    }
+  const handleCalibrationComplete = (calibration) => {
+    sessionController.completeCalibration(calibration);
 
-    // UI feedback
-    if (uiSystem) {
-      uiSystem.showFeedback('info', 'Reading session started! 🎤');
+    if (calibration.tooLoud && uiSystem) {
+      uiSystem.showFeedback('error', 'It is quite noisy here, so some words may be missed.');
     }
   };
 
   const handleStopReading = () => {
-    if (speechEngine) {
-      speechEngine.stopListening();
-    } else {
-      stopListening();
-    }
-
-    // Calculate final session stats
-    const finalStats = calculateSessionStats();
-    setSessionData(prev => ({ ...prev, ...finalStats }));
-
-    // UI feedback
-    if (uiSystem) {
-      const accuracy = score / totalWords;
-      const message = accuracy > 0.8 ?
-        `Great job! ${Math.round(accuracy * 100)}% accuracy! 🌟` :
-        `Good effort! ${Math.round(accuracy * 100)}% accuracy. Keep practicing! 💪`;
-
-      uiSystem.showFeedback(accuracy > 0.8 ? 'correct' : 'encouraging', message);
-    }
+    sessionController?.stop();
   };
 
   const handleReset = () => {
-    stopListening();
-    resetTranscript();
-    setWordFeedback({});
-    setScore(0);
-    setTotalWords(0);
+    sessionController?.reset();
     setRealTimeFeedback([]);
-    setAIAnalysis(null);
-    setConfidenceScore(0);
-    setPronunciationTips([]);
-    setFluencyScore(0);
-
-    // Reset session data
-    setSessionData({
-      startTime: null,
-      totalTime: 0,
-      wordsAttempted: 0,
-      wordsCorrect: 0,
-      averageConfidence: 0,
-      pronunciationErrors: [],
-      improvements: []
-    });
-
-    sessionStartTime.current = null;
 
     if (uiSystem) {
       uiSystem.showFeedback('info', 'Session reset! Ready to start again. 🔄');
     }
   };
 
-  const calculateSessionStats = () => {
-    const accuracy = totalWords > 0 ? score / totalWords : 0;
-    const duration = sessionStartTime.current ? Date.now() - sessionStartTime.current : 0;
-    const wordsPerMinute = duration > 0 ? (totalWords / duration) * 60000 : 0;
-
-    return {
-      finalAccuracy: accuracy,
-      sessionDuration: duration,
-      wordsPerMinute: wordsPerMinute,
-      completedAt: Date.now()
-    };
-  };
-
   // Theme and UI preference handlers
   const handleThemeSwitch = (themeId) => {
     if (uiSystem) {
@@ -457,6 +395,50 @@ const ReadingPractice = () => {
     }
   };
 
+  // Choosing an accent overrides detection for this learner; 'auto' goes back to detecting
+  const handleAccentChange = (accent, source = 'override') => {
+    speechEngine?.setConfirmedAccent(accent, source);
+    setAccentDetection(accent);
+  };
+
+  // What past sessions suggest while the accent is left to detection
+  const renderAccentDetection = () => {
+    const detection = accentDetection === 'auto' ? speechEngine?.getAccentDetection() : null;
+    if (!detection?.likelyAccent) return null;
+
+    const name = AccentDetector.getAccents().find(accent => accent.id === detection.likelyAccent)?.name;
+    const certainty = `${Math.round(detection.confidence * 100)}% sure`;
+
+    return (
+      <p className="accent-detection" role="status">
+        {detection.accent !== 'auto' ?
+          `🔎 Sounds like ${name} English (${certainty}), so that is used.` :
+          `🔎 Maybe ${name} English (${certainty}); not sure enough to switch yet.`}
+        <button className="btn btn-outline" onClick={() => handleAccentChange(detection.likelyAccent, 'confirmed')}>
+          ✓ That's right
+        </button>
+      </p>
+    );
+  };
+
+  // Teachers choose which dialect features count as correct reading, rule by rule
+  const handleDialectChange = (changes) => {
+    const next = { ...dialectSettings, ...changes };
+    speechEngine?.setDialectProfile(next);
+    setDialectSettings(next);
+  };
+
+  const handleRecognizerBackendChange = (backend) => {
+    try {
+      speechEngine?.setRecognizerBackend(backend);
+      SpeechRecognizerFactory.setPreferredBackend(backend);
+      setRecognizerBackend(backend);
+    } catch (error) {
+      console.error('Failed to switch speech recognizer:', error);
+      uiSystem?.showFeedback('error', 'That speech engine is not available in this browser.');
+    }
+  };
+
   const toggleFocusMode = () => {
     const newFocusMode = !uiPreferences.focusMode;
     handleUIPreferenceChange('focusMode', newFocusMode);
@@ -543,62 +525,196 @@ const ReadingPractice = () => {
         <div className={`difficulty-badge difficulty-${currentText.difficulty}`}>
           {currentText.difficulty.toUpperCase()}
         </div>
+
+        <label htmlFor="practice-mode">Mode:</label>
+        <select
+          id="practice-mode"
+          value={practiceMode}
+          onChange={(e) => handlePracticeModeChange(e.target.value)}
+          className="text-dropdown"
+        >
+          <option value="read">Read Aloud</option>
+          <option value="echo">Echo Reading</option>
+          <option value="chunked">One Part at a Time</option>
+          <option value="listen">Listen &amp; Follow</option>
+        </select>
       </div>
 
       {/* Enhanced Text Display with Real-time Feedback */}
-      <div className="text-display-container">
-        <TextDisplay
-          text={currentText.text}
-          wordFeedback={wordFeedback}
-          title={currentText.title}
-          realTimeFeedback={realTimeFeedback}
-          confidenceScore={confidenceScore}
-        />
-
-        {/* Real-time AI Analysis Panel */}
-        {aiAnalysis && (
-          <div className="ai-analysis-panel">
-            <h4>🤖 AI Analysis</h4>
-            <div className="analysis-metrics">
-              <div className="metric">
-                <span className="metric-label">Accuracy:</span>
-                <span className="metric-value">{Math.round(aiAnalysis.accuracy * 100)}%</span>
+      {practiceMode === 'read' && (
+        <div className="text-display-container">
+          <TextDisplay
+            text={currentText.text}
+            wordFeedback={wordFeedback}
+            title={currentText.title}
+            currentWordIndex={currentWordIndex}
+            activeWordIndex={drillTarget?.wordIndex ?? null}
+            hint={hint}
+            onWordClick={sessionState === 'reviewed' && !drillTarget ? handleWordClick : undefined}
+            isWordClickable={isWordDrillable}
+            realTimeFeedback={realTimeFeedback}
+            confidenceScore={confidenceScore}
+          />
+
+          {drillTarget && sessionController && (
+            <WordDrill
+              sessionController={sessionController}
+              aiEngine={aiEngine}
+              target={drillTarget}
+              accent={accentDetection}
+              uiSystem={uiSystem}
+              onClose={handleWordDrillClose}
+            />
+          )}
+
+          {/* Real-time AI Analysis Panel */}
+          {aiAnalysis && (
+            <div className="ai-analysis-panel">
+              <h4>🤖 AI Analysis</h4>
+              <div className="analysis-metrics">
+                <div className="metric">
+                  <span className="metric-label">Accuracy:</span>
+                  <span className="metric-value">{Math.round(aiAnalysis.accuracy * 100)}%</span>
+                </div>
+                <div className="metric">
+                  <span className="metric-label">Confidence:</span>
+                  <span className="metric-value">{Math.round(confidenceScore * 100)}%</span>
+                </div>
+                <div className="metric">
+                  <span className="metric-label">Fluency:</span>
+                  <span className="metric-value">{fluencyScore === null ? '—' : `${Math.round(fluencyScore * 100)}%`}</span>
+                </div>
               </div>
-              <div className="metric">
-                <span className="metric-label">Confidence:</span>
-                <span className="metric-value">{Math.round(confidenceScore * 100)}%</span>
-              </div>
-              <div className="metric">
-                <span className="metric-label">Fluency:</span>
-                <span className="metric-value">{Math.round(fluencyScore * 100)}%</span>
-              </div>
-            </div>
 
-            {pronunciationTips.length > 0 && (
-              <div className="pronunciation-tips">
-                <h5>💡 Pronunciation Tips:</h5>
-                <ul>
-                  {pronunciationTips.slice(0, 3).map((tip, index) => (
-                    <li key={index}>{tip.message || tip}</li>
+              {phrasing?.available && (
+                <div className="phrasing-analysis">
+                  <h5>📖 Phrasing:</h5>
+                  <div className="analysis-metrics">
+                    <div className="metric">
+                      <span className="metric-label">Level:</span>
+                      <span className="metric-value">{phrasing.level} of 4</span>
+                    </div>
+                    <div className="metric">
+                      <span className="metric-label">Words per Phrase:</span>
+                      <span className="metric-value">{phrasing.averagePhraseLength.toFixed(1)}</span>
+                    </div>
+                    {phrasing.punctuationPauseRate !== null && (
+                      <div className="metric">
+                        <span className="metric-label">Pauses at Punctuation:</span>
+                        <span className="metric-value">{Math.round(phrasing.punctuationPauseRate * 100)}%</span>
+                      </div>
+                    )}
+                  </div>
+                  <p className="phrasing-description">{phrasing.description}</p>
+                  {phrasing.feedback.map((message, index) => (
+                    <p key={index} className="intonation-feedback">{message}</p>
                   ))}
-                </ul>
-              </div>
-            )}
-          </div>
-        )}
-      </div>
+                </div>
+              )}
+
+              {aiAnalysis.prosodyAnalysis?.intonation?.available && (
+                <div className="intonation-analysis">
+                  <h5>🎵 Intonation:</h5>
+                  <div className="analysis-metrics">
+                    <div className="metric">
+                      <span className="metric-label">Expression:</span>
+                      <span className="metric-value">{Math.round(aiAnalysis.prosodyAnalysis.intonation.overallScore * 100)}%</span>
+                    </div>
+                    {aiAnalysis.prosodyAnalysis.intonation.questionScore !== null && (
+                      <div className="metric">
+                        <span className="metric-label">Questions:</span>
+                        <span className="metric-value">{Math.round(aiAnalysis.prosodyAnalysis.intonation.questionScore * 100)}%</span>
+                      </div>
+                    )}
+                    {aiAnalysis.prosodyAnalysis.intonation.statementScore !== null && (
+                      <div className="metric">
+                        <span className="metric-label">Statements:</span>
+                        <span className="metric-value">{Math.round(aiAnalysis.prosodyAnalysis.intonation.statementScore * 100)}%</span>
+                      </div>
+                    )}
+                  </div>
+                  <ul className="intonation-sentences">
+                    {aiAnalysis.prosodyAnalysis.intonation.sentences.slice(-3).map((sentence, index) => (
+                      <li key={index} className={`intonation-${sentence.observed}`}>
+                        <span className="intonation-arrow" title={`Pitch ${sentence.observed} (${sentence.endingShift} semitones)`}>
+                          {sentence.observed === 'rise' ? '↗' : sentence.observed === 'fall' ? '↘' : '→'}
+                        </span>
+                        {sentence.text}
+                      </li>
+                    ))}
+                  </ul>
+                  {aiAnalysis.prosodyAnalysis.intonation.feedback.map((message, index) => (
+                    <p key={index} className="intonation-feedback">{message}</p>
+                  ))}
+                </div>
+              )}
+
+              {pronunciationTips.length > 0 && (
+                <div className="pronunciation-tips">
+                  <h5>💡 Pronunciation Tips:</h5>
+                  <ul>
+                    {pronunciationTips.slice(0, 3).map((tip, index) => (
+                      <li key={index}>{tip.message || tip}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
 
-      {/* Enhanced Controls with Advanced Features */}
-      <div className="controls-container">
-        <Controls
-          isListening={isListening}
-          onStart={handleStartReading}
-          onStop={handleStopReading}
-          onReset={handleReset}
-          error={error}
-          speechEngine={speechEngine}
+      {practiceMode === 'echo' && sessionController && (
+        <EchoReading
+          sessionController={sessionController}
+          passage={currentText}
+          settings={{ accent: accentDetection }}
+          uiSystem={uiSystem}
+        />
+      )}
+
+      {practiceMode === 'chunked' && sessionController && (
+        <ChunkedReading
+          sessionController={sessionController}
+          passage={currentText}
+          settings={{ accent: accentDetection }}
           uiSystem={uiSystem}
+          onComplete={handleChunkedReadingComplete}
         />
+      )}
+
+      {practiceMode === 'listen' && speechEngine && (
+        <ReadAlong
+          speechEngine={speechEngine}
+          passage={currentText}
+          speed={uiPreferences.readAlongSpeed ?? 1}
+          onSpeedChange={(speed) => handleUIPreferenceChange('readAlongSpeed', speed)}
+        />
+      )}
+
+      {sessionState === 'calibrating' && speechEngine && (
+        <MicCalibration
+          audioCapture={speechEngine.audioCapture}
+          onComplete={handleCalibrationComplete}
+          onCancel={() => sessionController.cancelCalibration()}
+        />
+      )}
+
+      {/* Enhanced Controls with Advanced Features */}
+      <div className="controls-container">
+        {practiceMode === 'read' && !drillTarget && (
+          <Controls
+            isListening={isListening}
+            isPaused={isPaused}
+            isFinishing={sessionState === 'finishing'}
+            onStart={handleStartReading}
+            onStop={handleStopReading}
+            onReset={handleReset}
+            error={error}
+            speechEngine={speechEngine}
+            uiSystem={uiSystem}
+          />
+        )}
 
         {/* Advanced Settings Panel */}
         <div className="advanced-settings">
@@ -641,19 +757,103 @@ const ReadingPractice = () => {
                 </select>
               </div>
 
-              <div className="setting-group">
+              <div className="setting-group accent-settings">
                 <label htmlFor="accent-detection">Accent:</label>
                 <select
                   id="accent-detection"
                   value={accentDetection}
-                  onChange={(e) => setAccentDetection(e.target.value)}
+                  onChange={(e) => handleAccentChange(e.target.value)}
                 >
                   <option value="auto">Auto Detect</option>
-                  <option value="american">American</option>
-                  <option value="british">British</option>
-                  <option value="indian">Indian</option>
-                  <option value="australian">Australian</option>
+                  {AccentDetector.getAccents().map(accent => (
+                    <option key={accent.id} value={accent.id}>{accent.name}</option>
+                  ))}
                 </select>
+                {renderAccentDetection()}
+              </div>
+
+              <div className="setting-group dialect-settings">
+                <label htmlFor="dialect-profile">Dialect Profile:</label>
+                <select
+                  id="dialect-profile"
+                  value={dialectSettings.profile}
+                  onChange={(e) => handleDialectChange({ profile: e.target.value, disabledRules: [] })}
+                >
+                  {DialectProfiles.getProfiles().map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
+                {DialectProfiles.getProfiles()
+                  .find(profile => profile.id === dialectSettings.profile)?.rules
+                  .map(rule => (
+                    <label key={rule.id} className="dialect-rule" title={`Counted as correct: ${rule.example}`}>
+                      <input
+                        type="checkbox"
+                        checked={!dialectSettings.disabledRules.includes(rule.id)}
+                        onChange={(e) => handleDialectChange({
+                          disabledRules: e.target.checked ?
+                            dialectSettings.disabledRules.filter(id => id !== rule.id) :
+                            [...dialectSettings.disabledRules, rule.id]
+                        })}
+                      />
+                      {rule.name}
+                    </label>
+                  ))}
+              </div>
+
+              <div className="setting-group">
+                <label htmlFor="recognizer-backend">Speech Engine:</label>
+                <select
+                  id="recognizer-backend"
+                  value={recognizerBackend}
+                  onChange={(e) => handleRecognizerBackendChange(e.target.value)}
+                >
+                  <option value="auto">Auto</option>
+                  {SpeechRecognizerFactory.getAvailableBackends().map(backend => (
+                    <option key={backend.id} value={backend.id}>
+                      {backend.name}{backend.offline ? ' (offline)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="setting-group">
+                <label htmlFor="silence-timeout">Pause After Silence:</label>
+                <select
+                  id="silence-timeout"
+                  value={silenceTimeout}
+                  onChange={(e) => setSilenceTimeout(parseInt(e.target.value))}
+                >
+                  <option value={2000}>2 seconds</option>
+                  <option value={4000}>4 seconds</option>
+                  <option value={6000}>6 seconds</option>
+                  <option value={10000}>10 seconds</option>
+                  <option value={0}>Never</option>
+                </select>
+              </div>
+
+              <div className="setting-group">
+                <label htmlFor="hint-delay">Hints When Stuck:</label>
+                <select
+                  id="hint-delay"
+                  value={hintDelay}
+                  onChange={(e) => setHintDelay(parseInt(e.target.value))}
+                >
+                  <option value={3000}>After 3 seconds</option>
+                  <option value={5000}>After 5 seconds</option>
+                  <option value={8000}>After 8 seconds</option>
+                  <option value={0}>Never</option>
+                </select>
+              </div>
+
+              <div className="setting-group">
+                <button
+                  onClick={() => sessionController?.calibrate()}
+                  className="accessibility-btn"
+                  disabled={!sessionController?.can('calibrate')}
+                >
+                  🎚️ Check Microphone
+                </button>
               </div>
             </div>
           </details>
@@ -681,13 +881,47 @@ const ReadingPractice = () => {
                 <span className="stat-label">Time:</span>
                 <span className="stat-value">{Math.round(sessionData.totalTime / 1000)}s</span>
               </div>
+              {sessionData.calibration && (
+                <div className="stat-item">
+                  <span className="stat-label" title="Voice level over room noise, from the microphone check">Signal/Noise:</span>
+                  <span className="stat-value">{sessionData.calibration.snrDb} dB</span>
+                </div>
+              )}
+              {sessionData.pausedTime > 0 && (
+                <div className="stat-item">
+                  <span className="stat-label" title="Silent pauses are left out of reading time">Paused:</span>
+                  <span className="stat-value">{Math.round(sessionData.pausedTime / 1000)}s</span>
+                </div>
+              )}
+              {sessionData.recognizerRestarts > 0 && (
+                <div className="stat-item">
+                  <span className="stat-label" title="Times speech recognition stopped on its own and was restarted without losing words">Recognizer restarts:</span>
+                  <span className="stat-value">{sessionData.recognizerRestarts}</span>
+                </div>
+              )}
               <div className="stat-item">
-                <span className="stat-label">Words/Min:</span>
-                <span className="stat-value">
-                  {sessionData.totalTime > 0 ?
-                    Math.round((sessionData.wordsAttempted / sessionData.totalTime) * 60000) : 0}
-                </span>
+                <span className="stat-label" title="Words correct per minute">WCPM:</span>
+                <span className="stat-value">{sessionData.wcpm}</span>
               </div>
+              <div className="stat-item">
+                <span className="stat-label" title="Self-corrections are not counted as errors">Self-corrections:</span>
+                <span className="stat-value">{sessionData.selfCorrections}</span>
+              </div>
+              <div className="stat-item">
+                <span className="stat-label" title="Repeated words are not counted as errors">Repetitions:</span>
+                <span className="stat-value">{sessionData.repetitions}</span>
+              </div>
+              {sessionData.dialectVariants?.length > 0 && (
+                <div className="stat-item">
+                  <span
+                    className="stat-label"
+                    title={sessionData.dialectVariants.map(word => `${word.word}: ${word.dialectVariant.note}`).join('\n')}
+                  >
+                    Dialect features:
+                  </span>
+                  <span className="stat-value">{sessionData.dialectVariants.length}</span>
+                </div>
+              )}
               <div className="stat-item">
                 <span className="stat-label">Avg Confidence:</span>
                 <span className="stat-value">{Math.round(sessionData.averageConfidence * 100)}%</span>
@@ -697,6 +931,28 @@ const ReadingPractice = () => {
         )}
       </div>
 
+      {/* Recorded Attempt Playback */}
+      {attemptStore.current && (
+        <div className="playback-container">
+          <button
+            onClick={() => setShowPlayback(!showPlayback)}
+            className={`accessibility-btn ${showPlayback ? 'active' : ''}`}
+            aria-expanded={showPlayback}
+          >
+            🎧 {showPlayback ? 'Hide Recordings' : 'Listen Back'}
+          </button>
+
+          {showPlayback && (
+            <AttemptPlayback
+              passage={currentText}
+              attemptStore={attemptStore.current}
+              refreshKey={recordingsVersion}
+              speechEngine={speechEngine}
+            />
+          )}
+        </div>
+      )}
+
       {/* Real-time Feedback Stream */}
       {realTimeFeedback.length > 0 && (
         <div className="realtime-feedback">
@@ -0,0 +1,335 @@
+import React, { useState, useEffect, useRef } from 'react';
+import AttemptRecorder from '../audio/AttemptRecorder';
+import ReferenceComparator from '../audio/ReferenceComparator';
+import './ReferenceComparison.css';
+
+const SOURCE_LABELS = {
+  teacher: 'recorded by a teacher',
+  upload: 'uploaded',
+  app: 'read by the app voice'
+};
+
+// Why a model reading was turned down; the app voice is only heard when it plays through speakers
+const REFERENCE_PROBLEMS = {
+  silent: 'The model reading was silent, so it was not saved.',
+  noise: 'Only room noise was recorded, with no reading standing out from it, so it was not saved.',
+  unreadable: 'The model reading could not be read as audio, so it was not saved.'
+};
+const APP_VOICE_NOTE = ' The microphone records the app voice from the speakers: unplug headphones and turn the volume up, or record the model yourself.';
+
+// Colour band for how close a word sounded to the model
+const getMatchClass = (word) => {
+  if (word.soundDiverges || word.similarity < 0.35) return 'match-low';
+  if (word.similarity < 0.55) return 'match-medium';
+  return 'match-high';
+};
+
+const ReferenceComparison = ({ passage, attempt, attemptStore, speechEngine }) => {
+  const [reference, setReference] = useState(null);
+  const [recordingSource, setRecordingSource] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [isComparing, setIsComparing] = useState(false);
+  const [selectedIndex, setSelectedIndex] = useState(null);
+  const [error, setError] = useState(null);
+  const recordingRef = useRef(null);
+  const audioRef = useRef({ context: null, learner: null, reference: null, sources: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+
+    attemptStore.getReference(passage.id)
+      .then(saved => {
+        if (!cancelled) setReference(saved || null);
+      })
+      .catch(loadError => console.warn('Failed to load the model reading:', loadError));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [passage.id, attemptStore]);
+
+  // A new attempt or model reading needs a fresh comparison
+  useEffect(() => {
+    setComparison(null);
+    setSelectedIndex(null);
+  }, [attempt, reference]);
+
+  useEffect(() => {
+    const audio = audioRef.current;
+
+    return () => {
+      const recording = recordingRef.current;
+      recording?.recorder.stop();
+      recording?.stream.getTracks().forEach(track => track.stop());
+      audio.context?.close?.();
+    };
+  }, []);
+
+  // A reference without a reading in it would make every comparison meaningless
+  const findReferenceProblem = async (blob) => {
+    try {
+      const check = new ReferenceComparator().checkSpeech(await ReferenceComparator.decode(blob));
+      return check.hasSpeech ? null : check.reason;
+    } catch (decodeError) {
+      console.warn('Failed to decode the model reading:', decodeError);
+      return 'unreadable';
+    }
+  };
+
+  const saveReference = async (recording, source) => {
+    const problem = await findReferenceProblem(recording.blob);
+    if (problem) {
+      setError(REFERENCE_PROBLEMS[problem] + (source === 'app' && problem !== 'unreadable' ? APP_VOICE_NOTE : ''));
+      return;
+    }
+
+    try {
+      setReference(await attemptStore.saveReference(passage.id, { ...recording, source }));
+    } catch (saveError) {
+      console.error('Failed to save the model reading:', saveError);
+      setError('The model reading could not be saved.');
+    }
+  };
+
+  // Teachers read the passage into the microphone; the app voice is captured the same way,
+  // with echo cancellation off so it is not filtered out
+  const startRecording = async (source) => {
+    setError(null);
+    let stream = null;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: source !== 'app', noiseSuppression: source !== 'app' }
+      });
+      const recorder = new AttemptRecorder();
+      recorder.start(stream);
+      recordingRef.current = { recorder, stream, source };
+      setRecordingSource(source);
+    } catch (recordError) {
+      console.error('Failed to start recording the model reading:', recordError);
+      stream?.getTracks().forEach(track => track.stop());
+      setError('The microphone could not be used to record a model reading.');
+      return;
+    }
+
+    if (source === 'app') {
+      const utterance = speechEngine?.speakText(passage.text, { rate: 0.9 });
+      if (!utterance) {
+        stopRecording(false);
+        setError('This browser cannot read the passage aloud.');
+        return;
+      }
+      utterance.addEventListener('end', () => stopRecording());
+      utterance.addEventListener('error', () => stopRecording(false));
+    }
+  };
+
+  // Runs once per recording, whether stopped by hand or by the app voice finishing
+  const stopRecording = async (keep = true) => {
+    const current = recordingRef.current;
+    if (!current) return;
+
+    recordingRef.current = null;
+    setRecordingSource(null);
+    if (current.source === 'app') speechEngine?.speechSynthesis.synthesis?.cancel();
+
+    const recording = await current.recorder.stop();
+    current.stream.getTracks().forEach(track => track.stop());
+    if (keep && recording) {
+      await saveReference(recording, current.source);
+    }
+  };
+
+  const handleUpload = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setError(null);
+    saveReference({ blob: file, mimeType: file.type, duration: null }, 'upload');
+  };
+
+  const handleRemove = async () => {
+    try {
+      await attemptStore.deleteReference(passage.id);
+      setReference(null);
+    } catch (removeError) {
+      console.error('Failed to remove the model reading:', removeError);
+    }
+  };
+
+  const handleCompare = async () => {
+    setIsComparing(true);
+    setError(null);
+
+    try {
+      const [learner, model] = await Promise.all([
+        ReferenceComparator.decode(attempt.blob),
+        ReferenceComparator.decode(reference.blob)
+      ]);
+      const tokens = passage.text.split(/(\s+)/);
+      const words = (attempt.wordTimings || []).map(timing => ({
+        ...timing,
+        word: tokens[timing.index * 2] || ''
+      }));
+
+      const result = new ReferenceComparator().compare(learner, model, words);
+      if (!result) {
+        setError('No speech was found in one of the recordings.');
+      }
+      audioRef.current.learner = learner.audioBuffer;
+      audioRef.current.reference = model.audioBuffer;
+      setComparison(result);
+    } catch (compareError) {
+      console.error('Failed to compare with the model reading:', compareError);
+      setError('The recordings could not be compared.');
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  // Play the learner's word, then the same stretch of the model reading
+  const playWord = (word) => {
+    setSelectedIndex(word.index);
+
+    const audio = audioRef.current;
+    if (!audio.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      audio.context = new AudioContextClass();
+    }
+    audio.sources.forEach(source => source.stop());
+
+    const learnerLength = (word.end - word.start) / 1000;
+    const playSlice = (buffer, offset, duration, when) => {
+      const source = audio.context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(audio.context.destination);
+      source.start(when, offset, duration);
+      return source;
+    };
+
+    const now = audio.context.currentTime;
+    audio.sources = [
+      playSlice(audio.learner, word.start / 1000, learnerLength, now),
+      playSlice(audio.reference, word.referenceStart / 1000, (word.referenceEnd - word.referenceStart) / 1000, now + learnerLength + 0.4)
+    ];
+  };
+
+  // Each track starts where its speech starts, so the two readings line up
+  const renderTrack = (label, startKey, endKey, origin, length) => (
+    <div className="comparison-track">
+      <span className="comparison-track-label">{label}</span>
+      <div className="comparison-track-words">
+        {comparison.words.map(word => (
+          <button
+            key={word.index}
+            className={[
+              'comparison-word',
+              getMatchClass(word),
+              word.timingDiverges ? 'timing-off' : '',
+              selectedIndex === word.index ? 'selected' : ''
+            ].filter(Boolean).join(' ')}
+            style={{
+              left: `${(Math.max(0, word[startKey] - origin) / length) * 100}%`,
+              width: `${((word[endKey] - word[startKey]) / length) * 100}%`
+            }}
+            onClick={() => playWord(word)}
+            title={`${word.word}: ${Math.round(word.similarity * 100)}% alike`}
+            aria-label={`Play ${word.word}`}
+          >
+            {word.word}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+
+  const renderComparison = () => {
+    const length = Math.max(comparison.learner.duration, comparison.reference.duration);
+    const soundWords = comparison.words.filter(word => word.soundDiverges);
+    const timingWords = comparison.words.filter(word => word.timingDiverges);
+    const tempo = comparison.tempoRatio;
+    const selectedWord = comparison.words.find(word => word.index === selectedIndex);
+
+    return (
+      <div className="comparison-result">
+        <div className="comparison-summary">
+          <span>Sounded {Math.round(comparison.similarity * 100)}% like the model</span>
+          <span>
+            {tempo > 1.15 ? `${tempo.toFixed(1)}× slower than the model` :
+              tempo < 0.85 ? `${(1 / tempo).toFixed(1)}× faster than the model` :
+                'About the same pace as the model'}
+          </span>
+        </div>
+
+        <div className="comparison-timeline">
+          {renderTrack('Model', 'referenceStart', 'referenceEnd', comparison.reference.start, length)}
+          {renderTrack('You', 'start', 'end', comparison.learner.start, length)}
+        </div>
+
+        <p className="comparison-hint">Click a word to hear yours and then the model's.</p>
+
+        {selectedWord && (
+          <p className="comparison-note">💡 {selectedWord.word}: {new ReferenceComparator().getWordAdvice(selectedWord).join(' ')}</p>
+        )}
+
+        {soundWords.length > 0 && (
+          <p className="comparison-note">👂 Sounds different: {soundWords.map(word => word.word).join(', ')}</p>
+        )}
+        {timingWords.length > 0 && (
+          <p className="comparison-note">⏱️ Rhythm different: {timingWords.map(word => word.word).join(', ')}</p>
+        )}
+      </div>
+    );
+  };
+
+  if (!ReferenceComparator.isSupported()) return null;
+
+  return (
+    <div className="reference-comparison">
+      <h5>🎼 Compare with a Model Reading</h5>
+
+      {recordingSource ? (
+        <div className="reference-actions">
+          <span className="reference-recording">
+            {recordingSource === 'app' ? '🔊 Recording the app voice...' : '🔴 Recording... read the passage aloud.'}
+          </span>
+          <button className="btn btn-secondary" onClick={() => stopRecording()}>⏹️ Stop</button>
+        </div>
+      ) : (
+        <div className="reference-actions">
+          {reference && (
+            <span className="reference-source">
+              Model reading {SOURCE_LABELS[reference.source] || 'saved'}
+            </span>
+          )}
+          <button className="btn btn-outline" onClick={() => startRecording('teacher')}>🎙️ Record Model</button>
+          <label className="btn btn-outline reference-upload">
+            📁 Upload
+            <input type="file" accept="audio/*" onChange={handleUpload} />
+          </label>
+          {speechEngine && (
+            <button className="btn btn-outline" onClick={() => startRecording('app')}>🔊 Use App Voice</button>
+          )}
+          {reference && (
+            <>
+              <button className="btn btn-outline" onClick={handleRemove}>🗑️ Remove</button>
+              <button
+                className="btn btn-primary"
+                onClick={handleCompare}
+                disabled={isComparing || !attempt.blob}
+              >
+                {isComparing ? 'Comparing...' : '📊 Compare'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {error && <p className="playback-message">⚠️ {error}</p>}
+
+      {comparison && renderComparison()}
+    </div>
+  );
+};
+
+export default ReferenceComparison;
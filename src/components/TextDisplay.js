@@ -1,8 +1,17 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import './TextDisplay.css';
 
-const TextDisplay = ({ text, wordFeedback, title }) => {
+const TextDisplay = ({ text, wordFeedback, title, onWordClick, isWordClickable = null, activeWordIndex = null, currentWordIndex = null, hint = null }) => {
   const words = text.split(/(\s+)/); // Split but keep whitespace
+  const contentRef = useRef(null);
+
+  // Keep the reader's place in view on long passages
+  useEffect(() => {
+    if (currentWordIndex === null || !contentRef.current) return;
+
+    const currentWord = contentRef.current.querySelector(`[data-word-index="${currentWordIndex}"]`);
+    currentWord?.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  }, [currentWordIndex]);
 
   const renderWord = (word, index) => {
     // Skip whitespace
@@ -12,19 +21,127 @@ const TextDisplay = ({ text, wordFeedback, title }) => {
 
     const wordIndex = Math.floor(index / 2); // Adjust for whitespace
     const feedback = wordFeedback[wordIndex];
+    const clickable = Boolean(onWordClick) && (!isWordClickable || isWordClickable(wordIndex, feedback));
     
     let className = 'word';
     if (feedback) {
-      className += feedback.correct ? ' correct' : ' incorrect';
+      className += ` ${getStatusClass(feedback)}`;
+    }
+    if (feedback?.dialectVariant) {
+      className += ' dialect-variant';
+    }
+    if (feedback?.practice?.passed) {
+      className += ' practised';
+    }
+    if (wordIndex === activeWordIndex) {
+      className += ' active';
+    }
+    if (hint?.wordIndex === wordIndex) {
+      className += ' hinted';
+    }
+    if (currentWordIndex !== null) {
+      if (wordIndex === currentWordIndex) className += ' current';
+      else if (wordIndex < currentWordIndex) className += ' passed';
+    }
+    if (clickable) {
+      className += ' clickable';
     }
 
+    const clickProps = clickable ? {
+      role: 'button',
+      tabIndex: 0,
+      onClick: () => onWordClick(wordIndex),
+      onKeyDown: (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          onWordClick(wordIndex);
+        }
+      }
+    } : {};
+
+    return (
+      <React.Fragment key={index}>
+        {feedback?.insertedBefore && renderInsertion(feedback.insertedBefore, `${index}-before`)}
+        <span
+          className={className}
+          title={getWordTitle(feedback)}
+          data-word-index={wordIndex}
+          aria-current={wordIndex === currentWordIndex ? 'location' : undefined}
+          {...clickProps}
+        >
+          {word}
+        </span>
+        {feedback && renderMiscueMarks(feedback, index)}
+        {hint?.wordIndex === wordIndex && renderHint(hint, `${index}-hint`)}
+        {feedback?.insertedAfter && renderInsertion(feedback.insertedAfter, `${index}-after`)}
+      </React.Fragment>
+    );
+  };
+
+  const getStatusClass = (feedback) => {
+    if (feedback.status === 'omitted') return 'omitted';
+    if (feedback.soundAlike) return 'sound-alike';
+    return feedback.correct ? 'correct' : 'incorrect';
+  };
+
+  const getWordTitle = (feedback) => {
+    if (!feedback) return '';
+    if (feedback.status === 'omitted') return 'Skipped';
+
+    const notes = [feedback.spoken || ''];
+    if (feedback.selfCorrected) notes.push(`self-corrected from "${feedback.selfCorrected.join(', ')}"`);
+    if (feedback.falseStarts) notes.push(`false start "${feedback.falseStarts.join(', ')}"`);
+    if (feedback.repeated) notes.push('repeated');
+    if (feedback.homophone) notes.push('sounds the same');
+    if (feedback.soundAlike) notes.push('sounds close');
+    if (feedback.dialectVariant) notes.push(feedback.dialectVariant.note);
+    if (feedback.assisted) notes.push(feedback.assisted.type === 'speak' ? 'told' : 'read with a hint');
+    if (feedback.practice) notes.push(feedback.practice.passed ? 'practised' : 'still practising');
+    return notes.filter(Boolean).join(' - ');
+  };
+
+  // Running record marks: SC for self-corrections, R for repetitions, H for a hint, T for told
+  const renderMiscueMarks = (feedback, key) => {
+    const marks = [];
+    if (feedback.selfCorrected) marks.push('SC');
+    if (feedback.repeated) marks.push('R');
+    if (feedback.assisted) marks.push(feedback.assisted.type === 'speak' ? 'T' : 'H');
+    if (marks.length === 0) return null;
+
     return (
-      <span key={index} className={className} title={feedback?.spoken || ''}>
-        {word}
+      <sup key={`${key}-miscue`} className="word-miscue">
+        {marks.join(' ')}
+      </sup>
+    );
+  };
+
+  // Help for a word the reader is stuck on; the first step only highlights it
+  const renderHint = (wordHint, key) => {
+    if (wordHint.level < 2) return null;
+
+    return (
+      <span key={key} className="word-hint" role="status">
+        {wordHint.type === 'speak' ? `🔊 ${wordHint.word}` : (
+          <>
+            Starts with <strong>{wordHint.onset.letters}</strong> {wordHint.onset.ipa}
+            {wordHint.syllables && wordHint.syllables.length > 1 && (
+              <span className="word-hint-syllables">
+                {' '}<strong>{wordHint.syllables.join('·')}</strong> /{wordHint.syllableSounds.join('·')}/
+              </span>
+            )}
+          </>
+        )}
       </span>
     );
   };
 
+  // Extra words the reader added are shown as a small marker between words
+  const renderInsertion = (insertedWords, key) => (
+    <span key={key} className="word-insertion" title={`Added: ${insertedWords.join(' ')}`}>
+      +
+    </span>
+  );
+
   return (
     <div className="text-display">
       <div className="text-header">
@@ -34,10 +151,18 @@ const TextDisplay = ({ text, wordFeedback, title }) => {
             <span className="legend-color correct"></span>
             Correct
           </span>
+          <span className="legend-item">
+            <span className="legend-color sound-alike"></span>
+            Sounds Close
+          </span>
           <span className="legend-item">
             <span className="legend-color incorrect"></span>
             Needs Practice
           </span>
+          <span className="legend-item">
+            <span className="legend-color omitted"></span>
+            Skipped
+          </span>
           <span className="legend-item">
             <span className="legend-color default"></span>
             Not Yet Read
@@ -45,7 +170,7 @@ const TextDisplay = ({ text, wordFeedback, title }) => {
         </div>
       </div>
       
-      <div className="text-content">
+      <div className="text-content" ref={contentRef}>
         {words.map((word, index) => renderWord(word, index))}
       </div>
       
@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useRef } from 'react';
+import WordDrillSession from '../speech/WordDrillSession';
+import './WordDrill.css';
+
+const WordDrill = ({ sessionController, aiEngine, target, accent, uiSystem, onClose }) => {
+  const [drill, setDrill] = useState(null);
+  const drillRef = useRef(null);
+
+  // The drill starts as soon as it opens; closing it puts the reviewed reading back
+  useEffect(() => {
+    const session = new WordDrillSession(sessionController, aiEngine);
+    drillRef.current = session;
+
+    const removeListener = session.addListener(event => {
+      setDrill(event.snapshot);
+
+      if (event.type === 'attempt') {
+        const message = event.attempt.passed ? 'You said it! 🌟' : 'Close! Listen and try again. 👂';
+        uiSystem?.showFeedback(event.attempt.passed ? 'correct' : 'encouraging', message);
+      } else if (event.type === 'phase' && event.phase === 'listening') {
+        uiSystem?.announceToScreenReader(`Your turn. Say the word ${event.snapshot.word}.`);
+      } else if (event.type === 'error') {
+        uiSystem?.showFeedback('error', event.error);
+      }
+    });
+
+    session.start(target, { accent });
+    setDrill(session.getSnapshot());
+
+    return () => {
+      removeListener();
+      session.close();
+    };
+  }, [sessionController, aiEngine, target, accent, uiSystem]);
+
+  if (!drill || !drill.breakdown) return null;
+
+  const { phase, word, breakdown, lastAttempt, heardLastTry, triesLeft, result } = drill;
+
+  const statusMessages = {
+    ready: '',
+    modeling: '🔊 Listen...',
+    listening: '🎤 Your turn! Say the word.',
+    scored: !heardLastTry ? '🙉 We did not hear you. Try again.' : '👂 Not quite. Listen and try again.',
+    complete: result?.passed ? '✅ You said it!' : '💪 Keep practising this one.'
+  };
+
+  return (
+    <div className="word-drill" role="dialog" aria-label={`Practise the word ${word}`}>
+      <div className="word-drill-header">
+        <h4>🎯 Practise a Word</h4>
+        <button className="word-drill-close" onClick={onClose} aria-label="Close word practice">✕</button>
+      </div>
+
+      <div className={`word-drill-word drill-phase-${phase}`}>{word}</div>
+
+      {breakdown.syllables.length > 0 && (
+        <div className="word-drill-breakdown">
+          <span className="word-drill-syllables" aria-label="Syllables">
+            {breakdown.syllables.map((syllable, index) => (
+              <React.Fragment key={index}>
+                {index > 0 && <span className="syllable-separator">·</span>}
+                <span className={syllable.stressed ? 'syllable stressed' : 'syllable'}>{syllable.ipa}</span>
+              </React.Fragment>
+            ))}
+          </span>
+          <span className="word-drill-ipa">{breakdown.ipa}</span>
+        </div>
+      )}
+
+      <p className={`word-drill-status drill-status-${phase}`} role="status">{statusMessages[phase]}</p>
+
+      {lastAttempt && (phase === 'scored' || phase === 'complete') && (
+        <div className="word-drill-attempt">
+          <span>You said: <strong>{lastAttempt.spoken}</strong></span>
+          <span>{Math.round(lastAttempt.accuracy * 100)}% of the sounds matched</span>
+          {!lastAttempt.passed && lastAttempt.tips.length > 0 && (
+            <span className="word-drill-tip">💡 {lastAttempt.tips[0].message}</span>
+          )}
+        </div>
+      )}
+
+      {phase !== 'complete' && (
+        <p className="word-drill-tries">Tries left: {triesLeft}</p>
+      )}
+
+      <div className="word-drill-actions">
+        <button
+          className="btn btn-outline"
+          onClick={() => drillRef.current.replayModel()}
+          disabled={phase === 'modeling'}
+        >
+          🔊 Hear It
+        </button>
+        {phase === 'scored' && triesLeft > 0 && (
+          <button className="btn btn-primary" onClick={() => drillRef.current.tryAgain()}>
+            🎤 Try Again
+          </button>
+        )}
+        <button className="btn btn-secondary" onClick={onClose}>
+          {phase === 'complete' ? 'Done' : 'Back to Reading'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WordDrill;
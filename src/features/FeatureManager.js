@@ -45,15 +45,15 @@ class FeatureManager {
       // 🤖 AI / Speech Features - 10 features
       ai_speech: {
         wordAccuracyTracking: { id: 'ai_001', name: 'Word-by-word accuracy tracking', status: 'implemented', priority: 'critical' },
-        pauseResumeDetection: { id: 'ai_002', name: 'Automatic pause/resume detection', status: 'planned', priority: 'high' },
+        pauseResumeDetection: { id: 'ai_002', name: 'Automatic pause/resume detection', status: 'implemented', priority: 'high' },
         multiAccentSupport: { id: 'ai_003', name: 'Multi-accent support', status: 'planned', priority: 'high' },
         confidenceScoring: { id: 'ai_004', name: 'Confidence score display', status: 'implemented', priority: 'high' },
         pronunciationTips: { id: 'ai_005', name: 'Pronunciation tips', status: 'implemented', priority: 'medium' },
         speechSpeedDetection: { id: 'ai_006', name: 'Speech speed detection', status: 'planned', priority: 'medium' },
         fluencyScoring: { id: 'ai_007', name: 'Fluency score', status: 'implemented', priority: 'medium' },
-        intonationAnalysis: { id: 'ai_008', name: 'Intonation analysis', status: 'planned', priority: 'low' },
-        skippedWordDetection: { id: 'ai_009', name: 'Detect skipped words', status: 'planned', priority: 'medium' },
-        extraWordDetection: { id: 'ai_010', name: 'Detect extra/inserted words', status: 'planned', priority: 'medium' }
+        intonationAnalysis: { id: 'ai_008', name: 'Intonation analysis', status: 'implemented', priority: 'low' },
+        skippedWordDetection: { id: 'ai_009', name: 'Detect skipped words', status: 'implemented', priority: 'medium' },
+        extraWordDetection: { id: 'ai_010', name: 'Detect extra/inserted words', status: 'implemented', priority: 'medium' }
       },
 
       // 📖 Educational Features - 10 features
@@ -149,8 +149,8 @@ class FeatureManager {
         closedCaptions: { id: 'access_005', name: 'Closed captions', status: 'planned', priority: 'medium' },
         colorBlindFriendly: { id: 'access_006', name: 'Color-blind friendly themes', status: 'implemented', priority: 'medium' },
         hapticFeedback: { id: 'access_007', name: 'Haptic feedback on mobile', status: 'planned', priority: 'low' },
-        adjustableSpeed: { id: 'access_008', name: 'Adjustable reading speed', status: 'planned', priority: 'medium' },
-        textToSpeech: { id: 'access_009', name: 'Text-to-speech playback', status: 'planned', priority: 'medium' },
+        adjustableSpeed: { id: 'access_008', name: 'Adjustable reading speed', status: 'implemented', priority: 'medium' },
+        textToSpeech: { id: 'access_009', name: 'Text-to-speech playback', status: 'implemented', priority: 'medium' },
         visualProgress: { id: 'access_010', name: 'Visual progress indicators', status: 'implemented', priority: 'medium' }
       }
     };
@@ -3,6 +3,8 @@
  * Supports multiple languages with native pronunciation, cultural context, and adaptive learning
  */
 
+import GraphemeToPhoneme from '../ai/GraphemeToPhoneme';
+
 class LanguageEngine {
   constructor() {
     this.currentLanguage = this.getStoredLanguage() || 'en';
@@ -492,6 +494,10 @@ class LanguageEngine {
 
 // Multilingual Pronunciation Engine
 class MultilingualPronunciationEngine {
+  constructor() {
+    this.g2p = new GraphemeToPhoneme();
+  }
+
   getPronunciation(word, languageCode) {
     // In a real implementation, this would use IPA (International Phonetic Alphabet)
     // and language-specific pronunciation rules
@@ -506,15 +512,8 @@ class MultilingualPronunciationEngine {
   }
 
   getEnglishPronunciation(word) {
-    // Simplified English pronunciation mapping
-    const pronunciationMap = {
-      'cat': '/kæt/',
-      'dog': '/dɔg/',
-      'house': '/haʊs/',
-      'water': '/ˈwɔtər/'
-    };
-
-    return pronunciationMap[word.toLowerCase()] || `/${word}/`;
+    // English spelling is irregular, so words go through the grapheme-to-phoneme rules
+    return this.g2p.toIPA(word) || `/${word}/`;
   }
 
   getSpanishPronunciation(word) {
@@ -564,6 +563,9 @@ class MultilingualPronunciationEngine {
     } else if (languageCode === 'ar') {
       // For Arabic, emphatic consonants matter
       return this.calculateEmphaticAccuracy(targetWord, spokenWord);
+    } else if (languageCode === 'en') {
+      // English is compared by sound, so "nite" is close to "night"
+      return this.g2p.compareWords(targetWord, spokenWord);
     }
     
     // Default phonetic similarity
@@ -632,11 +634,14 @@ class MultilingualPronunciationEngine {
     return culturalTips[languageCode] || 'Practice with native speakers for best results.';
   }
 
+  // There are no native speaker recordings to compare a single word with. Recordings are
+  // compared with a model reading of the whole passage instead (ReferenceComparator, shown
+  // by ReferenceComparison), so no made-up similarity is reported here.
   compareToNativeSpeaker(word, languageCode) {
-    // In real implementation, would compare to native speaker recordings
     return {
-      similarity: Math.random() * 0.3 + 0.7,
-      suggestions: ['Listen to native pronunciation', 'Practice mouth position', 'Record yourself speaking']
+      available: false,
+      similarity: null,
+      suggestions: ['Record a model reading of the passage and compare your reading with it', 'Listen to native pronunciation']
     };
   }
 }
@@ -4,6 +4,8 @@
  * comprehension quizzes, and interactive storytelling
  */
 
+import PhonemeConfusionMatrix from '../ai/PhonemeConfusionMatrix';
+
 class InteractiveLearningEngine {
   constructor() {
     this.vocabularyBuilder = new VocabularyBuilder();
@@ -451,6 +453,16 @@ class PronunciationTrainer {
         description: 'Unclear vowel sounds in unstressed syllables',
         examples: ['about', 'banana', 'computer', 'elephant'],
         exercises: ['stress_patterns', 'schwa_practice', 'rhythm_drills']
+      },
+      'v_sound': {
+        description: 'Difficulty with "v" sounds',
+        examples: ['van', 'very', 'seven', 'love'],
+        exercises: ['lip_placement', 'minimal_pairs', 'sentence_practice']
+      },
+      'ch_sound': {
+        description: 'Mixing up "ch" and "sh" sounds',
+        examples: ['chair', 'share', 'watch', 'wash'],
+        exercises: ['minimal_pairs', 'tongue_placement', 'word_endings']
       }
     };
   }
@@ -493,8 +505,10 @@ class PronunciationTrainer {
           subtype: error.type,
           title: `${errorData.description} Practice`,
           description: `Improve your ${error.type.replace('_', ' ')} pronunciation`,
-          sounds: errorData.examples,
-          exercises: errorData.exercises,
+          // Words the learner actually missed come first, then the standard examples
+          sounds: [...new Set([...(error.words || []), ...errorData.examples])].slice(0, 6),
+          confusions: error.confusions || [],
+          exercises: this.orderExercises(errorData.exercises, error),
           difficulty: error.severity,
           estimatedTime: 15,
           priority: error.severity === 'high' ? 'high' : 'medium'
@@ -508,11 +522,12 @@ class PronunciationTrainer {
   analyzeErrorPatterns(userProfile) {
     // Analyze pronunciation errors from user's speech data
     const pronunciationHistory = userProfile.pronunciationHistory || {};
-    const errorPatterns = [];
+    const errorPatterns = this.analyzeConfusionMatrix(userProfile.phonemeConfusions);
+    const fromMatrix = new Set(errorPatterns.map(pattern => pattern.type));
     
     Object.entries(pronunciationHistory).forEach(([sound, stats]) => {
       const accuracy = stats.correct / (stats.correct + stats.incorrect);
-      if (accuracy < 0.7) {
+      if (accuracy < 0.7 && !fromMatrix.has(this.categorizeError(sound))) {
         errorPatterns.push({
           type: this.categorizeError(sound),
           severity: accuracy < 0.5 ? 'high' : 'medium',
@@ -525,6 +540,34 @@ class PronunciationTrainer {
     return errorPatterns.sort((a, b) => a.accuracy - b.accuracy);
   }
 
+  // Error families from the learner's phoneme confusion matrix, with the confusions behind them
+  analyzeConfusionMatrix(phonemeConfusions) {
+    const matrix = new PhonemeConfusionMatrix(phonemeConfusions || PhonemeConfusionMatrix.load());
+    const minAttempts = 5;
+
+    return matrix.getFamilyStats()
+      .filter(stats => stats.attempts >= minAttempts && stats.accuracy < 0.7)
+      .map(stats => ({
+        type: stats.family,
+        severity: stats.accuracy < 0.5 ? 'high' : 'medium',
+        frequency: stats.attempts,
+        accuracy: stats.accuracy,
+        words: stats.words,
+        confusions: matrix.getTopConfusions(stats.family)
+      }));
+  }
+
+  // Sounds swapped for another sound are best practised with minimal pairs; dropped sounds with slow drills
+  orderExercises(exercises, error) {
+    const confusions = error.confusions || [];
+    if (confusions.length === 0) return exercises;
+
+    const preferred = confusions[0].actual === 'omitted' ? 'sentence_practice' : 'minimal_pairs';
+    return exercises.includes(preferred)
+      ? [preferred, ...exercises.filter(exercise => exercise !== preferred)]
+      : exercises;
+  }
+
   categorizeError(sound) {
     if (sound.includes('th')) return 'th_sound';
     if (sound.includes('r')) return 'r_sound';
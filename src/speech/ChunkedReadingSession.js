@@ -0,0 +1,307 @@
+/**
+ * Chunked Reading Session for LiterateAI
+ * Breaks a passage into sentences or short phrases and has the learner read one
+ * chunk at a time, scoring each chunk on its own with a few retries. The chunks
+ * roll up into one session record in the shape AnalyticsEngine.trackSession takes.
+ */
+
+const PASS_THRESHOLD = 0.8;
+const MAX_TRIES = 3;
+const ADVANCE_DELAY = 1500; // milliseconds
+const CHUNK_SILENCE_TIMEOUT = 2500; // milliseconds
+
+// Sentences longer than this are split into phrases in phrase mode
+const MAX_PHRASE_WORDS = 7;
+const MIN_PHRASE_WORDS = 3;
+const PHRASE_STARTERS = ['and', 'but', 'or', 'so', 'while', 'because', 'when', 'where', 'which', 'who', 'that', 'with', 'for'];
+
+class ChunkedReadingSession {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.engine = controller.engine;
+    this.passThreshold = options.passThreshold ?? PASS_THRESHOLD;
+    this.maxTries = options.maxTries ?? MAX_TRIES;
+    this.advanceDelay = options.advanceDelay ?? ADVANCE_DELAY;
+
+    this.listeners = [];
+    this.passage = null;
+    this.settings = {};
+    this.chunkBy = 'sentence';
+    this.chunks = [];
+    this.results = [];
+    this.index = 0;
+    this.phase = 'ready';
+    this.advanceTimer = null;
+    this.removeControllerListener = null;
+  }
+
+  // Subscribe to chunked reading events ({ type, ...details, snapshot }); returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  emit(type, details = {}) {
+    const event = { type, ...details, snapshot: this.getSnapshot() };
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  setPhase(phase) {
+    this.phase = phase;
+    this.emit('phase', { phase });
+  }
+
+  getSnapshot() {
+    const result = this.results[this.index] || null;
+
+    return {
+      phase: this.phase,
+      chunkBy: this.chunkBy,
+      passage: this.passage,
+      chunks: this.chunks,
+      results: this.results,
+      index: this.index,
+      chunk: this.chunks[this.index] || null,
+      triesLeft: result ? Math.max(0, this.maxTries - result.attempts.length) : this.maxTries,
+      maxTries: this.maxTries,
+      totals: this.getTotals()
+    };
+  }
+
+  // Sentences, or in phrase mode sentences broken at commas and joining words
+  splitChunks(text, chunkBy = 'sentence') {
+    const sentences = this.engine.splitSentences(text);
+    if (chunkBy !== 'phrase') {
+      return sentences.map(sentence => ({ text: sentence.text, wordIndexes: sentence.wordIndexes }));
+    }
+
+    return sentences.flatMap(sentence => this.splitPhrases(sentence));
+  }
+
+  splitPhrases(sentence) {
+    const words = sentence.text.split(/\s+/);
+    if (words.length <= MAX_PHRASE_WORDS) {
+      return [{ text: sentence.text, wordIndexes: sentence.wordIndexes }];
+    }
+
+    const phrases = [];
+    let start = 0;
+
+    const closePhrase = (end) => {
+      phrases.push({ text: words.slice(start, end).join(' '), wordIndexes: sentence.wordIndexes.slice(start, end) });
+      start = end;
+    };
+
+    words.forEach((word, position) => {
+      const length = position - start;
+      const remaining = words.length - position;
+      const startsPhrase = PHRASE_STARTERS.includes(word.toLowerCase().replace(/[^a-z']/g, ''));
+
+      // Break before a joining word or at the length limit, but never leave a tiny phrase behind
+      if (length >= MIN_PHRASE_WORDS && remaining >= MIN_PHRASE_WORDS && (startsPhrase || length >= MAX_PHRASE_WORDS)) {
+        closePhrase(position);
+      }
+      if (/[,;:]$/.test(word) && position + 1 - start >= MIN_PHRASE_WORDS && remaining - 1 >= MIN_PHRASE_WORDS) {
+        closePhrase(position + 1);
+      }
+    });
+
+    if (start < words.length) closePhrase(words.length);
+    return phrases;
+  }
+
+  start(passage, settings = {}, chunkBy = 'sentence') {
+    this.stop();
+
+    this.passage = passage;
+    this.settings = { silenceTimeout: CHUNK_SILENCE_TIMEOUT, ...settings };
+    this.chunkBy = chunkBy;
+    this.chunks = this.splitChunks(passage.text, chunkBy);
+    this.results = this.chunks.map(() => ({ attempts: [], best: null, passed: false, skipped: false }));
+    this.index = 0;
+    this.removeControllerListener = this.controller.addListener(event => this.handleControllerEvent(event));
+
+    this.readChunk();
+  }
+
+  stop() {
+    clearTimeout(this.advanceTimer);
+    this.advanceTimer = null;
+    this.removeControllerListener?.();
+    this.removeControllerListener = null;
+    if (this.phase === 'ready' || this.phase === 'complete') return;
+
+    this.controller.reset();
+    this.setPhase('ready');
+  }
+
+  // The chunk is the whole passage for this attempt, so nothing else is scored
+  readChunk() {
+    const chunk = this.chunks[this.index];
+    clearTimeout(this.advanceTimer);
+
+    this.controller.setPassage({
+      id: this.passage.id,
+      title: this.passage.title,
+      text: chunk.text,
+      difficulty: this.passage.difficulty
+    });
+    this.setPhase('reading');
+    this.controller.start(this.settings);
+  }
+
+  retry() {
+    if (this.phase !== 'scored' || this.results[this.index].attempts.length >= this.maxTries) return;
+    this.readChunk();
+  }
+
+  // Moving on without a passing read; a chunk never read at all counts as skipped
+  next() {
+    if (this.phase === 'ready' || this.phase === 'complete') return;
+
+    const result = this.results[this.index];
+    result.skipped = result.attempts.length === 0;
+    this.advance();
+  }
+
+  handleControllerEvent(event) {
+    if (this.phase !== 'reading') return;
+
+    const { snapshot } = event;
+
+    // The learner reached the end of the chunk, or went quiet after saying something
+    if ((event.type === 'position' && event.position.finished) ||
+        (event.type === 'pause' && snapshot.transcript.trim())) {
+      this.controller.stop();
+    } else if (event.type === 'statechange' && snapshot.state === 'reviewed') {
+      this.scoreAttempt(snapshot);
+    } else if (event.type === 'error') {
+      this.stop();
+      this.emit('error', { error: event.error });
+    }
+  }
+
+  scoreAttempt(snapshot) {
+    const result = this.results[this.index];
+    const { sessionData } = snapshot;
+    const attempt = {
+      score: snapshot.score,
+      totalWords: snapshot.totalWords,
+      accuracy: snapshot.totalWords > 0 ? snapshot.score / snapshot.totalWords : 0,
+      wordFeedback: snapshot.wordFeedback,
+      transcript: snapshot.transcript,
+      duration: sessionData.totalTime,
+      readingTime: sessionData.readingTime,
+      pronunciationErrors: sessionData.pronunciationErrors,
+      improvements: sessionData.improvements,
+      recognizerRestarts: sessionData.recognizerRestarts,
+      signalToNoise: sessionData.calibration?.snrDb ?? null
+    };
+    attempt.passed = attempt.accuracy >= this.passThreshold;
+
+    result.attempts.push(attempt);
+    if (!result.best || attempt.accuracy > result.best.accuracy) {
+      result.best = attempt;
+    }
+    result.passed = result.passed || attempt.passed;
+
+    this.setPhase('scored');
+    this.emit('attempt', { attempt });
+
+    // A failed chunk waits for the learner to try again or move on, until the tries run out
+    if (result.passed || result.attempts.length >= this.maxTries) {
+      this.advanceTimer = setTimeout(() => this.advance(), this.advanceDelay);
+    }
+  }
+
+  advance() {
+    clearTimeout(this.advanceTimer);
+    this.advanceTimer = null;
+
+    if (this.index + 1 >= this.chunks.length) {
+      this.controller.reset();
+      this.removeControllerListener?.();
+      this.removeControllerListener = null;
+      this.setPhase('complete');
+      this.emit('complete', { totals: this.getTotals(), record: this.toSessionRecord() });
+      return;
+    }
+
+    this.index++;
+    this.readChunk();
+  }
+
+  // Running total over each chunk's best read so far
+  getTotals() {
+    const read = this.results.filter(result => result.best);
+    const wordsRead = read.reduce((sum, result) => sum + result.best.totalWords, 0);
+    const score = read.reduce((sum, result) => sum + result.best.score, 0);
+    const readingTime = read.reduce((sum, result) => sum + (result.best.readingTime || 0), 0);
+
+    return {
+      chunks: this.chunks.length,
+      chunksRead: read.length,
+      chunksPassed: this.results.filter(result => result.passed).length,
+      chunksSkipped: this.results.filter(result => result.skipped).length,
+      wordsRead,
+      score,
+      accuracy: wordsRead > 0 ? score / wordsRead : 0,
+      tries: this.results.reduce((sum, result) => sum + result.attempts.length, 0),
+      wcpm: readingTime > 0 ? Math.round((score / readingTime) * 60000) : 0
+    };
+  }
+
+  getReadShare() {
+    const words = this.chunks.reduce((sum, chunk) => sum + chunk.wordIndexes.length, 0);
+    const read = this.chunks.reduce((sum, chunk, index) => sum + (this.results[index]?.best ? chunk.wordIndexes.length : 0), 0);
+    return words > 0 ? read / words : 0;
+  }
+
+  // The session record AnalyticsEngine.trackSession expects, built from every chunk
+  toSessionRecord() {
+    const totals = this.getTotals();
+    const attempts = this.results.flatMap(result => result.attempts);
+    const best = this.results.filter(result => result.best).map(result => result.best);
+
+    const errors = this.results.flatMap((result, chunkIndex) => {
+      if (!result.best) return [];
+      const chunk = this.chunks[chunkIndex];
+      return Object.entries(result.best.wordFeedback)
+        .filter(([, feedback]) => !feedback.correct)
+        .map(([position, feedback]) => ({
+          word: chunk.text.split(/\s+/)[position],
+          wordIndex: chunk.wordIndexes[position],
+          type: feedback.status === 'omitted' ? 'omission' : 'substitution',
+          spoken: feedback.spoken || null
+        }));
+    });
+    const improvements = [...new Set(best.flatMap(attempt => attempt.improvements.map(tip => tip.message || tip)))];
+    const signals = attempts.map(attempt => attempt.signalToNoise).filter(value => value !== null);
+
+    return {
+      duration: attempts.reduce((sum, attempt) => sum + (attempt.duration || 0), 0),
+      wordsRead: totals.wordsRead,
+      accuracy: totals.accuracy,
+      fluency: totals.wcpm,
+      difficulty: this.passage?.difficulty,
+      language: (this.settings.language || 'en').split('-')[0],
+      storyId: this.passage?.id ?? null,
+      errors,
+      improvements,
+      // Share of the passage's words in chunks the learner read rather than skipped
+      engagement: this.getReadShare(),
+      environmentFactors: {
+        mode: 'chunked',
+        chunkBy: this.chunkBy,
+        chunks: totals.chunks,
+        tries: totals.tries,
+        signalToNoise: signals.length > 0 ? signals.reduce((sum, value) => sum + value, 0) / signals.length : null,
+        recognizerRestarts: attempts.reduce((sum, attempt) => sum + (attempt.recognizerRestarts || 0), 0)
+      }
+    };
+  }
+}
+
+export default ChunkedReadingSession;
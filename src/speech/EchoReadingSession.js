@@ -0,0 +1,239 @@
+/**
+ * Echo Reading Session for LiterateAI
+ * Echo reading, one sentence at a time: the sentence is read aloud as a model,
+ * then the learner repeats it and only that sentence is scored. The session
+ * moves on once the learner reads it well enough or runs out of tries.
+ */
+
+// Share of the sentence's words that must be read correctly to move on
+const PASS_THRESHOLD = 0.8;
+const MAX_TRIES = 3;
+
+// Long enough to see the result before the next model sentence starts
+const ADVANCE_DELAY = 1500; // milliseconds
+
+// Learners repeat a sentence right away, so a short silence means they are done
+const REPEAT_SILENCE_TIMEOUT = 2000; // milliseconds
+
+class EchoReadingSession {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.engine = controller.engine;
+    this.passThreshold = options.passThreshold ?? PASS_THRESHOLD;
+    this.maxTries = options.maxTries ?? MAX_TRIES;
+    this.advanceDelay = options.advanceDelay ?? ADVANCE_DELAY;
+    this.speechRate = options.speechRate ?? 0.9;
+
+    this.listeners = [];
+    this.passage = null;
+    this.settings = {};
+    this.sentences = [];
+    this.results = [];
+    this.index = 0;
+    this.phase = 'ready';
+    this.run = 0;
+    this.advanceTimer = null;
+    this.removeControllerListener = null;
+  }
+
+  // Subscribe to echo reading events ({ type, ...details, snapshot }); returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  emit(type, details = {}) {
+    const event = { type, ...details, snapshot: this.getSnapshot() };
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  setPhase(phase) {
+    this.phase = phase;
+    this.emit('phase', { phase });
+  }
+
+  getSnapshot() {
+    const result = this.results[this.index] || null;
+
+    return {
+      phase: this.phase,
+      passage: this.passage,
+      sentences: this.sentences,
+      results: this.results,
+      index: this.index,
+      sentence: this.sentences[this.index] || null,
+      triesLeft: result ? Math.max(0, this.maxTries - result.attempts.length) : this.maxTries,
+      maxTries: this.maxTries,
+      summary: this.getSummary()
+    };
+  }
+
+  start(passage, settings = {}) {
+    this.stop();
+
+    this.passage = passage;
+    this.settings = { silenceTimeout: REPEAT_SILENCE_TIMEOUT, ...settings };
+    this.sentences = this.engine.splitSentences(passage.text);
+    this.results = this.sentences.map(() => ({ attempts: [], passed: false, bestAccuracy: 0 }));
+    this.index = 0;
+    this.removeControllerListener = this.controller.addListener(event => this.handleControllerEvent(event));
+
+    this.modelSentence();
+  }
+
+  stop() {
+    this.run++;
+    clearTimeout(this.advanceTimer);
+    this.advanceTimer = null;
+    this.removeControllerListener?.();
+    this.removeControllerListener = null;
+    if (this.phase === 'ready' || this.phase === 'complete') return;
+
+    this.engine.speechSynthesis.synthesis?.cancel();
+    this.controller.reset();
+    this.setPhase('ready');
+  }
+
+  // Read the sentence aloud, then listen for the learner's repeat
+  async modelSentence() {
+    const run = ++this.run;
+    const sentence = this.sentences[this.index];
+
+    this.controller.reset();
+    this.setPhase('modeling');
+
+    await this.speak(sentence.text);
+    if (run !== this.run) return;
+
+    this.listenForRepeat();
+  }
+
+  // Resolves once the model has been spoken; without speech synthesis the learner reads it unaided
+  speak(text) {
+    return new Promise(resolve => {
+      const utterance = this.engine.speakText(text, {
+        rate: this.speechRate,
+        language: this.settings.language || 'en-US',
+        accent: this.settings.accent
+      });
+      if (!utterance) {
+        resolve(false);
+        return;
+      }
+
+      utterance.addEventListener('end', () => resolve(true));
+      utterance.addEventListener('error', () => resolve(false));
+    });
+  }
+
+  listenForRepeat() {
+    const sentence = this.sentences[this.index];
+
+    // The sentence is the whole passage for this attempt, so nothing else is scored
+    this.controller.setPassage({
+      id: this.passage.id,
+      title: this.passage.title,
+      text: sentence.text,
+      difficulty: this.passage.difficulty
+    });
+    this.setPhase('listening');
+    this.controller.start(this.settings);
+  }
+
+  // Hear the model again instead of finishing the current try
+  replayModel() {
+    if (this.phase !== 'listening' && this.phase !== 'scored') return;
+
+    clearTimeout(this.advanceTimer);
+    this.modelSentence();
+  }
+
+  skipSentence() {
+    if (this.phase === 'ready' || this.phase === 'complete') return;
+    this.next();
+  }
+
+  handleControllerEvent(event) {
+    if (this.phase !== 'listening') return;
+
+    const { snapshot } = event;
+
+    // The learner reached the end of the sentence, or went quiet after saying something
+    if ((event.type === 'position' && event.position.finished) ||
+        (event.type === 'pause' && snapshot.transcript.trim())) {
+      this.controller.stop();
+    } else if (event.type === 'statechange' && snapshot.state === 'reviewed') {
+      this.scoreAttempt(snapshot);
+    } else if (event.type === 'error') {
+      this.stop();
+      this.emit('error', { error: event.error });
+    }
+  }
+
+  scoreAttempt(snapshot) {
+    const result = this.results[this.index];
+    const accuracy = snapshot.totalWords > 0 ? snapshot.score / snapshot.totalWords : 0;
+    const attempt = {
+      accuracy,
+      passed: accuracy >= this.passThreshold,
+      transcript: snapshot.transcript,
+      wordFeedback: snapshot.wordFeedback,
+      timestamp: Date.now()
+    };
+
+    result.attempts.push(attempt);
+    result.bestAccuracy = Math.max(result.bestAccuracy, accuracy);
+    result.passed = result.passed || attempt.passed;
+
+    this.setPhase('scored');
+    this.emit('attempt', { attempt });
+
+    const run = this.run;
+    const moveOn = result.passed || result.attempts.length >= this.maxTries;
+    this.advanceTimer = setTimeout(() => {
+      if (run !== this.run) return;
+      if (moveOn) {
+        this.next();
+      } else {
+        this.modelSentence();
+      }
+    }, this.advanceDelay);
+  }
+
+  next() {
+    this.run++;
+    clearTimeout(this.advanceTimer);
+    this.engine.speechSynthesis.synthesis?.cancel();
+
+    if (this.index + 1 >= this.sentences.length) {
+      this.controller.reset();
+      this.removeControllerListener?.();
+      this.removeControllerListener = null;
+      this.setPhase('complete');
+      this.emit('complete', { summary: this.getSummary() });
+      return;
+    }
+
+    this.index++;
+    this.modelSentence();
+  }
+
+  // Best try per sentence, as a teacher would record it
+  getSummary() {
+    const attempted = this.results.filter(result => result.attempts.length > 0);
+    const totalTries = attempted.reduce((sum, result) => sum + result.attempts.length, 0);
+
+    return {
+      sentences: this.sentences.length,
+      attempted: attempted.length,
+      passed: this.results.filter(result => result.passed).length,
+      averageAccuracy: attempted.length > 0 ?
+        attempted.reduce((sum, result) => sum + result.bestAccuracy, 0) / attempted.length : 0,
+      averageTries: attempted.length > 0 ? totalTries / attempted.length : 0
+    };
+  }
+}
+
+export default EchoReadingSession;
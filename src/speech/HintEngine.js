@@ -0,0 +1,149 @@
+/**
+ * Hint Engine for LiterateAI
+ * Notices when the reader stalls on a word during a reading session and offers
+ * help in steps: highlight the word, show its first sound, split it into
+ * syllables, and finally say it. Every hint is recorded with the session
+ * controller so the word is scored as read with help.
+ */
+
+import GraphemeToPhoneme from '../ai/GraphemeToPhoneme';
+
+// Hint steps, from the lightest nudge to telling the reader the word
+const HINT_LEVELS = ['highlight', 'onset', 'syllables', 'speak'];
+
+const STALL_TIMEOUT = 5000; // milliseconds without moving past the word
+const STEP_DELAY = 3000; // milliseconds between one hint and the next
+
+// Letters before the first vowel; a leading "y" acts as a consonant
+const ONSET_LETTERS = /^(y?[^aeiouy]*)/i;
+
+class HintEngine {
+  constructor(controller, options = {}) {
+    this.controller = controller;
+    this.engine = controller.engine;
+    this.stallTimeout = options.stallTimeout ?? STALL_TIMEOUT;
+    this.stepDelay = options.stepDelay ?? STEP_DELAY;
+
+    this.watching = false;
+    this.wordIndex = null;
+    this.level = 0;
+    this.hint = null;
+    this.timer = null;
+    this.removeControllerListener = null;
+  }
+
+  start() {
+    if (this.removeControllerListener) return;
+    this.removeControllerListener = this.controller.addListener(event => this.handleControllerEvent(event));
+  }
+
+  stop() {
+    this.removeControllerListener?.();
+    this.removeControllerListener = null;
+    this.stopWatching();
+  }
+
+  // 0 turns hints off
+  setStallTimeout(stallTimeout) {
+    this.stallTimeout = stallTimeout;
+    if (this.watching) this.watch(this.wordIndex);
+  }
+
+  // A stall is no movement past the live reading position; pauses for silence count too
+  handleControllerEvent(event) {
+    const { snapshot } = event;
+
+    if (event.type === 'statechange') {
+      if (!snapshot.isListening) {
+        this.stopWatching();
+      } else if (!this.watching) {
+        this.watch(snapshot.currentWordIndex ?? 0);
+      }
+    } else if (event.type === 'position' && this.watching) {
+      if (event.position.finished) {
+        this.stopWatching();
+      } else if (event.position.currentWordIndex !== this.wordIndex) {
+        this.watch(event.position.currentWordIndex);
+      }
+    }
+  }
+
+  watch(wordIndex) {
+    clearTimeout(this.timer);
+    this.watching = true;
+    this.wordIndex = wordIndex;
+    this.level = 0;
+    this.setHint(null);
+
+    if (this.stallTimeout > 0) {
+      this.timer = setTimeout(() => this.escalate(), this.stallTimeout);
+    }
+  }
+
+  stopWatching() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.watching = false;
+    this.wordIndex = null;
+    this.level = 0;
+    this.setHint(null);
+  }
+
+  // One step further each time the reader is still stuck on the same word
+  escalate() {
+    const word = this.getWord(this.wordIndex);
+    if (!word || this.level >= HINT_LEVELS.length) return;
+
+    this.level++;
+    const type = HINT_LEVELS[this.level - 1];
+    this.controller.recordHint(this.wordIndex, { level: this.level, type });
+    this.setHint(this.buildHint(word, type));
+
+    if (type === 'speak') {
+      this.engine.speakText(word, { rate: 0.8, language: this.controller.settings.language || 'en-US' });
+    }
+    if (this.level < HINT_LEVELS.length) {
+      this.timer = setTimeout(() => this.escalate(), this.stepDelay);
+    }
+  }
+
+  // The passage word at a TextDisplay index, without surrounding punctuation
+  getWord(wordIndex) {
+    const token = this.controller.passage?.text.split(/(\s+)/)[wordIndex * 2] || '';
+    return token.replace(/^[^\w']+|[^\w']+$/g, '');
+  }
+
+  // Each hint also carries everything the earlier steps showed
+  buildHint(word, type) {
+    const level = HINT_LEVELS.indexOf(type) + 1;
+    const hint = { wordIndex: this.wordIndex, word, level, type };
+
+    if (level >= 2) {
+      const g2p = this.engine.g2p;
+      const phonemes = g2p.toPhonemes(word);
+      const syllables = phonemes.length > 0 ? g2p.syllabify(phonemes) : [];
+      const firstVowel = phonemes.findIndex(GraphemeToPhoneme.isVowel);
+      const onsetPhonemes = phonemes.slice(0, firstVowel > 0 ? firstVowel : 1);
+
+      hint.onset = {
+        letters: word.match(ONSET_LETTERS)[1] || word[0],
+        ipa: `/${onsetPhonemes.map(phoneme => g2p.phonemeToIPA(phoneme)).join('')}/`
+      };
+      if (level >= 3) {
+        hint.syllables = g2p.spellSyllables(word);
+        hint.syllableSounds = syllables.map(syllable => syllable.phonemes.map(phoneme => g2p.phonemeToIPA(phoneme)).join(''));
+      }
+    }
+
+    return hint;
+  }
+
+  setHint(hint) {
+    if (hint === this.hint) return;
+
+    this.hint = hint;
+    this.onHintChange?.(hint);
+  }
+}
+
+export default HintEngine;
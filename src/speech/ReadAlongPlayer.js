@@ -0,0 +1,220 @@
+/**
+ * Read-Along Player for LiterateAI
+ * Reads a passage aloud and reports which word is being spoken, so the text can
+ * be highlighted karaoke-style. Word boundary events from speech synthesis give
+ * character offsets; they are mapped onto the same word tokens TextDisplay renders.
+ */
+
+// Voices that never send boundary events fall back to timed highlighting
+const BOUNDARY_WAIT = 700; // milliseconds
+
+// Speaking rate at 1x, used only for timed highlighting
+const WORDS_PER_MINUTE = 160;
+
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+class ReadAlongPlayer {
+  constructor(speechEngine, options = {}) {
+    this.speechEngine = speechEngine;
+    this.language = options.language || 'en-US';
+    this.rate = this.clampRate(options.rate ?? 1);
+
+    this.text = '';
+    this.words = [];
+    this.state = 'idle';
+    this.currentWordIndex = null;
+    this.utterance = null;
+    this.usesBoundaries = false;
+    this.boundaryTimer = null;
+    this.estimateTimer = null;
+  }
+
+  static isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  // Words with their character range, split exactly as TextDisplay splits them:
+  // whitespace separates words and punctuation stays part of its word
+  static tokenize(text) {
+    const words = [];
+    let offset = 0;
+
+    text.split(/(\s+)/).forEach((token, position) => {
+      if (!/^\s+$/.test(token) && token.length > 0) {
+        words.push({ index: Math.floor(position / 2), text: token, start: offset, end: offset + token.length });
+      }
+      offset += token.length;
+    });
+
+    return words;
+  }
+
+  clampRate(rate) {
+    return Math.min(MAX_RATE, Math.max(MIN_RATE, rate));
+  }
+
+  load(text) {
+    this.stop();
+    this.text = text;
+    this.words = ReadAlongPlayer.tokenize(text);
+  }
+
+  // Start reading at a word (by TextDisplay index), or from the beginning
+  play(fromWordIndex = null) {
+    const first = fromWordIndex === null ? this.words[0] : this.words.find(word => word.index >= fromWordIndex);
+    if (!first) return false;
+
+    this.cancelSpeech();
+    if (!this.speakFrom(first)) {
+      this.stop();
+      return false;
+    }
+
+    this.setCurrentWord(first.index);
+    this.setState('playing');
+    return true;
+  }
+
+  // Pausing cancels the utterance and resuming starts again from the current word;
+  // speechSynthesis.pause() is unreliable across browsers and voices
+  pause() {
+    if (this.state !== 'playing') return;
+
+    this.cancelSpeech();
+    this.setState('paused');
+  }
+
+  resume() {
+    if (this.state !== 'paused') return;
+    this.play(this.currentWordIndex);
+  }
+
+  stop() {
+    this.cancelSpeech();
+    this.setCurrentWord(null);
+    this.setState('idle');
+  }
+
+  // A new speed applies straight away, picking up from the word being spoken
+  setRate(rate) {
+    this.rate = this.clampRate(rate);
+
+    if (this.state === 'playing') {
+      this.play(this.currentWordIndex);
+    }
+  }
+
+  speakFrom(firstWord) {
+    const offset = firstWord.start;
+    const utterance = this.speechEngine.speakText(this.text.slice(offset), {
+      rate: this.rate,
+      language: this.language
+    });
+    if (!utterance) return false;
+
+    this.utterance = utterance;
+    this.usesBoundaries = false;
+
+    utterance.addEventListener('boundary', (event) => {
+      if (utterance !== this.utterance || event.name === 'sentence') return;
+
+      this.usesBoundaries = true;
+      clearTimeout(this.boundaryTimer);
+      clearTimeout(this.estimateTimer);
+      this.setCurrentWord(this.findWordAt(offset + event.charIndex));
+    });
+
+    utterance.addEventListener('start', () => {
+      if (utterance !== this.utterance) return;
+
+      this.boundaryTimer = setTimeout(() => {
+        if (utterance === this.utterance && !this.usesBoundaries) {
+          this.estimateFrom(firstWord, Date.now());
+        }
+      }, BOUNDARY_WAIT);
+    });
+
+    utterance.addEventListener('end', () => {
+      if (utterance !== this.utterance) return;
+
+      this.utterance = null;
+      this.clearTimers();
+      this.setCurrentWord(null);
+      this.setState('idle');
+      this.onEnd?.();
+    });
+
+    utterance.addEventListener('error', (event) => {
+      // Cancelling for pause, seek or a speed change interrupts the old utterance
+      if (utterance !== this.utterance) return;
+
+      console.warn('Read-along speech failed:', event.error);
+      this.stop();
+    });
+
+    return true;
+  }
+
+  // Boundaries point at the first character of a word; one landing on whitespace
+  // or leading punctuation belongs to the next word
+  findWordAt(charIndex) {
+    const word = this.words.find(candidate => candidate.end > charIndex);
+    return word ? word.index : this.words[this.words.length - 1]?.index ?? null;
+  }
+
+  // Without boundary events, move through the words at the speaking rate, longer words taking longer
+  estimateFrom(firstWord, startedAt) {
+    const remaining = this.words.filter(word => word.index >= firstWord.index);
+    const totalCharacters = remaining.reduce((sum, word) => sum + word.text.length + 1, 0);
+    const totalDuration = (remaining.length / (WORDS_PER_MINUTE * this.rate)) * 60000;
+
+    let elapsedCharacters = 0;
+    const schedule = remaining.map(word => {
+      const at = startedAt + totalDuration * (elapsedCharacters / totalCharacters);
+      elapsedCharacters += word.text.length + 1;
+      return { index: word.index, at };
+    });
+
+    const step = (position) => {
+      if (position >= schedule.length || this.state !== 'playing') return;
+
+      this.setCurrentWord(schedule[position].index);
+      const next = schedule[position + 1];
+      if (next) {
+        this.estimateTimer = setTimeout(() => step(position + 1), Math.max(0, next.at - Date.now()));
+      }
+    };
+
+    step(0);
+  }
+
+  setCurrentWord(index) {
+    if (index === this.currentWordIndex) return;
+
+    this.currentWordIndex = index;
+    this.onWordChange?.(index);
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+
+    this.state = state;
+    this.onStateChange?.(state);
+  }
+
+  clearTimers() {
+    clearTimeout(this.boundaryTimer);
+    clearTimeout(this.estimateTimer);
+    this.boundaryTimer = null;
+    this.estimateTimer = null;
+  }
+
+  cancelSpeech() {
+    this.clearTimers();
+    this.utterance = null;
+    this.speechEngine.speechSynthesis.synthesis?.cancel();
+  }
+}
+
+export default ReadAlongPlayer;
@@ -0,0 +1,443 @@
+/**
+ * Reading Session Controller for LiterateAI
+ * Runs one reading session at a time through explicit states. It owns the
+ * speech engine (and with it the only recognizer) and turns every recognized
+ * result into one analysis of the whole reading so far, so session counters are
+ * taken from that analysis instead of being added up result by result.
+ */
+
+import AdvancedSpeechEngine from '../ai/AdvancedSpeechEngine';
+import AudioCaptureEngine from '../audio/AudioCaptureEngine';
+
+// State -> event -> next state; 'reset' is accepted in every state
+const TRANSITIONS = {
+  idle: { calibrate: 'calibrating', start: 'listening', restore: 'reviewed' },
+  calibrating: { calibrated: 'idle', cancel: 'idle' },
+  listening: { pause: 'paused', stop: 'finishing', end: 'finishing' },
+  paused: { resume: 'listening', stop: 'finishing', end: 'finishing' },
+  finishing: { finished: 'reviewed' },
+  reviewed: { calibrate: 'calibrating', start: 'listening' }
+};
+
+// States in which recognizer results belong to the current session
+const ACTIVE_STATES = ['listening', 'paused', 'finishing'];
+
+class ReadingSessionController {
+  constructor(options = {}) {
+    this.engine = options.engine || new AdvancedSpeechEngine(options);
+    this.state = 'idle';
+    this.listeners = [];
+    this.passage = null;
+    this.settings = {};
+    this.pendingStart = null;
+    this.calibrationOffered = false;
+    this.error = null;
+    this.abandonedSessionId = null;
+    this.resetResults();
+
+    this.attachEngine();
+  }
+
+  // Subscribe to session events ({ type, ...details, snapshot }); returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  emit(type, details = {}) {
+    const event = { type, ...details, snapshot: this.getSnapshot() };
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  can(event) {
+    return event === 'reset' || Boolean(TRANSITIONS[this.state][event]);
+  }
+
+  // Move to the state the event leads to; events that do not apply in the current state are ignored
+  transition(event) {
+    const next = event === 'reset' ? 'idle' : TRANSITIONS[this.state][event];
+    if (!next) return false;
+
+    const previous = this.state;
+    this.state = next;
+    this.emit('statechange', { previous, event });
+    return true;
+  }
+
+  attachEngine() {
+    const engine = this.engine;
+
+    engine.onListeningStart = () => this.handleListeningStart();
+    engine.onListeningEnd = (summary) => this.handleListeningEnd(summary);
+    engine.onSpeechAnalyzed = (analysis) => this.handleAnalysis(analysis);
+    engine.onInterimAnalysis = (interim) => this.handleInterim(interim);
+    engine.onReadingPosition = (position) => this.handleReadingPosition(position);
+    engine.onSessionPaused = (pause) => this.transition('pause') && this.emit('pause', { pause });
+    engine.onSessionResumed = (pause) => this.transition('resume') && this.emit('resume', { pause });
+    engine.onRecognitionError = (error) => this.handleRecognitionError(error);
+    engine.onRecordingComplete = (recording) => this.handleRecordingComplete(recording);
+  }
+
+  isActive() {
+    return ACTIVE_STATES.includes(this.state);
+  }
+
+  resetResults() {
+    this.analysis = null;
+    this.transcript = '';
+    this.wordFeedback = {};
+    this.hints = {};
+    this.currentWordIndex = null;
+    this.score = 0;
+    this.totalWords = 0;
+    this.confidenceSum = 0;
+    this.analysisCount = 0;
+    this.sessionData = this.createSessionData();
+  }
+
+  createSessionData() {
+    return {
+      passageId: this.passage?.id ?? null,
+      startTime: null,
+      totalTime: 0,
+      pausedTime: 0,
+      wordsAttempted: 0,
+      wordsRead: 0,
+      wordsCorrect: 0,
+      readingTime: 0,
+      wcpm: 0,
+      selfCorrections: 0,
+      repetitions: 0,
+      averageConfidence: 0,
+      hintsUsed: 0,
+      assistedWords: 0,
+      dialectVariants: [],
+      recognizerRestarts: 0,
+      pronunciationErrors: [],
+      improvements: [],
+      calibration: this.engine.getCalibration()
+    };
+  }
+
+  getSnapshot() {
+    return {
+      state: this.state,
+      isListening: this.state === 'listening' || this.state === 'paused',
+      isPaused: this.state === 'paused',
+      passage: this.passage,
+      error: this.error,
+      transcript: this.transcript,
+      analysis: this.analysis,
+      wordFeedback: this.wordFeedback,
+      hints: this.hints,
+      currentWordIndex: this.currentWordIndex,
+      score: this.score,
+      totalWords: this.totalWords,
+      sessionData: this.sessionData
+    };
+  }
+
+  // Choosing another passage drops whatever was read from the previous one
+  setPassage(passage) {
+    this.passage = passage;
+    this.reset();
+  }
+
+  // The microphone is checked once before the first session when no calibration is saved
+  needsCalibration() {
+    return !this.engine.getCalibration() && !this.calibrationOffered && AudioCaptureEngine.isSupported();
+  }
+
+  start(settings = {}) {
+    if (!this.can('start')) return false;
+
+    if (this.needsCalibration()) {
+      this.calibrationOffered = true;
+      this.pendingStart = settings;
+      return this.transition('calibrate');
+    }
+
+    return this.beginListening(settings);
+  }
+
+  beginListening(settings) {
+    this.settings = settings;
+    this.error = null;
+    this.resetResults();
+    this.totalWords = this.passage ? this.passage.text.split(/\s+/).length : 0;
+    this.sessionData.startTime = Date.now();
+
+    // Results can arrive as soon as the recognizer starts, so the session is listening first
+    this.transition('start');
+    try {
+      this.engine.startListening({
+        targetText: this.passage?.text || '',
+        passageId: this.passage?.id ?? null,
+        language: settings.language || 'en-US',
+        accent: settings.accent,
+        difficulty: this.passage?.difficulty,
+        realTimeAnalysis: true,
+        pauseDetection: settings.silenceTimeout > 0,
+        silenceTimeout: settings.silenceTimeout || undefined
+      });
+    } catch (error) {
+      console.error('Failed to start reading session:', error);
+      this.resetResults();
+      this.transition('reset');
+      this.error = this.engine.speechRecognition ? 'Could not start listening. Please try again.' : 'Speech recognition not supported in this browser';
+      this.emit('error', { error: this.error });
+      return false;
+    }
+
+    return true;
+  }
+
+  // Opening the calibration check by hand; no session starts when it is done
+  calibrate() {
+    this.pendingStart = null;
+    return this.transition('calibrate');
+  }
+
+  completeCalibration(calibration) {
+    if (this.state !== 'calibrating') return;
+
+    this.engine.setCalibration(calibration);
+    this.sessionData.calibration = calibration;
+    this.emit('calibration', { calibration });
+    this.finishCalibration('calibrated');
+  }
+
+  cancelCalibration() {
+    if (this.state !== 'calibrating') return;
+    this.finishCalibration('cancel');
+  }
+
+  finishCalibration(event) {
+    const pendingStart = this.pendingStart;
+    this.pendingStart = null;
+    this.transition(event);
+
+    if (pendingStart) {
+      this.beginListening(pendingStart);
+    }
+  }
+
+  // The session is reviewed once the recognizer has handed over its last results
+  stop() {
+    if (!this.transition('stop')) return false;
+
+    const stillListening = this.engine.isListening;
+    this.engine.stopListening();
+    if (!stillListening) {
+      this.finish();
+    }
+    return true;
+  }
+
+  // Abandons a running session; nothing from it is kept. The controller is idle before the
+  // recognizer is stopped, so an end it reports straight away does not finish the session.
+  reset() {
+    const running = this.state === 'listening' || this.state === 'paused';
+    if (running) {
+      this.abandonedSessionId = this.engine.currentSession?.id ?? null;
+    }
+    this.pendingStart = null;
+    this.error = null;
+    this.resetResults();
+
+    if (this.state === 'idle') {
+      this.emit('reset');
+    } else {
+      this.transition('reset');
+    }
+
+    if (running) {
+      this.engine.stopListening();
+    }
+  }
+
+  // The reviewed reading, set aside while the recognizer is borrowed for something else, e.g. a word drill
+  saveReview() {
+    if (this.state !== 'reviewed') return null;
+
+    return {
+      passage: this.passage,
+      analysis: this.analysis,
+      transcript: this.transcript,
+      wordFeedback: this.wordFeedback,
+      hints: this.hints,
+      score: this.score,
+      totalWords: this.totalWords,
+      confidenceSum: this.confidenceSum,
+      analysisCount: this.analysisCount,
+      sessionData: this.sessionData
+    };
+  }
+
+  // Puts a saved reading back up for review, dropping whatever was done in the meantime
+  restoreReview(review) {
+    this.reset();
+    Object.assign(this, review);
+    this.transition('restore');
+  }
+
+  // Adds detail to one word of the reading, such as how practising it on its own went
+  updateWordFeedback(wordIndex, changes) {
+    const feedback = this.wordFeedback[wordIndex];
+    if (!feedback) return false;
+
+    this.wordFeedback = { ...this.wordFeedback, [wordIndex]: { ...feedback, ...changes } };
+    this.emit('wordfeedback', { wordIndex, feedback: this.wordFeedback[wordIndex] });
+    return true;
+  }
+
+  handleListeningStart() {
+    if (!this.isActive()) return;
+    this.emit('listening');
+  }
+
+  // The recognizer also ends on its own, e.g. after a fatal error or at the end of a script
+  handleListeningEnd(summary = {}) {
+    if (this.transition('end') || this.state === 'finishing') {
+      this.sessionData.recognizerRestarts = summary.restarts || 0;
+      this.finish();
+    }
+  }
+
+  // One pipeline: every analysis already covers the whole reading, so it replaces the last one
+  handleAnalysis(analysis) {
+    if (!this.isActive()) return;
+
+    this.analysis = analysis;
+    this.transcript = analysis.spokenText;
+    this.totalWords = analysis.alignment.words.length;
+    this.scoreWithHints();
+    this.confidenceSum += analysis.confidence || 0;
+    this.analysisCount++;
+
+    this.sessionData = {
+      ...this.sessionData,
+      wordsAttempted: analysis.wordLevelAnalysis.length,
+      wordsCorrect: analysis.wordLevelAnalysis.filter(word => word.correct).length,
+      readingTime: analysis.readingTime,
+      wcpm: analysis.wcpm,
+      selfCorrections: analysis.miscues.selfCorrections.length,
+      repetitions: analysis.miscues.repetitions.length,
+      averageConfidence: this.confidenceSum / this.analysisCount,
+      assistedWords: Object.values(this.wordFeedback).filter(entry => entry.assisted).length,
+      dialectVariants: analysis.dialectVariants || [],
+      pronunciationErrors: analysis.phonemeAnalysis?.difficultPhonemes || [],
+      improvements: analysis.recommendations || []
+    };
+
+    this.emit('analysis', { analysis });
+  }
+
+  // A word the reader got a hint on counts as read with help rather than independently
+  recordHint(wordIndex, hint) {
+    if (!this.isActive()) return;
+
+    this.hints = { ...this.hints, [wordIndex]: hint };
+    this.scoreWithHints();
+    this.sessionData = {
+      ...this.sessionData,
+      hintsUsed: Object.keys(this.hints).length,
+      assistedWords: Object.values(this.wordFeedback).filter(entry => entry.assisted).length
+    };
+    this.emit('hint', { wordIndex, hint });
+  }
+
+  // Hinted words are marked on the reading; a word the reader was told is not credited
+  scoreWithHints() {
+    const aligner = this.engine.readingAligner;
+    const alignment = this.analysis?.alignment;
+    if (!alignment) return;
+
+    const wordFeedback = aligner.toWordFeedback(alignment);
+    let toldCredit = 0;
+
+    Object.entries(this.hints).forEach(([wordIndex, hint]) => {
+      const entry = wordFeedback[wordIndex];
+      if (!entry) return;
+
+      entry.assisted = hint;
+      if (hint.type === 'speak') {
+        toldCredit += entry.correct ? 1 : entry.soundAlike ? aligner.soundAlikeCredit : 0;
+      }
+    });
+
+    this.wordFeedback = wordFeedback;
+    this.score = aligner.getScore(alignment) - toldCredit;
+  }
+
+  // Words still being recognized are shown after what has been scored, but not scored yet
+  handleInterim(interim) {
+    if (!this.isActive()) return;
+
+    this.transcript = [this.analysis?.spokenText, interim.transcript].filter(Boolean).join(' ');
+    this.emit('interim', { interim });
+  }
+
+  handleReadingPosition(position) {
+    if (!this.isActive() || this.state === 'finishing') return;
+
+    this.currentWordIndex = position.currentWordIndex;
+    this.emit('position', { position });
+  }
+
+  handleRecognitionError(error) {
+    this.emit('recognitionerror', { error });
+  }
+
+  // The recording of a reset session is dropped along with the rest of it
+  handleRecordingComplete(recording) {
+    if (recording.sessionId === this.abandonedSessionId) return;
+    this.emit('recording', { recording });
+  }
+
+  // Final figures for the reading, then the session can be reviewed
+  finish() {
+    const engine = this.engine;
+    const readingTime = engine.getReadingTime();
+    const pausedTime = engine.getPausedTime();
+    const duration = this.sessionData.startTime ? Date.now() - this.sessionData.startTime - pausedTime : 0;
+    const diagnostics = engine.getSessionDiagnostics();
+    // Rates are over the words the reader reached, not the whole passage
+    const alignment = this.analysis?.alignment;
+    const wordsRead = alignment ? engine.countWordsRead(alignment) : 0;
+
+    // Only the finished reading goes into the learner's sound history and accent evidence
+    engine.recordPhonemeConfusions(this.analysis?.phonemeAnalysis);
+    engine.recordAccentEvidence(this.sessionData.averageConfidence);
+
+    this.currentWordIndex = null;
+    this.sessionData = {
+      ...this.sessionData,
+      totalTime: Math.max(0, duration),
+      pausedTime,
+      readingTime,
+      wordsRead,
+      finalAccuracy: alignment ? engine.calculateAccuracy(alignment, this.score) : 0,
+      sessionDuration: Math.max(0, duration),
+      wordsPerMinute: readingTime > 0 ? (wordsRead / readingTime) * 60000 : 0,
+      wcpm: engine.calculateWCPM(this.score, readingTime),
+      recognizerRestarts: diagnostics.restarts || this.sessionData.recognizerRestarts,
+      completedAt: Date.now()
+    };
+
+    this.transition('finished');
+  }
+
+  cleanup() {
+    this.listeners = [];
+    this.engine.cleanup();
+  }
+}
+
+export default ReadingSessionController;
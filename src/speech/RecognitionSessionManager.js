@@ -0,0 +1,293 @@
+/**
+ * Recognition Session Manager for LiterateAI
+ * Keeps a recognizer listening for a whole reading session. Browser recognizers
+ * stop on their own after about a minute or on no-speech; the manager restarts
+ * them and stitches every run's results into one result list, so consumers see
+ * a single continuous recognizer with the usual Web Speech API surface.
+ */
+
+// Errors the recognizer recovers from by being started again
+const TRANSIENT_ERRORS = ['no-speech', 'aborted', 'network'];
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'model-unavailable', 'language-not-supported'];
+
+// Longest run of words treated as the same speech heard twice around a restart
+const MAX_OVERLAP_WORDS = 6;
+
+class RecognitionSessionManager {
+  constructor(recognizer, options = {}) {
+    this.recognizer = recognizer;
+    this.backend = recognizer.backend;
+    this.keepAlive = options.keepAlive !== false;
+    this.restartDelay = options.restartDelay ?? 250; // milliseconds
+    this.maxConsecutiveFailures = options.maxConsecutiveFailures ?? 5;
+
+    this.results = [];
+    this.finalCount = 0;
+    this.run = null;
+    this.isActive = false;
+    this.stopRequested = false;
+    this.restartTimer = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+    this.overlapWords = [];
+    this.diagnostics = this.createDiagnostics();
+
+    recognizer.onstart = () => this.handleRunStart();
+    recognizer.onend = () => this.handleRunEnd();
+    recognizer.onerror = (event) => this.handleError(event);
+    recognizer.onresult = (event) => this.handleResult(event);
+    ['onspeechstart', 'onspeechend', 'onnomatch'].forEach(handler => {
+      recognizer[handler] = (event) => this[handler]?.(event);
+    });
+  }
+
+  get lang() { return this.recognizer.lang; }
+  set lang(value) { this.recognizer.lang = value; }
+
+  get continuous() { return this.recognizer.continuous; }
+  set continuous(value) { this.recognizer.continuous = value; }
+
+  get interimResults() { return this.recognizer.interimResults; }
+  set interimResults(value) { this.recognizer.interimResults = value; }
+
+  get maxAlternatives() { return this.recognizer.maxAlternatives; }
+  set maxAlternatives(value) { this.recognizer.maxAlternatives = value; }
+
+  createDiagnostics() {
+    return {
+      startedAt: null,
+      runs: 0,
+      restarts: 0,
+      failedRestarts: 0,
+      provisionalResults: 0,
+      duplicateWordsRemoved: 0,
+      lastRestartReason: null,
+      longestRun: 0
+    };
+  }
+
+  getDiagnostics() {
+    return { ...this.diagnostics };
+  }
+
+  start() {
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.results = [];
+    this.finalCount = 0;
+    this.run = null;
+    this.stopRequested = false;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+    this.overlapWords = [];
+    this.diagnostics = { ...this.createDiagnostics(), startedAt: Date.now() };
+
+    this.recognizer.start();
+  }
+
+  stop() {
+    this.stopRequested = true;
+    if (!this.interruptRestart()) {
+      this.recognizer.stop();
+    }
+  }
+
+  abort() {
+    this.stopRequested = true;
+    if (!this.interruptRestart()) {
+      this.recognizer.abort();
+    }
+  }
+
+  // Between runs there is no recognizer to stop, so the session ends right away
+  interruptRestart() {
+    if (!this.restartTimer) return false;
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    this.finish();
+    return true;
+  }
+
+  handleRunStart() {
+    this.run = { committed: 0, startedAt: Date.now(), heardSpeech: false };
+    this.diagnostics.runs++;
+    this.lastError = null;
+
+    if (!this.isActive) {
+      this.isActive = true;
+      this.onstart?.();
+    }
+  }
+
+  // Stitch this run's results after everything committed by earlier runs
+  handleResult(event) {
+    if (!this.run) return;
+
+    const changedFrom = this.finalCount;
+    this.results.length = this.finalCount;
+
+    for (let i = this.run.committed; i < event.results.length; i++) {
+      const result = event.results[i];
+      const alternatives = this.copyAlternatives(result);
+      this.run.heardSpeech = true;
+
+      if (result.isFinal && i === this.run.committed) {
+        const trimmed = this.trimOverlap(alternatives);
+        if (trimmed[0]?.transcript.trim()) this.commit(trimmed);
+        this.run.committed++;
+      } else {
+        this.results.push(this.toResult(alternatives, false));
+      }
+    }
+
+    this.consecutiveFailures = 0;
+    this.emitResults(changedFrom);
+  }
+
+  handleError(event) {
+    this.lastError = event.error;
+    if (FATAL_ERRORS.includes(event.error)) {
+      this.stopRequested = true;
+    }
+
+    if (this.stopRequested || !this.keepAlive || !TRANSIENT_ERRORS.includes(event.error)) {
+      this.onerror?.(event);
+      return;
+    }
+
+    // Recovered by the restart that follows; consumers may still want to know (no-speech means silence)
+    this.ontransienterror?.(event);
+  }
+
+  handleRunEnd() {
+    if (this.run) {
+      this.diagnostics.longestRun = Math.max(this.diagnostics.longestRun, Date.now() - this.run.startedAt);
+      this.commitInterimTail();
+      if (!this.run.heardSpeech && this.lastError && this.lastError !== 'no-speech') {
+        this.consecutiveFailures++;
+      }
+    }
+    this.run = null;
+
+    // A scripted recognizer that has played its whole script is done for good
+    if (this.stopRequested || !this.keepAlive || !this.recognizer.continuous || this.recognizer.isExhausted) {
+      this.finish();
+      return;
+    }
+
+    if (this.consecutiveFailures >= this.maxConsecutiveFailures) {
+      this.onerror?.({ error: this.lastError || 'network', message: 'Recognition kept failing to restart' });
+      this.finish();
+      return;
+    }
+
+    this.scheduleRestart();
+  }
+
+  // Back off when restarts keep failing, e.g. while the network is down
+  scheduleRestart() {
+    const delay = this.restartDelay * (2 ** this.consecutiveFailures);
+    const reason = this.lastError || 'ended';
+
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.stopRequested) return;
+
+      try {
+        this.recognizer.start();
+        this.diagnostics.restarts++;
+        this.diagnostics.lastRestartReason = reason;
+        this.onrestart?.({ restarts: this.diagnostics.restarts, reason });
+      } catch (error) {
+        console.warn('Failed to restart speech recognition:', error);
+        this.diagnostics.failedRestarts++;
+        this.consecutiveFailures++;
+        this.handleRunEnd();
+      }
+    }, delay);
+  }
+
+  finish() {
+    if (!this.isActive) return;
+    this.isActive = false;
+    this.onend?.();
+  }
+
+  // Words still interim when a run ends would be lost, so they are kept as a provisional final result
+  commitInterimTail() {
+    if (this.results.length === this.finalCount) return;
+
+    const changedFrom = this.finalCount;
+    const tail = this.results.splice(this.finalCount);
+    tail.forEach(result => {
+      this.commit(Array.from(result), true);
+      this.diagnostics.provisionalResults++;
+    });
+
+    // The next run may hear the end of that speech again
+    this.overlapWords = this.toWords(this.results[this.results.length - 1]?.[0]?.transcript || '');
+    this.emitResults(changedFrom);
+  }
+
+  commit(alternatives, provisional = false) {
+    const result = this.toResult(alternatives, true);
+    result.provisional = provisional;
+    this.results.push(result);
+    this.finalCount = this.results.length;
+    if (!provisional) this.overlapWords = [];
+  }
+
+  // Drop the leading words of a new run that repeat the end of the provisional result
+  trimOverlap(alternatives) {
+    if (this.overlapWords.length === 0) return alternatives;
+
+    const overlap = this.findOverlap(this.overlapWords, this.toWords(alternatives[0]?.transcript.trim() || ''));
+    if (overlap === 0) return alternatives;
+
+    this.diagnostics.duplicateWordsRemoved += overlap;
+    return alternatives.map(alternative => ({
+      ...alternative,
+      transcript: alternative.transcript.trim().split(/\s+/).slice(overlap).join(' ')
+    }));
+  }
+
+  findOverlap(previousWords, nextWords) {
+    const limit = Math.min(MAX_OVERLAP_WORDS, previousWords.length, nextWords.length);
+
+    for (let size = limit; size > 0; size--) {
+      const tail = previousWords.slice(previousWords.length - size);
+      if (tail.every((word, index) => word === nextWords[index])) return size;
+    }
+    return 0;
+  }
+
+  toWords(text) {
+    return text.toLowerCase().split(/\s+/)
+      .map(word => word.replace(/[^\p{L}\p{N}']/gu, ''));
+  }
+
+  copyAlternatives(result) {
+    return Array.from(result).map(alternative => ({
+      transcript: alternative.transcript,
+      confidence: alternative.confidence
+    }));
+  }
+
+  toResult(alternatives, isFinal) {
+    const result = alternatives.map(alternative => ({ ...alternative }));
+    result.isFinal = isFinal;
+    return result;
+  }
+
+  emitResults(resultIndex) {
+    if (this.results.length === 0) return;
+
+    this.onresult?.({
+      resultIndex: Math.min(resultIndex, this.results.length - 1),
+      results: this.results
+    });
+  }
+}
+
+export default RecognitionSessionManager;
@@ -0,0 +1,494 @@
+/**
+ * Speech Recognizer Factory for LiterateAI
+ * Pluggable recognizer backends behind one interface: the browser Web Speech API,
+ * an in-browser WASM model loaded from static files, and a scripted fake.
+ *
+ * Every adapter mirrors the Web Speech API surface (lang, continuous,
+ * interimResults, maxAlternatives, start/stop/abort and the on* handlers),
+ * and emits results shaped like SpeechRecognitionResultList so existing
+ * handlers work unchanged with any backend.
+ */
+
+const BACKEND_PREFERENCE_KEY = 'literateai_recognizer_backend';
+
+// On-device model archive per language, served from the models folder with the runtime
+const MODEL_ARCHIVES = {
+  'en': 'vosk-model-small-en-us.tar.gz',
+  'es': 'vosk-model-small-es.tar.gz',
+  'fr': 'vosk-model-small-fr.tar.gz',
+  'de': 'vosk-model-small-de.tar.gz',
+  'hi': 'vosk-model-small-hi.tar.gz'
+};
+
+const defaultModelBaseUrl = () => `${process.env.PUBLIC_URL || ''}/models`;
+
+// What the deployment serves for on-device recognition, once probed
+let localModelProbe = null;
+let localModelStatus = null;
+
+class SpeechRecognizerFactory {
+  static getBackends() {
+    return {
+      browser: {
+        name: 'Browser speech service',
+        offline: false,
+        isAvailable: () => BrowserRecognizerAdapter.isAvailable(),
+        create: (options) => new BrowserRecognizerAdapter(options)
+      },
+      local: {
+        name: 'On-device model',
+        offline: true,
+        isAvailable: () => LocalModelRecognizerAdapter.isAvailable(),
+        create: (options) => new LocalModelRecognizerAdapter(options)
+      },
+      scripted: {
+        name: 'Scripted (demo)',
+        offline: true,
+        isAvailable: () => true,
+        create: (options) => new ScriptedRecognizerAdapter(options)
+      }
+    };
+  }
+
+  // Backends that can run in this browser, excluding the scripted fake
+  static getAvailableBackends() {
+    return Object.entries(this.getBackends())
+      .filter(([id, backend]) => id !== 'scripted' && backend.isAvailable())
+      .map(([id, backend]) => ({ id, name: backend.name, offline: backend.offline }));
+  }
+
+  static isSupported() {
+    return this.getAvailableBackends().length > 0;
+  }
+
+  // Backends whose files have to be deployed are only available once probed, so call this before
+  // checking support; `refresh` probes again, e.g. after models were deployed
+  static detectBackends(refresh = false) {
+    return LocalModelRecognizerAdapter.probe(refresh);
+  }
+
+  static resolveBackend(requested = 'auto') {
+    const backends = this.getBackends();
+
+    if (requested !== 'auto') {
+      return backends[requested]?.isAvailable() ? requested : null;
+    }
+
+    // Prefer on-device recognition when offline, the browser service otherwise
+    const order = navigator.onLine === false ? ['local', 'browser'] : ['browser', 'local'];
+    return order.find(id => backends[id].isAvailable()) || null;
+  }
+
+  // Create a recognizer for the requested backend, or null when none can run
+  static create(requested = this.getPreferredBackend(), options = {}) {
+    const backendId = this.resolveBackend(requested);
+    if (!backendId) return null;
+
+    const recognizer = this.getBackends()[backendId].create(options);
+    recognizer.backend = backendId;
+    return recognizer;
+  }
+
+  static getPreferredBackend() {
+    return localStorage.getItem(BACKEND_PREFERENCE_KEY) || 'auto';
+  }
+
+  static setPreferredBackend(backend) {
+    localStorage.setItem(BACKEND_PREFERENCE_KEY, backend);
+  }
+}
+
+// Shared event plumbing for adapters that produce their own results
+class RecognizerAdapter {
+  constructor(options = {}) {
+    this.lang = options.lang || 'en-US';
+    this.continuous = options.continuous !== false;
+    this.interimResults = options.interimResults !== false;
+    this.maxAlternatives = options.maxAlternatives || 1;
+
+    this.results = [];
+    this.isRunning = false;
+  }
+
+  emitStart() {
+    this.isRunning = true;
+    this.results = [];
+    this.onstart?.();
+  }
+
+  emitEnd() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    this.onend?.();
+  }
+
+  emitError(error, message = '') {
+    this.onerror?.({ error, message });
+  }
+
+  // Replace the trailing interim result (if any) and emit a Web Speech style event
+  emitResult(alternatives, isFinal) {
+    const result = alternatives.slice(0, Math.max(1, this.maxAlternatives))
+      .map(alternative => ({ transcript: alternative.transcript, confidence: alternative.confidence ?? 0 }));
+    result.isFinal = isFinal;
+
+    const last = this.results[this.results.length - 1];
+    if (last && !last.isFinal) {
+      this.results[this.results.length - 1] = result;
+    } else {
+      this.results.push(result);
+    }
+
+    if (!isFinal && !this.interimResults) return;
+
+    this.onresult?.({
+      resultIndex: this.results.length - 1,
+      results: this.results
+    });
+
+    if (isFinal && !this.continuous) {
+      this.stop();
+    }
+  }
+}
+
+// Web Speech API (cloud-backed in Chrome and Edge)
+class BrowserRecognizerAdapter {
+  static isAvailable() {
+    return 'SpeechRecognition' in window || 'webkitSpeechRecognition' in window;
+  }
+
+  constructor(options = {}) {
+    const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+    this.recognition = new SpeechRecognition();
+    this.recognition.lang = options.lang || 'en-US';
+    this.recognition.continuous = options.continuous !== false;
+    this.recognition.interimResults = options.interimResults !== false;
+    this.recognition.maxAlternatives = options.maxAlternatives || 1;
+
+    ['onstart', 'onend', 'onerror', 'onresult', 'onspeechstart', 'onspeechend', 'onnomatch'].forEach(handler => {
+      this.recognition[handler] = (event) => this[handler]?.(event);
+    });
+  }
+
+  get lang() { return this.recognition.lang; }
+  set lang(value) { this.recognition.lang = value; }
+
+  get continuous() { return this.recognition.continuous; }
+  set continuous(value) { this.recognition.continuous = value; }
+
+  get interimResults() { return this.recognition.interimResults; }
+  set interimResults(value) { this.recognition.interimResults = value; }
+
+  get maxAlternatives() { return this.recognition.maxAlternatives; }
+  set maxAlternatives(value) { this.recognition.maxAlternatives = value; }
+
+  start() {
+    this.recognition.start();
+  }
+
+  stop() {
+    this.recognition.stop();
+  }
+
+  abort() {
+    this.recognition.abort();
+  }
+}
+
+// In-browser WASM recognizer (Vosk-compatible runtime) served from /models
+class LocalModelRecognizerAdapter extends RecognizerAdapter {
+  // Every current browser can run the model, so it also takes the runtime and at least one
+  // model archive being deployed; until probe() has found them the backend is unavailable
+  static isAvailable() {
+    return typeof WebAssembly === 'object' &&
+      !!navigator.mediaDevices?.getUserMedia &&
+      !!(window.AudioContext || window.webkitAudioContext) &&
+      Boolean(localModelStatus?.runtime) && localModelStatus.languages.length > 0;
+  }
+
+  // HEAD requests for the runtime and each model archive, made once per page load.
+  // A single-page host answers a missing file with index.html, which does not count.
+  static probe(refresh = false, baseUrl = defaultModelBaseUrl()) {
+    if (!localModelProbe || refresh) {
+      const exists = url => (typeof fetch === 'function' ? fetch(url, { method: 'HEAD' }) : Promise.reject())
+        .then(response => response.ok && !(response.headers.get('content-type') || '').startsWith('text/html'))
+        .catch(() => false);
+
+      localModelProbe = Promise.all([
+        exists(`${baseUrl}/vosk.js`),
+        ...Object.entries(MODEL_ARCHIVES).map(([language, archive]) => exists(`${baseUrl}/${archive}`).then(found => (found ? language : null)))
+      ]).then(([runtime, ...languages]) => {
+        localModelStatus = { runtime, languages: languages.filter(Boolean) };
+        return localModelStatus;
+      });
+    }
+    return localModelProbe;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.modelBaseUrl = options.modelBaseUrl || defaultModelBaseUrl();
+    this.runtimeUrl = options.runtimeUrl || `${this.modelBaseUrl}/vosk.js`;
+    this.modelUrls = options.modelUrls || Object.fromEntries(
+      Object.entries(MODEL_ARCHIVES).map(([language, archive]) => [language, `${this.modelBaseUrl}/${archive}`])
+    );
+
+    this.flushDelay = options.flushDelay || 500; // milliseconds
+    this.model = null;
+    this.modelLanguage = null;
+    this.recognizer = null;
+    this.audioContext = null;
+    this.mediaStream = null;
+    this.processorNode = null;
+    this.starting = false;
+    this.startToken = 0;
+  }
+
+  // Loading the model and opening the microphone take a while; stop() or abort() in the
+  // meantime invalidate the start, so it releases what it opened instead of running
+  async start() {
+    if (this.isRunning || this.starting) {
+      throw new Error('Recognizer already started');
+    }
+
+    const token = ++this.startToken;
+    const cancelled = () => token !== this.startToken;
+    this.starting = true;
+
+    try {
+      const model = await this.loadModel();
+      if (cancelled()) return;
+
+      const mediaStream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 }
+      });
+      if (cancelled()) {
+        mediaStream.getTracks().forEach(track => track.stop());
+        return;
+      }
+      this.mediaStream = mediaStream;
+
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      this.audioContext = new AudioContext();
+      this.recognizer = new model.KaldiRecognizer(this.audioContext.sampleRate);
+      this.recognizer.setWords?.(true);
+
+      this.recognizer.on('partialresult', (message) => {
+        const partial = message.result?.partial;
+        if (partial) {
+          this.emitResult([{ transcript: partial, confidence: 0 }], false);
+        }
+      });
+
+      this.recognizer.on('result', (message) => {
+        const text = message.result?.text;
+        if (text) {
+          this.emitResult([{ transcript: text, confidence: this.averageWordConfidence(message.result) }], true);
+        } else {
+          this.onnomatch?.();
+        }
+      });
+
+      const source = this.audioContext.createMediaStreamSource(this.mediaStream);
+      this.processorNode = this.audioContext.createScriptProcessor(4096, 1, 1);
+      this.processorNode.onaudioprocess = (event) => {
+        try {
+          this.recognizer?.acceptWaveform(event.inputBuffer);
+        } catch (error) {
+          console.error('Local recognizer failed to process audio:', error);
+        }
+      };
+      source.connect(this.processorNode);
+      this.processorNode.connect(this.audioContext.destination);
+
+      this.starting = false;
+      this.emitStart();
+    } catch (error) {
+      if (cancelled()) return;
+
+      this.starting = false;
+      console.error('Failed to start local speech recognition:', error);
+      this.releaseAudio();
+      this.releaseRecognizer();
+      const errorType = error.name === 'NotAllowedError' ? 'not-allowed' :
+        error.name === 'NotFoundError' ? 'audio-capture' : 'model-unavailable';
+      this.emitError(errorType, error.message);
+      this.onend?.();
+    }
+  }
+
+  stop() {
+    if (this.cancelStart()) return;
+    if (!this.isRunning) return;
+
+    // Stop the microphone, then give the model a moment to deliver its final result
+    this.releaseAudio();
+    this.recognizer?.retrieveFinalResult?.();
+    setTimeout(() => {
+      this.releaseRecognizer();
+      this.emitEnd();
+    }, this.flushDelay);
+  }
+
+  abort() {
+    if (this.cancelStart()) return;
+
+    this.releaseAudio();
+    this.releaseRecognizer();
+    this.emitEnd();
+  }
+
+  // A start still loading never started, so it ends without a start event, as a failed start does
+  cancelStart() {
+    if (!this.starting) return false;
+
+    this.startToken++;
+    this.starting = false;
+    this.onend?.();
+    return true;
+  }
+
+  releaseAudio() {
+    this.processorNode?.disconnect();
+    this.mediaStream?.getTracks().forEach(track => track.stop());
+    this.audioContext?.close();
+
+    this.processorNode = null;
+    this.mediaStream = null;
+    this.audioContext = null;
+  }
+
+  releaseRecognizer() {
+    this.recognizer?.remove?.();
+    this.recognizer = null;
+  }
+
+  async loadModel() {
+    const language = this.lang.split('-')[0];
+    if (this.model && this.modelLanguage === language) {
+      return this.model;
+    }
+
+    const modelUrl = this.modelUrls[language];
+    if (!modelUrl) {
+      throw new Error(`No on-device model configured for ${this.lang}`);
+    }
+
+    const runtime = await this.loadRuntime();
+    this.model = await runtime.createModel(modelUrl);
+    this.modelLanguage = language;
+    return this.model;
+  }
+
+  loadRuntime() {
+    if (window.Vosk) {
+      return Promise.resolve(window.Vosk);
+    }
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = this.runtimeUrl;
+      script.async = true;
+      script.onload = () => window.Vosk ? resolve(window.Vosk) : reject(new Error('Speech runtime did not register'));
+      script.onerror = () => reject(new Error(`Failed to load speech runtime from ${this.runtimeUrl}`));
+      document.head.appendChild(script);
+    });
+  }
+
+  averageWordConfidence(result) {
+    const words = result.result || [];
+    if (words.length === 0) return 0;
+    return words.reduce((sum, word) => sum + (word.conf || 0), 0) / words.length;
+  }
+}
+
+// Plays back a scripted sequence of results, for demos and automated checks
+class ScriptedRecognizerAdapter extends RecognizerAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.script = options.script || [];
+    this.stepDelay = options.stepDelay || 300; // milliseconds
+    this.timers = [];
+    this.position = 0;
+    this.isExhausted = false;
+  }
+
+  setScript(script) {
+    this.script = script;
+    this.position = 0;
+    this.isExhausted = false;
+  }
+
+  // A step with { end: true } ends the run the way a browser recognizer times out;
+  // starting again continues the script after it
+  start() {
+    if (this.isRunning) {
+      throw new Error('Recognizer already started');
+    }
+
+    if (this.isExhausted) {
+      this.position = 0;
+      this.isExhausted = false;
+    }
+    this.emitStart();
+
+    let elapsed = 0;
+    const steps = this.script.slice(this.position);
+    const endIndex = steps.findIndex(step => step.end);
+    const runSteps = endIndex >= 0 ? steps.slice(0, endIndex + 1) : steps;
+
+    runSteps.forEach((step, index) => {
+      elapsed += step.delay ?? this.stepDelay;
+      this.timers.push(setTimeout(() => {
+        this.position += 1;
+        this.playStep(step);
+      }, elapsed));
+      if (index === runSteps.length - 1 && !step.end) {
+        this.timers.push(setTimeout(() => {
+          this.isExhausted = true;
+          this.stop();
+        }, elapsed + this.stepDelay));
+      }
+    });
+
+    if (runSteps.length === 0) {
+      this.isExhausted = true;
+      this.timers.push(setTimeout(() => this.stop(), this.stepDelay));
+    }
+  }
+
+  playStep(step) {
+    if (!this.isRunning) return;
+
+    if (step.end) {
+      this.stop();
+      return;
+    }
+
+    if (step.error) {
+      this.emitError(step.error, step.message);
+      return;
+    }
+
+    if (step.speechStart) this.onspeechstart?.();
+    if (step.speechEnd) this.onspeechend?.();
+
+    if (step.transcript !== undefined || step.alternatives) {
+      const alternatives = step.alternatives || [{ transcript: step.transcript, confidence: step.confidence ?? 0.9 }];
+      this.emitResult(alternatives, step.isFinal !== false);
+    }
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers = [];
+    this.emitEnd();
+  }
+
+  abort() {
+    this.stop();
+  }
+}
+
+export default SpeechRecognizerFactory;
@@ -0,0 +1,257 @@
+/**
+ * Word Drill Session for LiterateAI
+ * Targeted practice on one missed word: the word is spoken as a model, broken
+ * into syllables with its IPA, and the learner says it back in a short session
+ * of its own. The reviewed reading is set aside during the drill and put back
+ * afterwards with the drill's result on that word.
+ */
+
+const MAX_TRIES = 3;
+
+// Same bar AIEngine uses to count a pronunciation attempt as a success
+const PASS_ACCURACY = 0.8;
+
+// A single word is said at once, so a short silence ends the try
+const WORD_SILENCE_TIMEOUT = 1500; // milliseconds
+
+const MODEL_RATE = 0.75;
+
+class WordDrillSession {
+  constructor(controller, aiEngine, options = {}) {
+    this.controller = controller;
+    this.engine = controller.engine;
+    this.aiEngine = aiEngine;
+    this.maxTries = options.maxTries ?? MAX_TRIES;
+
+    this.listeners = [];
+    this.settings = {};
+    this.review = null;
+    this.drillPassage = null;
+    this.wordIndex = null;
+    this.word = '';
+    this.breakdown = null;
+    this.attempts = [];
+    this.heardLastTry = true;
+    this.phase = 'ready';
+    this.run = 0;
+    this.removeControllerListener = null;
+  }
+
+  // Passage words keep their punctuation; the drill uses just the word
+  static cleanWord(token) {
+    return String(token || '').replace(/^[^\w']+|[^\w']+$/g, '');
+  }
+
+  // Subscribe to word drill events ({ type, ...details, snapshot }); returns an unsubscribe function
+  addListener(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  emit(type, details = {}) {
+    const event = { type, ...details, snapshot: this.getSnapshot() };
+    this.listeners.forEach(listener => listener(event));
+  }
+
+  setPhase(phase) {
+    this.phase = phase;
+    this.emit('phase', { phase });
+  }
+
+  getSnapshot() {
+    return {
+      phase: this.phase,
+      word: this.word,
+      wordIndex: this.wordIndex,
+      breakdown: this.breakdown,
+      attempts: this.attempts,
+      lastAttempt: this.attempts[this.attempts.length - 1] || null,
+      heardLastTry: this.heardLastTry,
+      triesLeft: Math.max(0, this.maxTries - this.attempts.length),
+      maxTries: this.maxTries,
+      result: this.getResult()
+    };
+  }
+
+  // Phonemes, IPA and the syllables the word is said in, stressed syllable marked
+  describeWord(word) {
+    const g2p = this.engine.g2p;
+    const phonemes = g2p.toPhonemes(word);
+
+    return {
+      phonemes,
+      ipa: g2p.toIPA(phonemes),
+      syllables: phonemes.length > 0 ? g2p.syllabify(phonemes).map(syllable => ({
+        ipa: syllable.phonemes.map(phoneme => g2p.phonemeToIPA(phoneme)).join(''),
+        stressed: syllable.stress === 1
+      })) : []
+    };
+  }
+
+  // Only a reviewed reading has words to drill
+  start({ wordIndex, word }, settings = {}) {
+    this.close();
+
+    const review = this.controller.saveReview();
+    this.word = WordDrillSession.cleanWord(word);
+    if (!review || !this.word) return false;
+
+    this.review = review;
+    this.wordIndex = wordIndex;
+    this.settings = { ...settings, silenceTimeout: WORD_SILENCE_TIMEOUT };
+    this.breakdown = this.describeWord(this.word);
+    this.attempts = [];
+    this.heardLastTry = true;
+    this.removeControllerListener = this.controller.addListener(event => this.handleControllerEvent(event));
+
+    this.modelWord();
+    return true;
+  }
+
+  // Say the word, then listen for the learner's try
+  async modelWord() {
+    const run = ++this.run;
+    this.controller.reset();
+    this.setPhase('modeling');
+
+    await this.speak(this.word);
+    if (run !== this.run) return;
+
+    this.listen();
+  }
+
+  // Resolves once the word has been spoken; without speech synthesis the learner goes unaided
+  speak(text) {
+    return new Promise(resolve => {
+      const utterance = this.engine.speakText(text, {
+        rate: MODEL_RATE,
+        language: this.settings.language || 'en-US',
+        accent: this.settings.accent
+      });
+      if (!utterance) {
+        resolve(false);
+        return;
+      }
+
+      utterance.addEventListener('end', () => resolve(true));
+      utterance.addEventListener('error', () => resolve(false));
+    });
+  }
+
+  // The word is the whole passage for this try, so nothing else is scored
+  listen() {
+    this.drillPassage = {
+      id: this.review.passage?.id ?? null,
+      title: this.word,
+      text: this.word,
+      difficulty: this.review.passage?.difficulty
+    };
+    this.controller.setPassage(this.drillPassage);
+    this.setPhase('listening');
+    this.controller.start(this.settings);
+  }
+
+  // Hear the word again; once the drill is over it is only spoken
+  replayModel() {
+    if (this.phase === 'complete') {
+      this.speak(this.word);
+    } else if (this.phase === 'listening' || this.phase === 'scored') {
+      this.modelWord();
+    }
+  }
+
+  tryAgain() {
+    if (this.phase !== 'scored' || this.attempts.length >= this.maxTries) return;
+    this.listen();
+  }
+
+  handleControllerEvent(event) {
+    if (this.phase !== 'listening') return;
+
+    const { snapshot } = event;
+
+    // The learner said the word, or went quiet after saying something
+    if ((event.type === 'position' && event.position.finished) ||
+        (event.type === 'pause' && snapshot.transcript.trim())) {
+      this.controller.stop();
+    } else if (event.type === 'statechange' && snapshot.state === 'reviewed') {
+      this.scoreAttempt(snapshot);
+    } else if (event.type === 'error') {
+      this.emit('error', { error: event.error });
+      this.close();
+    }
+  }
+
+  // Each try goes into the learner's pronunciation history; a try with nothing heard does not count
+  scoreAttempt(snapshot) {
+    const transcript = snapshot.transcript.trim();
+    this.heardLastTry = Boolean(transcript);
+    if (!this.heardLastTry) {
+      this.setPhase('scored');
+      return;
+    }
+
+    const feedback = snapshot.wordFeedback[0];
+    const spoken = feedback?.spoken || transcript.split(/\s+/).pop();
+    const analysis = this.aiEngine?.analyzePronunciation(this.word.toLowerCase(), spoken.toLowerCase()) || null;
+    const accuracy = analysis ? analysis.accuracy : (feedback?.correct ? 1 : 0);
+
+    const attempt = {
+      spoken,
+      accuracy,
+      passed: Boolean(feedback?.correct) || accuracy >= PASS_ACCURACY,
+      tips: analysis ? analysis.improvementTips : [],
+      timestamp: Date.now()
+    };
+    this.attempts.push(attempt);
+
+    this.setPhase('scored');
+    this.emit('attempt', { attempt });
+
+    if (attempt.passed || this.attempts.length >= this.maxTries) {
+      this.finish();
+    }
+  }
+
+  getResult() {
+    if (this.attempts.length === 0) return null;
+
+    return {
+      attempts: this.attempts.length,
+      passed: this.attempts.some(attempt => attempt.passed),
+      bestAccuracy: Math.max(...this.attempts.map(attempt => attempt.accuracy)),
+      spoken: this.attempts[this.attempts.length - 1].spoken,
+      practisedAt: Date.now()
+    };
+  }
+
+  // Put the reading back, with the drill's result on the word that was practised,
+  // unless another passage was chosen in the meantime
+  finish() {
+    this.run++;
+    this.removeControllerListener?.();
+    this.removeControllerListener = null;
+    this.engine.speechSynthesis.synthesis?.cancel();
+
+    const result = this.getResult();
+    if ([this.review.passage, this.drillPassage].includes(this.controller.passage)) {
+      this.controller.restoreReview(this.review);
+      if (result) {
+        this.controller.updateWordFeedback(this.wordIndex, { practice: result });
+      }
+    }
+
+    this.setPhase('complete');
+    this.emit('complete', { result });
+  }
+
+  // Leaving early still keeps any tries already made
+  close() {
+    if (this.phase === 'ready' || this.phase === 'complete') return;
+    this.finish();
+  }
+}
+
+export default WordDrillSession;
@@ -0,0 +1,94 @@
+import ChunkedReadingSession from '../ChunkedReadingSession';
+import AdvancedSpeechEngine from '../../ai/AdvancedSpeechEngine';
+
+const PASSAGE = {
+  id: 'story-1',
+  difficulty: 'beginner',
+  text: 'The dog ran. The little brown dog ran down the hill and jumped into the cold river.'
+};
+
+// What the reading session controller reports once a chunk has been read
+const snapshot = (score, totalWords, wordFeedback = {}) => ({
+  score,
+  totalWords,
+  wordFeedback,
+  transcript: '',
+  sessionData: { totalTime: 3000, readingTime: 2000, pronunciationErrors: [], improvements: [], recognizerRestarts: 0, calibration: null }
+});
+
+describe('ChunkedReadingSession', () => {
+  let controller;
+  let session;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    controller = {
+      engine: new AdvancedSpeechEngine({ recognizerBackend: 'scripted' }),
+      addListener: jest.fn(() => () => {}),
+      setPassage: jest.fn(),
+      start: jest.fn(),
+      stop: jest.fn(),
+      reset: jest.fn()
+    };
+    session = new ChunkedReadingSession(controller, { advanceDelay: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('splits the passage into sentences with their passage word indexes', () => {
+    expect(session.splitChunks(PASSAGE.text)).toEqual([
+      { text: 'The dog ran.', wordIndexes: [0, 1, 2] },
+      { text: 'The little brown dog ran down the hill and jumped into the cold river.', wordIndexes: [3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16] }
+    ]);
+  });
+
+  it('breaks long sentences into phrases at joining words, leaving short ones whole', () => {
+    const text = 'The dog ran. The dog ran to the park and played with a big red ball.';
+
+    expect(session.splitChunks(text, 'phrase').map(chunk => chunk.text)).toEqual([
+      'The dog ran.',
+      'The dog ran to the park',
+      'and played with a big red ball.'
+    ]);
+  });
+
+  it('reads one chunk at a time and moves on after a passing read', () => {
+    session.start(PASSAGE);
+    expect(controller.setPassage).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'The dog ran.' }));
+
+    session.scoreAttempt(snapshot(3, 3));
+    jest.advanceTimersByTime(1000);
+
+    expect(session.index).toBe(1);
+    expect(controller.setPassage).toHaveBeenLastCalledWith(expect.objectContaining({ text: PASSAGE.text.slice(13) }));
+  });
+
+  it('totals each chunk\'s best read', () => {
+    session.start(PASSAGE);
+    session.scoreAttempt(snapshot(1, 3));
+    session.retry();
+    session.scoreAttempt(snapshot(3, 3));
+
+    expect(session.getTotals()).toMatchObject({ chunksRead: 1, chunksPassed: 1, wordsRead: 3, score: 3, accuracy: 1, tries: 2, wcpm: 90 });
+  });
+
+  it('counts engagement as the share of the passage in chunks that were read', () => {
+    const complete = jest.fn();
+    session.addListener(event => event.type === 'complete' && complete(event.record));
+    session.start(PASSAGE);
+    session.scoreAttempt(snapshot(2, 3, { 2: { correct: false, status: 'omitted' } }));
+    session.next();
+    session.next();
+
+    expect(complete).toHaveBeenCalledWith(expect.objectContaining({
+      wordsRead: 3,
+      storyId: 'story-1',
+      errors: [{ word: 'ran.', wordIndex: 2, type: 'omission', spoken: null }],
+      engagement: 3 / 17
+    }));
+    expect(session.getTotals().chunksSkipped).toBe(1);
+  });
+});
@@ -0,0 +1,124 @@
+import EchoReadingSession from '../EchoReadingSession';
+import ReadingSessionController from '../ReadingSessionController';
+import ReadingAligner from '../../ai/ReadingAligner';
+import AdvancedSpeechEngine from '../../ai/AdvancedSpeechEngine';
+
+const PASSAGE = { id: 'story-1', text: 'The cat sat. The dog ran.' };
+
+// The parts of the speech engine echo reading uses; there is no speech synthesis, so models are silent
+const createEngine = () => {
+  const engine = {
+    isListening: false,
+    currentSession: null,
+    readingAligner: new ReadingAligner(),
+    speechSynthesis: { synthesis: null },
+    speakText: () => null,
+    splitSentences: text => text.match(/[^.!?]+[.!?]/g).map(sentence => ({ text: sentence.trim() })),
+    getCalibration: () => ({ gain: 1, noiseFloor: 0.01 }),
+    getReadingTime: () => 2000,
+    getPausedTime: () => 0,
+    getSessionDiagnostics: () => ({ restarts: 0 }),
+    calculateWCPM: () => 0,
+    calculateAccuracy: AdvancedSpeechEngine.prototype.calculateAccuracy,
+    countWordsRead: AdvancedSpeechEngine.prototype.countWordsRead,
+    recordPhonemeConfusions: jest.fn(),
+    recordAccentEvidence: jest.fn()
+  };
+  engine.startListening = jest.fn(options => {
+    engine.isListening = true;
+    engine.currentSession = { id: `session-${engine.startListening.mock.calls.length}`, targetText: options.targetText };
+  });
+  engine.stopListening = jest.fn(() => {
+    if (!engine.isListening) return;
+    engine.isListening = false;
+    engine.onListeningEnd({ restarts: 0 });
+  });
+  return engine;
+};
+
+describe('EchoReadingSession', () => {
+  let engine;
+  let echo;
+
+  // Let the silent model finish so the session starts listening
+  const heardModel = async () => {
+    await Promise.resolve();
+    await Promise.resolve();
+  };
+
+  // The learner repeats the current sentence as `spokenText` and reaches its end
+  const repeat = spokenText => {
+    const targetText = engine.currentSession.targetText;
+    engine.onSpeechAnalyzed({
+      spokenText,
+      alignment: engine.readingAligner.align(targetText, spokenText),
+      wordLevelAnalysis: [],
+      miscues: { selfCorrections: [], repetitions: [] }
+    });
+    engine.onReadingPosition({ currentWordIndex: null, lastReadIndex: 2, finished: true });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    engine = createEngine();
+    echo = new EchoReadingSession(new ReadingSessionController({ engine }), { advanceDelay: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('listens for one sentence at a time, scored on its own', async () => {
+    echo.start(PASSAGE);
+    await heardModel();
+
+    expect(echo.phase).toBe('listening');
+    expect(engine.startListening).toHaveBeenLastCalledWith(expect.objectContaining({ targetText: 'The cat sat.' }));
+  });
+
+  it('moves on once the sentence is read well enough', async () => {
+    echo.start(PASSAGE);
+    await heardModel();
+    repeat('the cat sat');
+
+    expect(echo.phase).toBe('scored');
+    expect(echo.results[0]).toMatchObject({ passed: true, bestAccuracy: 1 });
+
+    jest.advanceTimersByTime(1000);
+    await heardModel();
+    expect(echo.index).toBe(1);
+    expect(engine.startListening).toHaveBeenLastCalledWith(expect.objectContaining({ targetText: 'The dog ran.' }));
+  });
+
+  it('models the sentence again after a weak try and moves on when the tries run out', async () => {
+    echo.start(PASSAGE);
+    for (let tries = 0; tries < 3; tries++) {
+      await heardModel();
+      repeat('the');
+      expect(echo.index).toBe(0);
+      jest.advanceTimersByTime(1000);
+    }
+
+    expect(echo.results[0].attempts).toHaveLength(3);
+    expect(echo.results[0].passed).toBe(false);
+    expect(echo.index).toBe(1);
+  });
+
+  it('sums up the best try per sentence at the end', async () => {
+    const complete = jest.fn();
+    echo.addListener(event => event.type === 'complete' && complete(event.summary));
+    echo.start(PASSAGE);
+    await heardModel();
+    repeat('the');
+    jest.advanceTimersByTime(1000);
+    await heardModel();
+    repeat('the cat sat');
+    jest.advanceTimersByTime(1000);
+    await heardModel();
+    repeat('the dog ran');
+    jest.advanceTimersByTime(1000);
+
+    expect(echo.phase).toBe('complete');
+    expect(complete).toHaveBeenCalledWith({ sentences: 2, attempted: 2, passed: 2, averageAccuracy: 1, averageTries: 1.5 });
+  });
+});
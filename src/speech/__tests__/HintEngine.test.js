@@ -0,0 +1,83 @@
+import HintEngine from '../HintEngine';
+import ReadingSessionController from '../ReadingSessionController';
+import ReadingAligner from '../../ai/ReadingAligner';
+import GraphemeToPhoneme from '../../ai/GraphemeToPhoneme';
+
+const PASSAGE = { id: 'story-1', text: 'The rabbit ran home.' };
+
+// The parts of the speech engine hints use
+const createEngine = () => {
+  const engine = {
+    isListening: false,
+    currentSession: null,
+    readingAligner: new ReadingAligner(),
+    g2p: new GraphemeToPhoneme(),
+    speakText: jest.fn(),
+    getCalibration: () => ({ gain: 1, noiseFloor: 0.01 })
+  };
+  engine.startListening = jest.fn(() => {
+    engine.isListening = true;
+    engine.currentSession = { id: 'session' };
+  });
+  return engine;
+};
+
+describe('HintEngine', () => {
+  let engine;
+  let controller;
+  let hints;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    engine = createEngine();
+    controller = new ReadingSessionController({ engine });
+    controller.setPassage(PASSAGE);
+    hints = new HintEngine(controller, { stallTimeout: 5000, stepDelay: 3000 });
+    hints.start();
+    controller.start();
+    engine.onReadingPosition({ currentWordIndex: 1, lastReadIndex: 0, finished: false });
+  });
+
+  afterEach(() => {
+    hints.stop();
+    jest.useRealTimers();
+  });
+
+  it('highlights the word once the reader stalls on it', () => {
+    jest.advanceTimersByTime(4999);
+    expect(hints.hint).toBeNull();
+
+    jest.advanceTimersByTime(1);
+    expect(hints.hint).toEqual({ wordIndex: 1, word: 'rabbit', level: 1, type: 'highlight' });
+    expect(controller.hints[1]).toEqual({ level: 1, type: 'highlight' });
+  });
+
+  it('gives more help the longer the reader is stuck, ending by saying the word', () => {
+    jest.advanceTimersByTime(5000 + 3000);
+    expect(hints.hint.onset).toEqual({ letters: 'r', ipa: '/r/' });
+
+    jest.advanceTimersByTime(3000);
+    expect(hints.hint).toMatchObject({ type: 'syllables', syllables: ['rab', 'bit'], syllableSounds: ['ræ', 'bɪt'] });
+
+    jest.advanceTimersByTime(3000);
+    expect(hints.hint.type).toBe('speak');
+    expect(engine.speakText).toHaveBeenCalledWith('rabbit', { rate: 0.8, language: 'en-US' });
+    expect(controller.sessionData.hintsUsed).toBe(1);
+  });
+
+  it('starts over when the reader moves on', () => {
+    jest.advanceTimersByTime(5000);
+    engine.onReadingPosition({ currentWordIndex: 2, lastReadIndex: 1, finished: false });
+
+    expect(hints.hint).toBeNull();
+    jest.advanceTimersByTime(5000);
+    expect(hints.hint).toMatchObject({ wordIndex: 2, word: 'ran', level: 1 });
+  });
+
+  it('gives no hints when they are turned off', () => {
+    hints.setStallTimeout(0);
+    jest.advanceTimersByTime(60000);
+
+    expect(hints.hint).toBeNull();
+  });
+});
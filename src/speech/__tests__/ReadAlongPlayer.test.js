@@ -0,0 +1,95 @@
+import ReadAlongPlayer from '../ReadAlongPlayer';
+
+const TEXT = 'The cat  sat, "on" the mat.';
+
+// A speech engine whose utterances only do what the test dispatches on them
+const createSpeechEngine = () => {
+  const engine = {
+    utterances: [],
+    speechSynthesis: { synthesis: { cancel: jest.fn() } }
+  };
+  engine.speakText = jest.fn(() => {
+    const utterance = new EventTarget();
+    engine.utterances.push(utterance);
+    return utterance;
+  });
+  return engine;
+};
+
+const dispatch = (utterance, type, details = {}) => utterance.dispatchEvent(Object.assign(new Event(type), details));
+
+describe('ReadAlongPlayer', () => {
+  let speechEngine;
+  let player;
+  let words;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    speechEngine = createSpeechEngine();
+    player = new ReadAlongPlayer(speechEngine);
+    words = [];
+    player.onWordChange = index => words.push(index);
+    player.load(TEXT);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('splits words as the text display does, punctuation included', () => {
+    expect(ReadAlongPlayer.tokenize(TEXT).map(({ index, text }) => [index, text])).toEqual([
+      [0, 'The'], [1, 'cat'], [2, 'sat,'], [3, '"on"'], [4, 'the'], [5, 'mat.']
+    ]);
+  });
+
+  it('follows the word boundaries the voice reports', () => {
+    player.play();
+    const [utterance] = speechEngine.utterances;
+    dispatch(utterance, 'boundary', { name: 'word', charIndex: 4 });
+    dispatch(utterance, 'boundary', { name: 'word', charIndex: 15 });
+
+    expect(words).toEqual([0, 1, 3]);
+  });
+
+  it('picks up from the current word after a pause', () => {
+    player.play();
+    dispatch(speechEngine.utterances[0], 'boundary', { name: 'word', charIndex: 9 });
+    player.pause();
+    player.resume();
+
+    expect(player.state).toBe('playing');
+    expect(speechEngine.speakText).toHaveBeenLastCalledWith('sat, "on" the mat.', { rate: 1, language: 'en-US' });
+  });
+
+  it('moves through the words at the speaking rate when the voice sends no boundaries', () => {
+    player.play();
+    dispatch(speechEngine.utterances[0], 'start');
+    jest.advanceTimersByTime(700);
+    expect(words).toEqual([0]);
+
+    jest.advanceTimersByTime(3000);
+    expect(words).toEqual([0, 1, 2, 3, 4, 5]);
+  });
+
+  it('keeps the speed within what voices can do and applies it straight away', () => {
+    player.play();
+    player.setRate(5);
+
+    expect(player.rate).toBe(2);
+    expect(speechEngine.speakText).toHaveBeenLastCalledWith(TEXT, { rate: 2, language: 'en-US' });
+  });
+
+  it('ignores the interrupted utterance and ends with the current one', () => {
+    player.onEnd = jest.fn();
+    player.play();
+    player.play(4);
+    const [interrupted, current] = speechEngine.utterances;
+    dispatch(interrupted, 'end');
+    expect(player.state).toBe('playing');
+
+    dispatch(current, 'end');
+    expect(player.state).toBe('idle');
+    expect(player.currentWordIndex).toBeNull();
+    expect(player.onEnd).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,129 @@
+import ReadingSessionController from '../ReadingSessionController';
+import ReadingAligner from '../../ai/ReadingAligner';
+import AdvancedSpeechEngine from '../../ai/AdvancedSpeechEngine';
+
+const PASSAGE = { id: 'story-1', text: 'The cat sat on the mat.' };
+
+// The parts of the speech engine the controller uses; the recognizer ends as soon as it is stopped
+const createEngine = () => {
+  const engine = {
+    isListening: false,
+    currentSession: null,
+    readingAligner: new ReadingAligner(),
+    getCalibration: () => ({ gain: 1, noiseFloor: 0.01 }),
+    setCalibration: jest.fn(),
+    getReadingTime: () => 3000,
+    getPausedTime: () => 0,
+    getSessionDiagnostics: () => ({ restarts: 0 }),
+    calculateWCPM: (score, time) => (time > 0 ? Math.round(score / (time / 60000)) : 0),
+    calculateAccuracy: AdvancedSpeechEngine.prototype.calculateAccuracy,
+    countWordsRead: AdvancedSpeechEngine.prototype.countWordsRead,
+    recordPhonemeConfusions: jest.fn(),
+    recordAccentEvidence: jest.fn(),
+    cleanup: jest.fn()
+  };
+  engine.startListening = jest.fn(() => {
+    engine.isListening = true;
+    engine.currentSession = { id: 'session-1' };
+  });
+  engine.stopListening = jest.fn(() => {
+    if (!engine.isListening) return;
+    engine.isListening = false;
+    engine.onListeningEnd({ restarts: 0 });
+  });
+  return engine;
+};
+
+// An analysis of the whole reading so far, as the engine reports it
+const analyze = (engine, spokenText) => ({
+  spokenText,
+  alignment: engine.readingAligner.align(PASSAGE.text, spokenText),
+  wordLevelAnalysis: [],
+  miscues: { selfCorrections: [], repetitions: [] },
+  confidence: 0.9,
+  readingTime: 3000,
+  wcpm: 120
+});
+
+describe('ReadingSessionController', () => {
+  let engine;
+  let controller;
+
+  beforeEach(() => {
+    engine = createEngine();
+    controller = new ReadingSessionController({ engine });
+    controller.setPassage(PASSAGE);
+  });
+
+  it('listens for the passage and moves through its states', () => {
+    const states = [];
+    controller.addListener(event => event.type === 'statechange' && states.push(event.snapshot.state));
+
+    controller.start({ language: 'en-GB' });
+    expect(engine.startListening).toHaveBeenCalledWith(expect.objectContaining({ targetText: PASSAGE.text, passageId: 'story-1', language: 'en-GB' }));
+
+    controller.stop();
+    expect(states).toEqual(['listening', 'finishing', 'reviewed']);
+  });
+
+  it('ignores events that do not apply in the current state', () => {
+    expect(controller.can('pause')).toBe(false);
+    expect(controller.stop()).toBe(false);
+    expect(controller.getState()).toBe('idle');
+  });
+
+  it('takes the score from the latest analysis of the whole reading', () => {
+    controller.start();
+    engine.onSpeechAnalyzed(analyze(engine, 'the cat'));
+    engine.onSpeechAnalyzed(analyze(engine, 'the cat sat on the mat'));
+    controller.stop();
+
+    expect(controller.score).toBe(6);
+    expect(controller.getSnapshot().sessionData).toMatchObject({ finalAccuracy: 1, wcpm: 120 });
+    expect(engine.recordAccentEvidence).toHaveBeenCalledTimes(1);
+  });
+
+  it('rates a partial reading over the words the reader reached', () => {
+    controller.start();
+    engine.onSpeechAnalyzed(analyze(engine, 'the cat sat'));
+    controller.stop();
+
+    expect(controller.getSnapshot().sessionData).toMatchObject({ wordsRead: 3, finalAccuracy: 1, wordsPerMinute: 60 });
+  });
+
+  it('does not credit a word the reader was told', () => {
+    controller.start();
+    engine.onSpeechAnalyzed(analyze(engine, 'the cat sat on the mat'));
+    controller.recordHint(2, { type: 'speak' });
+
+    expect(controller.score).toBe(5);
+    expect(controller.wordFeedback[2].assisted).toEqual({ type: 'speak' });
+    expect(controller.sessionData.hintsUsed).toBe(1);
+  });
+
+  it('keeps nothing from a session that is reset, even when the recognizer ends straight away', () => {
+    const recordings = jest.fn();
+    controller.addListener(event => event.type === 'recording' && recordings(event));
+    controller.start();
+    engine.onSpeechAnalyzed(analyze(engine, 'the cat'));
+
+    controller.reset();
+    engine.onRecordingComplete({ sessionId: 'session-1' });
+
+    expect(controller.getState()).toBe('idle');
+    expect(controller.score).toBe(0);
+    expect(engine.recordAccentEvidence).not.toHaveBeenCalled();
+    expect(engine.recordPhonemeConfusions).not.toHaveBeenCalled();
+    expect(recordings).not.toHaveBeenCalled();
+  });
+
+  it('saves the calibration checked by hand without starting a session', () => {
+    controller.calibrate();
+    expect(controller.getState()).toBe('calibrating');
+
+    controller.completeCalibration({ gain: 2, noiseFloor: 0.02 });
+    expect(engine.setCalibration).toHaveBeenCalledWith({ gain: 2, noiseFloor: 0.02 });
+    expect(controller.getState()).toBe('idle');
+    expect(engine.startListening).not.toHaveBeenCalled();
+  });
+});
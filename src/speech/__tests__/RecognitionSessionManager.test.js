@@ -0,0 +1,98 @@
+import RecognitionSessionManager from '../RecognitionSessionManager';
+
+// A recognizer that runs until told otherwise; each run has its own result list
+const createRecognizer = () => {
+  const recognizer = { continuous: true, runResults: [] };
+  recognizer.start = jest.fn(() => {
+    recognizer.runResults = [];
+    recognizer.onstart();
+  });
+  recognizer.stop = jest.fn(() => recognizer.onend());
+  recognizer.abort = jest.fn(() => recognizer.onend());
+  recognizer.hear = (transcript, isFinal = true) => {
+    if (recognizer.runResults[recognizer.runResults.length - 1]?.isFinal === false) recognizer.runResults.pop();
+    recognizer.runResults.push(Object.assign([{ transcript, confidence: 0.9 }], { isFinal }));
+    recognizer.onresult({ resultIndex: recognizer.runResults.length - 1, results: recognizer.runResults });
+  };
+  return recognizer;
+};
+
+const transcripts = event => event.results.map(result => result[0].transcript);
+
+describe('RecognitionSessionManager', () => {
+  let recognizer;
+  let session;
+  let events;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    recognizer = createRecognizer();
+    session = new RecognitionSessionManager(recognizer, { restartDelay: 100, maxConsecutiveFailures: 2 });
+    events = [];
+    session.onresult = event => events.push(event);
+    session.onend = jest.fn();
+    session.onerror = jest.fn();
+    session.start();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('restarts a run that ended on its own and keeps adding to one result list', () => {
+    recognizer.hear('the cat');
+    recognizer.onend();
+    jest.advanceTimersByTime(100);
+    recognizer.hear('sat on');
+
+    expect(recognizer.start).toHaveBeenCalledTimes(2);
+    expect(transcripts(events[events.length - 1])).toEqual(['the cat', 'sat on']);
+    expect(events[events.length - 1].resultIndex).toBe(1);
+    expect(session.getDiagnostics()).toMatchObject({ runs: 2, restarts: 1, lastRestartReason: 'ended' });
+    expect(session.onend).not.toHaveBeenCalled();
+  });
+
+  it('keeps words still interim at a restart and drops them when the next run hears them again', () => {
+    recognizer.hear('the cat sat', false);
+    recognizer.onend();
+    jest.advanceTimersByTime(100);
+    recognizer.hear('cat sat on the mat');
+
+    const last = events[events.length - 1];
+    expect(transcripts(last)).toEqual(['the cat sat', 'on the mat']);
+    expect(last.results[0]).toMatchObject({ isFinal: true, provisional: true });
+    expect(session.getDiagnostics()).toMatchObject({ provisionalResults: 1, duplicateWordsRemoved: 2 });
+  });
+
+  it('ends the session on an error it cannot recover from', () => {
+    recognizer.onerror({ error: 'not-allowed' });
+    recognizer.onend();
+    jest.runAllTimers();
+
+    expect(session.onerror).toHaveBeenCalledWith({ error: 'not-allowed' });
+    expect(recognizer.start).toHaveBeenCalledTimes(1);
+    expect(session.onend).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up when restarts keep failing', () => {
+    recognizer.onerror({ error: 'network' });
+    recognizer.onend();
+    jest.advanceTimersByTime(200);
+    recognizer.onerror({ error: 'network' });
+    recognizer.onend();
+
+    expect(recognizer.start).toHaveBeenCalledTimes(2);
+    expect(session.onerror).toHaveBeenCalledWith({ error: 'network', message: 'Recognition kept failing to restart' });
+    expect(session.onend).toHaveBeenCalledTimes(1);
+  });
+
+  it('ends right away when stopped between runs', () => {
+    recognizer.onend();
+    session.stop();
+    jest.runAllTimers();
+
+    expect(recognizer.stop).not.toHaveBeenCalled();
+    expect(recognizer.start).toHaveBeenCalledTimes(1);
+    expect(session.onend).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,171 @@
+import SpeechRecognizerFactory from '../SpeechRecognizerFactory';
+
+describe('SpeechRecognizerFactory', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('finds no real backend without browser support', () => {
+    expect(SpeechRecognizerFactory.getAvailableBackends()).toEqual([]);
+    expect(SpeechRecognizerFactory.isSupported()).toBe(false);
+    expect(SpeechRecognizerFactory.create('auto')).toBeNull();
+  });
+
+  it('uses the browser recognizer when there is one', () => {
+    window.webkitSpeechRecognition = function SpeechRecognition() {};
+    try {
+      expect(SpeechRecognizerFactory.resolveBackend('auto')).toBe('browser');
+      expect(SpeechRecognizerFactory.create('browser').backend).toBe('browser');
+    } finally {
+      delete window.webkitSpeechRecognition;
+    }
+  });
+
+  it('remembers the preferred backend', () => {
+    expect(SpeechRecognizerFactory.getPreferredBackend()).toBe('auto');
+
+    SpeechRecognizerFactory.setPreferredBackend('scripted');
+    expect(SpeechRecognizerFactory.getPreferredBackend()).toBe('scripted');
+  });
+
+  describe('scripted backend', () => {
+    it('plays its script as Web Speech style results', () => {
+      const recognizer = SpeechRecognizerFactory.create('scripted', {
+        script: [{ transcript: 'the cat', isFinal: false }, { transcript: 'the cat sat', confidence: 0.8 }]
+      });
+      const events = [];
+      recognizer.onresult = event => events.push({
+        resultIndex: event.resultIndex,
+        results: event.results.map(result => ({ transcript: result[0].transcript, isFinal: result.isFinal }))
+      });
+      recognizer.onend = jest.fn();
+
+      recognizer.start();
+      jest.runAllTimers();
+
+      expect(recognizer.backend).toBe('scripted');
+      expect(events).toEqual([
+        { resultIndex: 0, results: [{ transcript: 'the cat', isFinal: false }] },
+        { resultIndex: 0, results: [{ transcript: 'the cat sat', isFinal: true }] }
+      ]);
+      expect(recognizer.onend).toHaveBeenCalledTimes(1);
+    });
+
+    it('ends the run at an end step and carries on after it when started again', () => {
+      const recognizer = SpeechRecognizerFactory.create('scripted', {
+        script: [{ transcript: 'one' }, { end: true }, { transcript: 'two' }]
+      });
+      const transcripts = [];
+      recognizer.onresult = event => transcripts.push(event.results[event.resultIndex][0].transcript);
+
+      recognizer.start();
+      jest.runAllTimers();
+      expect(transcripts).toEqual(['one']);
+      expect(recognizer.isRunning).toBe(false);
+
+      recognizer.start();
+      jest.runAllTimers();
+      expect(transcripts).toEqual(['one', 'two']);
+    });
+
+    it('reports scripted errors', () => {
+      const recognizer = SpeechRecognizerFactory.create('scripted', { script: [{ error: 'no-speech' }] });
+      recognizer.onerror = jest.fn();
+
+      recognizer.start();
+      jest.runAllTimers();
+
+      expect(recognizer.onerror).toHaveBeenCalledWith({ error: 'no-speech', message: '' });
+    });
+
+    it('cannot be started twice', () => {
+      const recognizer = SpeechRecognizerFactory.create('scripted', { script: [{ transcript: 'one' }] });
+      recognizer.start();
+
+      expect(() => recognizer.start()).toThrow('already started');
+    });
+  });
+
+  describe('local backend', () => {
+    let resolveModel;
+    let track;
+
+    beforeEach(() => {
+      track = { stop: jest.fn() };
+      Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: { getUserMedia: jest.fn().mockResolvedValue({ getTracks: () => [track] }) }
+      });
+      window.AudioContext = jest.fn();
+      window.Vosk = { createModel: jest.fn(() => new Promise(resolve => { resolveModel = resolve; })) };
+    });
+
+    afterEach(() => {
+      delete navigator.mediaDevices;
+      delete window.AudioContext;
+      delete window.Vosk;
+      delete global.fetch;
+    });
+
+    it('is only available once its runtime and a model are found on the server', async () => {
+      global.fetch = jest.fn(url => Promise.resolve({
+        ok: /vosk\.js|en-us/.test(url),
+        headers: { get: () => 'application/octet-stream' }
+      }));
+      expect(SpeechRecognizerFactory.getAvailableBackends()).toEqual([]);
+
+      await SpeechRecognizerFactory.detectBackends(true);
+
+      expect(SpeechRecognizerFactory.getAvailableBackends().map(backend => backend.id)).toEqual(['local']);
+      expect(SpeechRecognizerFactory.resolveBackend('auto')).toBe('local');
+    });
+
+    it('does not count a page served in place of a missing file', async () => {
+      global.fetch = jest.fn(() => Promise.resolve({ ok: true, headers: { get: () => 'text/html; charset=utf-8' } }));
+      await SpeechRecognizerFactory.detectBackends(true);
+
+      expect(SpeechRecognizerFactory.isSupported()).toBe(false);
+    });
+
+    it('leaves the microphone closed when stopped while the model loads', async () => {
+      const recognizer = SpeechRecognizerFactory.getBackends().local.create();
+      recognizer.onstart = jest.fn();
+      recognizer.onend = jest.fn();
+
+      const starting = recognizer.start();
+      await expect(recognizer.start()).rejects.toThrow('already started');
+      recognizer.stop();
+      expect(window.Vosk.createModel).toHaveBeenCalled();
+      resolveModel({ KaldiRecognizer: jest.fn() });
+      await starting;
+
+      expect(navigator.mediaDevices.getUserMedia).not.toHaveBeenCalled();
+      expect(recognizer.onstart).not.toHaveBeenCalled();
+      expect(recognizer.onend).toHaveBeenCalledTimes(1);
+      expect(recognizer.isRunning).toBe(false);
+    });
+
+    it('releases a microphone that opens after the start was abandoned', async () => {
+      let resolveStream;
+      navigator.mediaDevices.getUserMedia = jest.fn(() => new Promise(resolve => { resolveStream = resolve; }));
+      window.Vosk.createModel = jest.fn().mockResolvedValue({ KaldiRecognizer: jest.fn() });
+      const recognizer = SpeechRecognizerFactory.getBackends().local.create();
+
+      const starting = recognizer.start();
+      // Let the loaded model through to the microphone request
+      for (let tick = 0; tick < 10; tick++) await Promise.resolve();
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalled();
+      recognizer.abort();
+      resolveStream({ getTracks: () => [track] });
+      await starting;
+
+      expect(track.stop).toHaveBeenCalled();
+      expect(window.AudioContext).not.toHaveBeenCalled();
+    });
+  });
+});
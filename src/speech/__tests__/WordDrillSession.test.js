@@ -0,0 +1,125 @@
+import WordDrillSession from '../WordDrillSession';
+import ReadingSessionController from '../ReadingSessionController';
+import ReadingAligner from '../../ai/ReadingAligner';
+import AdvancedSpeechEngine from '../../ai/AdvancedSpeechEngine';
+import GraphemeToPhoneme from '../../ai/GraphemeToPhoneme';
+
+const PASSAGE = { id: 'story-1', text: 'The rabbit ran home.' };
+
+// The parts of the speech engine a drill uses; there is no speech synthesis, so the model is silent
+const createEngine = () => {
+  const engine = {
+    isListening: false,
+    currentSession: null,
+    readingAligner: new ReadingAligner(),
+    g2p: new GraphemeToPhoneme(),
+    speechSynthesis: { synthesis: null },
+    speakText: () => null,
+    getCalibration: () => ({ gain: 1, noiseFloor: 0.01 }),
+    getReadingTime: () => 2000,
+    getPausedTime: () => 0,
+    getSessionDiagnostics: () => ({ restarts: 0 }),
+    calculateWCPM: () => 0,
+    calculateAccuracy: AdvancedSpeechEngine.prototype.calculateAccuracy,
+    countWordsRead: AdvancedSpeechEngine.prototype.countWordsRead,
+    recordPhonemeConfusions: jest.fn(),
+    recordAccentEvidence: jest.fn()
+  };
+  engine.startListening = jest.fn(options => {
+    engine.isListening = true;
+    engine.currentSession = { id: 'session', targetText: options.targetText };
+  });
+  engine.stopListening = jest.fn(() => {
+    if (!engine.isListening) return;
+    engine.isListening = false;
+    engine.onListeningEnd({ restarts: 0 });
+  });
+  return engine;
+};
+
+describe('WordDrillSession', () => {
+  let engine;
+  let controller;
+  let aiEngine;
+  let drill;
+
+  // Let the silent model finish so the drill starts listening
+  const heardModel = async () => {
+    await Promise.resolve();
+    await Promise.resolve();
+  };
+
+  // The learner says `spokenText` for whatever is being read and stops
+  const say = spokenText => {
+    engine.onSpeechAnalyzed({
+      spokenText,
+      alignment: engine.readingAligner.align(engine.currentSession.targetText, spokenText),
+      wordLevelAnalysis: [],
+      miscues: { selfCorrections: [], repetitions: [] }
+    });
+    controller.stop();
+  };
+
+  beforeEach(() => {
+    engine = createEngine();
+    controller = new ReadingSessionController({ engine });
+    aiEngine = { analyzePronunciation: jest.fn(() => ({ accuracy: 0.4, improvementTips: ['Say each sound'] })) };
+    drill = new WordDrillSession(controller, aiEngine);
+
+    controller.setPassage(PASSAGE);
+    controller.start();
+    say('the rabid ran home');
+  });
+
+  it('drills only a word from a reviewed reading', () => {
+    controller.reset();
+
+    expect(drill.start({ wordIndex: 1, word: 'rabbit' })).toBe(false);
+  });
+
+  it('breaks the word into syllables with the stressed one marked', () => {
+    drill.start({ wordIndex: 1, word: '"rabbit,"' });
+
+    expect(drill.word).toBe('rabbit');
+    expect(drill.breakdown).toMatchObject({
+      ipa: '/ˈræbɪt/',
+      syllables: [{ ipa: 'ræ', stressed: true }, { ipa: 'bɪt', stressed: false }]
+    });
+  });
+
+  it('listens for the word alone and puts the reading back with the result once it is said right', async () => {
+    drill.start({ wordIndex: 1, word: 'rabbit' });
+    await heardModel();
+    expect(engine.startListening).toHaveBeenLastCalledWith(expect.objectContaining({ targetText: 'rabbit', silenceTimeout: 1500 }));
+
+    say('rabbit');
+
+    expect(drill.phase).toBe('complete');
+    expect(controller.getState()).toBe('reviewed');
+    expect(controller.passage).toBe(PASSAGE);
+    expect(controller.wordFeedback[1].practice).toMatchObject({ attempts: 1, passed: true, spoken: 'rabbit' });
+  });
+
+  it('does not count a try where nothing was heard', async () => {
+    drill.start({ wordIndex: 1, word: 'rabbit' });
+    await heardModel();
+    say('');
+
+    expect(drill.attempts).toEqual([]);
+    expect(drill.getSnapshot()).toMatchObject({ phase: 'scored', heardLastTry: false, triesLeft: 3 });
+  });
+
+  it('ends after the last missed try', async () => {
+    drill.start({ wordIndex: 1, word: 'rabbit' });
+    await heardModel();
+    say('rabid');
+    drill.tryAgain();
+    say('rabid');
+    drill.tryAgain();
+    say('rabid');
+
+    expect(aiEngine.analyzePronunciation).toHaveBeenCalledWith('rabbit', 'rabid');
+    expect(drill.phase).toBe('complete');
+    expect(controller.wordFeedback[1].practice).toMatchObject({ attempts: 3, passed: false, bestAccuracy: 0.4 });
+  });
+});
@@ -275,6 +275,7 @@ class EnhancedUISystem {
       autoSave: true,
       notifications: true,
       focusMode: false,
+      readAlongSpeed: 1,
       selectedAvatar: 'wizard',
       selectedBackground: 'library'
     };